@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { fetchHistory } from './usageHistory';
+import {
+  BatteryLevel,
+  getBatteryLevel,
+  estimateRuntime,
+  formatRuntime,
+} from './batteryHealth';
+
+const TREND_DAYS = 7;
+const TREND_POINTS = 28;
+const TREND_HEIGHT = 48;
+
+const LEVEL_STYLES = {
+  [BatteryLevel.OK]: { icon: 'battery-full', color: '#10B981', label: 'Good' },
+  [BatteryLevel.LOW]: { icon: 'battery-half', color: '#F59E0B', label: 'Low' },
+  [BatteryLevel.CRITICAL]: { icon: 'battery-dead', color: '#EF4444', label: 'Critical' },
+  [BatteryLevel.UNKNOWN]: { icon: 'battery-dead', color: '#6B7280', label: 'Unknown' },
+};
+
+// Average percentage per slice of the trend window; null where no samples
+const toTrend = (records, from, to) => {
+  const size = (to - from) / TREND_POINTS;
+  const sums = new Array(TREND_POINTS).fill(0);
+  const counts = new Array(TREND_POINTS).fill(0);
+
+  records.forEach((record) => {
+    if (typeof record.batteryPercentage !== 'number') return;
+    const index = Math.min(TREND_POINTS - 1, Math.floor((record.timestamp - from) / size));
+    if (index < 0) return;
+    sums[index] += record.batteryPercentage;
+    counts[index]++;
+  });
+
+  return sums.map((sum, index) => (counts[index] > 0 ? sum / counts[index] : null));
+};
+
+const BatteryPanel = ({ deviceId, batteryPercentage, batteryVoltage, isOffline }) => {
+  const mountedRef = useRef(true);
+
+  const [records, setRecords] = useState(null);
+  const [trendWindow, setTrendWindow] = useState(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!deviceId) return;
+
+    const to = Date.now();
+    const from = to - TREND_DAYS * 24 * 3600000;
+    fetchHistory(deviceId, { from, to })
+      .then((history) => {
+        if (mountedRef.current) {
+          setTrendWindow({ from, to });
+          setRecords(history);
+        }
+      })
+      .catch((error) => {
+        console.log('Battery history error:', error);
+        if (mountedRef.current) {
+          setRecords([]);
+        }
+      });
+  }, [deviceId]);
+
+  const level = getBatteryLevel(batteryPercentage);
+  const style = LEVEL_STYLES[level];
+  const runtime = records ? estimateRuntime(records, batteryPercentage) : null;
+  const trend = records && trendWindow ? toTrend(records, trendWindow.from, trendWindow.to) : [];
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <Ionicons name={style.icon} size={22} color={isOffline ? '#6B7280' : style.color} />
+        <Text style={styles.title}>Battery</Text>
+        <View style={[styles.levelBadge, { borderColor: `${style.color}40`, backgroundColor: `${style.color}20` }]}>
+          <Text style={[styles.levelText, { color: style.color }]}>{style.label}</Text>
+        </View>
+      </View>
+
+      <View style={styles.valueRow}>
+        <Text style={[styles.percentage, isOffline && styles.offlineValue]}>
+          {typeof batteryPercentage === 'number' ? `${Math.round(batteryPercentage)}%` : '--'}
+        </Text>
+        {typeof batteryVoltage === 'number' && (
+          <Text style={styles.voltage}>{batteryVoltage.toFixed(2)} V</Text>
+        )}
+      </View>
+
+      {records === null ? (
+        <ActivityIndicator size="small" color="#06b6d4" style={{ marginVertical: 12 }} />
+      ) : (
+        <>
+          <View style={styles.trend}>
+            {trend.map((value, index) => (
+              <View key={index} style={styles.trendSlot}>
+                {value === null ? (
+                  <View style={styles.trendGap} />
+                ) : (
+                  <View
+                    style={[
+                      styles.trendBar,
+                      {
+                        height: Math.max(2, (value / 100) * TREND_HEIGHT),
+                        backgroundColor: LEVEL_STYLES[getBatteryLevel(value)].color,
+                      },
+                    ]}
+                  />
+                )}
+              </View>
+            ))}
+          </View>
+          <Text style={styles.trendLabel}>Last {TREND_DAYS} days</Text>
+
+          <View style={styles.runtimeRow}>
+            <Ionicons name="time" size={16} color="#9ca3af" />
+            <Text style={styles.runtimeLabel}>Estimated runtime</Text>
+            <Text style={styles.runtimeValue}>{formatRuntime(runtime?.hoursRemaining)}</Text>
+          </View>
+          {runtime && (
+            <Text style={styles.rateText}>
+              Draining about {runtime.ratePerHour < 1
+                ? `${(runtime.ratePerHour * 24).toFixed(1)}% per day`
+                : `${runtime.ratePerHour.toFixed(1)}% per hour`}
+            </Text>
+          )}
+        </>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginTop: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  levelBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  levelText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  valueRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  percentage: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  voltage: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginLeft: 10,
+    marginBottom: 4,
+  },
+  offlineValue: {
+    color: '#6B7280',
+  },
+  trend: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: TREND_HEIGHT,
+  },
+  trendSlot: {
+    flex: 1,
+    marginHorizontal: 1,
+    justifyContent: 'flex-end',
+  },
+  trendBar: {
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  trendGap: {
+    height: 2,
+    backgroundColor: '#37415180',
+  },
+  trendLabel: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  runtimeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  runtimeLabel: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  runtimeValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  rateText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+});
+
+export default BatteryPanel;
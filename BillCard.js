@@ -0,0 +1,110 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { formatCurrency } from './tariffs';
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${Math.round(litres)} L`
+);
+
+// Month-to-date cost and projected monthly bill from the budget monitor
+const BillCard = ({ bill }) => {
+  if (!bill) return null;
+
+  const daysLeft = Math.max(0, Math.ceil(bill.daysInMonth - bill.daysElapsed));
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <Ionicons name="cash-outline" size={20} color="#10B981" />
+        <Text style={styles.title}>Water Bill</Text>
+        <Text style={styles.estimate}>Estimate</Text>
+      </View>
+      <View style={styles.columns}>
+        <View style={styles.column}>
+          <Text style={styles.label}>This month so far</Text>
+          <Text style={styles.cost}>{formatCurrency(bill.monthToDate.cost, bill.currency)}</Text>
+          <Text style={styles.litres}>{formatLitres(bill.monthToDate.litres)}</Text>
+        </View>
+        <View style={styles.divider} />
+        <View style={styles.column}>
+          <Text style={styles.label}>Projected for the month</Text>
+          <Text style={[styles.cost, { color: '#06b6d4' }]}>
+            {formatCurrency(bill.projected.cost, bill.currency)}
+          </Text>
+          <Text style={styles.litres}>{formatLitres(bill.projected.litres)}</Text>
+        </View>
+      </View>
+      <Text style={styles.hint}>
+        At this month's daily average, {daysLeft} {daysLeft === 1 ? 'day' : 'days'} to go
+      </Text>
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginTop: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  estimate: {
+    fontSize: 11,
+    color: '#6B7280',
+  },
+  columns: {
+    flexDirection: 'row',
+  },
+  column: {
+    flex: 1,
+  },
+  divider: {
+    width: 1,
+    backgroundColor: '#37415180',
+    marginHorizontal: 12,
+  },
+  label: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginBottom: 4,
+  },
+  cost: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#10B981',
+  },
+  litres: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginTop: 2,
+  },
+  hint: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 10,
+  },
+});
+
+export default BillCard;
@@ -0,0 +1,170 @@
+import React, { useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  Easing,
+} from 'react-native-reanimated';
+import { BUDGET_PERIOD_LABELS } from './budgets';
+import { formatCurrency } from './tariffs';
+
+const AnimatedView = Animated.createAnimatedComponent(View);
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${Math.round(litres)} L`
+);
+
+const getProgressColors = (status) => {
+  if (status.exceeded) return ['#EF4444', '#DC2626'];
+  if (status.level > 0) return ['#F59E0B', '#D97706'];
+  return ['#06b6d4', '#10B981'];
+};
+
+// Budget Progress Row Component
+const BudgetRow = React.memo(({ status }) => {
+  const progress = useSharedValue(0);
+
+  useEffect(() => {
+    progress.value = withTiming(Math.min(status.percent, 100), {
+      duration: 600,
+      easing: Easing.out(Easing.ease),
+    });
+  }, [status.percent]);
+
+  const fillStyle = useAnimatedStyle(() => ({
+    width: `${progress.value}%`,
+  }));
+
+  return (
+    <View style={styles.row}>
+      <View style={styles.rowHeader}>
+        <Text style={styles.period}>{BUDGET_PERIOD_LABELS[status.period]}</Text>
+        <Text style={[styles.amount, status.exceeded && { color: '#EF4444' }]}>
+          {formatLitres(status.used)} / {formatLitres(status.limit)}
+          {status.cost && (
+            <Text style={styles.cost}>  ·  {formatCurrency(status.cost.amount, status.cost.currency)}</Text>
+          )}
+        </Text>
+      </View>
+      <View style={styles.track}>
+        <AnimatedView style={[styles.fillContainer, fillStyle]}>
+          <LinearGradient
+            colors={getProgressColors(status)}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.fill}
+          />
+        </AnimatedView>
+      </View>
+    </View>
+  );
+});
+
+// Progress against the budgets reported by the budget monitor
+const BudgetCard = ({ statuses, autoShutOff }) => {
+  if (!statuses || statuses.length === 0) return null;
+
+  const exceeded = statuses.some(status => status.exceeded);
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <Ionicons name="pie-chart" size={20} color={exceeded ? '#EF4444' : '#06b6d4'} />
+        <Text style={styles.title}>Budgets</Text>
+        {autoShutOff && (
+          <View style={styles.shutOffBadge}>
+            <Ionicons name="lock-closed" size={10} color="#F59E0B" />
+            <Text style={styles.shutOffText}>Auto shut-off</Text>
+          </View>
+        )}
+      </View>
+      {statuses.map(status => (
+        <BudgetRow key={status.period} status={status} />
+      ))}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginTop: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  shutOffBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    backgroundColor: '#F59E0B20',
+    borderWidth: 1,
+    borderColor: '#F59E0B40',
+  },
+  shutOffText: {
+    color: '#F59E0B',
+    fontSize: 10,
+    fontWeight: '700',
+    marginLeft: 3,
+  },
+  row: {
+    marginBottom: 12,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  period: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+  },
+  amount: {
+    fontSize: 13,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  cost: {
+    color: '#10B981',
+  },
+  track: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#37415180',
+    overflow: 'hidden',
+  },
+  fillContainer: {
+    height: '100%',
+  },
+  fill: {
+    flex: 1,
+    borderRadius: 4,
+  },
+});
+
+export default BudgetCard;
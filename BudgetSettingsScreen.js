@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  BudgetPeriod,
+  normalizeBudgetSettings,
+  subscribeToBudgetSettings,
+  saveBudgetSettings,
+} from './budgets';
+
+const LIMIT_FIELDS = [
+  { key: BudgetPeriod.DAILY, label: 'Daily budget' },
+  { key: BudgetPeriod.WEEKLY, label: 'Weekly budget', hint: 'Weeks start on Monday' },
+  { key: BudgetPeriod.MONTHLY, label: 'Monthly budget' },
+];
+
+const toForm = (settings) => ({
+  [BudgetPeriod.DAILY]: settings.daily ? String(settings.daily) : '',
+  [BudgetPeriod.WEEKLY]: settings.weekly ? String(settings.weekly) : '',
+  [BudgetPeriod.MONTHLY]: settings.monthly ? String(settings.monthly) : '',
+  warnAt: settings.warnAt.join(', '),
+});
+
+const parseNumber = (text) => parseFloat(String(text).replace(',', '.'));
+
+const BudgetSettingsScreen = ({ deviceId }) => {
+  const mountedRef = useRef(true);
+
+  const [form, setForm] = useState(null);
+  const [autoShutOff, setAutoShutOff] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Only the first value fills the form, so edits are not overwritten
+  useEffect(() => {
+    let loaded = false;
+    const unsubscribe = subscribeToBudgetSettings(deviceId, (settings) => {
+      if (loaded || !mountedRef.current) return;
+      loaded = true;
+      setAutoShutOff(settings.autoShutOff);
+      setForm(toForm(settings));
+    });
+    return unsubscribe;
+  }, [deviceId]);
+
+  const updateField = useCallback((key, text) => {
+    setForm(current => ({ ...current, [key]: text }));
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+      const text = form[field.key].trim();
+      const value = text === '' ? 0 : parseNumber(text);
+      if (!isFinite(value) || value < 0) {
+        Alert.alert('Invalid Value', `Please enter a number of litres for "${field.label}", or leave it empty.`);
+        return;
+      }
+      limits[field.key] = value;
+    }
+
+    const warnAt = form.warnAt.split(/[\s,;]+/).filter(Boolean).map(parseNumber);
+    if (warnAt.some(value => !isFinite(value) || value <= 0 || value >= 100)) {
+      Alert.alert('Invalid Value', 'Warning levels must be percentages between 1 and 99.');
+      return;
+    }
+
+    const settings = normalizeBudgetSettings({ ...limits, warnAt, autoShutOff });
+    setIsSaving(true);
+    try {
+      await saveBudgetSettings(deviceId, settings);
+      if (mountedRef.current) {
+        setForm(toForm(settings));
+        Alert.alert('Saved', 'Budget settings updated.');
+      }
+    } catch (error) {
+      console.error('❌ Save budget settings error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not save settings.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsSaving(false);
+      }
+    }
+  }, [deviceId, form, autoShutOff]);
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Usage Budgets</Text>
+      <Text style={styles.subtitle}>
+        Set litre limits for this meter. Leave a budget empty to turn it off.
+      </Text>
+
+      {!form ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          {LIMIT_FIELDS.map(field => (
+            <View key={field.key} style={styles.field}>
+              <Text style={styles.fieldLabel}>{field.label}</Text>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  value={form[field.key]}
+                  onChangeText={(text) => updateField(field.key, text)}
+                  keyboardType="decimal-pad"
+                  placeholder="No budget"
+                  placeholderTextColor="#6B7280"
+                  editable={!isSaving}
+                />
+                <Text style={styles.unit}>L</Text>
+              </View>
+              {field.hint && <Text style={styles.hint}>{field.hint}</Text>}
+            </View>
+          ))}
+
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Warn at</Text>
+            <View style={styles.inputRow}>
+              <TextInput
+                style={styles.input}
+                value={form.warnAt}
+                onChangeText={(text) => updateField('warnAt', text)}
+                keyboardType="numbers-and-punctuation"
+                placeholder="e.g. 80, 90"
+                placeholderTextColor="#6B7280"
+                editable={!isSaving}
+              />
+              <Text style={styles.unit}>%</Text>
+            </View>
+            <Text style={styles.hint}>You are always notified when a budget is used up</Text>
+          </View>
+
+          <View style={styles.switchRow}>
+            <Ionicons name="lock-closed" size={20} color="#F59E0B" />
+            <View style={styles.switchInfo}>
+              <Text style={styles.switchLabel}>Close valve when used up</Text>
+              <Text style={styles.hint}>
+                Closes the valve once per period; you can open it again from the dashboard
+              </Text>
+            </View>
+            <Switch
+              value={autoShutOff}
+              onValueChange={setAutoShutOff}
+              trackColor={{ false: '#374151', true: '#F59E0B80' }}
+              thumbColor={autoShutOff ? '#F59E0B' : '#9ca3af'}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            <LinearGradient
+              colors={['#10B981', '#059669']}
+              style={styles.saveButtonGradient}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </LinearGradient>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  field: {
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#11182780',
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+  },
+  unit: {
+    width: 24,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#F59E0B40',
+    backgroundColor: '#F59E0B10',
+    marginBottom: 16,
+  },
+  switchInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  switchLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  saveButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  saveButtonGradient: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default BudgetSettingsScreen;
@@ -0,0 +1,473 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import {
+  BulkStatus,
+  BULK_STATUS_LABELS,
+  parseDeviceIds,
+  createBulkResult,
+  runBulkProvisioning,
+  bulkResultsToCsv,
+} from './bulkProvisioning';
+import { saveKnownNetwork } from './knownNetworks';
+
+const STATUS_COLORS = {
+  [BulkStatus.PENDING]: '#6B7280',
+  [BulkStatus.JOINING]: '#06b6d4',
+  [BulkStatus.CHECKING]: '#06b6d4',
+  [BulkStatus.CONFIGURING]: '#06b6d4',
+  [BulkStatus.VERIFYING]: '#06b6d4',
+  [BulkStatus.ONLINE]: '#10B981',
+  [BulkStatus.FAILED]: '#EF4444',
+  [BulkStatus.SKIPPED]: '#F59E0B',
+};
+
+const ACTIVE_STATUSES = [
+  BulkStatus.JOINING,
+  BulkStatus.CHECKING,
+  BulkStatus.CONFIGURING,
+  BulkStatus.VERIFYING,
+];
+
+// Result Row Component
+const BulkResultRow = React.memo(({ result }) => {
+  const color = STATUS_COLORS[result.status];
+  const isActive = ACTIVE_STATUSES.includes(result.status);
+
+  return (
+    <View style={styles.resultRow}>
+      <Text style={[styles.resultCell, styles.resultDeviceCell]} numberOfLines={1}>
+        {result.deviceId}
+      </Text>
+      <View style={[styles.resultCell, styles.resultStatusCell]}>
+        {isActive && <ActivityIndicator size="small" color={color} style={{ marginRight: 6 }} />}
+        <Text style={[styles.resultStatusText, { color }]}>
+          {BULK_STATUS_LABELS[result.status]}
+        </Text>
+      </View>
+      <Text style={[styles.resultCell, styles.resultDetailCell]} numberOfLines={2}>
+        {result.error || (result.version ? `v${result.version} · ${result.batteryPercentage ?? '?'}%` : '')}
+      </Text>
+    </View>
+  );
+});
+
+const BulkProvisioningScreen = ({ userId }) => {
+  const mountedRef = useRef(true);
+  const cancelledRef = useRef(false);
+
+  const [ssid, setSsid] = useState('');
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [deviceIdsText, setDeviceIdsText] = useState('');
+  const [results, setResults] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      cancelledRef.current = true;
+    };
+  }, []);
+
+  const deviceIds = parseDeviceIds(deviceIdsText);
+
+  const handleUpdate = useCallback((deviceId, patch) => {
+    if (!mountedRef.current) return;
+    setResults(current => current.map(result =>
+      result.deviceId === deviceId ? { ...result, ...patch } : result
+    ));
+  }, []);
+
+  const startBatch = useCallback(async () => {
+    if (!ssid.trim()) {
+      Alert.alert('Error', 'Please enter the WiFi network name');
+      return;
+    }
+    if (deviceIds.length === 0) {
+      Alert.alert('Error', 'Please enter at least one device ID');
+      return;
+    }
+
+    cancelledRef.current = false;
+    setResults(deviceIds.map(createBulkResult));
+    setIsRunning(true);
+
+    let networkSaved = false;
+
+    try {
+      await runBulkProvisioning({
+        deviceIds,
+        ssid,
+        password,
+        userId,
+        onUpdate: (deviceId, patch) => {
+          if (patch.status === BulkStatus.ONLINE && !networkSaved) {
+            networkSaved = true;
+            saveKnownNetwork(userId, {
+              ssid,
+              password,
+              encryption: password ? 'SECURED' : 'OPEN',
+            }).catch(error => console.log('Error saving known network:', error));
+          }
+          handleUpdate(deviceId, patch);
+        },
+        isCancelled: () => cancelledRef.current,
+      });
+    } catch (error) {
+      console.error('❌ Bulk provisioning error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Batch Stopped', `Bulk provisioning stopped unexpectedly.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsRunning(false);
+      }
+    }
+  }, [ssid, password, deviceIds, userId, handleUpdate]);
+
+  const stopBatch = useCallback(() => {
+    Alert.alert(
+      'Stop Batch?',
+      'The current device will finish, the rest of the queue will be skipped.',
+      [
+        { text: 'Keep Going', style: 'cancel' },
+        { text: 'Stop', style: 'destructive', onPress: () => { cancelledRef.current = true; } },
+      ]
+    );
+  }, []);
+
+  const exportCsv = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      const fileUri = `${FileSystem.cacheDirectory}provisioning-${Date.now()}.csv`;
+      await FileSystem.writeAsStringAsync(fileUri, bulkResultsToCsv(results));
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'text/csv',
+        dialogTitle: 'Export provisioning results',
+        UTI: 'public.comma-separated-values-text',
+      });
+    } catch (error) {
+      console.error('❌ CSV export error:', error);
+      Alert.alert('Export Failed', `Could not export results.\n\nError: ${error.message}`);
+    } finally {
+      if (mountedRef.current) {
+        setIsExporting(false);
+      }
+    }
+  }, [results]);
+
+  const onlineCount = results.filter(result => result.status === BulkStatus.ONLINE).length;
+  const failedCount = results.filter(result => result.status === BulkStatus.FAILED).length;
+  const isFinished = !isRunning && results.length > 0;
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <Text style={styles.title}>Bulk Provisioning</Text>
+        <Text style={styles.subtitle}>
+          Connect a batch of meters to one WiFi network. The phone joins each device's setup network in turn.
+        </Text>
+
+        <Text style={styles.inputLabel}>WiFi Network</Text>
+        <TextInput
+          style={styles.textInput}
+          value={ssid}
+          onChangeText={setSsid}
+          placeholder="Network name (SSID)"
+          placeholderTextColor="#6B7280"
+          autoCapitalize="none"
+          autoCorrect={false}
+          editable={!isRunning}
+        />
+
+        <Text style={styles.inputLabel}>WiFi Password</Text>
+        <View style={styles.passwordInputContainer}>
+          <TextInput
+            style={styles.passwordInput}
+            value={password}
+            onChangeText={setPassword}
+            placeholder="Leave empty for open networks"
+            placeholderTextColor="#6B7280"
+            secureTextEntry={!showPassword}
+            autoCapitalize="none"
+            editable={!isRunning}
+          />
+          <TouchableOpacity
+            style={styles.eyeButton}
+            onPress={() => setShowPassword(!showPassword)}
+          >
+            <Ionicons
+              name={showPassword ? "eye-off" : "eye"}
+              size={22}
+              color="#9ca3af"
+            />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.inputLabel}>Device IDs ({deviceIds.length})</Text>
+        <TextInput
+          style={[styles.textInput, styles.deviceIdsInput]}
+          value={deviceIdsText}
+          onChangeText={setDeviceIdsText}
+          placeholder={'WM001\nWM002\nWM003'}
+          placeholderTextColor="#6B7280"
+          autoCapitalize="characters"
+          autoCorrect={false}
+          multiline
+          editable={!isRunning}
+        />
+
+        {/* Results Table */}
+        {results.length > 0 && (
+          <View style={styles.resultsSection}>
+            <Text style={styles.resultsSummary}>
+              {onlineCount} online · {failedCount} failed · {results.length} total
+            </Text>
+            <View style={styles.resultsTable}>
+              <View style={[styles.resultRow, styles.resultHeaderRow]}>
+                <Text style={[styles.resultCell, styles.resultDeviceCell, styles.resultHeaderText]}>Device</Text>
+                <Text style={[styles.resultCell, styles.resultStatusCell, styles.resultHeaderText]}>Status</Text>
+                <Text style={[styles.resultCell, styles.resultDetailCell, styles.resultHeaderText]}>Details</Text>
+              </View>
+              {results.map(result => (
+                <BulkResultRow key={result.deviceId} result={result} />
+              ))}
+            </View>
+          </View>
+        )}
+
+        {/* Action Buttons */}
+        <View style={styles.buttons}>
+          {isFinished && (
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={exportCsv}
+              disabled={isExporting}
+            >
+              {isExporting ? (
+                <ActivityIndicator size="small" color="#06b6d4" />
+              ) : (
+                <>
+                  <Ionicons name="share-outline" size={18} color="#06b6d4" style={{ marginRight: 6 }} />
+                  <Text style={styles.secondaryButtonText}>Export CSV</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          )}
+          {isRunning ? (
+            <TouchableOpacity
+              style={[styles.button, styles.stopButton]}
+              onPress={stopBatch}
+            >
+              <Ionicons name="stop" size={18} color="#EF4444" style={{ marginRight: 6 }} />
+              <Text style={styles.stopButtonText}>Stop</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.button, styles.startButton]}
+              onPress={startBatch}
+            >
+              <LinearGradient
+                colors={['#10B981', '#059669']}
+                style={styles.startButtonGradient}
+              >
+                <Ionicons name="play" size={18} color="#FFFFFF" style={{ marginRight: 6 }} />
+                <Text style={styles.startButtonText}>
+                  {isFinished ? 'Run Again' : 'Start'}
+                </Text>
+              </LinearGradient>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+    marginBottom: 8,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  textInput: {
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    padding: 16,
+    fontSize: 16,
+    color: '#fff',
+    marginBottom: 16,
+  },
+  deviceIdsInput: {
+    minHeight: 110,
+    textAlignVertical: 'top',
+  },
+  passwordInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    marginBottom: 16,
+  },
+  passwordInput: {
+    flex: 1,
+    padding: 16,
+    fontSize: 16,
+    color: '#fff',
+  },
+  eyeButton: {
+    padding: 12,
+  },
+  resultsSection: {
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  resultsSummary: {
+    color: '#10B981',
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  resultsTable: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    overflow: 'hidden',
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#37415140',
+  },
+  resultHeaderRow: {
+    backgroundColor: '#1f2937',
+  },
+  resultHeaderText: {
+    color: '#9ca3af',
+    fontSize: 12,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+  },
+  resultCell: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  resultDeviceCell: {
+    flex: 2,
+    fontWeight: '600',
+  },
+  resultStatusCell: {
+    flex: 3,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  resultStatusText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  resultDetailCell: {
+    flex: 4,
+    color: '#9ca3af',
+    fontSize: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 12,
+    overflow: 'hidden',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    backgroundColor: '#06b6d420',
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+  },
+  secondaryButtonText: {
+    color: '#06b6d4',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  stopButton: {
+    paddingVertical: 14,
+    backgroundColor: '#EF444420',
+    borderWidth: 1,
+    borderColor: '#EF444440',
+  },
+  stopButtonText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  startButton: {
+    shadowColor: '#10B981',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  startButtonGradient: {
+    flex: 1,
+    paddingVertical: 14,
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexDirection: 'row',
+  },
+  startButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default BulkProvisioningScreen;
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  rollupDailyAnalytics,
+  getDailyRollups,
+  toDateKey,
+  addDays,
+  getLocalTimeZone,
+  subscribeToMeterTimeZone,
+  saveMeterTimeZone,
+} from './dailyAnalytics';
+
+const DAYS_SHOWN = 7;
+const BAR_HEIGHT = 60;
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${litres.toFixed(1)} L`
+);
+
+const getWeekdayLabel = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'narrow' });
+};
+
+// Completed days only; today is still being recorded. Days are cut in the
+// meter's time zone, which only the owner can set.
+const DailyUsageCard = ({ deviceId, isOwner }) => {
+  const mountedRef = useRef(true);
+
+  const [days, setDays] = useState(null);
+  const [error, setError] = useState(null);
+  const [timeZone, setTimeZone] = useState(undefined);
+  const [isSavingZone, setIsSavingZone] = useState(false);
+  const phoneTimeZone = getLocalTimeZone();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!deviceId) return;
+
+    setTimeZone(undefined);
+    return subscribeToMeterTimeZone(deviceId, (next) => {
+      if (mountedRef.current) {
+        setTimeZone(next);
+      }
+    });
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!deviceId || timeZone === undefined) return;
+
+    (async () => {
+      try {
+        const yesterday = addDays(toDateKey(Date.now(), timeZone), -1);
+        // Bring rollups up to date first, then read them back. Only the
+        // owner can write them, so for members this is best effort; without
+        // a time zone nothing is written.
+        try {
+          await rollupDailyAnalytics(deviceId);
+        } catch (rollupError) {
+          console.log('Daily usage rollup error:', rollupError);
+        }
+        const rollups = await getDailyRollups(
+          deviceId,
+          addDays(yesterday, -(DAYS_SHOWN - 1)),
+          yesterday
+        );
+        if (mountedRef.current) {
+          setDays(rollups);
+          setError(null);
+        }
+      } catch (loadError) {
+        console.error('❌ Daily usage error:', loadError);
+        if (mountedRef.current) {
+          setError(loadError);
+        }
+      }
+    })();
+  }, [deviceId, timeZone]);
+
+  const handleUsePhoneZone = useCallback(async () => {
+    setIsSavingZone(true);
+    try {
+      await saveMeterTimeZone(deviceId, phoneTimeZone);
+    } catch (saveError) {
+      console.error('❌ Save time zone error:', saveError);
+      Alert.alert('Could Not Set Time Zone', saveError.message);
+    } finally {
+      if (mountedRef.current) {
+        setIsSavingZone(false);
+      }
+    }
+  }, [deviceId, phoneTimeZone]);
+
+  const recorded = days ? days.filter(day => !day.missing) : [];
+  const total = recorded.reduce((sum, day) => sum + day.totalUsage, 0);
+  const max = Math.max(...recorded.map(day => day.totalUsage), 0);
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <Ionicons name="calendar" size={20} color="#06b6d4" />
+        <Text style={styles.title}>Last {DAYS_SHOWN} Days</Text>
+        {days && (
+          <Text style={styles.total}>{formatLitres(total)}</Text>
+        )}
+      </View>
+
+      {error ? (
+        <Text style={styles.errorText}>Could not load daily usage: {error.message}</Text>
+      ) : !days ? (
+        <ActivityIndicator size="small" color="#06b6d4" style={{ marginVertical: 20 }} />
+      ) : (
+        <>
+          <View style={styles.bars}>
+            {days.map(day => (
+              <View key={day.date} style={styles.barColumn}>
+                {day.missing ? (
+                  <View style={styles.missingBar} />
+                ) : (
+                  <LinearGradient
+                    colors={['#06b6d4', '#0891b2']}
+                    style={[
+                      styles.bar,
+                      { height: max > 0 ? Math.max(2, (day.totalUsage / max) * BAR_HEIGHT) : 2 },
+                    ]}
+                  />
+                )}
+                <Text style={styles.barLabel}>{getWeekdayLabel(day.date)}</Text>
+              </View>
+            ))}
+          </View>
+          {timeZone && recorded.length < days.length && (
+            <Text style={styles.missingText}>
+              Grey days have no readings (device offline)
+            </Text>
+          )}
+        </>
+      )}
+
+      {timeZone === null && (
+        <View style={styles.zoneNotice}>
+          <Ionicons name="time-outline" size={16} color="#F59E0B" />
+          <View style={styles.zoneInfo}>
+            <Text style={styles.zoneText}>
+              {isOwner
+                ? 'Daily totals are paused until you set the time zone the meter\'s days are counted in.'
+                : 'Daily totals are paused until the owner sets the meter\'s time zone.'}
+            </Text>
+            {isOwner && phoneTimeZone && (
+              <TouchableOpacity
+                style={[styles.zoneButton, isSavingZone && styles.disabledButton]}
+                onPress={handleUsePhoneZone}
+                disabled={isSavingZone}
+              >
+                <Text style={styles.zoneButtonText}>Use {phoneTimeZone}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      )}
+
+      {timeZone && timeZone !== phoneTimeZone && (
+        <View style={styles.zoneNotice}>
+          <Ionicons name="time-outline" size={16} color="#6B7280" />
+          <View style={styles.zoneInfo}>
+            <Text style={styles.missingText}>Days are counted in {timeZone}</Text>
+            {isOwner && phoneTimeZone && (
+              <TouchableOpacity
+                style={[styles.zoneButton, isSavingZone && styles.disabledButton]}
+                onPress={handleUsePhoneZone}
+                disabled={isSavingZone}
+              >
+                <Text style={styles.zoneButtonText}>Use {phoneTimeZone} instead</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginTop: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  total: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#06b6d4',
+  },
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: BAR_HEIGHT + 18,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    width: 18,
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+  },
+  missingBar: {
+    width: 18,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#4B5563',
+  },
+  barLabel: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  missingText: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+  },
+  zoneNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 10,
+  },
+  zoneInfo: {
+    flex: 1,
+    marginLeft: 6,
+  },
+  zoneText: {
+    fontSize: 12,
+    color: '#F59E0B',
+  },
+  zoneButton: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#06b6d4',
+  },
+  zoneButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#06b6d4',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default DailyUsageCard;
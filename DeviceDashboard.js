@@ -0,0 +1,745 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  withRepeat,
+  withSequence,
+  Easing,
+} from 'react-native-reanimated';
+import {
+  subscribeToDeviceData,
+  getDataAge,
+  isDataStale,
+} from './deviceData';
+import ValveControl from './ValveControl';
+import DailyUsageCard from './DailyUsageCard';
+import { startLeakMonitors, subscribeToLeakAlerts } from './leakMonitor';
+import { startBudgetMonitor } from './budgetMonitor';
+import BudgetCard from './BudgetCard';
+import BillCard from './BillCard';
+import BatteryPanel from './BatteryPanel';
+import { checkBatteryAlert } from './batteryHealth';
+import { DeviceRole, subscribeToDeviceRole, canControlDevice } from './deviceSharing';
+import { getCachedDeviceData, cacheDeviceData } from './deviceCache';
+import {
+  QueuedCommandType,
+  QueuedCommandStatus,
+  subscribeToCommandQueue,
+  subscribeToConnection,
+  queueCommand,
+  dismissQueuedCommand,
+  sendResetTotal,
+} from './commandQueue';
+import QueuedCommandsCard from './QueuedCommandsCard';
+
+const AnimatedView = Animated.createAnimatedComponent(View);
+
+// How often staleness is re-evaluated while no new data arrives
+const STALE_CHECK_INTERVAL = 5000;
+const DEFAULT_MAX_FLOW_RATE = 30;
+// .info/connected starts out false, so a short drop is not shown as offline.
+// Commands still go to the queue until it is true; written directly they
+// would wait unseen in the SDK.
+const CONNECTION_GRACE = 3000;
+
+const getSignalStrength = (rssi) => {
+  if (rssi === null) return { color: '#6B7280', strength: 'No signal' };
+  if (rssi >= -50) return { color: '#10B981', strength: 'Excellent' };
+  if (rssi >= -60) return { color: '#10B981', strength: 'Good' };
+  if (rssi >= -70) return { color: '#F59E0B', strength: 'Fair' };
+  return { color: '#EF4444', strength: 'Weak' };
+};
+
+const formatAge = (age) => {
+  if (age === null) return 'unknown';
+  const seconds = Math.round(age / 1000);
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} days ago`;
+};
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${litres.toFixed(1)} L`
+);
+
+// Flow Gauge Component
+const FlowGauge = React.memo(({ flowRate, maxFlowRate, isOffline }) => {
+  const fill = useSharedValue(0);
+  const pulse = useSharedValue(1);
+  const isFlowing = !isOffline && flowRate > 0;
+
+  useEffect(() => {
+    fill.value = withTiming(Math.min(flowRate / maxFlowRate, 1), {
+      duration: 600,
+      easing: Easing.out(Easing.ease),
+    });
+  }, [flowRate, maxFlowRate]);
+
+  useEffect(() => {
+    pulse.value = isFlowing
+      ? withRepeat(withSequence(
+        withTiming(0.6, { duration: 700 }),
+        withTiming(1, { duration: 700 })
+      ), -1)
+      : withTiming(1, { duration: 200 });
+  }, [isFlowing]);
+
+  const fillStyle = useAnimatedStyle(() => ({
+    width: `${fill.value * 100}%`,
+  }));
+
+  const iconStyle = useAnimatedStyle(() => ({
+    opacity: pulse.value,
+  }));
+
+  return (
+    <LinearGradient
+      colors={['#06b6d420', '#0891b210']}
+      style={styles.gaugeCard}
+    >
+      <View style={styles.gaugeHeader}>
+        <AnimatedView style={iconStyle}>
+          <Ionicons name="speedometer" size={22} color={isOffline ? '#6B7280' : '#06b6d4'} />
+        </AnimatedView>
+        <Text style={styles.cardLabel}>Flow Rate</Text>
+      </View>
+      <View style={styles.gaugeValueRow}>
+        <Text style={[styles.gaugeValue, isOffline && styles.offlineValue]}>
+          {flowRate.toFixed(1)}
+        </Text>
+        <Text style={styles.gaugeUnit}>L/min</Text>
+      </View>
+      <View style={styles.gaugeTrack}>
+        <AnimatedView style={[styles.gaugeFillContainer, fillStyle]}>
+          <LinearGradient
+            colors={isOffline ? ['#4B5563', '#374151'] : ['#06b6d4', '#10B981']}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.gaugeFill}
+          />
+        </AnimatedView>
+      </View>
+      <View style={styles.gaugeScale}>
+        <Text style={styles.gaugeScaleText}>0</Text>
+        <Text style={styles.gaugeScaleText}>{maxFlowRate} L/min</Text>
+      </View>
+    </LinearGradient>
+  );
+});
+
+// Stat Card Component
+const StatCard = ({ icon, color, label, value, detail, isOffline }) => (
+  <LinearGradient
+    colors={['#1f293780', '#11182780']}
+    style={styles.statCard}
+  >
+    <Ionicons name={icon} size={22} color={isOffline ? '#6B7280' : color} />
+    <Text style={styles.statLabel}>{label}</Text>
+    <Text style={[styles.statValue, isOffline && styles.offlineValue]} numberOfLines={1}>
+      {value}
+    </Text>
+    {detail ? <Text style={styles.statDetail} numberOfLines={1}>{detail}</Text> : null}
+  </LinearGradient>
+);
+
+const DeviceDashboard = ({
+  deviceId,
+  deviceName,
+  userId,
+  maxFlowRate = DEFAULT_MAX_FLOW_RATE,
+}) => {
+  const mountedRef = useRef(true);
+
+  const [snapshot, setSnapshot] = useState(null);
+  const [listenerError, setListenerError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [leakAlerts, setLeakAlerts] = useState([]);
+  const [budget, setBudget] = useState({ statuses: [], autoShutOff: false, bill: null });
+  const [role, setRole] = useState(null);
+  const [isConnected, setIsConnected] = useState(true);
+  const [isDatabaseConnected, setIsDatabaseConnected] = useState(false);
+  const [queuedCommands, setQueuedCommands] = useState([]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!deviceId) return;
+
+    setSnapshot(null);
+    setListenerError(null);
+    console.log(`📊 Subscribing to live data for ${deviceId}`);
+
+    // The last saved readings show until live data arrives
+    let active = true;
+    getCachedDeviceData(deviceId).then((cached) => {
+      if (active && mountedRef.current && cached) {
+        setSnapshot(current => current || cached.value);
+      }
+    });
+
+    const unsubscribe = subscribeToDeviceData(deviceId, (update) => {
+      cacheDeviceData(deviceId, update);
+      if (mountedRef.current) {
+        setSnapshot(update);
+        setNow(Date.now());
+      }
+    }, (error) => {
+      if (mountedRef.current) {
+        setListenerError(error);
+      }
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [deviceId]);
+
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = subscribeToConnection((connected) => {
+      clearTimeout(timer);
+      setIsDatabaseConnected(connected);
+      if (connected) {
+        setIsConnected(true);
+      } else {
+        timer = setTimeout(() => {
+          if (mountedRef.current) setIsConnected(false);
+        }, CONNECTION_GRACE);
+      }
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  // Commands issued offline; the app-wide queue sends them when the
+  // connection returns (see DevicesScreen)
+  useEffect(() => {
+    if (!deviceId) return;
+
+    setQueuedCommands([]);
+    return subscribeToCommandQueue(userId, deviceId, (commands) => {
+      if (mountedRef.current) {
+        setQueuedCommands(commands);
+      }
+    });
+  }, [deviceId, userId]);
+
+  const handleDismissCommand = useCallback((command) => {
+    dismissQueuedCommand(userId, deviceId, command.id)
+      .catch(error => console.log('Dismiss queued command error:', error));
+  }, [deviceId, userId]);
+
+  const handleResetTotal = useCallback(() => {
+    const reset = async () => {
+      try {
+        if (isDatabaseConnected) {
+          await sendResetTotal(deviceId);
+          console.log(`🔄 Reset total requested for ${deviceId}`);
+        } else {
+          await queueCommand({ deviceId, userId, type: QueuedCommandType.RESET_TOTAL });
+        }
+      } catch (error) {
+        console.error('❌ Reset total error:', error);
+        if (mountedRef.current) {
+          Alert.alert('Error', `Could not reset the total.\n\nError: ${error.message}`);
+        }
+      }
+    };
+
+    Alert.alert(
+      'Reset Total?',
+      isDatabaseConnected
+        ? 'The meter will start counting from zero. Usage history is kept.'
+        : 'You are not connected. The reset will be sent when the connection is up.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: reset },
+      ]
+    );
+  }, [deviceId, userId, isDatabaseConnected]);
+
+  // Viewers on a shared meter can watch but not send commands
+  useEffect(() => {
+    if (!deviceId || !userId) return;
+    return subscribeToDeviceRole(deviceId, userId, (nextRole) => {
+      if (mountedRef.current) {
+        setRole(nextRole);
+      }
+    });
+  }, [deviceId, userId]);
+
+  // Leak monitoring runs app-wide, see DevicesScreen; this keeps it going
+  // while the dashboard is open and shows this meter's alerts
+  useEffect(() => {
+    if (!userId) return;
+    return startLeakMonitors(userId);
+  }, [userId]);
+
+  useEffect(() => {
+    if (!deviceId) return;
+    return subscribeToLeakAlerts(deviceId, (alerts) => {
+      if (mountedRef.current) {
+        setLeakAlerts(alerts);
+      }
+    });
+  }, [deviceId]);
+
+  // Budget progress, warnings, automatic shut-off and the projected bill
+  useEffect(() => {
+    if (!deviceId) return;
+
+    setBudget({ statuses: [], autoShutOff: false, bill: null });
+    return startBudgetMonitor({
+      deviceId,
+      deviceName,
+      userId,
+      onStatus: (statuses, settings, bill) => {
+        if (mountedRef.current) {
+          setBudget({ statuses, autoShutOff: settings.autoShutOff, bill });
+        }
+      },
+    });
+  }, [deviceId, deviceName, userId]);
+
+  // Low/critical battery notifications, from fresh readings only
+  const freshBattery = snapshot?.data && !isDataStale(
+    snapshot.data,
+    snapshot.receivedAt,
+    Date.now(),
+    snapshot.serverTimeOffset
+  ) ? snapshot.data.batteryPercentage : null;
+
+  useEffect(() => {
+    if (!deviceId || freshBattery === null) return;
+    checkBatteryAlert(deviceId, deviceName, freshBattery)
+      .catch(error => console.log('Battery alert error:', error));
+  }, [deviceId, deviceName, freshBattery]);
+
+  // A silent device sends no events, so staleness needs its own clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), STALE_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (listenerError) {
+    return (
+      <LinearGradient colors={['#1F2937', '#111827']} style={styles.container}>
+        <View style={styles.centerState}>
+          <Ionicons name="alert-circle" size={48} color="#EF4444" />
+          <Text style={styles.centerTitle}>Could not load device data</Text>
+          <Text style={styles.centerText}>{listenerError.message}</Text>
+        </View>
+      </LinearGradient>
+    );
+  }
+
+  if (!snapshot) {
+    return (
+      <LinearGradient colors={['#1F2937', '#111827']} style={styles.container}>
+        <View style={styles.centerState}>
+          <ActivityIndicator size="large" color="#06b6d4" />
+          <Text style={styles.centerText}>
+            {isConnected
+              ? 'Connecting to device...'
+              : 'You are offline and no readings are saved for this device yet.'}
+          </Text>
+        </View>
+      </LinearGradient>
+    );
+  }
+
+  const { data, receivedAt, serverTimeOffset } = snapshot;
+
+  if (!data) {
+    return (
+      <LinearGradient colors={['#1F2937', '#111827']} style={styles.container}>
+        <View style={styles.centerState}>
+          <Ionicons name="cloud-offline" size={48} color="#37415180" />
+          <Text style={styles.centerTitle}>No data yet</Text>
+          <Text style={styles.centerText}>
+            The device has not reported any readings. Check that it is connected to WiFi.
+          </Text>
+        </View>
+      </LinearGradient>
+    );
+  }
+
+  const age = getDataAge(data, receivedAt, now, serverTimeOffset);
+  const isOffline = isDataStale(data, receivedAt, now, serverTimeOffset);
+  const signal = getSignalStrength(data.rssi);
+
+  return (
+    <LinearGradient colors={['#1F2937', '#111827']} style={styles.container}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.header}>
+          <View style={styles.headerInfo}>
+            <Text style={styles.title} numberOfLines={1}>{deviceName || deviceId}</Text>
+            {deviceName ? <Text style={styles.subtitle}>{deviceId}</Text> : null}
+          </View>
+          <View style={[styles.statusBadge, isOffline ? styles.statusOffline : styles.statusOnline]}>
+            <View style={[styles.statusDot, { backgroundColor: isOffline ? '#EF4444' : '#10B981' }]} />
+            <Text style={[styles.statusText, { color: isOffline ? '#EF4444' : '#10B981' }]}>
+              {isOffline ? 'Offline' : 'Live'}
+            </Text>
+          </View>
+        </View>
+
+        {leakAlerts.map(alert => (
+          <View key={alert.type} style={styles.leakBanner}>
+            <Ionicons name="warning" size={20} color="#EF4444" />
+            <Text style={styles.leakText}>{alert.message}</Text>
+          </View>
+        ))}
+
+        {!isConnected && (
+          <View style={styles.offlineBanner}>
+            <Ionicons name="cloud-offline" size={20} color="#F59E0B" />
+            <Text style={styles.offlineText}>
+              You are offline. Showing the last saved reading from {formatAge(age)}; commands will be queued until the connection returns.
+            </Text>
+          </View>
+        )}
+
+        {isConnected && isOffline && (
+          <View style={styles.offlineBanner}>
+            <Ionicons name="cloud-offline" size={20} color="#F59E0B" />
+            <Text style={styles.offlineText}>
+              Device is not reporting. Last update {formatAge(age)}; values below may be out of date.
+            </Text>
+          </View>
+        )}
+
+        <FlowGauge
+          flowRate={isOffline ? 0 : data.flowRate}
+          maxFlowRate={maxFlowRate}
+          isOffline={isOffline}
+        />
+
+        <LinearGradient
+          colors={['#1f293780', '#11182780']}
+          style={styles.totalCard}
+        >
+          <Ionicons name="water" size={22} color={isOffline ? '#6B7280' : '#06b6d4'} />
+          <View style={styles.totalInfo}>
+            <Text style={styles.cardLabel}>Total Used</Text>
+            <Text style={[styles.totalValue, isOffline && styles.offlineValue]}>
+              {formatLitres(data.totalLitres)}
+            </Text>
+          </View>
+          {canControlDevice(role) && (
+            <TouchableOpacity style={styles.resetButton} onPress={handleResetTotal}>
+              <Ionicons name="refresh" size={14} color="#9ca3af" />
+              <Text style={styles.resetButtonText}>Reset</Text>
+            </TouchableOpacity>
+          )}
+        </LinearGradient>
+
+        <View style={styles.statGrid}>
+          <StatCard
+            icon="wifi"
+            color={signal.color}
+            label="Signal"
+            value={signal.strength}
+            detail={data.rssi === null ? data.ssid : `${data.rssi} dBm${data.ssid ? ` · ${data.ssid}` : ''}`}
+            isOffline={isOffline}
+          />
+        </View>
+
+        <ValveControl
+          deviceId={deviceId}
+          userId={userId}
+          valveState={data.valveState}
+          disabled={isOffline && isConnected}
+          readOnly={role === DeviceRole.VIEWER}
+          isConnected={isDatabaseConnected}
+          queuedCommand={queuedCommands.find(command => (
+            command.type === QueuedCommandType.VALVE_CONTROL
+            && command.status === QueuedCommandStatus.PENDING
+          ))}
+        />
+
+        <QueuedCommandsCard
+          commands={queuedCommands}
+          isConnected={isConnected}
+          now={now}
+          onDismiss={handleDismissCommand}
+        />
+
+        <BillCard bill={budget.bill} />
+
+        <BudgetCard statuses={budget.statuses} autoShutOff={budget.autoShutOff} />
+
+        <DailyUsageCard deviceId={deviceId} isOwner={role === DeviceRole.OWNER} />
+
+        <BatteryPanel
+          deviceId={deviceId}
+          batteryPercentage={data.batteryPercentage}
+          batteryVoltage={data.batteryVoltage}
+          isOffline={isOffline}
+        />
+
+        {!isOffline && (
+          <Text style={styles.updatedText}>Updated {formatAge(age)}</Text>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  headerInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 2,
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  statusOnline: {
+    backgroundColor: '#10B98120',
+    borderColor: '#10B98140',
+  },
+  statusOffline: {
+    backgroundColor: '#EF444420',
+    borderColor: '#EF444440',
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  statusText: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  leakBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EF444420',
+    borderWidth: 1,
+    borderColor: '#EF444440',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  leakText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#EF4444',
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F59E0B20',
+    borderWidth: 1,
+    borderColor: '#F59E0B40',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  offlineText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#F59E0B',
+  },
+  gaugeCard: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    padding: 18,
+    marginBottom: 12,
+  },
+  gaugeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  gaugeValueRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    marginTop: 10,
+    marginBottom: 14,
+  },
+  gaugeValue: {
+    fontSize: 44,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  gaugeUnit: {
+    fontSize: 16,
+    color: '#9ca3af',
+    marginLeft: 8,
+    marginBottom: 8,
+  },
+  gaugeTrack: {
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#37415180',
+    overflow: 'hidden',
+  },
+  gaugeFillContainer: {
+    height: '100%',
+  },
+  gaugeFill: {
+    flex: 1,
+    borderRadius: 6,
+  },
+  gaugeScale: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  gaugeScaleText: {
+    fontSize: 11,
+    color: '#6B7280',
+  },
+  cardLabel: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginLeft: 8,
+    fontWeight: '600',
+  },
+  totalCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 18,
+    marginBottom: 12,
+  },
+  totalInfo: {
+    flex: 1,
+    marginLeft: 4,
+  },
+  totalValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginLeft: 8,
+    marginTop: 2,
+  },
+  resetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#37415180',
+  },
+  resetButtonText: {
+    color: '#9ca3af',
+    fontSize: 12,
+    fontWeight: '700',
+    marginLeft: 4,
+  },
+  statGrid: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  statCard: {
+    flex: 1,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 12,
+    marginHorizontal: 4,
+  },
+  statLabel: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+    marginTop: 6,
+  },
+  statValue: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 6,
+  },
+  statDetail: {
+    fontSize: 11,
+    color: '#9ca3af',
+    marginTop: 2,
+  },
+  offlineValue: {
+    color: '#6B7280',
+  },
+  updatedText: {
+    fontSize: 12,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  centerState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 40,
+  },
+  centerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  centerText: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default DeviceDashboard;
@@ -0,0 +1,635 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import WiFiConfigModal from './WiFiConfigModal';
+import {
+  DEVICE_NAME_MAX_LENGTH,
+  subscribeToUserDevices,
+  subscribeToDeviceInfo,
+  claimDevice,
+  renameDevice,
+  releaseDevice,
+} from './deviceRegistry';
+import { acceptInvite, leaveDevice, DEVICE_ROLE_LABELS } from './deviceSharing';
+import { subscribeToDeviceData, isDataStale } from './deviceData';
+import { getCachedDeviceInfo, cacheDeviceInfo, clearDeviceCache } from './deviceCache';
+import { clearCommandQueue, startCommandQueues } from './commandQueue';
+import { listenForLeakNotificationResponses, startLeakMonitors } from './leakMonitor';
+
+const STATUS_STYLES = {
+  online: { color: '#10B981', label: 'Online' },
+  offline: { color: '#6B7280', label: 'Offline' },
+  setup: { color: '#F59E0B', label: 'Setup mode' },
+  error: { color: '#EF4444', label: 'Error' },
+};
+
+const STATUS_CHECK_INTERVAL = 10000;
+
+// info/status is only rewritten when the device connects, so a meter that
+// lost power still says "online"; fresh data is what proves it is up
+const getDeviceStatus = (info, live, now) => {
+  if (!info) return STATUS_STYLES.offline;
+  if (info.status === 'setup' || info.status === 'error') return STATUS_STYLES[info.status];
+  if (live && !isDataStale(live.data, live.receivedAt, now, live.serverTimeOffset)) {
+    return STATUS_STYLES.online;
+  }
+  return STATUS_STYLES.offline;
+};
+
+// Device Row Component
+const DeviceRow = React.memo(({
+  device,
+  now,
+  onOpen,
+  onConfigure,
+  onShare,
+  onRename,
+  onRelease,
+  isBusy,
+}) => {
+  const [info, setInfo] = useState(null);
+  const [live, setLive] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [nameText, setNameText] = useState(device.name);
+
+  useEffect(() => {
+    let isLive = false;
+    // Saved info fills the row until the database answers
+    getCachedDeviceInfo(device.deviceId).then((cached) => {
+      if (cached && !isLive) setInfo(cached.value);
+    });
+    return subscribeToDeviceInfo(device.deviceId, (nextInfo) => {
+      isLive = true;
+      cacheDeviceInfo(device.deviceId, nextInfo);
+      setInfo(nextInfo);
+    });
+  }, [device.deviceId]);
+  useEffect(() => subscribeToDeviceData(device.deviceId, setLive), [device.deviceId]);
+
+  const status = getDeviceStatus(info, live, now);
+
+  const submitName = () => {
+    setIsEditing(false);
+    if (nameText.trim() && nameText.trim() !== device.name) {
+      onRename(device, nameText);
+    } else {
+      setNameText(device.name);
+    }
+  };
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.deviceRow}
+    >
+      <TouchableOpacity
+        style={styles.deviceHeader}
+        onPress={() => onOpen?.(device)}
+        disabled={!onOpen || isEditing}
+      >
+        <View style={[styles.statusDot, { backgroundColor: status.color }]} />
+        <View style={styles.deviceInfo}>
+          {isEditing ? (
+            <TextInput
+              style={styles.nameInput}
+              value={nameText}
+              onChangeText={setNameText}
+              onSubmitEditing={submitName}
+              onBlur={submitName}
+              maxLength={DEVICE_NAME_MAX_LENGTH}
+              autoFocus
+              returnKeyType="done"
+            />
+          ) : (
+            <View style={styles.nameRow}>
+              <Text style={styles.deviceName} numberOfLines={1}>{device.name}</Text>
+              {device.shared && (
+                <View style={styles.sharedBadge}>
+                  <Text style={styles.sharedText}>Shared</Text>
+                </View>
+              )}
+            </View>
+          )}
+          <Text style={styles.deviceMeta} numberOfLines={1}>
+            {device.deviceId}
+            {info?.version ? ` · v${info.version}` : ''}
+            {typeof info?.batteryPercentage === 'number' ? ` · ${Math.round(info.batteryPercentage)}%` : ''}
+          </Text>
+          {info?.wifiInfo?.ssid && (
+            <Text style={styles.deviceMeta} numberOfLines={1}>WiFi: {info.wifiInfo.ssid}</Text>
+          )}
+        </View>
+        <Text style={[styles.statusText, { color: status.color }]}>{status.label}</Text>
+      </TouchableOpacity>
+
+      <View style={styles.actions}>
+        {!device.shared && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onConfigure(device)}
+            disabled={isBusy}
+          >
+            <Ionicons name="wifi" size={16} color="#06b6d4" />
+            <Text style={styles.actionText}>WiFi</Text>
+          </TouchableOpacity>
+        )}
+        {!device.shared && onShare && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onShare(device)}
+            disabled={isBusy}
+          >
+            <Ionicons name="people-outline" size={16} color="#06b6d4" />
+            <Text style={styles.actionText}>Share</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => setIsEditing(true)}
+          disabled={isBusy || isEditing}
+        >
+          <Ionicons name="create-outline" size={16} color="#06b6d4" />
+          <Text style={styles.actionText}>Rename</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.releaseButton]}
+          onPress={() => onRelease(device)}
+          disabled={isBusy}
+        >
+          {isBusy ? (
+            <ActivityIndicator size="small" color="#EF4444" />
+          ) : (
+            <>
+              <Ionicons name="trash-outline" size={16} color="#EF4444" />
+              <Text style={[styles.actionText, { color: '#EF4444' }]}>
+                {device.shared ? 'Leave' : 'Remove'}
+              </Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </LinearGradient>
+  );
+});
+
+const DevicesScreen = ({ userId, onOpenDevice, onShareDevice }) => {
+  const mountedRef = useRef(true);
+
+  const [devices, setDevices] = useState(null);
+  const [newDeviceId, setNewDeviceId] = useState('');
+  const [newDeviceName, setNewDeviceName] = useState('');
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [inviteCode, setInviteCode] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const [busyDeviceId, setBusyDeviceId] = useState(null);
+  const [configDevice, setConfigDevice] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!userId) return;
+    return subscribeToUserDevices(userId, setDevices, () => {
+      if (mountedRef.current) setDevices([]);
+    });
+  }, [userId]);
+
+  // "Close valve" taps on leak alerts, for every meter and while the app
+  // is on any screen, as long as the device list stays mounted
+  useEffect(() => {
+    if (!userId) return;
+    return listenForLeakNotificationResponses(userId);
+  }, [userId]);
+
+  // Leak detection for every meter in the list, owned or shared
+  useEffect(() => {
+    if (!userId) return;
+    return startLeakMonitors(userId);
+  }, [userId]);
+
+  // The user's commands queued offline for any meter, sent when the
+  // connection returns and deleted when they sign out
+  useEffect(() => {
+    if (!userId) return;
+    return startCommandQueues(userId);
+  }, [userId]);
+
+  // A silent device sends no events, so staleness needs its own clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), STATUS_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleClaim = useCallback(async () => {
+    const deviceId = newDeviceId.trim();
+    if (!deviceId) return;
+    if (devices?.some(device => device.deviceId === deviceId)) {
+      Alert.alert('Already Added', `${deviceId} is already in your list.`);
+      return;
+    }
+
+    setIsClaiming(true);
+    try {
+      await claimDevice({ userId, deviceId, name: newDeviceName });
+      if (mountedRef.current) {
+        setNewDeviceId('');
+        setNewDeviceName('');
+      }
+    } catch (error) {
+      console.error('❌ Claim device error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Could Not Add Device', error.message);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsClaiming(false);
+      }
+    }
+  }, [userId, devices, newDeviceId, newDeviceName]);
+
+  const handleJoin = useCallback(async () => {
+    setIsJoining(true);
+    try {
+      const { deviceId, role } = await acceptInvite(userId, inviteCode);
+      if (mountedRef.current) {
+        setInviteCode('');
+        Alert.alert('Joined', `You now have ${DEVICE_ROLE_LABELS[role].toLowerCase()} access to ${deviceId}.`);
+      }
+    } catch (error) {
+      console.error('❌ Accept invite error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Could Not Join', error.message);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsJoining(false);
+      }
+    }
+  }, [userId, inviteCode]);
+
+  const handleRename = useCallback(async (device, name) => {
+    try {
+      await renameDevice(userId, device.deviceId, name);
+    } catch (error) {
+      console.error('❌ Rename device error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not rename "${device.name}".\n\nError: ${error.message}`);
+      }
+    }
+  }, [userId]);
+
+  const release = useCallback(async (device) => {
+    setBusyDeviceId(device.deviceId);
+    try {
+      if (device.shared) {
+        await leaveDevice(userId, device.deviceId);
+      } else {
+        await releaseDevice(userId, device.deviceId);
+      }
+      clearDeviceCache(device.deviceId);
+      clearCommandQueue(userId, device.deviceId)
+        .catch(error => console.log('Clear command queue error:', error));
+    } catch (error) {
+      console.error('❌ Release device error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not remove "${device.name}".\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setBusyDeviceId(null);
+      }
+    }
+  }, [userId]);
+
+  const handleRelease = useCallback((device) => {
+    if (device.shared) {
+      Alert.alert(
+        'Leave Shared Device?',
+        `You will lose access to "${device.name}" until the owner invites you again.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Leave', style: 'destructive', onPress: () => release(device) },
+        ]
+      );
+      return;
+    }
+    Alert.alert(
+      'Remove Device?',
+      `"${device.name}" will be removed from your account and can then be claimed by someone else. Its usage history, valve log and settings are deleted. The meter keeps its WiFi settings, so reset them if you are handing it over.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => release(device) },
+      ]
+    );
+  }, [release]);
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>My Devices</Text>
+      <Text style={styles.subtitle}>
+        Meters registered to your account. Tap a meter to open its dashboard.
+      </Text>
+
+      {devices === null ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {devices.length > 0 ? (
+            devices.map(device => (
+              <DeviceRow
+                key={device.deviceId}
+                device={device}
+                now={now}
+                onOpen={onOpenDevice}
+                onConfigure={setConfigDevice}
+                onShare={onShareDevice}
+                onRename={handleRename}
+                onRelease={handleRelease}
+                isBusy={busyDeviceId === device.deviceId}
+              />
+            ))
+          ) : (
+            <View style={styles.emptyState}>
+              <Ionicons name="speedometer-outline" size={48} color="#37415180" />
+              <Text style={styles.emptyText}>No devices yet</Text>
+              <Text style={styles.emptySubtext}>
+                Add a meter using the device ID printed on its label
+              </Text>
+            </View>
+          )}
+
+          <LinearGradient
+            colors={['#1f293780', '#11182780']}
+            style={styles.addCard}
+          >
+            <Text style={styles.addTitle}>Add a Device</Text>
+            <TextInput
+              style={styles.input}
+              value={newDeviceId}
+              onChangeText={setNewDeviceId}
+              placeholder="Device ID"
+              placeholderTextColor="#6B7280"
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!isClaiming}
+            />
+            <TextInput
+              style={styles.input}
+              value={newDeviceName}
+              onChangeText={setNewDeviceName}
+              placeholder="Name (optional), e.g. Kitchen"
+              placeholderTextColor="#6B7280"
+              maxLength={DEVICE_NAME_MAX_LENGTH}
+              editable={!isClaiming}
+            />
+            <TouchableOpacity
+              style={[styles.addButton, (!newDeviceId.trim() || isClaiming) && styles.disabledButton]}
+              onPress={handleClaim}
+              disabled={!newDeviceId.trim() || isClaiming}
+            >
+              <LinearGradient
+                colors={['#06b6d4', '#0891b2']}
+                style={styles.addButtonGradient}
+              >
+                {isClaiming ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.addButtonText}>Add Device</Text>
+                )}
+              </LinearGradient>
+            </TouchableOpacity>
+          </LinearGradient>
+
+          <LinearGradient
+            colors={['#1f293780', '#11182780']}
+            style={styles.addCard}
+          >
+            <Text style={styles.addTitle}>Join a Shared Device</Text>
+            <TextInput
+              style={styles.input}
+              value={inviteCode}
+              onChangeText={setInviteCode}
+              placeholder="Invite code"
+              placeholderTextColor="#6B7280"
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!isJoining}
+            />
+            <TouchableOpacity
+              style={[styles.addButton, (!inviteCode.trim() || isJoining) && styles.disabledButton]}
+              onPress={handleJoin}
+              disabled={!inviteCode.trim() || isJoining}
+            >
+              <LinearGradient
+                colors={['#06b6d4', '#0891b2']}
+                style={styles.addButtonGradient}
+              >
+                {isJoining ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.addButtonText}>Join</Text>
+                )}
+              </LinearGradient>
+            </TouchableOpacity>
+          </LinearGradient>
+        </ScrollView>
+      )}
+
+      <WiFiConfigModal
+        visible={!!configDevice}
+        onClose={() => setConfigDevice(null)}
+        device={configDevice}
+        userId={userId}
+      />
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  deviceRow: {
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 12,
+  },
+  deviceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  deviceInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  deviceName: {
+    flexShrink: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 2,
+  },
+  nameInput: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#06b6d4',
+    paddingVertical: 2,
+    marginBottom: 2,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sharedBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    marginLeft: 6,
+    marginBottom: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    backgroundColor: '#06b6d420',
+  },
+  sharedText: {
+    color: '#06b6d4',
+    fontSize: 10,
+    fontWeight: '700',
+  },
+  deviceMeta: {
+    fontSize: 12,
+    color: '#9ca3af',
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    backgroundColor: '#06b6d420',
+    minWidth: 70,
+  },
+  releaseButton: {
+    borderColor: '#EF444440',
+    backgroundColor: '#EF444420',
+    marginRight: 0,
+    marginLeft: 'auto',
+  },
+  actionText: {
+    color: '#06b6d4',
+    fontSize: 13,
+    fontWeight: '700',
+    marginLeft: 4,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  emptySubtext: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 6,
+    textAlign: 'center',
+  },
+  addCard: {
+    padding: 16,
+    marginTop: 8,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 12,
+  },
+  addTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: '#11182780',
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+    marginBottom: 10,
+  },
+  addButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 4,
+  },
+  addButtonGradient: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  addButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default DevicesScreen;
@@ -0,0 +1,487 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  Easing,
+} from 'react-native-reanimated';
+import {
+  HistoryRange,
+  HISTORY_RANGES,
+  loadUsageHistory,
+} from './usageHistory';
+import { getCachedUsageHistory, cacheUsageHistory } from './deviceCache';
+
+const AnimatedView = Animated.createAnimatedComponent(View);
+
+const CHART_HEIGHT = 140;
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${litres.toFixed(1)} L`
+);
+
+const formatBucketLabel = (time, range) => {
+  const date = new Date(time);
+  switch (range) {
+    case HistoryRange.HOUR:
+      return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+    case HistoryRange.DAY:
+      return `${date.getHours()}h`;
+    case HistoryRange.WEEK:
+      return date.toLocaleDateString(undefined, { weekday: 'short' });
+    default:
+      return `${date.getDate()}`;
+  }
+};
+
+const formatWindow = (window) => {
+  const from = new Date(window.from);
+  const to = new Date(window.to - 1);
+  if (window.range === HistoryRange.HOUR || window.range === HistoryRange.DAY) {
+    return `${from.toLocaleString()} – ${to.toLocaleTimeString()}`;
+  }
+  return `${from.toLocaleDateString()} – ${to.toLocaleDateString()}`;
+};
+
+// Only every n-th label fits under the denser charts
+const LABEL_EVERY = {
+  [HistoryRange.HOUR]: 3,
+  [HistoryRange.DAY]: 6,
+  [HistoryRange.WEEK]: 1,
+  [HistoryRange.MONTH]: 5,
+};
+
+// Bar Component
+const ChartBar = React.memo(({ ratio, colors }) => {
+  const height = useSharedValue(0);
+
+  useEffect(() => {
+    height.value = withTiming(ratio * CHART_HEIGHT, {
+      duration: 500,
+      easing: Easing.out(Easing.ease),
+    });
+  }, [ratio]);
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    height: height.value,
+  }));
+
+  return (
+    <View style={styles.barSlot}>
+      <AnimatedView style={[styles.barContainer, animatedStyle]}>
+        <LinearGradient colors={colors} style={styles.bar} />
+      </AnimatedView>
+    </View>
+  );
+});
+
+// Bar Chart Component
+const BarChart = ({ title, icon, buckets, valueKey, range, unit, colors }) => {
+  const max = Math.max(...buckets.map(bucket => bucket[valueKey]), 0);
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.chartCard}
+    >
+      <View style={styles.chartHeader}>
+        <Ionicons name={icon} size={20} color="#06b6d4" />
+        <Text style={styles.chartTitle}>{title}</Text>
+        <Text style={styles.chartMax}>max {max.toFixed(1)} {unit}</Text>
+      </View>
+      <View style={styles.chartArea}>
+        {buckets.map(bucket => (
+          <ChartBar
+            key={bucket.start}
+            ratio={max > 0 ? bucket[valueKey] / max : 0}
+            colors={colors}
+          />
+        ))}
+      </View>
+      <View style={styles.chartLabels}>
+        {buckets.map((bucket, index) => (
+          <Text key={bucket.start} style={styles.chartLabel} numberOfLines={1}>
+            {index % LABEL_EVERY[range] === 0 ? formatBucketLabel(bucket.start, range) : ''}
+          </Text>
+        ))}
+      </View>
+    </LinearGradient>
+  );
+};
+
+const HistoryScreen = ({ deviceId }) => {
+  const mountedRef = useRef(true);
+  const requestRef = useRef(0);
+
+  const [range, setRange] = useState(HistoryRange.DAY);
+  const [offset, setOffset] = useState(0);
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Set while the chart shows a saved copy instead of fresh data
+  const [cachedAt, setCachedAt] = useState(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    // Later requests win when the user switches ranges quickly
+    const request = ++requestRef.current;
+    const isCurrent = () => mountedRef.current && request === requestRef.current;
+    let isLoaded = false;
+    setIsLoading(true);
+    setError(null);
+
+    // Only the current window is saved; show it while the network answers
+    const cachedLoad = offset === 0 ? getCachedUsageHistory(deviceId, range) : Promise.resolve(null);
+    cachedLoad.then((cached) => {
+      if (cached && !isLoaded && isCurrent()) {
+        setHistory(cached.value);
+        setCachedAt(cached.savedAt);
+      }
+    });
+
+    try {
+      console.log(`📈 Loading ${range} history for ${deviceId} (offset ${offset})`);
+      const result = await loadUsageHistory(deviceId, range, { offset });
+      isLoaded = true;
+      if (offset === 0) cacheUsageHistory(deviceId, range, result);
+      if (isCurrent()) {
+        setHistory(result);
+        setCachedAt(null);
+      }
+    } catch (loadError) {
+      console.error('❌ History load error:', loadError);
+      const cached = await cachedLoad;
+      if (isCurrent()) {
+        if (cached) {
+          setHistory(cached.value);
+          setCachedAt(cached.savedAt);
+        } else {
+          setError(loadError);
+        }
+      }
+    } finally {
+      if (mountedRef.current && request === requestRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [deviceId, range, offset]);
+
+  useEffect(() => {
+    if (deviceId) loadHistory();
+  }, [loadHistory]);
+
+  const selectRange = useCallback((nextRange) => {
+    setRange(nextRange);
+    setOffset(0);
+  }, []);
+
+  const summary = history?.summary;
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Usage History</Text>
+
+      <View style={styles.rangeTabs}>
+        {Object.values(HistoryRange).map(item => (
+          <TouchableOpacity
+            key={item}
+            style={[styles.rangeTab, range === item && styles.rangeTabActive]}
+            onPress={() => selectRange(item)}
+          >
+            <Text style={[styles.rangeTabText, range === item && styles.rangeTabTextActive]}>
+              {HISTORY_RANGES[item].label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.periodRow}>
+        <TouchableOpacity
+          onPress={() => setOffset(current => current + 1)}
+          disabled={isLoading}
+        >
+          <Ionicons name="chevron-back" size={22} color={isLoading ? '#374151' : '#06b6d4'} />
+        </TouchableOpacity>
+        <Text style={styles.periodText} numberOfLines={1}>
+          {history ? formatWindow(history.window) : ' '}
+        </Text>
+        <TouchableOpacity
+          onPress={() => setOffset(current => Math.max(0, current - 1))}
+          disabled={isLoading || offset === 0}
+        >
+          <Ionicons
+            name="chevron-forward"
+            size={22}
+            color={isLoading || offset === 0 ? '#374151' : '#06b6d4'}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {cachedAt && (
+        <View style={styles.cachedNote}>
+          <Ionicons name="cloud-offline" size={14} color="#F59E0B" />
+          <Text style={styles.cachedNoteText}>
+            Offline · showing history saved {new Date(cachedAt).toLocaleString()}
+          </Text>
+        </View>
+      )}
+
+      {error ? (
+        <View style={styles.errorBox}>
+          <Ionicons name="alert-circle" size={20} color="#EF4444" />
+          <Text style={styles.errorText}>Could not load history.{'\n'}Error: {error.message}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadHistory}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : !history ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <View style={styles.summaryRow}>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Used</Text>
+              <Text style={styles.summaryValue}>{formatLitres(summary.totalUsage)}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Peak Flow</Text>
+              <Text style={styles.summaryValue}>{summary.peakFlow.toFixed(1)} L/min</Text>
+            </View>
+            {isLoading && <ActivityIndicator size="small" color="#06b6d4" />}
+          </View>
+
+          {summary.samples === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="bar-chart-outline" size={48} color="#37415180" />
+              <Text style={styles.emptyText}>No readings in this period</Text>
+            </View>
+          ) : (
+            <>
+              <BarChart
+                title="Consumption"
+                icon="water"
+                buckets={history.buckets}
+                valueKey="usage"
+                range={history.window.range}
+                unit="L"
+                colors={['#06b6d4', '#0891b2']}
+              />
+              <BarChart
+                title="Peak Flow"
+                icon="speedometer"
+                buckets={history.buckets}
+                valueKey="peakFlow"
+                range={history.window.range}
+                unit="L/min"
+                colors={['#10B981', '#059669']}
+              />
+              {summary.resets > 0 && (
+                <Text style={styles.resetNote}>
+                  The total counter was reset {summary.resets === 1 ? 'once' : `${summary.resets} times`} in
+                  this period; usage before and after each reset is included.
+                </Text>
+              )}
+            </>
+          )}
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 16,
+  },
+  rangeTabs: {
+    flexDirection: 'row',
+    backgroundColor: '#11182780',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 4,
+    marginBottom: 12,
+  },
+  rangeTab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  rangeTabActive: {
+    backgroundColor: '#06b6d420',
+  },
+  rangeTabText: {
+    color: '#9ca3af',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  rangeTabTextActive: {
+    color: '#06b6d4',
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  periodText: {
+    flex: 1,
+    textAlign: 'center',
+    color: '#fff',
+    fontSize: 13,
+    marginHorizontal: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  summaryItem: {
+    flex: 1,
+  },
+  summaryLabel: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+  },
+  summaryValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 2,
+  },
+  chartCard: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginBottom: 12,
+  },
+  chartHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  chartTitle: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  chartMax: {
+    fontSize: 12,
+    color: '#9ca3af',
+  },
+  chartArea: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: '#37415180',
+  },
+  barSlot: {
+    flex: 1,
+    marginHorizontal: 1,
+    justifyContent: 'flex-end',
+  },
+  barContainer: {
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+    overflow: 'hidden',
+  },
+  bar: {
+    flex: 1,
+  },
+  chartLabels: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  chartLabel: {
+    flex: 1,
+    fontSize: 9,
+    color: '#6B7280',
+    overflow: 'visible',
+  },
+  cachedNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  cachedNoteText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 12,
+    color: '#F59E0B',
+  },
+  resetNote: {
+    fontSize: 12,
+    color: '#F59E0B',
+    marginTop: 4,
+  },
+  errorBox: {
+    alignItems: 'center',
+    backgroundColor: '#EF444420',
+    borderWidth: 1,
+    borderColor: '#EF444440',
+    borderRadius: 12,
+    padding: 16,
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  retryButton: {
+    marginTop: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+  },
+  retryButtonText: {
+    color: '#06b6d4',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#9ca3af',
+    marginTop: 12,
+  },
+});
+
+export default HistoryScreen;
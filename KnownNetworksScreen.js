@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { getKnownNetworks, forgetKnownNetwork } from './knownNetworks';
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'Never';
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Known Network Row Component
+const KnownNetworkRow = React.memo(({ network, onForget, isForgetting }) => (
+  <LinearGradient
+    colors={['#1f293780', '#11182780']}
+    style={styles.networkRow}
+  >
+    <View style={styles.networkLeft}>
+      <Ionicons
+        name={network.encryption === 'OPEN' ? 'lock-open' : 'lock-closed'}
+        size={20}
+        color="#06b6d4"
+      />
+      <View style={styles.networkInfo}>
+        <Text style={styles.networkName} numberOfLines={1}>
+          {network.ssid}
+        </Text>
+        <Text style={styles.networkMeta}>
+          Last used {formatDate(network.lastUsedAt)}
+        </Text>
+      </View>
+    </View>
+    <TouchableOpacity
+      style={styles.forgetButton}
+      onPress={() => onForget(network)}
+      disabled={isForgetting}
+    >
+      {isForgetting ? (
+        <ActivityIndicator size="small" color="#EF4444" />
+      ) : (
+        <Text style={styles.forgetButtonText}>Forget</Text>
+      )}
+    </TouchableOpacity>
+  </LinearGradient>
+));
+
+const KnownNetworksScreen = ({ userId }) => {
+  const mountedRef = useRef(true);
+
+  const [networks, setNetworks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [forgettingSsid, setForgettingSsid] = useState(null);
+
+  const loadNetworks = useCallback(async () => {
+    setIsLoading(true);
+    const known = await getKnownNetworks(userId);
+    if (mountedRef.current) {
+      setNetworks(known);
+      setIsLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadNetworks();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, [loadNetworks]);
+
+  const forgetNetwork = useCallback(async (network) => {
+    setForgettingSsid(network.ssid);
+    try {
+      await forgetKnownNetwork(userId, network.ssid);
+      if (mountedRef.current) {
+        setNetworks(current => current.filter(item => item.ssid !== network.ssid));
+      }
+    } catch (error) {
+      console.error('❌ Forget network error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not forget "${network.ssid}".\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setForgettingSsid(null);
+      }
+    }
+  }, [userId]);
+
+  const handleForget = useCallback((network) => {
+    Alert.alert(
+      'Forget Network?',
+      `The saved password for "${network.ssid}" will be removed from this phone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Forget', style: 'destructive', onPress: () => forgetNetwork(network) },
+      ]
+    );
+  }, [forgetNetwork]);
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Saved Networks</Text>
+      <Text style={styles.subtitle}>
+        Networks used to set up your meters. Passwords are stored only on this phone.
+      </Text>
+
+      {isLoading ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          {networks.length > 0 ? (
+            networks.map(network => (
+              <KnownNetworkRow
+                key={network.ssid}
+                network={network}
+                onForget={handleForget}
+                isForgetting={forgettingSsid === network.ssid}
+              />
+            ))
+          ) : (
+            <View style={styles.emptyState}>
+              <Ionicons name="bookmark-outline" size={48} color="#37415180" />
+              <Text style={styles.emptyText}>No saved networks</Text>
+              <Text style={styles.emptySubtext}>
+                Networks are saved after a meter connects to them successfully
+              </Text>
+            </View>
+          )}
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  networkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 12,
+  },
+  networkLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  networkInfo: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  networkName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 2,
+  },
+  networkMeta: {
+    fontSize: 12,
+    color: '#9ca3af',
+  },
+  forgetButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#EF444440',
+    backgroundColor: '#EF444420',
+    minWidth: 70,
+    alignItems: 'center',
+  },
+  forgetButtonText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  emptySubtext: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 6,
+    textAlign: 'center',
+  },
+});
+
+export default KnownNetworksScreen;
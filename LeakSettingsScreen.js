@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  normalizeLeakSettings,
+  subscribeToLeakSettings,
+  saveLeakSettings,
+} from './leakDetection';
+
+const FIELDS = [
+  {
+    key: 'continuousFlowHours',
+    label: 'Continuous flow',
+    unit: 'hours',
+    hint: 'Alert when water runs without a break for this long',
+  },
+  {
+    key: 'quietHoursStart',
+    label: 'Quiet hours start',
+    unit: ':00',
+    hint: 'Hour of the day (0–23)',
+  },
+  {
+    key: 'quietHoursEnd',
+    label: 'Quiet hours end',
+    unit: ':00',
+    hint: 'Hour of the day (0–23)',
+  },
+  {
+    key: 'quietFlowThreshold',
+    label: 'Quiet hours flow',
+    unit: 'L/min',
+    hint: 'Alert when flow is above this during quiet hours',
+  },
+  {
+    key: 'spikeFlowRate',
+    label: 'Spike flow',
+    unit: 'L/min',
+    hint: 'Alert when flow jumps to this rate or more',
+  },
+];
+
+const toForm = (settings) => FIELDS.reduce((form, field) => ({
+  ...form,
+  [field.key]: String(settings[field.key]),
+}), {});
+
+const LeakSettingsScreen = ({ deviceId }) => {
+  const mountedRef = useRef(true);
+
+  const [enabled, setEnabled] = useState(true);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Only the first value fills the form, so edits are not overwritten
+  useEffect(() => {
+    let loaded = false;
+    const unsubscribe = subscribeToLeakSettings(deviceId, (settings) => {
+      if (loaded || !mountedRef.current) return;
+      loaded = true;
+      setEnabled(settings.enabled);
+      setForm(toForm(settings));
+    });
+    return unsubscribe;
+  }, [deviceId]);
+
+  const handleSave = useCallback(async () => {
+    const values = FIELDS.reduce((result, field) => ({
+      ...result,
+      [field.key]: parseFloat(form[field.key].replace(',', '.')),
+    }), {});
+
+    const invalid = FIELDS.find(field => !isFinite(values[field.key]));
+    if (invalid) {
+      Alert.alert('Invalid Value', `Please enter a number for "${invalid.label}".`);
+      return;
+    }
+
+    const settings = normalizeLeakSettings({ ...values, enabled });
+    setIsSaving(true);
+    try {
+      await saveLeakSettings(deviceId, settings);
+      if (mountedRef.current) {
+        // Show the values as stored, after clamping
+        setForm(toForm(settings));
+        Alert.alert('Saved', 'Leak alert settings updated.');
+      }
+    } catch (error) {
+      console.error('❌ Save leak settings error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not save settings.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsSaving(false);
+      }
+    }
+  }, [deviceId, enabled, form]);
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Leak Alerts</Text>
+      <Text style={styles.subtitle}>
+        Get notified about running water that could be a leak. Settings apply to this meter only.
+      </Text>
+
+      {!form ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <View style={styles.switchRow}>
+            <Ionicons name="notifications" size={20} color="#06b6d4" />
+            <Text style={styles.switchLabel}>Leak alerts</Text>
+            <Switch
+              value={enabled}
+              onValueChange={setEnabled}
+              trackColor={{ false: '#374151', true: '#06b6d480' }}
+              thumbColor={enabled ? '#06b6d4' : '#9ca3af'}
+            />
+          </View>
+
+          {FIELDS.map(field => (
+            <View key={field.key} style={[styles.field, !enabled && styles.disabledField]}>
+              <Text style={styles.fieldLabel}>{field.label}</Text>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  value={form[field.key]}
+                  onChangeText={(text) => setForm(current => ({ ...current, [field.key]: text }))}
+                  keyboardType="decimal-pad"
+                  editable={enabled && !isSaving}
+                  placeholderTextColor="#6B7280"
+                />
+                <Text style={styles.unit}>{field.unit}</Text>
+              </View>
+              <Text style={styles.hint}>{field.hint}</Text>
+            </View>
+          ))}
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            <LinearGradient
+              colors={['#10B981', '#059669']}
+              style={styles.saveButtonGradient}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </LinearGradient>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    backgroundColor: '#11182780',
+    marginBottom: 16,
+  },
+  switchLabel: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  field: {
+    marginBottom: 16,
+  },
+  disabledField: {
+    opacity: 0.5,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#11182780',
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+  },
+  unit: {
+    width: 56,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  saveButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  saveButtonGradient: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default LeakSettingsScreen;
@@ -0,0 +1,219 @@
+// Direct AP provisioning client
+// Talks to the firmware's AP web server (/scan, /configure, /device-info)
+// and turns every failure into a ProvisioningError with a stable code, so
+// callers only deal with results and error codes, never raw fetch errors.
+
+export const DEFAULT_DEVICE_IP = '192.168.4.1';
+
+export const SCAN_TIMEOUT = 30000;
+export const CONFIGURE_TIMEOUT = 60000;
+export const DEVICE_INFO_TIMEOUT = 10000;
+
+export const ProvisioningErrorCode = {
+  TIMEOUT: 'TIMEOUT',
+  UNREACHABLE: 'UNREACHABLE',
+  BAD_JSON: 'BAD_JSON',
+  HTTP_ERROR: 'HTTP_ERROR',
+  REJECTED: 'REJECTED',
+};
+
+export class ProvisioningError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProvisioningError';
+    this.code = code;
+    this.status = details.status ?? null;
+    this.timeout = details.timeout ?? null;
+    this.cause = details.cause;
+  }
+}
+
+// Custom fetch with timeout
+const fetchWithTimeout = async (fetchImpl, url, options = {}, timeout = 30000) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetchImpl(url, {
+      ...options,
+      signal,
+    });
+    clearTimeout(timeoutId);
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    throw error;
+  }
+};
+
+const parseJson = async (response) => {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ProvisioningError(
+      ProvisioningErrorCode.BAD_JSON,
+      'Device returned an invalid response',
+      { status: response.status, cause: error }
+    );
+  }
+};
+
+// Keep only named networks, strongest first
+export const normalizeNetworks = (networks) => networks
+  .filter(network => network && typeof network.ssid === 'string' && network.ssid.trim() !== '')
+  .map(network => ({
+    ssid: network.ssid,
+    rssi: typeof network.rssi === 'number' ? network.rssi : -100,
+    encryption: network.encryption === 'OPEN' ? 'OPEN' : 'SECURED',
+    channel: typeof network.channel === 'number' ? network.channel : null,
+  }))
+  .sort((a, b) => b.rssi - a.rssi);
+
+export const createProvisioningClient = ({
+  baseUrl = `http://${DEFAULT_DEVICE_IP}`,
+  fetchImpl = (...args) => fetch(...args),
+  scanTimeout = SCAN_TIMEOUT,
+  configureTimeout = CONFIGURE_TIMEOUT,
+  deviceInfoTimeout = DEVICE_INFO_TIMEOUT,
+} = {}) => {
+  const request = async (path, options, timeout) => {
+    const url = `${baseUrl}${path}`;
+    let response;
+
+    try {
+      response = await fetchWithTimeout(fetchImpl, url, options, timeout);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new ProvisioningError(
+          ProvisioningErrorCode.TIMEOUT,
+          `Request to ${path} timed out after ${Math.round(timeout / 1000)} seconds`,
+          { timeout, cause: error }
+        );
+      }
+      throw new ProvisioningError(
+        ProvisioningErrorCode.UNREACHABLE,
+        `Could not reach the device at ${baseUrl}`,
+        { cause: error }
+      );
+    }
+
+    if (!response.ok) {
+      // The firmware answers rejected requests with 400 and a JSON error body
+      let body = null;
+      try {
+        body = await parseJson(response);
+      } catch (error) {
+        body = null;
+      }
+      if (body && body.success === false) {
+        throw new ProvisioningError(
+          ProvisioningErrorCode.REJECTED,
+          body.error || 'Request rejected by device',
+          { status: response.status }
+        );
+      }
+      throw new ProvisioningError(
+        ProvisioningErrorCode.HTTP_ERROR,
+        `HTTP ${response.status}: ${response.statusText}`,
+        { status: response.status }
+      );
+    }
+
+    const body = await parseJson(response);
+
+    if (!body || typeof body !== 'object') {
+      throw new ProvisioningError(
+        ProvisioningErrorCode.BAD_JSON,
+        'Device returned an invalid response',
+        { status: response.status }
+      );
+    }
+
+    if (body.success !== true) {
+      throw new ProvisioningError(
+        ProvisioningErrorCode.REJECTED,
+        body.error || 'Request rejected by device',
+        { status: response.status }
+      );
+    }
+
+    return body;
+  };
+
+  // GET /scan -> { networks }
+  const scan = async () => {
+    const body = await request('/scan', {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+    }, scanTimeout);
+
+    if (!Array.isArray(body.networks)) {
+      throw new ProvisioningError(
+        ProvisioningErrorCode.BAD_JSON,
+        'Scan response did not include a network list'
+      );
+    }
+
+    return { networks: normalizeNetworks(body.networks) };
+  };
+
+  // POST /configure -> { deviceId, message }
+  // The device replies before it restarts, so success here only means the
+  // credentials were stored, not that the device has joined the network.
+  // `uid` and `pairingCode` are optional; the firmware only keeps them as a
+  // pair (see provisioningCredentials.js).
+  const configure = async ({ ssid, password = '', uid, pairingCode }) => {
+    const payload = { ssid, password };
+    if (uid && pairingCode) {
+      payload.uid = uid;
+      payload.pairingCode = pairingCode;
+    }
+
+    const body = await request('/configure', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      body: JSON.stringify(payload),
+    }, configureTimeout);
+
+    return {
+      deviceId: body.deviceId ?? null,
+      message: body.message ?? '',
+    };
+  };
+
+  // GET /device-info -> identity, firmware version and battery
+  const getDeviceInfo = async () => {
+    const body = await request('/device-info', {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+    }, deviceInfoTimeout);
+
+    return {
+      deviceId: body.deviceId ?? null,
+      version: body.version ?? null,
+      type: body.type ?? null,
+      batteryPercentage: typeof body.batteryPercentage === 'number' ? body.batteryPercentage : null,
+      batteryVoltage: typeof body.batteryVoltage === 'number' ? body.batteryVoltage : null,
+      ip: body.ip ?? null,
+    };
+  };
+
+  return {
+    baseUrl,
+    scan,
+    configure,
+    getDeviceInfo,
+  };
+};
+
+export default createProvisioningClient;
@@ -0,0 +1,158 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { ValveCommand } from './valveCommands';
+import { QueuedCommandType, QueuedCommandStatus } from './commandQueue';
+
+const STATUS_STYLES = {
+  [QueuedCommandStatus.PENDING]: { icon: 'time-outline', color: '#F59E0B' },
+  [QueuedCommandStatus.SENDING]: { icon: 'cloud-upload-outline', color: '#06b6d4' },
+  [QueuedCommandStatus.EXPIRED]: { icon: 'hourglass-outline', color: '#EF4444' },
+  [QueuedCommandStatus.FAILED]: { icon: 'alert-circle-outline', color: '#EF4444' },
+};
+
+const getCommandLabel = (command) => {
+  if (command.type === QueuedCommandType.VALVE_CONTROL) {
+    return command.value === ValveCommand.OPEN ? 'Open valve' : 'Close valve';
+  }
+  if (command.type === QueuedCommandType.RESET_TOTAL) return 'Reset total';
+  return command.type;
+};
+
+const formatMinutes = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  return minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+};
+
+const getStatusText = (command, isConnected, now) => {
+  switch (command.status) {
+    case QueuedCommandStatus.PENDING:
+      return isConnected
+        ? 'Sending shortly'
+        : `Waiting for connection · expires in ${formatMinutes(command.expiresAt - now)}`;
+    case QueuedCommandStatus.SENDING:
+      return 'Sending to the device...';
+    case QueuedCommandStatus.EXPIRED:
+      return `Expired, not sent. Queued ${new Date(command.queuedAt).toLocaleTimeString()}`;
+    default:
+      return `Failed: ${command.error || 'unknown error'}`;
+  }
+};
+
+// Queued Command Row Component
+const QueuedCommandRow = React.memo(({ command, isConnected, now, onDismiss }) => {
+  const status = STATUS_STYLES[command.status] || STATUS_STYLES[QueuedCommandStatus.FAILED];
+  const isPending = command.status === QueuedCommandStatus.PENDING;
+
+  return (
+    <View style={styles.row}>
+      {command.status === QueuedCommandStatus.SENDING ? (
+        <ActivityIndicator size="small" color={status.color} />
+      ) : (
+        <Ionicons name={status.icon} size={20} color={status.color} />
+      )}
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle}>{getCommandLabel(command)}</Text>
+        <Text style={[styles.rowStatus, { color: status.color }]}>
+          {getStatusText(command, isConnected, now)}
+        </Text>
+      </View>
+      {command.status !== QueuedCommandStatus.SENDING && (
+        <TouchableOpacity style={styles.dismissButton} onPress={() => onDismiss(command)}>
+          <Text style={styles.dismissText}>{isPending ? 'Cancel' : 'Dismiss'}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+});
+
+// Commands issued while offline, from the command queue
+const QueuedCommandsCard = ({ commands, isConnected, now, onDismiss }) => {
+  if (!commands || commands.length === 0) return null;
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <Ionicons
+          name={isConnected ? 'cloud-done-outline' : 'cloud-offline-outline'}
+          size={20}
+          color={isConnected ? '#06b6d4' : '#F59E0B'}
+        />
+        <Text style={styles.title}>Queued Commands</Text>
+      </View>
+      {commands.map(command => (
+        <QueuedCommandRow
+          key={command.id}
+          command={command}
+          isConnected={isConnected}
+          now={now}
+          onDismiss={onDismiss}
+        />
+      ))}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#F59E0B40',
+    padding: 16,
+    marginTop: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  rowInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  rowStatus: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  dismissButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#37415180',
+  },
+  dismissText: {
+    color: '#9ca3af',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+});
+
+export default QueuedCommandsCard;
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  ReportFormat,
+  ReportRange,
+  REPORT_RANGE_LABELS,
+  MAX_REPORT_DAYS,
+  getReportRange,
+  buildUsageReport,
+  shareUsageReport,
+} from './usageReport';
+import { subscribeToTariff, hasTariff, formatCurrency } from './tariffs';
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${litres.toFixed(1)} L`
+);
+
+const EXPORT_OPTIONS = [
+  { format: ReportFormat.PDF, icon: 'document-text', label: 'Share PDF', colors: ['#06b6d4', '#0891b2'] },
+  { format: ReportFormat.CSV, icon: 'grid', label: 'Share CSV', colors: ['#10B981', '#059669'] },
+];
+
+const ReportScreen = ({ deviceId, deviceName }) => {
+  const mountedRef = useRef(true);
+
+  const [range, setRange] = useState(ReportRange.LAST_MONTH);
+  const [custom, setCustom] = useState(() => getReportRange(ReportRange.THIS_MONTH));
+  const [tariff, setTariff] = useState(null);
+  const [includeCost, setIncludeCost] = useState(true);
+  const [report, setReport] = useState(null);
+  const [busyFormat, setBusyFormat] = useState(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => subscribeToTariff(deviceId, (nextTariff) => {
+    if (mountedRef.current) setTariff(nextTariff);
+  }), [deviceId]);
+
+  const canPrice = hasTariff(tariff);
+  const { fromDate, toDate } = range === ReportRange.CUSTOM ? custom : getReportRange(range);
+  const withCost = canPrice && includeCost;
+
+  // A report built for the same choices is shared again without refetching
+  const isCurrent = report
+    && report.fromDate === fromDate
+    && report.requestedTo === toDate
+    && !!report.cost === withCost;
+
+  const handleExport = useCallback(async (format) => {
+    setBusyFormat(format);
+    try {
+      let nextReport = isCurrent ? report : null;
+      if (!nextReport) {
+        nextReport = {
+          ...await buildUsageReport({
+            deviceId,
+            deviceName,
+            fromDate: fromDate.trim(),
+            toDate: toDate.trim(),
+            tariff: withCost ? tariff : null,
+          }),
+          requestedTo: toDate,
+        };
+        if (mountedRef.current) setReport(nextReport);
+      }
+      await shareUsageReport(nextReport, format);
+    } catch (error) {
+      console.error('❌ Report export error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Export Failed', error.message);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setBusyFormat(null);
+      }
+    }
+  }, [deviceId, deviceName, fromDate, toDate, withCost, tariff, report, isCurrent]);
+
+  const isBusy = busyFormat !== null;
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Usage Report</Text>
+      <Text style={styles.subtitle}>
+        Daily consumption, peak flow and valve activity for "{deviceName || deviceId}", as a PDF statement or a CSV file.
+      </Text>
+
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <Text style={styles.sectionTitle}>Period</Text>
+        <View style={styles.rangeTabs}>
+          {Object.values(ReportRange).map(item => (
+            <TouchableOpacity
+              key={item}
+              style={[styles.rangeTab, range === item && styles.rangeTabActive]}
+              onPress={() => setRange(item)}
+              disabled={isBusy}
+            >
+              <Text style={[styles.rangeTabText, range === item && styles.rangeTabTextActive]}>
+                {REPORT_RANGE_LABELS[item]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {range === ReportRange.CUSTOM ? (
+          <View style={styles.dateRow}>
+            <TextInput
+              style={styles.dateInput}
+              value={custom.fromDate}
+              onChangeText={(text) => setCustom(current => ({ ...current, fromDate: text }))}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor="#6B7280"
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              editable={!isBusy}
+            />
+            <Text style={styles.dateSeparator}>to</Text>
+            <TextInput
+              style={styles.dateInput}
+              value={custom.toDate}
+              onChangeText={(text) => setCustom(current => ({ ...current, toDate: text }))}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor="#6B7280"
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              editable={!isBusy}
+            />
+          </View>
+        ) : (
+          <Text style={styles.periodText}>{fromDate} to {toDate}</Text>
+        )}
+        <Text style={styles.hint}>Up to {MAX_REPORT_DAYS} days. Today is included as a partial day.</Text>
+
+        <View style={styles.switchRow}>
+          <Ionicons name="cash-outline" size={20} color={canPrice ? '#10B981' : '#6B7280'} />
+          <View style={styles.switchInfo}>
+            <Text style={styles.switchLabel}>Include cost estimate</Text>
+            <Text style={styles.hint}>
+              {canPrice
+                ? `From the tariff for this meter (${tariff.currency})`
+                : 'Set a water tariff for this meter to include costs'}
+            </Text>
+          </View>
+          <Switch
+            value={withCost}
+            onValueChange={setIncludeCost}
+            disabled={!canPrice || isBusy}
+            trackColor={{ false: '#374151', true: '#10B98180' }}
+            thumbColor={withCost ? '#10B981' : '#9ca3af'}
+          />
+        </View>
+
+        {EXPORT_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.format}
+            style={[styles.exportButton, isBusy && styles.disabledButton]}
+            onPress={() => handleExport(option.format)}
+            disabled={isBusy}
+          >
+            <LinearGradient
+              colors={option.colors}
+              style={styles.exportButtonGradient}
+            >
+              {busyFormat === option.format ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <>
+                  <Ionicons name={option.icon} size={18} color="#FFFFFF" style={{ marginRight: 8 }} />
+                  <Text style={styles.exportButtonText}>{option.label}</Text>
+                </>
+              )}
+            </LinearGradient>
+          </TouchableOpacity>
+        ))}
+
+        {report && (
+          <LinearGradient
+            colors={['#1f293780', '#11182780']}
+            style={styles.summaryCard}
+          >
+            <Text style={styles.sectionTitle}>Last report · {report.fromDate} to {report.toDate}</Text>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Total usage</Text>
+              <Text style={styles.summaryValue}>{formatLitres(report.totals.totalUsage)}</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Peak flow</Text>
+              <Text style={styles.summaryValue}>{report.totals.peakFlow.toFixed(1)} L/min</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Days with data</Text>
+              <Text style={styles.summaryValue}>
+                {report.totals.daysWithData} of {report.totals.dayCount}
+              </Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Valve events</Text>
+              <Text style={styles.summaryValue}>{report.valveEvents.length}</Text>
+            </View>
+            {report.cost && (
+              <View style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>Estimated cost</Text>
+                <Text style={[styles.summaryValue, { color: '#10B981' }]}>
+                  {formatCurrency(report.cost.total, report.cost.currency)}
+                </Text>
+              </View>
+            )}
+          </LinearGradient>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#9ca3af',
+    textTransform: 'uppercase',
+    marginBottom: 10,
+  },
+  rangeTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  rangeTab: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    backgroundColor: '#11182780',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  rangeTabActive: {
+    borderColor: '#06b6d4',
+    backgroundColor: '#06b6d420',
+  },
+  rangeTabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#9ca3af',
+  },
+  rangeTabTextActive: {
+    color: '#06b6d4',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dateInput: {
+    flex: 1,
+    backgroundColor: '#11182780',
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+  },
+  dateSeparator: {
+    marginHorizontal: 10,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  periodText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    backgroundColor: '#11182780',
+    marginTop: 16,
+    marginBottom: 16,
+  },
+  switchInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  switchLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  exportButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  exportButtonGradient: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  exportButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  summaryCard: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 16,
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#9ca3af',
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#fff',
+  },
+});
+
+export default ReportScreen;
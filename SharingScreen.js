@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Share,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  DeviceRole,
+  DEVICE_ROLE_LABELS,
+  subscribeToMembers,
+  subscribeToInvites,
+  createInvite,
+  cancelInvite,
+  changeMemberRole,
+  revokeMember,
+} from './deviceSharing';
+
+const ROLE_OPTIONS = [
+  {
+    role: DeviceRole.VIEWER,
+    icon: 'eye-outline',
+    description: 'Sees live data, history and analytics',
+  },
+  {
+    role: DeviceRole.OPERATOR,
+    icon: 'water-outline',
+    description: 'Can also open and close the valve',
+  },
+];
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : 'Unknown');
+
+const shareInviteCode = (deviceName, code, role) => Share.share({
+  message: `You have been invited as ${DEVICE_ROLE_LABELS[role].toLowerCase()} of the water meter "${deviceName}".\n\nOpen My Devices in the app, choose "Join a Shared Device" and enter this code:\n\n${code}`,
+}).catch(error => console.log('Share invite error:', error));
+
+// Member Row Component
+const MemberRow = React.memo(({ member, onToggleRole, onRevoke, isBusy }) => (
+  <LinearGradient
+    colors={['#1f293780', '#11182780']}
+    style={styles.row}
+  >
+    <Ionicons
+      name={member.role === DeviceRole.OPERATOR ? 'water-outline' : 'eye-outline'}
+      size={20}
+      color="#06b6d4"
+    />
+    <View style={styles.rowInfo}>
+      <Text style={styles.rowTitle} numberOfLines={1}>{member.displayName || member.uid}</Text>
+      <Text style={styles.rowMeta}>
+        {DEVICE_ROLE_LABELS[member.role] || member.role} · joined {formatDate(member.addedAt)}
+      </Text>
+    </View>
+    {isBusy ? (
+      <ActivityIndicator size="small" color="#06b6d4" />
+    ) : (
+      <>
+        <TouchableOpacity style={styles.smallButton} onPress={() => onToggleRole(member)}>
+          <Text style={styles.smallButtonText}>
+            {member.role === DeviceRole.OPERATOR ? 'Make viewer' : 'Make operator'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.dangerButton]}
+          onPress={() => onRevoke(member)}
+        >
+          <Text style={[styles.smallButtonText, { color: '#EF4444' }]}>Revoke</Text>
+        </TouchableOpacity>
+      </>
+    )}
+  </LinearGradient>
+));
+
+// Invite Row Component
+const InviteRow = React.memo(({ invite, onShare, onCancel }) => (
+  <LinearGradient
+    colors={['#1f293780', '#11182780']}
+    style={styles.row}
+  >
+    <Ionicons name="mail-outline" size={20} color="#F59E0B" />
+    <View style={styles.rowInfo}>
+      <Text style={styles.rowTitle} numberOfLines={1}>{invite.code}</Text>
+      <Text style={styles.rowMeta}>
+        {DEVICE_ROLE_LABELS[invite.role]} · expires {formatDate(invite.expiresAt)}
+      </Text>
+    </View>
+    <TouchableOpacity style={styles.smallButton} onPress={() => onShare(invite)}>
+      <Text style={styles.smallButtonText}>Send</Text>
+    </TouchableOpacity>
+    <TouchableOpacity
+      style={[styles.smallButton, styles.dangerButton]}
+      onPress={() => onCancel(invite)}
+    >
+      <Text style={[styles.smallButtonText, { color: '#EF4444' }]}>Cancel</Text>
+    </TouchableOpacity>
+  </LinearGradient>
+));
+
+const SharingScreen = ({ deviceId, deviceName, userId }) => {
+  const mountedRef = useRef(true);
+
+  const [members, setMembers] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState(DeviceRole.VIEWER);
+  const [isCreating, setIsCreating] = useState(false);
+  const [busyMemberId, setBusyMemberId] = useState(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => subscribeToMembers(deviceId, (list) => {
+    if (mountedRef.current) setMembers(list);
+  }), [deviceId]);
+
+  useEffect(() => subscribeToInvites(deviceId, (list) => {
+    if (mountedRef.current) setInvites(list);
+  }), [deviceId]);
+
+  const name = deviceName || deviceId;
+
+  const handleCreateInvite = useCallback(async () => {
+    setIsCreating(true);
+    try {
+      const code = await createInvite({ deviceId, deviceName: name, userId, role: inviteRole });
+      if (mountedRef.current) {
+        shareInviteCode(name, code, inviteRole);
+      }
+    } catch (error) {
+      console.error('❌ Create invite error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not create the invitation.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsCreating(false);
+      }
+    }
+  }, [deviceId, name, userId, inviteRole]);
+
+  const handleCancelInvite = useCallback((invite) => {
+    cancelInvite(deviceId, invite.id).catch((error) => {
+      console.error('❌ Cancel invite error:', error);
+      Alert.alert('Error', `Could not cancel the invitation.\n\nError: ${error.message}`);
+    });
+  }, [deviceId]);
+
+  const runMemberAction = useCallback(async (member, action, label) => {
+    setBusyMemberId(member.uid);
+    try {
+      await action();
+    } catch (error) {
+      console.error(`❌ ${label} error:`, error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `${label} failed.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setBusyMemberId(null);
+      }
+    }
+  }, []);
+
+  const handleToggleRole = useCallback((member) => {
+    const role = member.role === DeviceRole.OPERATOR ? DeviceRole.VIEWER : DeviceRole.OPERATOR;
+    runMemberAction(member, () => changeMemberRole(deviceId, member.uid, role), 'Changing role');
+  }, [deviceId, runMemberAction]);
+
+  const handleRevoke = useCallback((member) => {
+    Alert.alert(
+      'Revoke Access?',
+      `${member.displayName || member.uid} will no longer see or control "${name}".`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: () => runMemberAction(member, () => revokeMember(deviceId, member.uid), 'Revoking access'),
+        },
+      ]
+    );
+  }, [deviceId, name, runMemberAction]);
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Sharing</Text>
+      <Text style={styles.subtitle}>
+        Give family members or your team access to "{name}". Only you can change its settings or WiFi.
+      </Text>
+
+      {members === null ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <Text style={styles.sectionTitle}>Invite someone</Text>
+          {ROLE_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.role}
+              style={[styles.roleOption, inviteRole === option.role && styles.roleOptionSelected]}
+              onPress={() => setInviteRole(option.role)}
+              disabled={isCreating}
+            >
+              <Ionicons
+                name={option.icon}
+                size={20}
+                color={inviteRole === option.role ? '#06b6d4' : '#9ca3af'}
+              />
+              <View style={styles.rowInfo}>
+                <Text style={styles.rowTitle}>{DEVICE_ROLE_LABELS[option.role]}</Text>
+                <Text style={styles.rowMeta}>{option.description}</Text>
+              </View>
+              {inviteRole === option.role && (
+                <Ionicons name="checkmark-circle" size={20} color="#06b6d4" />
+              )}
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity
+            style={[styles.createButton, isCreating && styles.disabledButton]}
+            onPress={handleCreateInvite}
+            disabled={isCreating}
+          >
+            <LinearGradient
+              colors={['#06b6d4', '#0891b2']}
+              style={styles.createButtonGradient}
+            >
+              {isCreating ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.createButtonText}>Create Invite Code</Text>
+              )}
+            </LinearGradient>
+          </TouchableOpacity>
+
+          {invites.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Pending invitations</Text>
+              {invites.map(invite => (
+                <InviteRow
+                  key={invite.id}
+                  invite={invite}
+                  onShare={() => shareInviteCode(name, invite.code, invite.role)}
+                  onCancel={handleCancelInvite}
+                />
+              ))}
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>People with access</Text>
+          {members.length > 0 ? (
+            members.map(member => (
+              <MemberRow
+                key={member.uid}
+                member={member}
+                onToggleRole={handleToggleRole}
+                onRevoke={handleRevoke}
+                isBusy={busyMemberId === member.uid}
+              />
+            ))
+          ) : (
+            <Text style={styles.emptyText}>Only you have access to this meter</Text>
+          )}
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#9ca3af',
+    textTransform: 'uppercase',
+    marginTop: 8,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 12,
+  },
+  rowInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 2,
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#9ca3af',
+  },
+  roleOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 12,
+    backgroundColor: '#11182780',
+  },
+  roleOptionSelected: {
+    borderColor: '#06b6d4',
+    backgroundColor: '#06b6d410',
+  },
+  smallButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginLeft: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    backgroundColor: '#06b6d420',
+  },
+  dangerButton: {
+    borderColor: '#EF444440',
+    backgroundColor: '#EF444420',
+  },
+  smallButtonText: {
+    color: '#06b6d4',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  createButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 4,
+    marginBottom: 20,
+  },
+  createButtonGradient: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  createButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 20,
+  },
+});
+
+export default SharingScreen;
@@ -0,0 +1,532 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  TariffType,
+  TARIFF_TYPE_LABELS,
+  normalizeTariff,
+  subscribeToTariff,
+  saveTariff,
+  formatCurrency,
+  estimateCost,
+  hasTariff,
+  DAYS_PER_MONTH,
+} from './tariffs';
+
+// Used for the example line under the form
+const EXAMPLE_MONTHLY_LITRES = 10000;
+
+const MAX_TIERS = 5;
+const MAX_PERIODS = 4;
+
+const toText = (value) => (value ? String(value) : '');
+
+const toForm = (tariff) => ({
+  type: tariff.type,
+  currency: tariff.currency,
+  pricePerM3: toText(tariff.pricePerM3),
+  monthlyCharge: toText(tariff.monthlyCharge),
+  tiers: tariff.tiers.map(tier => ({ upToM3: toText(tier.upToM3), pricePerM3: toText(tier.pricePerM3) })),
+  periods: tariff.periods.map(period => ({
+    startHour: String(period.startHour),
+    endHour: String(period.endHour),
+    pricePerM3: toText(period.pricePerM3),
+  })),
+});
+
+const parseNumber = (text) => parseFloat(String(text).replace(',', '.'));
+
+const parseAmount = (text) => {
+  const trimmed = text.trim();
+  return trimmed === '' ? 0 : parseNumber(trimmed);
+};
+
+const parseHour = (text) => (/^\d{1,2}$/.test(text.trim()) ? parseInt(text.trim(), 10) : NaN);
+
+const isAmount = (value) => isFinite(value) && value >= 0;
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+// Tariff from the form, without normalizing, so it can be checked first
+const parseForm = (form) => ({
+  type: form.type,
+  currency: form.currency,
+  pricePerM3: parseAmount(form.pricePerM3),
+  monthlyCharge: parseAmount(form.monthlyCharge),
+  tiers: form.tiers.map(tier => ({
+    upToM3: parseAmount(tier.upToM3),
+    pricePerM3: parseAmount(tier.pricePerM3),
+  })),
+  periods: form.periods.map(period => ({
+    startHour: parseHour(period.startHour),
+    endHour: parseHour(period.endHour),
+    pricePerM3: parseAmount(period.pricePerM3),
+  })),
+});
+
+const getFormError = (tariff) => {
+  if (!isAmount(tariff.pricePerM3) || !isAmount(tariff.monthlyCharge)) {
+    return 'Prices must be positive numbers, or left empty.';
+  }
+  if (tariff.type === TariffType.TIERED) {
+    if (tariff.tiers.length === 0) return 'Add at least one tier.';
+    if (tariff.tiers.some(tier => !isAmount(tier.upToM3) || !isAmount(tier.pricePerM3))) {
+      return 'Tier limits and prices must be positive numbers.';
+    }
+    if (tariff.tiers.filter(tier => tier.upToM3 === 0).length > 1) {
+      return 'Only one tier can be left without a limit.';
+    }
+  }
+  if (tariff.type === TariffType.TIME_OF_USE) {
+    if (tariff.periods.some(period => !isHour(period.startHour) || !isHour(period.endHour))) {
+      return 'Period hours must be whole hours from 0 to 23.';
+    }
+    if (tariff.periods.some(period => period.startHour === period.endHour)) {
+      return 'A period must end at a different hour than it starts.';
+    }
+    if (tariff.periods.some(period => !isAmount(period.pricePerM3))) {
+      return 'Period prices must be positive numbers.';
+    }
+  }
+  return null;
+};
+
+const TariffSettingsScreen = ({ deviceId }) => {
+  const mountedRef = useRef(true);
+
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Only the first value fills the form, so edits are not overwritten
+  useEffect(() => {
+    let loaded = false;
+    const unsubscribe = subscribeToTariff(deviceId, (tariff) => {
+      if (loaded || !mountedRef.current) return;
+      loaded = true;
+      setForm(toForm(tariff));
+    });
+    return unsubscribe;
+  }, [deviceId]);
+
+  const updateField = useCallback((key, text) => {
+    setForm(current => ({ ...current, [key]: text }));
+  }, []);
+
+  // Edits a row of `tiers` or `periods`
+  const updateRow = useCallback((list, index, key, text) => {
+    setForm(current => ({
+      ...current,
+      [list]: current[list].map((row, rowIndex) => (rowIndex === index ? { ...row, [key]: text } : row)),
+    }));
+  }, []);
+
+  const addRow = useCallback((list, row) => {
+    setForm(current => ({ ...current, [list]: [...current[list], row] }));
+  }, []);
+
+  const removeRow = useCallback((list, index) => {
+    setForm(current => ({ ...current, [list]: current[list].filter((row, rowIndex) => rowIndex !== index) }));
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    if (!/^[A-Za-z]{3}$/.test(form.currency.trim())) {
+      Alert.alert('Invalid Currency', 'Please enter a three-letter currency code such as EUR, GBP or USD.');
+      return;
+    }
+
+    const parsed = parseForm(form);
+    const formError = getFormError(parsed);
+    if (formError) {
+      Alert.alert('Invalid Value', formError);
+      return;
+    }
+
+    const tariff = normalizeTariff(parsed);
+    setIsSaving(true);
+    try {
+      await saveTariff(deviceId, tariff);
+      if (mountedRef.current) {
+        setForm(toForm(tariff));
+        Alert.alert('Saved', 'Tariff updated.');
+      }
+    } catch (error) {
+      console.error('❌ Save tariff error:', error);
+      if (mountedRef.current) {
+        Alert.alert('Error', `Could not save the tariff.\n\nError: ${error.message}`);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsSaving(false);
+      }
+    }
+  }, [deviceId, form]);
+
+  const preview = form ? normalizeTariff(parseForm(form)) : null;
+  const isTiered = form && form.type === TariffType.TIERED;
+  const isTimeOfUse = form && form.type === TariffType.TIME_OF_USE;
+
+  return (
+    <LinearGradient
+      colors={['#1F2937', '#111827']}
+      style={styles.container}
+    >
+      <Text style={styles.title}>Water Tariff</Text>
+      <Text style={styles.subtitle}>
+        Prices from your water bill, used for cost estimates on the dashboard, in budget alerts and in reports. Leave the prices empty to hide costs.
+      </Text>
+
+      {!form ? (
+        <ActivityIndicator size="large" color="#06b6d4" style={{ marginTop: 40 }} />
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <View style={styles.typeTabs}>
+            {Object.values(TariffType).map(type => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.typeTab, form.type === type && styles.typeTabActive]}
+                onPress={() => updateField('type', type)}
+                disabled={isSaving}
+              >
+                <Text style={[styles.typeTabText, form.type === type && styles.typeTabTextActive]}>
+                  {TARIFF_TYPE_LABELS[type]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Currency</Text>
+            <TextInput
+              style={styles.input}
+              value={form.currency}
+              onChangeText={(text) => updateField('currency', text.toUpperCase())}
+              autoCapitalize="characters"
+              maxLength={3}
+              placeholder="EUR"
+              placeholderTextColor="#6B7280"
+              editable={!isSaving}
+            />
+          </View>
+
+          {!isTiered && (
+            <View style={styles.field}>
+              <Text style={styles.fieldLabel}>{isTimeOfUse ? 'Standard price per m³' : 'Price per m³'}</Text>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  value={form.pricePerM3}
+                  onChangeText={(text) => updateField('pricePerM3', text)}
+                  keyboardType="decimal-pad"
+                  placeholder="Not set"
+                  placeholderTextColor="#6B7280"
+                  editable={!isSaving}
+                />
+                <Text style={styles.unit}>/m³</Text>
+              </View>
+              <Text style={styles.hint}>
+                {isTimeOfUse ? 'Charged outside the periods below. ' : ''}1 m³ is 1000 litres
+              </Text>
+            </View>
+          )}
+
+          {isTiered && (
+            <View style={styles.field}>
+              <Text style={styles.fieldLabel}>Tiers</Text>
+              {form.tiers.map((tier, index) => (
+                <View key={index} style={styles.rowInputs}>
+                  <TextInput
+                    style={styles.input}
+                    value={tier.upToM3}
+                    onChangeText={(text) => updateRow('tiers', index, 'upToM3', text)}
+                    keyboardType="decimal-pad"
+                    placeholder="No limit"
+                    placeholderTextColor="#6B7280"
+                    editable={!isSaving}
+                  />
+                  <Text style={styles.rowUnit}>m³ at</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={tier.pricePerM3}
+                    onChangeText={(text) => updateRow('tiers', index, 'pricePerM3', text)}
+                    keyboardType="decimal-pad"
+                    placeholder="0"
+                    placeholderTextColor="#6B7280"
+                    editable={!isSaving}
+                  />
+                  <Text style={styles.rowUnit}>/m³</Text>
+                  <TouchableOpacity onPress={() => removeRow('tiers', index)} disabled={isSaving}>
+                    <Ionicons name="close-circle" size={22} color="#EF4444" />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {form.tiers.length < MAX_TIERS && (
+                <TouchableOpacity
+                  style={styles.addButton}
+                  onPress={() => addRow('tiers', { upToM3: '', pricePerM3: '' })}
+                  disabled={isSaving}
+                >
+                  <Ionicons name="add-circle-outline" size={18} color="#06b6d4" />
+                  <Text style={styles.addButtonText}>Add tier</Text>
+                </TouchableOpacity>
+              )}
+              <Text style={styles.hint}>
+                Monthly volume up to each limit, cheapest first. Leave the last limit empty for everything above.
+              </Text>
+            </View>
+          )}
+
+          {isTimeOfUse && (
+            <View style={styles.field}>
+              <Text style={styles.fieldLabel}>Periods</Text>
+              {form.periods.map((period, index) => (
+                <View key={index} style={styles.rowInputs}>
+                  <TextInput
+                    style={[styles.input, styles.hourInput]}
+                    value={period.startHour}
+                    onChangeText={(text) => updateRow('periods', index, 'startHour', text)}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                    placeholder="22"
+                    placeholderTextColor="#6B7280"
+                    editable={!isSaving}
+                  />
+                  <Text style={styles.rowUnit}>to</Text>
+                  <TextInput
+                    style={[styles.input, styles.hourInput]}
+                    value={period.endHour}
+                    onChangeText={(text) => updateRow('periods', index, 'endHour', text)}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                    placeholder="6"
+                    placeholderTextColor="#6B7280"
+                    editable={!isSaving}
+                  />
+                  <Text style={styles.rowUnit}>h at</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={period.pricePerM3}
+                    onChangeText={(text) => updateRow('periods', index, 'pricePerM3', text)}
+                    keyboardType="decimal-pad"
+                    placeholder="0"
+                    placeholderTextColor="#6B7280"
+                    editable={!isSaving}
+                  />
+                  <Text style={styles.rowUnit}>/m³</Text>
+                  <TouchableOpacity onPress={() => removeRow('periods', index)} disabled={isSaving}>
+                    <Ionicons name="close-circle" size={22} color="#EF4444" />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {form.periods.length < MAX_PERIODS && (
+                <TouchableOpacity
+                  style={styles.addButton}
+                  onPress={() => addRow('periods', { startHour: '', endHour: '', pricePerM3: '' })}
+                  disabled={isSaving}
+                >
+                  <Ionicons name="add-circle-outline" size={18} color="#06b6d4" />
+                  <Text style={styles.addButtonText}>Add period</Text>
+                </TouchableOpacity>
+              )}
+              <Text style={styles.hint}>
+                Hours 0 to 23 on the phone's clock; a period ends at the start of its end hour and may run past midnight.
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Fixed charge per month</Text>
+            <View style={styles.inputRow}>
+              <TextInput
+                style={styles.input}
+                value={form.monthlyCharge}
+                onChangeText={(text) => updateField('monthlyCharge', text)}
+                keyboardType="decimal-pad"
+                placeholder="None"
+                placeholderTextColor="#6B7280"
+                editable={!isSaving}
+              />
+              <Text style={styles.unit}>/mo</Text>
+            </View>
+            <Text style={styles.hint}>Meter rent or standing charge, spread over the days in a report</Text>
+          </View>
+
+          {hasTariff(preview) && (
+            <Text style={styles.preview}>
+              {EXAMPLE_MONTHLY_LITRES / 1000} m³ in a month would cost about{' '}
+              {formatCurrency(
+                estimateCost(EXAMPLE_MONTHLY_LITRES, preview, { days: DAYS_PER_MONTH }).total,
+                preview.currency
+              )}
+              {isTimeOfUse ? ', used evenly through the day' : ''}
+            </Text>
+          )}
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            <LinearGradient
+              colors={['#10B981', '#059669']}
+              style={styles.saveButtonGradient}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </LinearGradient>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginBottom: 20,
+  },
+  typeTabs: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  typeTab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    backgroundColor: '#11182780',
+    marginRight: 8,
+  },
+  typeTabActive: {
+    borderColor: '#06b6d4',
+    backgroundColor: '#06b6d420',
+  },
+  typeTabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#9ca3af',
+  },
+  typeTabTextActive: {
+    color: '#06b6d4',
+  },
+  field: {
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#11182780',
+    borderWidth: 1,
+    borderColor: '#37415140',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+  },
+  unit: {
+    width: 36,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  rowInputs: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rowUnit: {
+    marginHorizontal: 6,
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  hourInput: {
+    flex: 0,
+    width: 48,
+    textAlign: 'center',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#06b6d4',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  preview: {
+    fontSize: 13,
+    color: '#06b6d4',
+    marginBottom: 16,
+  },
+  saveButton: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  saveButtonGradient: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default TariffSettingsScreen;
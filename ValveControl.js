@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withSpring,
+} from 'react-native-reanimated';
+import { ValveState } from './deviceData';
+import {
+  ValveCommand,
+  ValveErrorCode,
+  sendValveCommand,
+  getTargetValveState,
+} from './valveCommands';
+import { QueuedCommandType, COMMAND_EXPIRY, queueCommand } from './commandQueue';
+
+const AnimatedTouchable = Animated.createAnimatedComponent(TouchableOpacity);
+
+const VALVE_STYLES = {
+  [ValveState.OPEN]: { icon: 'water', color: '#10B981', label: 'Open' },
+  [ValveState.CLOSED]: { icon: 'close-circle', color: '#EF4444', label: 'Closed' },
+  [ValveState.UNKNOWN]: { icon: 'help-circle', color: '#6B7280', label: 'Unknown' },
+};
+
+const ValveControl = ({
+  deviceId,
+  userId,
+  valveState,
+  disabled,
+  readOnly,
+  isConnected = true,
+  queuedCommand = null,
+}) => {
+  const mountedRef = useRef(true);
+  const scale = useSharedValue(1);
+
+  // Command waiting for the device to confirm; the UI shows its target
+  // until then and falls back to the reported state if it fails
+  const [pendingCommand, setPendingCommand] = useState(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [{ scale: scale.value }],
+  }));
+
+  // Without a connection the command waits in the offline queue instead
+  const queueValveCommand = useCallback(async (command) => {
+    try {
+      await queueCommand({
+        deviceId,
+        userId,
+        type: QueuedCommandType.VALVE_CONTROL,
+        value: command,
+      });
+      Alert.alert(
+        'Command Queued',
+        `You are not connected. The valve will be ${command === ValveCommand.OPEN ? 'opened' : 'closed'} when the connection is up, if that is within ${COMMAND_EXPIRY[QueuedCommandType.VALVE_CONTROL] / 60000} minutes.`
+      );
+    } catch (error) {
+      console.error('❌ Queue valve command error:', error);
+      Alert.alert('Command Not Queued', error.message);
+    }
+  }, [deviceId, userId]);
+
+  const runCommand = useCallback(async (command) => {
+    if (!isConnected) {
+      queueValveCommand(command);
+      return;
+    }
+
+    setPendingCommand(command);
+    try {
+      await sendValveCommand({ deviceId, command, userId });
+    } catch (error) {
+      console.error('❌ Valve command error:', error);
+      if (mountedRef.current) {
+        Alert.alert(
+          error.code === ValveErrorCode.WRITE_FAILED ? 'Command Not Sent' : 'Valve Not Confirmed',
+          `${error.message}.\n\nThe valve is shown in its last reported state.`
+        );
+      }
+    } finally {
+      if (mountedRef.current) {
+        setPendingCommand(null);
+      }
+    }
+  }, [deviceId, userId, isConnected, queueValveCommand]);
+
+  const handlePress = useCallback(() => {
+    const command = valveState === ValveState.OPEN ? ValveCommand.CLOSE : ValveCommand.OPEN;
+
+    if (command === ValveCommand.CLOSE) {
+      Alert.alert(
+        'Close Valve?',
+        'Water supply through this meter will be shut off until the valve is opened again.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Close Valve', style: 'destructive', onPress: () => runCommand(command) },
+        ]
+      );
+      return;
+    }
+    runCommand(command);
+  }, [valveState, runCommand]);
+
+  const isPending = pendingCommand !== null;
+  const shownState = isPending ? getTargetValveState(pendingCommand) : valveState;
+  const valve = VALVE_STYLES[shownState] || VALVE_STYLES[ValveState.UNKNOWN];
+  const isOpen = valveState === ValveState.OPEN;
+  const buttonDisabled = disabled || isPending;
+
+  return (
+    <LinearGradient
+      colors={['#1f293780', '#11182780']}
+      style={styles.container}
+    >
+      <View style={styles.stateRow}>
+        <Ionicons name={valve.icon} size={26} color={isPending ? '#9ca3af' : valve.color} />
+        <View style={styles.stateInfo}>
+          <Text style={styles.label}>Valve</Text>
+          <Text style={[styles.stateText, { color: isPending ? '#9ca3af' : valve.color }]}>
+            {isPending
+              ? `${pendingCommand === ValveCommand.OPEN ? 'Opening' : 'Closing'}...`
+              : valve.label}
+          </Text>
+        </View>
+        {isPending && <ActivityIndicator size="small" color="#06b6d4" />}
+      </View>
+
+      {isPending && (
+        <Text style={styles.pendingText}>Waiting for the device to confirm</Text>
+      )}
+
+      {!isPending && queuedCommand && (
+        <Text style={styles.pendingText}>
+          Queued: {queuedCommand.value === ValveCommand.OPEN ? 'open' : 'close'} when back online
+        </Text>
+      )}
+
+      {readOnly ? (
+        <Text style={styles.disabledText}>You have view-only access to this meter</Text>
+      ) : (
+        <AnimatedTouchable
+          style={[styles.button, buttonDisabled && styles.disabledButton, animatedStyle]}
+          onPress={handlePress}
+          onPressIn={() => { scale.value = withSpring(0.97, { damping: 15, stiffness: 300 }); }}
+          onPressOut={() => { scale.value = withSpring(1, { damping: 15, stiffness: 300 }); }}
+          activeOpacity={1}
+          disabled={buttonDisabled}
+        >
+          <LinearGradient
+            colors={isOpen ? ['#EF4444', '#DC2626'] : ['#10B981', '#059669']}
+            style={styles.buttonGradient}
+          >
+            <Ionicons
+              name={isOpen ? 'stop-circle' : 'play-circle'}
+              size={20}
+              color="#FFFFFF"
+              style={{ marginRight: 6 }}
+            />
+            <Text style={styles.buttonText}>{isOpen ? 'Close Valve' : 'Open Valve'}</Text>
+          </LinearGradient>
+        </AnimatedTouchable>
+      )}
+
+      {disabled && !readOnly && !isPending && (
+        <Text style={styles.disabledText}>Valve control is unavailable while the device is offline</Text>
+      )}
+    </LinearGradient>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#37415140',
+    padding: 18,
+    marginTop: 12,
+  },
+  stateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stateInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  label: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+  },
+  stateText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 2,
+  },
+  pendingText: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginTop: 8,
+  },
+  button: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginTop: 14,
+  },
+  buttonGradient: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  disabledText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default ValveControl;
@@ -1,14 +1,14 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useReducer } from 'react';
 import {
   View,
   Text,
   ScrollView,
   TouchableOpacity,
   StyleSheet,
-  Alert,
   Modal,
   TextInput,
   ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
@@ -19,12 +19,83 @@ import Animated, {
   withTiming,
   Easing,
 } from 'react-native-reanimated';
+import {
+  createProvisioningClient,
+  ProvisioningErrorCode,
+} from './ProvisioningClient';
+import {
+  resolveProvisioningEndpoint,
+  discoverProvisioningEndpoint,
+} from './provisioningEndpoint';
+import { createCloudProvisioningClient, getDeviceStatus } from './cloudProvisioning';
+import {
+  watchDeviceOnline,
+  VerificationOutcome,
+  VERIFY_TIMEOUT,
+} from './deviceVerification';
+import {
+  WizardStep,
+  WizardAction,
+  ProvisioningTransport,
+  getWizardSteps,
+  StepStatus,
+  NO_NETWORKS,
+  createInitialWizardState,
+  wizardReducer,
+  canGoNext,
+  canGoBack,
+  getStepIndex,
+  isNetworkOpen,
+  MAX_SSID_BYTES,
+} from './provisioningWizard';
+import { prepareOwnershipCredentials } from './provisioningCredentials';
+import { DeviceErrorCode } from './deviceRegistry';
+import { groupNetworksBySsid } from './wifiNetworks';
+import { isBatteryTooLowToProvision, PROVISIONING_MIN_BATTERY } from './batteryHealth';
+import {
+  getKnownNetworks,
+  getKnownNetworkPassword,
+  saveKnownNetwork,
+} from './knownNetworks';
 
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedTouchable = Animated.createAnimatedComponent(TouchableOpacity);
 
+// Registering the meter needs the internet; a write that cannot reach the
+// database would otherwise wait forever
+const OWNERSHIP_TIMEOUT = 15000;
+
+const OwnershipStatus = {
+  IDLE: 'idle',
+  PREPARING: 'preparing',
+  READY: 'ready',
+  ERROR: 'error',
+};
+
+const withTimeout = (promise, ms, message) => {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const getOwnershipError = (error) => (
+  error.code === DeviceErrorCode.ALREADY_OWNED
+    ? {
+      title: 'Owned by Another Account',
+      message: `${error.message} Ask its owner to remove it first.`,
+      canRetry: false,
+    }
+    : {
+      title: 'Could Not Register Device',
+      message: `Setup registers the meter to your account before you join its WiFi.\n\nError: ${error.message}`,
+      canRetry: true,
+    }
+);
+
 // WiFi Network Item Component
-const WiFiNetworkItem = React.memo(({ network, isSelected, onSelect, isScanning }) => {
+const WiFiNetworkItem = React.memo(({ network, isSelected, isKnown, onSelect, isScanning }) => {
   const scale = useSharedValue(1);
 
   const handlePressIn = () => {
@@ -64,14 +135,31 @@ const WiFiNetworkItem = React.memo(({ network, isSelected, onSelect, isScanning
         <View style={styles.wifiNetworkLeft}>
           <Ionicons name={signal.icon} size={24} color={signal.color} />
           <View style={styles.wifiNetworkInfo}>
-            <Text style={styles.wifiNetworkName} numberOfLines={1}>
-              {network.ssid}
-            </Text>
+            <View style={styles.wifiNetworkNameRow}>
+              <Text style={styles.wifiNetworkName} numberOfLines={1}>
+                {network.ssid}
+              </Text>
+              {isKnown && (
+                <View style={styles.knownBadge}>
+                  <Ionicons name="bookmark" size={10} color="#10B981" />
+                  <Text style={styles.knownBadgeText}>Saved</Text>
+                </View>
+              )}
+            </View>
             <Text style={[styles.wifiNetworkStrength, { color: signal.color }]}>
               {signal.strength} ({network.rssi} dBm)
             </Text>
+            {(network.accessPointCount > 1 || network.channels?.length > 0) && (
+              <Text style={styles.wifiNetworkDetails} numberOfLines={1}>
+                {network.accessPointCount > 1 ? `${network.accessPointCount} access points · ` : ''}
+                {network.channels.length > 0 ? `Ch ${network.channels.join(', ')}` : ''}
+              </Text>
+            )}
           </View>
         </View>
+        {network.saturated && (
+          <Ionicons name="warning" size={18} color="#F59E0B" style={{ marginRight: 8 }} />
+        )}
         {network.encryption !== 'OPEN' && (
           <Ionicons name="lock-closed" size={18} color="#9ca3af" />
         )}
@@ -83,26 +171,226 @@ const WiFiNetworkItem = React.memo(({ network, isSelected, onSelect, isScanning
   );
 });
 
-// Custom fetch with timeout
-const fetchWithTimeout = async (url, options = {}, timeout = 30000) => {
-  const controller = new AbortController();
-  const { signal } = controller;
-  
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal,
-    });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+// Other Network Item Component
+const OtherNetworkItem = ({ isSelected, onSelect, isScanning }) => (
+  <TouchableOpacity
+    style={[styles.wifiNetworkItem, isSelected && styles.wifiNetworkItemSelected]}
+    onPress={onSelect}
+    disabled={isScanning}
+  >
+    <LinearGradient
+      colors={isSelected ? ['#06b6d420', '#0891b220'] : ['#1f293780', '#11182780']}
+      style={styles.wifiNetworkGradient}
+    >
+      <View style={styles.wifiNetworkLeft}>
+        <Ionicons name="add-circle-outline" size={24} color="#9ca3af" />
+        <View style={styles.wifiNetworkInfo}>
+          <Text style={styles.wifiNetworkName}>Other network...</Text>
+          <Text style={[styles.wifiNetworkStrength, { color: '#9ca3af' }]}>
+            Hidden or not listed
+          </Text>
+        </View>
+      </View>
+      {isSelected && (
+        <Ionicons name="checkmark-circle" size={24} color="#06b6d4" style={{ marginLeft: 8 }} />
+      )}
+    </LinearGradient>
+  </TouchableOpacity>
+);
+
+const DEVICE_AP_PREFIX = 'SmartWM_';
+
+const STEP_TITLES = {
+  [WizardStep.JOIN_AP]: 'Join Device WiFi',
+  [WizardStep.CHECK_DEVICE]: 'Check Device',
+  [WizardStep.SELECT_NETWORK]: 'Choose Network',
+  [WizardStep.ENTER_PASSWORD]: 'Enter Password',
+  [WizardStep.SEND]: 'Send Settings',
+  [WizardStep.WAIT_ONLINE]: 'Wait for Device',
+  [WizardStep.DONE]: 'All Set',
+};
+
+// Failure copy for cloud-relayed steps
+const getCloudStepError = ({ step, error, selectedNetwork }) => {
+  const ssid = selectedNetwork?.ssid;
+
+  switch (step) {
+    case WizardStep.CHECK_DEVICE:
+      return {
+        title: 'Device Not Online',
+        message: `The device has not reported in to the cloud.\n\nUse Direct AP setup instead.\n\nError: ${error.message}`,
+        canRetry: true,
+      };
+    case WizardStep.SELECT_NETWORK:
+      if (error.code === NO_NETWORKS) {
+        return {
+          title: 'No Networks Found',
+          message: 'The device did not detect any WiFi networks.',
+          canRetry: true,
+        };
+      }
+      if (error.code === ProvisioningErrorCode.TIMEOUT) {
+        return {
+          title: 'Scan Timeout',
+          message: 'The device did not answer the scan request. It may have gone offline - try again or use Direct AP setup.',
+          canRetry: true,
+        };
+      }
+      return {
+        title: 'Scan Failed',
+        message: `Failed to request a scan from the device.\n\nError: ${error.message}`,
+        canRetry: error.code !== ProvisioningErrorCode.REJECTED,
+      };
+    case WizardStep.SEND:
+      return {
+        title: 'Configuration Failed',
+        message: `Failed to send WiFi settings through the cloud.\n\nError: ${error.message}`,
+        canRetry: error.code !== ProvisioningErrorCode.REJECTED,
+      };
+    case WizardStep.WAIT_ONLINE:
+      if (error.code === VerificationOutcome.WRONG_PASSWORD) {
+        return {
+          title: 'Wrong WiFi Password?',
+          message: `The device could not connect to "${ssid}" and is back on its previous network. Go back and check the password.`,
+          canRetry: false,
+        };
+      }
+      return {
+        title: 'Device Not Online Yet',
+        message: `The device has not reported in on "${ssid}" within ${VERIFY_TIMEOUT / 60000} minutes.\n\nPlease ensure:\n• "${ssid}" is in range of the device\n• The password is correct`,
+        canRetry: true,
+      };
+    default:
+      return {
+        title: 'Something Went Wrong',
+        message: error.message,
+        canRetry: false,
+      };
+  }
+};
+
+// Failure copy for the current step; codes come from ProvisioningClient,
+// deviceVerification and the wizard reducer
+const getStepError = (state) => {
+  const { step, error, endpoint, selectedNetwork, transport } = state;
+  if (!error) return null;
+  if (transport === ProvisioningTransport.CLOUD) return getCloudStepError(state);
+
+  const address = endpoint?.label;
+  const ssid = selectedNetwork?.ssid;
+
+  switch (step) {
+    case WizardStep.CHECK_DEVICE:
+      return {
+        title: 'Device Not Found',
+        message: `Could not reach the device at ${address}.\n\nPlease ensure:\n• Device is in AP mode\n• You are connected to device's WiFi`,
+        canRetry: true,
+      };
+    case WizardStep.SELECT_NETWORK:
+      if (error.code === NO_NETWORKS) {
+        return {
+          title: 'No Networks Found',
+          message: 'No WiFi networks were detected. Please ensure the device is powered on and in setup mode.',
+          canRetry: true,
+        };
+      }
+      if (error.code === ProvisioningErrorCode.TIMEOUT) {
+        return {
+          title: 'Scan Timeout',
+          message: `WiFi scan timed out after 30 seconds. Please ensure you are still connected to the device WiFi (${address}).`,
+          canRetry: true,
+        };
+      }
+      return {
+        title: 'Scan Failed',
+        message: `Failed to scan networks via Direct AP.\n\nError: ${error.message}`,
+        canRetry: true,
+      };
+    case WizardStep.SEND:
+      if (error.code === ProvisioningErrorCode.TIMEOUT) {
+        return {
+          title: 'Configuration Timeout',
+          message: `WiFi configuration timed out after 60 seconds. Please check the device at ${address} and try again.`,
+          canRetry: true,
+        };
+      }
+      if (error.code === ProvisioningErrorCode.REJECTED) {
+        return {
+          title: 'Settings Rejected',
+          message: `The device refused the WiFi settings.\n\nError: ${error.message}`,
+          canRetry: false,
+        };
+      }
+      return {
+        title: 'Configuration Failed',
+        message: `Failed to configure WiFi via Direct AP.\n\nError: ${error.message}\n\nDevice address: ${address}`,
+        canRetry: true,
+      };
+    case WizardStep.WAIT_ONLINE:
+      if (error.code === VerificationOutcome.WRONG_PASSWORD) {
+        return {
+          title: 'Wrong WiFi Password?',
+          message: `The device could not connect to "${ssid}" and has returned to setup mode. Go back and check the password.`,
+          canRetry: false,
+        };
+      }
+      return {
+        title: 'Device Not Online Yet',
+        message: `The device has not come online within ${VERIFY_TIMEOUT / 60000} minutes.\n\nPlease ensure:\n• Your phone is back on your normal network\n• "${ssid}" is in range of the device\n• The password is correct`,
+        canRetry: true,
+      };
+    default:
+      return {
+        title: 'Something Went Wrong',
+        message: error.message,
+        canRetry: false,
+      };
   }
 };
 
+// Step Progress Component
+const StepProgress = React.memo(({ step, transport }) => {
+  const steps = getWizardSteps(transport);
+  const currentIndex = getStepIndex(step, transport);
+
+  return (
+    <View style={styles.progressContainer}>
+      <View style={styles.progressDots}>
+        {steps.map((item, index) => (
+          <View
+            key={item}
+            style={[
+              styles.progressDot,
+              index < currentIndex && styles.progressDotDone,
+              index === currentIndex && styles.progressDotActive,
+            ]}
+          />
+        ))}
+      </View>
+      <Text style={styles.progressText}>
+        Step {currentIndex + 1} of {steps.length} · {STEP_TITLES[step]}
+      </Text>
+    </View>
+  );
+});
+
+// Step Error Component
+const StepError = ({ error, onRetry }) => (
+  <View style={styles.errorBox}>
+    <View style={styles.errorHeader}>
+      <Ionicons name="alert-circle" size={20} color="#EF4444" />
+      <Text style={styles.errorTitle}>{error.title}</Text>
+    </View>
+    <Text style={styles.errorMessage}>{error.message}</Text>
+    {error.canRetry && (
+      <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
+        <Ionicons name="refresh" size={16} color="#06b6d4" style={{ marginRight: 6 }} />
+        <Text style={styles.retryButtonText}>Try Again</Text>
+      </TouchableOpacity>
+    )}
+  </View>
+);
+
 const WiFiConfigModal = ({ 
   visible, 
   onClose, 
@@ -110,16 +398,34 @@ const WiFiConfigModal = ({
   userId 
 }) => {
   const mountedRef = useRef(true);
-  const wifiScanTimerRef = useRef(null);
   const wifiListenerRef = useRef(null);
+  const credentialsRef = useRef(null);
   const cleanupFunctionsRef = useRef([]);
-  
-  const [wifiNetworks, setWifiNetworks] = useState([]);
-  const [selectedNetwork, setSelectedNetwork] = useState(null);
-  const [wifiPassword, setWifiPassword] = useState('');
-  const [isScanning, setIsScanning] = useState(false);
+
+  const [state, dispatch] = useReducer(
+    wizardReducer,
+    device,
+    (initialDevice) => createInitialWizardState(resolveProvisioningEndpoint(initialDevice))
+  );
+  const {
+    step,
+    status,
+    attempt,
+    transport,
+    endpoint,
+    deviceInfo,
+    networks,
+    selectedNetwork,
+    password,
+  } = state;
+  const isBusy = status === StepStatus.BUSY;
+  const isCloud = transport === ProvisioningTransport.CLOUD;
+  const stepError = status === StepStatus.ERROR ? getStepError(state) : null;
+
   const [showPassword, setShowPassword] = useState(false);
-  const [isConfiguring, setIsConfiguring] = useState(false);
+  const [knownSsids, setKnownSsids] = useState([]);
+  const [usingSavedPassword, setUsingSavedPassword] = useState(false);
+  const [ownership, setOwnership] = useState({ status: OwnershipStatus.IDLE, error: null });
 
   // Modal animation
   const modalScale = useSharedValue(0);
@@ -134,12 +440,23 @@ const WiFiConfigModal = ({
   useEffect(() => {
     if (visible) {
       modalScale.value = withSpring(1, { damping: 12, stiffness: 400, mass: 0.5 });
-      // Auto-scan when modal opens
-      setTimeout(() => {
-        if (mountedRef.current && device?.deviceId) {
-          scanWifiNetworksViaHTTP(device.deviceId);
+      dispatch({ type: WizardAction.RESET, endpoint: resolveProvisioningEndpoint(device) });
+      credentialsRef.current = null;
+      setOwnership({ status: OwnershipStatus.IDLE, error: null });
+      getKnownNetworks(userId).then((known) => {
+        if (mountedRef.current) {
+          setKnownSsids(known.map(network => network.ssid));
         }
-      }, 500);
+      });
+      // Online devices can be reconfigured without joining their AP
+      if (device?.deviceId) {
+        getDeviceStatus(device.deviceId).then((deviceStatus) => {
+          if (mountedRef.current && deviceStatus === 'online') {
+            console.log('☁️ Device is online, using cloud provisioning');
+            dispatch({ type: WizardAction.SET_TRANSPORT, transport: ProvisioningTransport.CLOUD });
+          }
+        });
+      }
     } else {
       modalScale.value = withTiming(0, { duration: 150, easing: Easing.in(Easing.ease) });
     }
@@ -152,14 +469,8 @@ const WiFiConfigModal = ({
 
   // Comprehensive cleanup function
   const cleanupWifiListener = useCallback(() => {
-    if (wifiScanTimerRef.current) {
-      clearTimeout(wifiScanTimerRef.current);
-      wifiScanTimerRef.current = null;
-    }
-
     if (wifiListenerRef.current) {
       try {
-        // Firebase cleanup if needed
         wifiListenerRef.current();
       } catch (error) {
         console.log('Error removing listener:', error);
@@ -177,188 +488,168 @@ const WiFiConfigModal = ({
     cleanupFunctionsRef.current = [];
   }, []);
 
-  // DIRECT AP - WiFi Scan via HTTP
-  const scanWifiNetworksViaHTTP = useCallback(async (deviceId) => {
-    if (!deviceId || isScanning || !userId) {
-      console.log('Scan cancelled:', { 
-        hasDevice: !!deviceId, 
-        isScanning, 
-        hasUser: !!userId 
-      });
-      return;
-    }
+  // Scan and configure go to the AP web server or through the database
+  const getClient = () => (
+    isCloud
+      ? createCloudProvisioningClient({ deviceId: device.deviceId })
+      : createProvisioningClient({ baseUrl: endpoint.baseUrl })
+  );
 
-    cleanupWifiListener();
+  // CHECK DEVICE - locate the device and read /device-info
+  useEffect(() => {
+    if (step !== WizardStep.CHECK_DEVICE || !isBusy) return;
 
-    if (!mountedRef.current) return;
+    if (isCloud) {
+      (async () => {
+        try {
+          console.log('🔎 Reading device info from the cloud');
+          const info = await getClient().getDeviceInfo();
+          if (info.status !== 'online') {
+            throw new Error(info.status === 'offline'
+              ? 'Device has not reported in recently'
+              : `Device status is "${info.status || 'unknown'}"`);
+          }
+          if (mountedRef.current) {
+            dispatch({ type: WizardAction.CHECK_SUCCEEDED, attempt, deviceInfo: info });
+          }
+        } catch (error) {
+          console.error('❌ Cloud device check error:', error);
+          if (mountedRef.current) {
+            dispatch({ type: WizardAction.CHECK_FAILED, attempt, error });
+          }
+        }
+      })();
+      return;
+    }
 
-    setIsScanning(true);
-    setWifiNetworks([]);
+    (async () => {
+      console.log('🔎 Looking for device via Direct AP');
+      const found = await discoverProvisioningEndpoint(device);
+      if (!mountedRef.current) return;
 
-    try {
-      console.log('📡 Starting Direct AP WiFi scan via HTTP');
-      
-      const deviceIP = '192.168.4.1';
-      console.log(`🌐 Device IP: ${deviceIP}`);
-
-      const scanUrl = `http://${deviceIP}/scan`;
-      console.log(`📤 Sending HTTP GET to: ${scanUrl}`);
-      
-      const response = await fetchWithTimeout(scanUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        },
-      }, 30000);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (found) {
+        console.log(`✅ Device ${found.deviceInfo.deviceId} at ${found.endpoint.label}`);
+        dispatch({
+          type: WizardAction.CHECK_SUCCEEDED,
+          attempt,
+          endpoint: found.endpoint,
+          deviceInfo: found.deviceInfo,
+        });
+      } else {
+        dispatch({
+          type: WizardAction.CHECK_FAILED,
+          attempt,
+          error: { code: ProvisioningErrorCode.UNREACHABLE },
+        });
       }
+    })();
+  }, [step, isBusy, attempt]);
 
-      const data = await response.json();
-      console.log('📊 Scan response received:', data);
+  // WiFi Scan via HTTP (Direct AP) or commands/scanWifi (cloud)
+  useEffect(() => {
+    if (step !== WizardStep.SELECT_NETWORK || !isBusy) return;
 
-      if (data.success && data.networks && Array.isArray(data.networks)) {
-        const validNetworks = data.networks
-          .filter(network => network && network.ssid && network.ssid.trim() !== '')
-          .sort((a, b) => (b.rssi || -100) - (a.rssi || -100));
+    (async () => {
+      try {
+        console.log(isCloud
+          ? '📡 Requesting WiFi scan through the cloud'
+          : `📡 Starting Direct AP WiFi scan via ${endpoint.baseUrl}`);
+        const result = await getClient().scan();
+        const grouped = groupNetworksBySsid(result.networks);
+        console.log(`✅ Found ${result.networks.length} access points, ${grouped.length} networks`);
 
-        console.log(`✅ Found ${validNetworks.length} valid networks`);
-        
         if (mountedRef.current) {
-          setWifiNetworks(validNetworks);
-          setIsScanning(false);
+          dispatch({ type: WizardAction.SCAN_SUCCEEDED, attempt, networks: grouped });
         }
-      } else {
-        console.log('⚠️ No networks found in response');
+      } catch (error) {
+        console.error('❌ WiFi scan error:', error);
         if (mountedRef.current) {
-          setIsScanning(false);
-          Alert.alert(
-            'No Networks Found',
-            'No WiFi networks were detected. Please ensure the device is powered on and in setup mode.',
-            [{ text: 'OK' }]
-          );
+          dispatch({ type: WizardAction.SCAN_FAILED, attempt, error });
         }
       }
+    })();
+  }, [step, isBusy, attempt]);
 
-    } catch (error) {
-      console.error('❌ Direct AP WiFi scan error:', error);
-      if (mountedRef.current) {
-        setIsScanning(false);
-        if (error.name === 'AbortError') {
-          Alert.alert(
-            'Scan Timeout',
-            'WiFi scan timed out after 30 seconds. Please ensure:\n• Device is in AP mode\n• You are connected to device\'s WiFi\n• Device IP is 192.168.4.1',
-            [{ text: 'OK' }]
-          );
+  // WiFi Configuration via HTTP (Direct AP) or wifiConfig (cloud)
+  useEffect(() => {
+    if (step !== WizardStep.SEND || !isBusy) return;
+
+    (async () => {
+      try {
+        if (isCloud) {
+          console.log('📤 Sending WiFi configuration through the cloud');
         } else {
-          Alert.alert(
-            'Scan Failed',
-            `Failed to scan networks via Direct AP.\n\nError: ${error.message}\n\nPlease ensure:\n• Device is in AP mode\n• You are connected to device's WiFi\n• Device IP is 192.168.4.1`,
-            [{ text: 'OK' }]
-          );
+          console.log('📤 Sending WiFi configuration via HTTP POST');
+          console.log(`🌐 URL: ${endpoint.baseUrl}/configure`);
         }
-      }
-    }
-  }, [isScanning, userId, cleanupWifiListener]);
-
-  // DIRECT AP - WiFi Configuration via HTTP
-  const configureWifiViaHTTP = useCallback(async () => {
-    if (!device?.deviceId || !selectedNetwork || isConfiguring || !userId) {
-      Alert.alert('Error', 'Please select a network');
-      return;
-    }
+        console.log(`📶 Network: ${selectedNetwork.ssid}`);
 
-    if (selectedNetwork.encryption !== 'OPEN' && !wifiPassword) {
-      Alert.alert('Error', 'Please enter the WiFi password');
-      return;
-    }
-
-    setIsConfiguring(true);
-
-    try {
-      const deviceId = device.deviceId;
-      const deviceIP = '192.168.4.1';
-
-      const configUrl = `http://${deviceIP}/configure`;
-      const configData = {
-        ssid: selectedNetwork.ssid,
-        password: wifiPassword || ''
-      };
-
-      console.log('📤 Sending WiFi configuration via HTTP POST');
-      console.log(`🌐 URL: ${configUrl}`);
-      console.log(`📶 Network: ${selectedNetwork.ssid}`);
-
-      const response = await fetchWithTimeout(configUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        body: JSON.stringify(configData),
-      }, 60000);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+        // An online device is already bound to its owner; AP setup got its
+        // credentials before the phone left its normal network
+        const credentials = isCloud ? null : credentialsRef.current;
+        if (!isCloud && !credentials) {
+          console.log('⚠️ Sending without ownership credentials');
+        }
 
-      const result = await response.json();
-      console.log('📊 Configuration response:', result);
+        const result = await getClient().configure({
+          ssid: selectedNetwork.ssid,
+          password: isNetworkOpen(selectedNetwork) ? '' : password,
+          uid: credentials?.uid,
+          pairingCode: credentials?.pairingCode,
+        });
+        console.log('📊 Configuration response:', result);
 
-      if (result.success) {
-        console.log('✅ WiFi configuration successful!');
-        
         if (mountedRef.current) {
-          setIsConfiguring(false);
-          
-          Alert.alert(
-            'WiFi Connected!',
-            `Device successfully connected to "${selectedNetwork.ssid}".\n\nThe device will now connect to your WiFi network. You can monitor it from the Home screen.`,
-            [
-              {
-                text: 'OK',
-                onPress: () => {
-                  if (mountedRef.current) {
-                    handleClose();
-                  }
-                }
-              }
-            ]
-          );
+          dispatch({ type: WizardAction.SEND_SUCCEEDED, attempt });
+        }
+      } catch (error) {
+        console.error('❌ WiFi configuration error:', error);
+        if (mountedRef.current) {
+          dispatch({ type: WizardAction.SEND_FAILED, attempt, error });
         }
-      } else {
-        throw new Error(result.error || 'Configuration failed');
       }
+    })();
+  }, [step, isBusy, attempt]);
 
-    } catch (error) {
-      console.error('❌ WiFi configuration error:', error);
-      if (mountedRef.current) {
-        setIsConfiguring(false);
-        if (error.name === 'AbortError') {
-          Alert.alert(
-            'Configuration Timeout',
-            'WiFi configuration timed out after 60 seconds. Please check the device and try again.',
-            [{ text: 'OK' }]
-          );
+  // WAIT ONLINE - Firebase listener lives in wifiListenerRef
+  useEffect(() => {
+    if (step !== WizardStep.WAIT_ONLINE || !isBusy || !device?.deviceId) return;
+
+    cleanupWifiListener();
+    wifiListenerRef.current = watchDeviceOnline({
+      deviceId: device.deviceId,
+      baseUrl: isCloud ? null : endpoint.baseUrl,
+      ssid: selectedNetwork.ssid,
+      remote: isCloud,
+      onResult: (outcome) => {
+        if (isCloud && outcome === VerificationOutcome.TIMEOUT) {
+          createCloudProvisioningClient({ deviceId: device.deviceId }).clearPendingPassword();
+        }
+        if (outcome === VerificationOutcome.ONLINE) {
+          // Only networks the device actually joined are remembered
+          saveKnownNetwork(userId, {
+            ssid: selectedNetwork.ssid,
+            password: isNetworkOpen(selectedNetwork) ? '' : password,
+            encryption: selectedNetwork.encryption,
+          }).catch(error => console.log('Error saving known network:', error));
+        }
+        if (!mountedRef.current) return;
+        if (outcome === VerificationOutcome.ONLINE) {
+          dispatch({ type: WizardAction.VERIFY_SUCCEEDED, attempt });
         } else {
-          Alert.alert(
-            'Configuration Failed',
-            `Failed to configure WiFi via Direct AP.\n\nError: ${error.message}\n\nPlease check the password and try again.`,
-            [{ text: 'OK' }]
-          );
+          dispatch({ type: WizardAction.VERIFY_FAILED, attempt, error: { code: outcome } });
         }
-      }
-    }
-  }, [device, selectedNetwork, wifiPassword, isConfiguring, userId]);
+      },
+    });
+
+    return cleanupWifiListener;
+  }, [step, isBusy, attempt, cleanupWifiListener]);
 
   const handleClose = useCallback(() => {
-    setSelectedNetwork(null);
-    setWifiPassword('');
-    setWifiNetworks([]);
-    setIsScanning(false);
-    setShowPassword(false);
     cleanupWifiListener();
+    setShowPassword(false);
+    setUsingSavedPassword(false);
+    dispatch({ type: WizardAction.RESET });
     onClose();
   }, [onClose, cleanupWifiListener]);
 
@@ -370,49 +661,183 @@ const WiFiConfigModal = ({
     };
   }, [cleanupWifiListener]);
 
-  return (
-    <Modal
-      visible={visible}
-      transparent
-      animationType="none"
-      onRequestClose={handleClose}
-    >
-      <View style={styles.modalOverlay}>
-        <AnimatedView style={[styles.modalContent, modalAnimatedStyle]}>
-          <LinearGradient
-            colors={['#1F2937', '#111827']}
-            style={styles.modalGradient}
-          >
-            <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Configure WiFi (Direct AP)</Text>
-              <TouchableOpacity onPress={handleClose}>
-                <Ionicons name="close" size={24} color="#9ca3af" />
-              </TouchableOpacity>
-            </View>
+  const batteryTooLow = isBatteryTooLowToProvision(deviceInfo?.batteryPercentage);
+
+  // Claims the meter and leaves a pairing code once the user commits to AP
+  // setup, while the phone is still on its normal network. The cloud path
+  // and a cancelled setup never write either.
+  const prepareOwnership = useCallback(async () => {
+    setOwnership({ status: OwnershipStatus.PREPARING, error: null });
+    try {
+      const credentials = await withTimeout(
+        prepareOwnershipCredentials(userId, device.deviceId, device.name),
+        OWNERSHIP_TIMEOUT,
+        'Could not reach your account in time. Check your internet connection.'
+      );
+      if (!credentials) {
+        throw new Error('Could not reach your account. Check your internet connection.');
+      }
+      credentialsRef.current = credentials;
+      if (mountedRef.current) {
+        setOwnership({ status: OwnershipStatus.READY, error: null });
+      }
+    } catch (error) {
+      console.error('❌ Ownership credentials error:', error);
+      if (mountedRef.current) {
+        setOwnership({ status: OwnershipStatus.ERROR, error });
+      }
+    }
+  }, [userId, device]);
+
+  const ownershipReady = ownership.status === OwnershipStatus.READY;
+  const ownershipError = ownership.status === OwnershipStatus.ERROR
+    ? getOwnershipError(ownership.error)
+    : null;
+
+  const handleNext = useCallback(() => {
+    if (step === WizardStep.DONE) {
+      handleClose();
+      return;
+    }
+    if (step === WizardStep.JOIN_AP && !ownershipReady) {
+      prepareOwnership();
+      return;
+    }
+    // The device restarts and reconnects after /configure; a weak battery
+    // can leave it stuck halfway
+    if (step === WizardStep.CHECK_DEVICE && batteryTooLow) {
+      Alert.alert(
+        'Battery Too Low',
+        `The device battery is at ${deviceInfo.batteryPercentage}%. Changing WiFi restarts the device, which may not finish below ${PROVISIONING_MIN_BATTERY}%.\n\nCharge the device first if you can.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Continue Anyway', style: 'destructive', onPress: () => dispatch({ type: WizardAction.NEXT }) },
+        ]
+      );
+      return;
+    }
+    dispatch({ type: WizardAction.NEXT });
+  }, [step, handleClose, batteryTooLow, deviceInfo, ownershipReady, prepareOwnership]);
+
+  const handleSelectNetwork = useCallback(async (network) => {
+    // The cloud path relays the password through the database, so a saved
+    // password is never put there without the user typing it
+    const savedPassword = !isCloud && knownSsids.includes(network.ssid) && !isNetworkOpen(network)
+      ? await getKnownNetworkPassword(userId, network.ssid)
+      : null;
+    if (!mountedRef.current) return;
+
+    setUsingSavedPassword(savedPassword !== null);
+    dispatch({
+      type: WizardAction.SELECT_NETWORK,
+      network,
+      password: savedPassword ?? undefined,
+    });
+  }, [knownSsids, userId, isCloud]);
+
+  const canStart = !!device?.deviceId && !!userId &&
+    ownership.status !== OwnershipStatus.PREPARING && (ownershipError?.canRetry ?? true);
+  const nextEnabled = step === WizardStep.DONE ||
+    (canGoNext(state) && (step !== WizardStep.JOIN_AP || canStart));
 
+  const nextLabel = {
+    [WizardStep.JOIN_AP]: ownershipReady ? "I'm Connected" : 'Start Setup',
+    [WizardStep.ENTER_PASSWORD]: 'Connect',
+    [WizardStep.DONE]: 'Done',
+  }[step] || 'Next';
+
+  const renderStepBody = () => {
+    switch (step) {
+      case WizardStep.JOIN_AP:
+        if (!ownershipReady) {
+          return (
+            <View style={styles.stepBody}>
+              <Text style={styles.modalSubtitle}>
+                Setup first registers this meter to your account while your phone still has internet. Then you will join the device's WiFi.
+              </Text>
+              {ownership.status === OwnershipStatus.PREPARING && (
+                <View style={styles.scanningIndicator}>
+                  <ActivityIndicator size="small" color="#06b6d4" />
+                  <Text style={styles.scanningText}>Registering the meter...</Text>
+                </View>
+              )}
+              {ownershipError && (
+                <StepError error={ownershipError} onRetry={prepareOwnership} />
+              )}
+            </View>
+          );
+        }
+        return (
+          <View style={styles.stepBody}>
             <Text style={styles.modalSubtitle}>
-              Connect to device WiFi network first, then select your home network
+              Open your phone's WiFi settings and join the device network, then come back here.
             </Text>
-
-            {/* Device IP Info */}
-            <View style={styles.ipInfoBox}>
-              <Ionicons name="information-circle" size={20} color="#06b6d4" />
-              <Text style={styles.ipInfoText}>
-                Device IP: 192.168.4.1
+            <View style={styles.apNameBox}>
+              <Ionicons name="wifi" size={22} color="#06b6d4" />
+              <Text style={styles.apNameText}>
+                {DEVICE_AP_PREFIX}{device?.deviceId || '...'}
               </Text>
             </View>
+            <Text style={styles.stepHint}>
+              The device shows this name on its screen while it is in setup mode.
+            </Text>
+          </View>
+        );
+
+      case WizardStep.CHECK_DEVICE:
+        return (
+          <View style={styles.stepBody}>
+            {isBusy && (
+              <View style={styles.scanningIndicator}>
+                <ActivityIndicator size="small" color="#06b6d4" />
+                <Text style={styles.scanningText}>Contacting device...</Text>
+              </View>
+            )}
+            {deviceInfo && (
+              <View style={styles.deviceInfoCard}>
+                <View style={styles.deviceInfoRow}>
+                  <Text style={styles.deviceInfoLabel}>Device</Text>
+                  <Text style={styles.deviceInfoValue}>{deviceInfo.deviceId || device?.deviceId}</Text>
+                </View>
+                <View style={styles.deviceInfoRow}>
+                  <Text style={styles.deviceInfoLabel}>Firmware</Text>
+                  <Text style={styles.deviceInfoValue}>{deviceInfo.version || 'Unknown'}</Text>
+                </View>
+                <View style={styles.deviceInfoRow}>
+                  <Text style={styles.deviceInfoLabel}>Battery</Text>
+                  <Text style={[styles.deviceInfoValue, batteryTooLow && { color: '#EF4444' }]}>
+                    {deviceInfo.batteryPercentage !== null ? `${deviceInfo.batteryPercentage}%` : 'Unknown'}
+                  </Text>
+                </View>
+              </View>
+            )}
+            {batteryTooLow && (
+              <View style={styles.batteryWarning}>
+                <Ionicons name="battery-dead" size={20} color="#F59E0B" />
+                <Text style={styles.batteryWarningText}>
+                  Battery is below {PROVISIONING_MIN_BATTERY}%. The device may not have enough power to restart and join the new network.
+                </Text>
+              </View>
+            )}
+          </View>
+        );
 
+      case WizardStep.SELECT_NETWORK:
+        return (
+          <View style={styles.stepBody}>
             {/* Scan Status */}
             <View style={styles.scanStatus}>
-              {isScanning && (
+              {isBusy && (
                 <View style={styles.scanningIndicator}>
                   <ActivityIndicator size="small" color="#06b6d4" />
-                  <Text style={styles.scanningText}>Scanning via Direct AP...</Text>
+                  <Text style={styles.scanningText}>
+                    {isCloud ? 'Scanning via device...' : 'Scanning via Direct AP...'}
+                  </Text>
                 </View>
               )}
-              {wifiNetworks.length > 0 && !isScanning && (
+              {networks.length > 0 && !isBusy && (
                 <Text style={styles.networksFoundText}>
-                  {wifiNetworks.length} network{wifiNetworks.length !== 1 ? 's' : ''} found
+                  {networks.length} network{networks.length !== 1 ? 's' : ''} found
                 </Text>
               )}
             </View>
@@ -420,14 +845,14 @@ const WiFiConfigModal = ({
             {/* Scan Button */}
             <TouchableOpacity 
               style={styles.scanButton}
-              onPress={() => scanWifiNetworksViaHTTP(device?.deviceId)}
-              disabled={isScanning || !device?.deviceId}
+              onPress={() => dispatch({ type: WizardAction.RETRY })}
+              disabled={isBusy}
             >
               <LinearGradient
                 colors={['#06b6d420', '#0891b220']}
                 style={styles.scanButtonGradient}
               >
-                {isScanning ? (
+                {isBusy ? (
                   <>
                     <ActivityIndicator size="small" color="#06b6d4" style={{ marginRight: 8 }} />
                     <Text style={styles.scanButtonText}>Scanning...</Text>
@@ -441,45 +866,125 @@ const WiFiConfigModal = ({
               </LinearGradient>
             </TouchableOpacity>
 
+            {networks.some(network => network.saturated) && (
+              <Text style={styles.saturatedHint}>
+                <Ionicons name="warning" size={12} color="#F59E0B" /> Busy 2.4 GHz channel, the device may have a weaker connection
+              </Text>
+            )}
+
             {/* WiFi Networks List */}
             <ScrollView 
               style={styles.wifiNetworksList}
               showsVerticalScrollIndicator={false}
             >
-              {wifiNetworks.length > 0 ? (
-                wifiNetworks.map((network, index) => (
+              {networks.length > 0 ? (
+                networks.map((network) => (
                   <WiFiNetworkItem
-                    key={`${network.ssid}-${index}-${network.rssi}`}
+                    key={network.ssid}
                     network={network}
-                    isSelected={selectedNetwork?.ssid === network.ssid}
-                    onSelect={setSelectedNetwork}
-                    isScanning={isScanning}
+                    isSelected={!selectedNetwork?.manual && selectedNetwork?.ssid === network.ssid}
+                    isKnown={knownSsids.includes(network.ssid)}
+                    onSelect={handleSelectNetwork}
+                    isScanning={isBusy}
                   />
                 ))
               ) : (
                 <View style={styles.emptyWifiState}>
                   <Ionicons name="wifi-outline" size={48} color="#37415180" />
                   <Text style={styles.emptyWifiText}>
-                    {isScanning ? 'Scanning for networks...' : 'No networks found'}
+                    {isBusy ? 'Scanning for networks...' : 'No networks found'}
                   </Text>
                   <Text style={styles.emptyWifiSubtext}>
-                    {isScanning 
+                    {isBusy 
                       ? 'Connecting to device via Direct AP...' 
                       : 'Ensure you are connected to device WiFi and tap "Scan Networks"'}
                   </Text>
                 </View>
               )}
+              <OtherNetworkItem
+                isSelected={!!selectedNetwork?.manual}
+                onSelect={() => {
+                  setUsingSavedPassword(false);
+                  dispatch({ type: WizardAction.SELECT_OTHER_NETWORK });
+                }}
+                isScanning={isBusy}
+              />
             </ScrollView>
+          </View>
+        );
+
+      case WizardStep.ENTER_PASSWORD:
+        return (
+          <View style={styles.stepBody}>
+            {selectedNetwork?.manual ? (
+              <View style={styles.manualNetworkSection}>
+                <Text style={styles.inputLabel}>Network Name (SSID)</Text>
+                <TextInput
+                  style={styles.textInput}
+                  value={selectedNetwork.ssid}
+                  onChangeText={(text) => dispatch({ type: WizardAction.UPDATE_OTHER_NETWORK, ssid: text })}
+                  placeholder="Enter network name"
+                  placeholderTextColor="#6B7280"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  maxLength={MAX_SSID_BYTES}
+                />
+
+                <Text style={[styles.inputLabel, { marginTop: 16 }]}>Security</Text>
+                <View style={styles.securityOptions}>
+                  {[
+                    { value: 'SECURED', label: 'Secured', icon: 'lock-closed' },
+                    { value: 'OPEN', label: 'Open', icon: 'lock-open' },
+                  ].map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.securityOption,
+                        selectedNetwork.encryption === option.value && styles.securityOptionSelected,
+                      ]}
+                      onPress={() => dispatch({ type: WizardAction.UPDATE_OTHER_NETWORK, encryption: option.value })}
+                    >
+                      <Ionicons
+                        name={option.icon}
+                        size={16}
+                        color={selectedNetwork.encryption === option.value ? '#06b6d4' : '#9ca3af'}
+                        style={{ marginRight: 6 }}
+                      />
+                      <Text
+                        style={[
+                          styles.securityOptionText,
+                          selectedNetwork.encryption === option.value && styles.securityOptionTextSelected,
+                        ]}
+                      >
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            ) : (
+              <View style={styles.selectedNetworkBox}>
+                <Ionicons name="wifi" size={20} color="#06b6d4" />
+                <Text style={styles.selectedNetworkText} numberOfLines={1}>
+                  {selectedNetwork?.ssid}
+                </Text>
+              </View>
+            )}
 
             {/* Password Input */}
-            {selectedNetwork && selectedNetwork.encryption !== 'OPEN' && (
+            {isNetworkOpen(selectedNetwork) ? (
+              <Text style={styles.stepHint}>This is an open network, no password needed.</Text>
+            ) : (
               <View style={styles.passwordSection}>
                 <Text style={styles.inputLabel}>WiFi Password</Text>
                 <View style={styles.passwordInputContainer}>
                   <TextInput
                     style={styles.passwordInput}
-                    value={wifiPassword}
-                    onChangeText={setWifiPassword}
+                    value={password}
+                    onChangeText={(text) => {
+                      setUsingSavedPassword(false);
+                      dispatch({ type: WizardAction.SET_PASSWORD, password: text });
+                    }}
                     placeholder="Enter WiFi password"
                     placeholderTextColor="#6B7280"
                     secureTextEntry={!showPassword}
@@ -496,36 +1001,171 @@ const WiFiConfigModal = ({
                     />
                   </TouchableOpacity>
                 </View>
+                {usingSavedPassword && (
+                  <Text style={styles.savedPasswordHint}>Using saved password</Text>
+                )}
+                {isCloud && (
+                  <Text style={styles.cloudPasswordHint}>
+                    Sent through the cloud: the password is stored briefly until the device reads and deletes it. Saved passwords are not filled in here; use Direct AP setup to keep it off the cloud.
+                  </Text>
+                )}
+              </View>
+            )}
+          </View>
+        );
+
+      case WizardStep.SEND:
+        return (
+          <View style={styles.stepBody}>
+            {isBusy && (
+              <View style={styles.scanningIndicator}>
+                <ActivityIndicator size="small" color="#06b6d4" />
+                <Text style={styles.scanningText}>Sending WiFi settings to device...</Text>
+              </View>
+            )}
+          </View>
+        );
+
+      case WizardStep.WAIT_ONLINE:
+        return (
+          <View style={styles.stepBody}>
+            {isBusy && (
+              <View style={styles.verifyingBox}>
+                <ActivityIndicator size="small" color="#06b6d4" />
+                <View style={styles.verifyingInfo}>
+                  <Text style={styles.verifyingText}>
+                    {isCloud ? 'Device is switching networks...' : 'Waiting for device to come online...'}
+                  </Text>
+                  <Text style={styles.verifyingSubtext}>
+                    {isCloud
+                      ? 'It will report in again once it has joined the new network'
+                      : 'Reconnect your phone to your normal WiFi network'}
+                  </Text>
+                </View>
               </View>
             )}
+          </View>
+        );
 
-            {/* Action Buttons */}
-            <View style={styles.modalButtons}>
+      case WizardStep.DONE:
+        return (
+          <View style={[styles.stepBody, styles.doneBody]}>
+            <Ionicons name="checkmark-circle" size={56} color="#10B981" />
+            <Text style={styles.doneTitle}>WiFi Connected!</Text>
+            <Text style={styles.doneText}>
+              Device is online on "{selectedNetwork?.ssid}". You can monitor it from the Home screen.
+            </Text>
+          </View>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={handleClose}
+    >
+      <View style={styles.modalOverlay}>
+        <AnimatedView style={[styles.modalContent, modalAnimatedStyle]}>
+          <LinearGradient
+            colors={['#1F2937', '#111827']}
+            style={styles.modalGradient}
+          >
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                Configure WiFi ({isCloud ? 'Cloud' : 'Direct AP'})
+              </Text>
+              <TouchableOpacity onPress={handleClose}>
+                <Ionicons name="close" size={24} color="#9ca3af" />
+              </TouchableOpacity>
+            </View>
+
+            <StepProgress step={step} transport={transport} />
+
+            {/* Device Address Info */}
+            {!isCloud && step !== WizardStep.DONE && (
+              <View style={styles.ipInfoBox}>
+                <Ionicons name="information-circle" size={20} color="#06b6d4" />
+                <Text style={styles.ipInfoText}>
+                  Device address: {endpoint.label}
+                </Text>
+              </View>
+            )}
+
+            {renderStepBody()}
+
+            {stepError && (
+              <StepError
+                error={stepError}
+                onRetry={() => dispatch({ type: WizardAction.RETRY })}
+              />
+            )}
+
+            {isCloud && step === WizardStep.CHECK_DEVICE && (
               <TouchableOpacity
-                style={[styles.modalButton, styles.cancelButton]}
-                onPress={handleClose}
+                style={styles.transportLink}
+                onPress={() => dispatch({
+                  type: WizardAction.SET_TRANSPORT,
+                  transport: ProvisioningTransport.DIRECT_AP,
+                })}
               >
-                <Text style={styles.cancelButtonText}>Skip WiFi</Text>
+                <Text style={styles.transportLinkText}>Use Direct AP setup instead</Text>
               </TouchableOpacity>
+            )}
+
+            {/* Action Buttons */}
+            <View style={styles.modalButtons}>
+              {(step === WizardStep.JOIN_AP || (isCloud && step === WizardStep.CHECK_DEVICE)) && (
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={handleClose}
+                >
+                  <Text style={styles.cancelButtonText}>{isCloud ? 'Cancel' : 'Skip WiFi'}</Text>
+                </TouchableOpacity>
+              )}
+              {step !== WizardStep.JOIN_AP && step !== WizardStep.DONE &&
+                !(isCloud && step === WizardStep.CHECK_DEVICE) && (
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    !canGoBack(state) && styles.disabledButton
+                  ]}
+                  onPress={() => dispatch({ type: WizardAction.BACK })}
+                  disabled={!canGoBack(state)}
+                >
+                  <Text style={styles.cancelButtonText}>Back</Text>
+                </TouchableOpacity>
+              )}
               <TouchableOpacity
                 style={[
                   styles.modalButton, 
                   styles.saveButton,
-                  (!selectedNetwork || isConfiguring) && styles.disabledButton
+                  !nextEnabled && styles.disabledButton
                 ]}
-                onPress={configureWifiViaHTTP}
-                disabled={!selectedNetwork || isConfiguring}
+                onPress={handleNext}
+                disabled={!nextEnabled}
               >
                 <LinearGradient
                   colors={['#10B981', '#059669']}
                   style={styles.saveButtonGradient}
                 >
-                  {isConfiguring ? (
+                  {isBusy ? (
                     <ActivityIndicator size="small" color="#FFFFFF" />
                   ) : (
                     <>
-                      <Ionicons name="checkmark" size={20} color="#FFFFFF" style={{ marginRight: 6 }} />
-                      <Text style={styles.saveButtonText}>Connect</Text>
+                      <Ionicons
+                        name={step === WizardStep.DONE ? 'checkmark' : 'arrow-forward'}
+                        size={20}
+                        color="#FFFFFF"
+                        style={{ marginRight: 6 }}
+                      />
+                      <Text style={styles.saveButtonText}>{nextLabel}</Text>
                     </>
                   )}
                 </LinearGradient>
@@ -574,6 +1214,172 @@ const styles = StyleSheet.create({
     color: '#9ca3af',
     marginBottom: 16,
   },
+  progressContainer: {
+    marginBottom: 16,
+  },
+  progressDots: {
+    flexDirection: 'row',
+    gap: 6,
+    marginBottom: 8,
+  },
+  progressDot: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#374151',
+  },
+  progressDotDone: {
+    backgroundColor: '#10B981',
+  },
+  progressDotActive: {
+    backgroundColor: '#06b6d4',
+  },
+  progressText: {
+    fontSize: 13,
+    color: '#9ca3af',
+    fontWeight: '600',
+  },
+  stepBody: {
+    marginBottom: 8,
+  },
+  stepHint: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginBottom: 16,
+  },
+  apNameBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    marginBottom: 12,
+  },
+  apNameText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  deviceInfoCard: {
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    padding: 14,
+    marginBottom: 16,
+  },
+  deviceInfoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  deviceInfoLabel: {
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  deviceInfoValue: {
+    fontSize: 13,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  selectedNetworkBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    backgroundColor: '#06b6d420',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    marginBottom: 16,
+  },
+  selectedNetworkText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 10,
+  },
+  errorBox: {
+    backgroundColor: '#EF444420',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#EF444440',
+    padding: 12,
+    marginBottom: 8,
+  },
+  errorHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  errorTitle: {
+    color: '#EF4444',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  errorMessage: {
+    color: '#d1d5db',
+    fontSize: 13,
+  },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+  retryButtonText: {
+    color: '#06b6d4',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  batteryWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F59E0B20',
+    borderWidth: 1,
+    borderColor: '#F59E0B40',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 12,
+  },
+  batteryWarningText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 13,
+    color: '#F59E0B',
+  },
+  transportLink: {
+    alignSelf: 'center',
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  transportLinkText: {
+    color: '#06b6d4',
+    fontSize: 13,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
+  doneBody: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  doneTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  doneText: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginTop: 6,
+    textAlign: 'center',
+  },
   ipInfoBox: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -667,7 +1473,28 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     flex: 1,
   },
+  wifiNetworkNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  knownBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#10B98120',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    marginLeft: 6,
+    marginBottom: 2,
+  },
+  knownBadgeText: {
+    color: '#10B981',
+    fontSize: 10,
+    fontWeight: '700',
+    marginLeft: 3,
+  },
   wifiNetworkName: {
+    flexShrink: 1,
     fontSize: 15,
     fontWeight: '600',
     color: '#fff',
@@ -677,6 +1504,16 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  wifiNetworkDetails: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  saturatedHint: {
+    fontSize: 12,
+    color: '#F59E0B',
+    marginBottom: 8,
+  },
   emptyWifiState: {
     alignItems: 'center',
     padding: 40,
@@ -693,6 +1530,69 @@ const styles = StyleSheet.create({
     marginTop: 6,
     textAlign: 'center',
   },
+  verifyingBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    backgroundColor: '#06b6d420',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#06b6d440',
+    marginBottom: 16,
+  },
+  verifyingInfo: {
+    marginLeft: 10,
+    flex: 1,
+  },
+  verifyingText: {
+    color: '#06b6d4',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  verifyingSubtext: {
+    color: '#9ca3af',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  manualNetworkSection: {
+    marginBottom: 16,
+  },
+  textInput: {
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    padding: 16,
+    fontSize: 16,
+    color: '#fff',
+  },
+  securityOptions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  securityOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+  },
+  securityOptionSelected: {
+    backgroundColor: '#06b6d420',
+    borderColor: '#06b6d4',
+  },
+  securityOptionText: {
+    color: '#9ca3af',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  securityOptionTextSelected: {
+    color: '#06b6d4',
+  },
   passwordSection: {
     marginBottom: 16,
   },
@@ -718,6 +1618,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#fff',
   },
+  savedPasswordHint: {
+    fontSize: 12,
+    color: '#10B981',
+    marginTop: 6,
+  },
+  cloudPasswordHint: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginTop: 6,
+    lineHeight: 17,
+  },
   eyeButton: {
     padding: 12,
   },
@@ -0,0 +1,701 @@
+// WiFiConfigModal component tests
+// Drives the Direct AP wizard through a mocked fetch that answers like the
+// firmware's AP web server. Runs in the "app" jest project:
+//   npm test -- WiFiConfigModal.test.js
+import React from 'react';
+import { Alert, Modal } from 'react-native';
+import { render, fireEvent, act, screen } from '@testing-library/react-native';
+import '@testing-library/react-native/extend-expect';
+import WiFiConfigModal from './WiFiConfigModal';
+import { watchDeviceOnline, VerificationOutcome } from './deviceVerification';
+import { prepareOwnershipCredentials } from './provisioningCredentials';
+import { DeviceErrorCode, DeviceOwnershipError } from './deviceRegistry';
+import { createCloudProvisioningClient, getDeviceStatus } from './cloudProvisioning';
+import { getKnownNetworks, getKnownNetworkPassword, saveKnownNetwork } from './knownNetworks';
+
+jest.mock('react-native-reanimated', () => require('react-native-reanimated/mock'));
+
+jest.mock('expo-linear-gradient', () => {
+  const { View } = require('react-native');
+  return { LinearGradient: View };
+});
+
+jest.mock('@expo/vector-icons', () => ({ Ionicons: () => null }));
+
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: { extra: {} } },
+}));
+
+jest.mock('expo-notifications', () => ({}));
+jest.mock('expo-secure-store', () => ({}));
+
+jest.mock('./provisioningCredentials', () => ({
+  prepareOwnershipCredentials: jest.fn(),
+}));
+
+jest.mock('./knownNetworks', () => ({
+  getKnownNetworks: jest.fn(),
+  getKnownNetworkPassword: jest.fn(),
+  saveKnownNetwork: jest.fn(),
+}));
+
+jest.mock('./cloudProvisioning', () => ({
+  getDeviceStatus: jest.fn(),
+  createCloudProvisioningClient: jest.fn(),
+}));
+
+jest.mock('./deviceVerification', () => ({
+  ...jest.requireActual('./deviceVerification'),
+  watchDeviceOnline: jest.fn(),
+}));
+
+jest.mock('firebase/database', () => ({}));
+
+const DEVICE = { deviceId: 'SWM001' };
+const USER_ID = 'user-1';
+
+const DEVICE_INFO = {
+  success: true,
+  deviceId: 'SWM001',
+  version: '2.0.0',
+  type: 'smart-water-monitor',
+  batteryPercentage: 76,
+  batteryVoltage: 3.9,
+  ip: '192.168.4.1',
+};
+
+const NETWORKS = [
+  { ssid: 'HomeNetwork', rssi: -48, encryption: 'SECURED', channel: 6 },
+  { ssid: 'CoffeeShop', rssi: -66, encryption: 'OPEN', channel: 1 },
+];
+
+// ==================== FETCH MOCK ====================
+let routes;
+
+const jsonResponse = (body, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 500 ? 'Internal Server Error' : 'OK',
+  text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+// Never answers; rejects like fetch does once the client aborts
+const hang = options => new Promise((resolve, reject) => {
+  options.signal.addEventListener('abort', () => {
+    const error = new Error('Aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+});
+
+const unreachable = () => Promise.reject(new TypeError('Network request failed'));
+
+// Resolves only when the test says so
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+};
+
+const fetchCalls = path => global.fetch.mock.calls.filter(([url]) => url.endsWith(path));
+
+// ==================== HELPERS ====================
+const renderModal = (props = {}) => {
+  const onClose = jest.fn();
+  const utils = render(
+    <WiFiConfigModal visible onClose={onClose} device={DEVICE} userId={USER_ID} {...props} />
+  );
+  return { ...utils, onClose };
+};
+
+const flush = () => act(async () => {
+  await Promise.resolve();
+});
+
+const press = async (text) => {
+  fireEvent.press(screen.getByText(text));
+  await flush();
+};
+
+const toJoinAp = async () => {
+  await press('Start Setup');
+  await screen.findByText("I'm Connected");
+};
+
+const toCheckedDevice = async () => {
+  await toJoinAp();
+  await press("I'm Connected");
+  await screen.findByText('Firmware');
+};
+
+const toNetworkList = async () => {
+  await toCheckedDevice();
+  await press('Next');
+  await screen.findByText('HomeNetwork');
+};
+
+const toPassword = async (ssid = 'HomeNetwork') => {
+  await toNetworkList();
+  await press(ssid);
+  await press('Next');
+};
+
+const toWaitOnline = async () => {
+  await toPassword();
+  fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+  await press('Connect');
+  await screen.findByText('Waiting for device to come online...');
+};
+
+const verificationResult = outcome => act(async () => {
+  watchDeviceOnline.mock.calls[watchDeviceOnline.mock.calls.length - 1][0].onResult(outcome);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+
+  routes = {
+    '/device-info': () => jsonResponse(DEVICE_INFO),
+    '/scan': () => jsonResponse({ success: true, networks: NETWORKS }),
+    '/configure': () => jsonResponse({ success: true, deviceId: 'SWM001', message: 'Saved' }),
+  };
+  global.fetch = jest.fn((url, options) => {
+    const route = routes[new URL(url).pathname];
+    return route ? route(options) : unreachable();
+  });
+
+  prepareOwnershipCredentials.mockResolvedValue({ uid: USER_ID, pairingCode: 'pairing-code' });
+  getKnownNetworks.mockResolvedValue([]);
+  getKnownNetworkPassword.mockResolvedValue(null);
+  saveKnownNetwork.mockResolvedValue();
+  getDeviceStatus.mockResolvedValue(null);
+  watchDeviceOnline.mockImplementation(() => jest.fn());
+});
+
+afterEach(() => {
+  jest.runOnlyPendingTimers();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// ==================== TESTS ====================
+describe('opening', () => {
+  test('starts on the join step with the device AP name', async () => {
+    renderModal();
+    await flush();
+
+    expect(screen.getByText('Configure WiFi (Direct AP)')).toBeTruthy();
+    expect(screen.getByText('Start Setup')).toBeEnabled();
+    await toJoinAp();
+
+    expect(screen.getByText('SmartWM_SWM001')).toBeTruthy();
+    expect(screen.getByText("I'm Connected")).toBeEnabled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('cannot start without a signed-in user', async () => {
+    renderModal({ userId: null });
+    await flush();
+
+    expect(screen.getByText('Start Setup')).toBeDisabled();
+  });
+
+  test('claims nothing until the user starts AP setup', async () => {
+    renderModal({ device: { ...DEVICE, name: 'Kitchen' } });
+    await flush();
+    expect(prepareOwnershipCredentials).not.toHaveBeenCalled();
+
+    await toJoinAp();
+    expect(prepareOwnershipCredentials).toHaveBeenCalledWith(USER_ID, 'SWM001', 'Kitchen');
+  });
+
+  test('reports registration that does not finish in time and retries', async () => {
+    prepareOwnershipCredentials.mockReturnValueOnce(new Promise(() => {}));
+    renderModal();
+    await press('Start Setup');
+
+    expect(screen.getByText('Start Setup')).toBeDisabled();
+    await act(async () => {
+      jest.advanceTimersByTime(15000);
+    });
+
+    expect(await screen.findByText('Could Not Register Device')).toBeTruthy();
+    expect(screen.queryByText('SmartWM_SWM001')).toBeNull();
+
+    await press('Try Again');
+    expect(await screen.findByText("I'm Connected")).toBeTruthy();
+  });
+
+  test('does not start setup for a meter that belongs to another account', async () => {
+    prepareOwnershipCredentials.mockRejectedValue(new DeviceOwnershipError(
+      DeviceErrorCode.ALREADY_OWNED,
+      'Device SWM001 already belongs to another account.'
+    ));
+    renderModal();
+    await press('Start Setup');
+
+    expect(await screen.findByText('Owned by Another Account')).toBeTruthy();
+    expect(screen.queryByText('Try Again')).toBeNull();
+    expect(screen.getByText('Start Setup')).toBeDisabled();
+  });
+
+  test('switches to cloud setup for a device that is already online', async () => {
+    getDeviceStatus.mockResolvedValue('online');
+    renderModal();
+    await flush();
+
+    expect(screen.getByText('Configure WiFi (Cloud)')).toBeTruthy();
+    expect(screen.getByText('Use Direct AP setup instead')).toBeTruthy();
+  });
+});
+
+describe('cloud setup', () => {
+  const cloudClient = (status = 'online') => ({
+    getDeviceInfo: jest.fn(() => Promise.resolve({ ...DEVICE_INFO, status })),
+    scan: jest.fn(() => Promise.resolve({ networks: NETWORKS })),
+    configure: jest.fn(() => Promise.resolve({ deviceId: 'SWM001' })),
+    clearPendingPassword: jest.fn(),
+  });
+
+  test('reports a device that stopped reporting in', async () => {
+    getDeviceStatus.mockResolvedValue('online');
+    createCloudProvisioningClient.mockReturnValue(cloudClient('offline'));
+    renderModal();
+    await flush();
+    await flush();
+
+    expect(await screen.findByText(/has not reported in recently/)).toBeTruthy();
+  });
+
+  test('does not prefill saved passwords', async () => {
+    getDeviceStatus.mockResolvedValue('online');
+    createCloudProvisioningClient.mockReturnValue(cloudClient());
+    getKnownNetworks.mockResolvedValue([{ ssid: 'HomeNetwork', encryption: 'SECURED' }]);
+    getKnownNetworkPassword.mockResolvedValue('saved-secret');
+    renderModal();
+    await screen.findByText('Firmware');
+    await press('Next');
+    await screen.findByText('HomeNetwork');
+    await press('HomeNetwork');
+    await press('Next');
+
+    expect(getKnownNetworkPassword).not.toHaveBeenCalled();
+    expect(screen.queryByDisplayValue('saved-secret')).toBeNull();
+    expect(screen.getByText(/Saved passwords are not filled in here/)).toBeTruthy();
+    expect(screen.getByText('Connect')).toBeDisabled();
+  });
+});
+
+describe('checking the device', () => {
+  test('shows what the device reported', async () => {
+    renderModal();
+    await toCheckedDevice();
+
+    expect(screen.getByText('2.0.0')).toBeTruthy();
+    expect(screen.getByText('76%')).toBeTruthy();
+    expect(screen.getByText('Next')).toBeEnabled();
+  });
+
+  test('reports an unreachable device and retries', async () => {
+    routes['/device-info'] = unreachable;
+    renderModal();
+    await toJoinAp();
+    await press("I'm Connected");
+
+    expect(await screen.findByText('Device Not Found')).toBeTruthy();
+    expect(screen.getByText('Next')).toBeDisabled();
+
+    routes['/device-info'] = () => jsonResponse(DEVICE_INFO);
+    await press('Try Again');
+
+    expect(await screen.findByText('Firmware')).toBeTruthy();
+    expect(screen.queryByText('Device Not Found')).toBeNull();
+  });
+
+  test('treats a device that never answers as not found', async () => {
+    routes['/device-info'] = hang;
+    renderModal();
+    await toJoinAp();
+    await press("I'm Connected");
+
+    await act(async () => {
+      jest.advanceTimersByTime(3000);
+    });
+
+    expect(await screen.findByText('Device Not Found')).toBeTruthy();
+  });
+
+  test('warns before continuing on a low battery', async () => {
+    routes['/device-info'] = () => jsonResponse({ ...DEVICE_INFO, batteryPercentage: 9 });
+    renderModal();
+    await toCheckedDevice();
+
+    expect(screen.getByText(/Battery is below 15%/)).toBeTruthy();
+
+    await press('Next');
+    expect(Alert.alert).toHaveBeenCalledWith('Battery Too Low', expect.any(String), expect.any(Array));
+    expect(fetchCalls('/scan')).toHaveLength(0);
+
+    const buttons = Alert.alert.mock.calls[0][2];
+    await act(async () => {
+      buttons.find(button => button.text === 'Continue Anyway').onPress();
+    });
+
+    expect(await screen.findByText('HomeNetwork')).toBeTruthy();
+  });
+
+  test('does not warn when the battery is fine', async () => {
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+});
+
+describe('scanning', () => {
+  test('scans automatically when the network step opens', async () => {
+    renderModal();
+    await toNetworkList();
+
+    expect(fetchCalls('/scan')).toHaveLength(1);
+    expect(screen.getByText('2 networks found')).toBeTruthy();
+  });
+
+  test('disables the scan button and ignores presses while a scan runs', async () => {
+    const scan = deferred();
+    routes['/scan'] = () => scan.promise;
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(screen.getByText('Scanning...')).toBeDisabled();
+    fireEvent.press(screen.getByText('Scanning...'));
+    await flush();
+    expect(fetchCalls('/scan')).toHaveLength(1);
+    // The Next button shows a spinner instead of its label while busy
+    expect(screen.queryByText('Next')).toBeNull();
+
+    await act(async () => {
+      scan.resolve(jsonResponse({ success: true, networks: NETWORKS }));
+    });
+
+    expect(await screen.findByText('Scan Networks')).toBeEnabled();
+    expect(screen.getByText('Next')).toBeDisabled();
+  });
+
+  test('rescans on request and clears the selection', async () => {
+    renderModal();
+    await toNetworkList();
+    await press('HomeNetwork');
+    expect(screen.getByText('Next')).toBeEnabled();
+
+    await press('Scan Networks');
+    await screen.findByText('HomeNetwork');
+
+    expect(fetchCalls('/scan')).toHaveLength(2);
+    expect(screen.getByText('Next')).toBeDisabled();
+  });
+
+  test('reports a timed-out scan separately from other failures', async () => {
+    routes['/scan'] = hang;
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    await act(async () => {
+      jest.advanceTimersByTime(30000);
+    });
+
+    expect(await screen.findByText('Scan Timeout')).toBeTruthy();
+    expect(screen.queryByText('Scan Failed')).toBeNull();
+    expect(screen.getByText('Try Again')).toBeTruthy();
+  });
+
+  test('reports malformed JSON as a failed scan', async () => {
+    routes['/scan'] = () => jsonResponse('{"success":true,"networks":[{"ssid":"Bro');
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(await screen.findByText('Scan Failed')).toBeTruthy();
+    expect(screen.getByText(/invalid response/)).toBeTruthy();
+  });
+
+  test('reports an HTTP error as a failed scan', async () => {
+    routes['/scan'] = () => jsonResponse('Internal Server Error', 500);
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(await screen.findByText('Scan Failed')).toBeTruthy();
+    expect(screen.getByText(/HTTP 500/)).toBeTruthy();
+  });
+
+  test('reports success:false from the device as a failed scan', async () => {
+    routes['/scan'] = () => jsonResponse({ success: false, error: 'Radio busy' });
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(await screen.findByText('Scan Failed')).toBeTruthy();
+    expect(screen.getByText(/Radio busy/)).toBeTruthy();
+  });
+
+  test('reports an empty scan', async () => {
+    routes['/scan'] = () => jsonResponse({ success: true, networks: [] });
+    renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    expect(await screen.findByText('No Networks Found')).toBeTruthy();
+    expect(screen.getByText('Next')).toBeDisabled();
+  });
+
+  test('prefills the saved password of a known network', async () => {
+    getKnownNetworks.mockResolvedValue([{ ssid: 'HomeNetwork', encryption: 'SECURED' }]);
+    getKnownNetworkPassword.mockResolvedValue('saved-secret');
+    renderModal();
+    await toPassword();
+
+    expect(screen.getByDisplayValue('saved-secret')).toBeTruthy();
+    expect(screen.getByText('Using saved password')).toBeTruthy();
+    expect(screen.getByText('Connect')).toBeEnabled();
+  });
+});
+
+describe('connect button', () => {
+  test('stays disabled until a password is entered', async () => {
+    renderModal();
+    await toPassword();
+
+    expect(screen.getByText('Connect')).toBeDisabled();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+    expect(screen.getByText('Connect')).toBeEnabled();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), '');
+    expect(screen.getByText('Connect')).toBeDisabled();
+  });
+
+  test('is enabled straight away for an open network', async () => {
+    renderModal();
+    await toPassword('CoffeeShop');
+
+    expect(screen.getByText('This is an open network, no password needed.')).toBeTruthy();
+    expect(screen.getByText('Connect')).toBeEnabled();
+  });
+
+  test('needs a valid name for another network', async () => {
+    renderModal();
+    await toNetworkList();
+    await press('Other network...');
+    await press('Next');
+
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+    expect(screen.getByText('Connect')).toBeDisabled();
+
+    fireEvent.changeText(screen.getByPlaceholderText('Enter network name'), 'Hidden');
+    expect(screen.getByText('Connect')).toBeEnabled();
+
+    fireEvent.changeText(screen.getByPlaceholderText('Enter network name'), '   ');
+    expect(screen.getByText('Connect')).toBeDisabled();
+  });
+});
+
+describe('sending settings', () => {
+  test('posts the credentials with ownership details', async () => {
+    renderModal();
+    await toWaitOnline();
+
+    const [, options] = fetchCalls('/configure')[0];
+    expect(JSON.parse(options.body)).toEqual({
+      ssid: 'HomeNetwork',
+      password: 'secret123',
+      uid: USER_ID,
+      pairingCode: 'pairing-code',
+    });
+  });
+
+  test('reports a configuration timeout', async () => {
+    routes['/configure'] = hang;
+    renderModal();
+    await toPassword();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+    await press('Connect');
+
+    await act(async () => {
+      jest.advanceTimersByTime(60000);
+    });
+
+    expect(await screen.findByText('Configuration Timeout')).toBeTruthy();
+    expect(screen.getByText('Try Again')).toBeTruthy();
+  });
+
+  test('does not offer a retry when the device rejects the settings', async () => {
+    routes['/configure'] = () => jsonResponse({ success: false, error: 'SSID required' }, 400);
+    renderModal();
+    await toPassword();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+    await press('Connect');
+
+    expect(await screen.findByText('Settings Rejected')).toBeTruthy();
+    expect(screen.getByText(/SSID required/)).toBeTruthy();
+    expect(screen.queryByText('Try Again')).toBeNull();
+    expect(screen.getByText('Back')).toBeEnabled();
+  });
+
+  test('reports a device that dropped off the AP', async () => {
+    routes['/configure'] = unreachable;
+    renderModal();
+    await toPassword();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+    await press('Connect');
+
+    expect(await screen.findByText('Configuration Failed')).toBeTruthy();
+    expect(screen.getByText(/Failed to configure WiFi via Direct AP/)).toBeTruthy();
+  });
+});
+
+describe('waiting for the device', () => {
+  test('finishes and remembers the network once the device is online', async () => {
+    renderModal();
+    await toWaitOnline();
+
+    expect(watchDeviceOnline).toHaveBeenCalledWith(expect.objectContaining({
+      deviceId: 'SWM001',
+      ssid: 'HomeNetwork',
+      baseUrl: 'http://192.168.4.1',
+    }));
+
+    await verificationResult(VerificationOutcome.ONLINE);
+
+    expect(screen.getByText('WiFi Connected!')).toBeTruthy();
+    expect(saveKnownNetwork).toHaveBeenCalledWith(USER_ID, {
+      ssid: 'HomeNetwork',
+      password: 'secret123',
+      encryption: 'SECURED',
+    });
+  });
+
+  test('suggests checking the password when the device falls back to AP mode', async () => {
+    renderModal();
+    await toWaitOnline();
+    await verificationResult(VerificationOutcome.WRONG_PASSWORD);
+
+    expect(screen.getByText('Wrong WiFi Password?')).toBeTruthy();
+    expect(screen.queryByText('Try Again')).toBeNull();
+    expect(saveKnownNetwork).not.toHaveBeenCalled();
+  });
+
+  test('offers a retry when the device does not report in', async () => {
+    renderModal();
+    await toWaitOnline();
+    await verificationResult(VerificationOutcome.TIMEOUT);
+
+    expect(screen.getByText('Device Not Online Yet')).toBeTruthy();
+
+    await press('Try Again');
+    expect(watchDeviceOnline).toHaveBeenCalledTimes(2);
+  });
+
+  test('done closes the modal', async () => {
+    const { onClose } = renderModal();
+    await toWaitOnline();
+    await verificationResult(VerificationOutcome.ONLINE);
+    await press('Done');
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('closing and unmounting', () => {
+  test('closing resets the wizard for the next open', async () => {
+    const { onClose, rerender } = renderModal();
+    await toPassword();
+    fireEvent.changeText(screen.getByPlaceholderText('Enter WiFi password'), 'secret123');
+
+    await act(async () => {
+      screen.UNSAFE_getByType(Modal).props.onRequestClose();
+    });
+    expect(onClose).toHaveBeenCalledTimes(1);
+
+    rerender(<WiFiConfigModal visible={false} onClose={onClose} device={DEVICE} userId={USER_ID} />);
+    rerender(<WiFiConfigModal visible onClose={onClose} device={DEVICE} userId={USER_ID} />);
+    await flush();
+
+    expect(screen.getByText('Start Setup')).toBeTruthy();
+    await toPassword();
+    expect(screen.getByPlaceholderText('Enter WiFi password')).toHaveDisplayValue('');
+  });
+
+  test('skip closes from the first step', async () => {
+    const { onClose } = renderModal();
+    await press('Skip WiFi');
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('closing stops the online watch', async () => {
+    const stop = jest.fn();
+    watchDeviceOnline.mockImplementation(() => stop);
+    renderModal();
+    await toWaitOnline();
+
+    await act(async () => {
+      screen.UNSAFE_getByType(Modal).props.onRequestClose();
+    });
+
+    expect(stop).toHaveBeenCalled();
+  });
+
+  test('unmounting stops the online watch', async () => {
+    const stop = jest.fn();
+    watchDeviceOnline.mockImplementation(() => stop);
+    const { unmount } = renderModal();
+    await toWaitOnline();
+
+    unmount();
+
+    expect(stop).toHaveBeenCalled();
+  });
+
+  test('a scan that finishes after unmount is ignored', async () => {
+    const scan = deferred();
+    routes['/scan'] = () => scan.promise;
+    const { unmount } = renderModal();
+    await toCheckedDevice();
+    await press('Next');
+
+    unmount();
+    await act(async () => {
+      scan.resolve(jsonResponse({ success: true, networks: NETWORKS }));
+    });
+
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('reopening uses the current device and user, not the ones from the first open', async () => {
+    const onClose = jest.fn();
+    const { rerender } = render(
+      <WiFiConfigModal visible onClose={onClose} device={DEVICE} userId={USER_ID} />
+    );
+    await flush();
+    await toJoinAp();
+
+    const otherDevice = { deviceId: 'SWM002', provisioningUrl: '10.0.2.2:8080' };
+    rerender(<WiFiConfigModal visible={false} onClose={onClose} device={otherDevice} userId="user-2" />);
+    rerender(<WiFiConfigModal visible onClose={onClose} device={otherDevice} userId="user-2" />);
+    await flush();
+    expect(screen.getByText('Start Setup')).toBeTruthy();
+    await toJoinAp();
+
+    expect(screen.getByText('SmartWM_SWM002')).toBeTruthy();
+    expect(screen.getByText('Device address: 10.0.2.2:8080')).toBeTruthy();
+    expect(prepareOwnershipCredentials).toHaveBeenLastCalledWith('user-2', 'SWM002', undefined);
+    expect(getDeviceStatus).toHaveBeenLastCalledWith('SWM002');
+  });
+});
@@ -0,0 +1,129 @@
+// Battery health
+// The firmware reports batteryPercentage/batteryVoltage in info, data and
+// /device-info, and batteryPercentage in every history record. Runtime is
+// estimated from the discharge rate since the battery was last charged.
+import * as Notifications from 'expo-notifications';
+import * as SecureStore from 'expo-secure-store';
+
+export const BATTERY_LOW = 20;
+export const BATTERY_CRITICAL = 10;
+// A restart plus a WiFi reconnect draws noticeably more than normal
+// operation; below this the device may brown out halfway through
+export const PROVISIONING_MIN_BATTERY = 15;
+// Back above BATTERY_LOW by this much before another low alert
+const ALERT_HYSTERESIS = 5;
+// Readings jitter by a couple of percent; only a bigger rise is a charge
+const CHARGE_TOLERANCE = 3;
+// Shorter spans than this give a meaningless discharge rate
+const MIN_ESTIMATE_SPAN = 3 * 3600000;
+
+export const BatteryLevel = {
+  OK: 'ok',
+  LOW: 'low',
+  CRITICAL: 'critical',
+  UNKNOWN: 'unknown',
+};
+
+export const getBatteryLevel = (percentage) => {
+  if (typeof percentage !== 'number') return BatteryLevel.UNKNOWN;
+  if (percentage <= BATTERY_CRITICAL) return BatteryLevel.CRITICAL;
+  if (percentage <= BATTERY_LOW) return BatteryLevel.LOW;
+  return BatteryLevel.OK;
+};
+
+export const isBatteryTooLowToProvision = (percentage) => (
+  typeof percentage === 'number' && percentage < PROVISIONING_MIN_BATTERY
+);
+
+// Samples since the last charge, oldest first
+export const getDischargeRun = (records) => {
+  const samples = records.filter(record => typeof record.batteryPercentage === 'number');
+  if (samples.length === 0) return [];
+
+  let start = samples.length - 1;
+  while (start > 0 &&
+    samples[start - 1].batteryPercentage + CHARGE_TOLERANCE >= samples[start].batteryPercentage) {
+    start--;
+  }
+  return samples.slice(start);
+};
+
+// Least-squares discharge rate over the current discharge run. Returns
+// { ratePerHour, hoursRemaining } or null when there is not enough data
+// or the battery is not draining.
+export const estimateRuntime = (records, currentPercentage) => {
+  const run = getDischargeRun(records);
+  if (run.length < 3) return null;
+
+  const first = run[0].timestamp;
+  if (run[run.length - 1].timestamp - first < MIN_ESTIMATE_SPAN) return null;
+
+  const points = run.map(record => ({
+    x: (record.timestamp - first) / 3600000,
+    y: record.batteryPercentage,
+  }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  if (variance === 0) return null;
+
+  const slope = covariance / variance;
+  if (slope >= 0) return null;
+
+  const current = typeof currentPercentage === 'number'
+    ? currentPercentage
+    : run[run.length - 1].batteryPercentage;
+
+  return {
+    ratePerHour: -slope,
+    hoursRemaining: current / -slope,
+  };
+};
+
+export const formatRuntime = (hours) => {
+  if (hours === null || hours === undefined) return 'Not enough data';
+  if (hours < 1) return 'Less than an hour';
+  if (hours < 48) return `About ${Math.round(hours)} hours`;
+  if (hours < 24 * 60) return `About ${Math.round(hours / 24)} days`;
+  return `About ${Math.round(hours / (24 * 30))} months`;
+};
+
+const getAlertKey = (deviceId) => `batteryAlert_${deviceId.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+
+// Notifies when a device drops into LOW or CRITICAL. The last level
+// notified is kept in SecureStore so each drop is reported once.
+export const checkBatteryAlert = async (deviceId, deviceName, percentage) => {
+  const level = getBatteryLevel(percentage);
+  if (level === BatteryLevel.UNKNOWN) return;
+
+  const key = getAlertKey(deviceId);
+  const notified = await SecureStore.getItemAsync(key);
+
+  if (level === BatteryLevel.OK) {
+    if (notified && percentage >= BATTERY_LOW + ALERT_HYSTERESIS) {
+      await SecureStore.deleteItemAsync(key);
+    }
+    return;
+  }
+
+  if (notified === level || (notified === BatteryLevel.CRITICAL && level === BatteryLevel.LOW)) {
+    return;
+  }
+  await SecureStore.setItemAsync(key, level);
+
+  const { status } = await Notifications.requestPermissionsAsync();
+  if (status !== 'granted') return;
+
+  console.log(`🔋 ${deviceId} battery ${level} (${percentage}%)`);
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title: level === BatteryLevel.CRITICAL ? 'Meter battery critical' : 'Meter battery low',
+      body: level === BatteryLevel.CRITICAL
+        ? `${deviceName || deviceId} is at ${Math.round(percentage)}% and may stop reporting soon. Charge or replace the battery now.`
+        : `${deviceName || deviceId} is at ${Math.round(percentage)}%. Plan to charge or replace the battery.`,
+      data: { deviceId, batteryLevel: level },
+    },
+    trigger: null,
+  });
+};
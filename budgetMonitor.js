@@ -0,0 +1,269 @@
+// Budget monitor
+// Tracks one device against its budgets while the app is open: notifies
+// once per period and warning level, and with autoShutOff closes the valve
+// once per period when a budget is used up. What has already been notified
+// is kept in SecureStore so reopening the app does not repeat it. The
+// shut-off is recorded in the budget settings once the device confirms it,
+// so it is shared by every phone; only the owner and operators send it.
+// With a tariff set, each budget also gets a cost and the month a projected
+// bill.
+import * as Notifications from 'expo-notifications';
+import * as SecureStore from 'expo-secure-store';
+import { subscribeToDeviceData, ValveState } from './deviceData';
+import { toDateKey } from './dailyAnalytics';
+import {
+  BudgetPeriod,
+  BUDGET_PERIOD_LABELS,
+  subscribeToBudgetSettings,
+  fetchTodayBaseline,
+  fetchCompletedUsage,
+  getTodayUsage,
+  evaluateBudgets,
+  recordBudgetShutOff,
+} from './budgets';
+import { sendValveCommand, ValveCommand } from './valveCommands';
+import { subscribeToDeviceRole, canControlDevice } from './deviceSharing';
+import {
+  TariffType,
+  subscribeToTariff,
+  hasTariff,
+  formatCurrency,
+  priceRecentUsage,
+  projectMonthlyBill,
+  fetchUsageProfile,
+} from './tariffs';
+
+// Today's baseline follows the firmware's history interval
+const BASELINE_REFRESH_INTERVAL = 5 * 60000;
+// After a failed shut-off, live updates do not retry it before this
+const SHUT_OFF_RETRY_DELAY = 60000;
+
+const getAlertStateKey = (deviceId) => `budgetAlerts_${deviceId.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+
+// { [periodKey]: { level } }; only current periods are kept
+const loadAlertState = async (deviceId) => {
+  try {
+    const stored = await SecureStore.getItemAsync(getAlertStateKey(deviceId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.log('Error reading budget alert state:', error);
+    return {};
+  }
+};
+
+const saveAlertState = (deviceId, state) => (
+  SecureStore.setItemAsync(getAlertStateKey(deviceId), JSON.stringify(state))
+    .catch(error => console.log('Error saving budget alert state:', error))
+);
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${Math.round(litres)} L`
+);
+
+const notifyBudget = async (deviceId, deviceName, status, closedValve) => {
+  const { status: permission } = await Notifications.requestPermissionsAsync();
+  if (permission !== 'granted') return;
+
+  const label = BUDGET_PERIOD_LABELS[status.period].toLowerCase();
+  const cost = status.cost ? ` (about ${formatCurrency(status.cost.amount, status.cost.currency)})` : '';
+  const usage = `${formatLitres(status.used)} of ${formatLitres(status.limit)}${cost}`;
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title: status.exceeded
+        ? `Budget used up for ${label}`
+        : `${status.level}% of budget used for ${label}`,
+      body: `${deviceName || deviceId}: ${usage}.${closedValve ? ' The valve has been closed.' : ''}`,
+      data: { deviceId, budgetPeriod: status.period },
+    },
+    trigger: null,
+  });
+};
+
+// Water cost of a budget's usage; the fixed charge is left out
+const priceStatus = (status, tariff, monthToDate, profile) => ({
+  ...status,
+  cost: tariff ? {
+    amount: priceRecentUsage(tariff, status.used, monthToDate, { profile }),
+    currency: tariff.currency,
+  } : null,
+});
+
+// `onStatus(statuses, settings, bill)` gets the progress for every budget on
+// each update, and the month's bill from projectMonthlyBill, or null without
+// a tariff. Returns a stop function.
+export const startBudgetMonitor = ({ deviceId, deviceName, userId, onStatus }) => {
+  let settings = null;
+  let completed = null;
+  let baseline = null;
+  let liveData;
+  let alertState = null;
+  let role;
+  let tariff = null;
+  let profile = null;
+  let profileDate = null;
+  let stopped = false;
+  let refreshing = false;
+  // periodKey -> time before which no shut-off is sent for it
+  const shutOffBlockedUntil = {};
+
+  // The hourly profile for time-of-use prices changes slowly, so it is
+  // fetched once a day
+  const loadProfile = async () => {
+    const today = toDateKey(Date.now());
+    if (tariff?.type !== TariffType.TIME_OF_USE || profileDate === today) return;
+    profileDate = today;
+    try {
+      profile = await fetchUsageProfile(deviceId);
+      evaluate();
+    } catch (error) {
+      profileDate = null;
+      console.log('Budget monitor usage profile error:', error);
+    }
+  };
+
+  const refresh = async () => {
+    if (refreshing) return;
+    refreshing = true;
+    const now = Date.now();
+    try {
+      const [nextCompleted, nextBaseline] = await Promise.all([
+        completed?.date === toDateKey(now) ? completed : fetchCompletedUsage(deviceId, now),
+        fetchTodayBaseline(deviceId, now),
+      ]);
+      completed = nextCompleted;
+      baseline = nextBaseline;
+      evaluate();
+      loadProfile();
+    } catch (error) {
+      console.log('Budget monitor refresh error:', error);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  // Resolves with whether this closed the valve. With the valve already
+  // closed the period is only recorded, so opening it again later sticks.
+  const shutOff = (status) => {
+    const valveState = liveData?.valveState;
+    const now = Date.now();
+    if (valveState !== ValveState.OPEN && valveState !== ValveState.CLOSED) return null;
+    if (shutOffBlockedUntil[status.periodKey] > now) return null;
+
+    // Until settled, and for a while after a failure
+    shutOffBlockedUntil[status.periodKey] = Infinity;
+    let closing = Promise.resolve(false);
+    if (valveState === ValveState.OPEN) {
+      console.log(`🚱 ${deviceId} ${status.period} budget used up, closing valve`);
+      closing = sendValveCommand({ deviceId, command: ValveCommand.CLOSE, userId, source: 'budget' })
+        .then(() => true);
+    }
+    return closing
+      .then(closedValve => (
+        recordBudgetShutOff(deviceId, status.period, status.periodKey).then(() => closedValve)
+      ))
+      .then((closedValve) => {
+        delete shutOffBlockedUntil[status.periodKey];
+        return closedValve;
+      })
+      .catch((error) => {
+        console.error('❌ Budget shut-off failed:', error);
+        shutOffBlockedUntil[status.periodKey] = Date.now() + SHUT_OFF_RETRY_DELAY;
+        return false;
+      });
+  };
+
+  const evaluate = () => {
+    if (stopped || !settings || !completed || !alertState || liveData === undefined || role === undefined) return;
+
+    const now = Date.now();
+    // Past midnight the cached totals belong to yesterday
+    if (completed.date !== toDateKey(now)) {
+      refresh();
+      return;
+    }
+
+    const todayUsage = getTodayUsage(baseline, liveData);
+    const monthToDate = completed[BudgetPeriod.MONTHLY] + todayUsage;
+    const pricing = hasTariff(tariff) ? tariff : null;
+    const statuses = evaluateBudgets({ settings, completed, todayUsage, now })
+      .map(status => priceStatus(status, pricing, monthToDate, profile));
+    const bill = pricing
+      ? projectMonthlyBill({ tariff: pricing, monthToDateLitres: monthToDate, now, profile })
+      : null;
+    if (onStatus) onStatus(statuses, settings, bill);
+
+    let changed = false;
+    const current = {};
+    statuses.forEach((status) => {
+      const previous = alertState[status.periodKey] || { level: 0 };
+      const next = { ...previous };
+
+      // Once per period: a valve the user opens again afterwards stays open
+      const closing = status.exceeded
+        && settings.autoShutOff
+        && canControlDevice(role)
+        && settings.shutOff[status.period] !== status.periodKey
+        ? shutOff(status)
+        : null;
+
+      if (status.level > previous.level) {
+        next.level = status.level;
+        console.log(`💧 ${deviceId} ${status.period} budget at ${Math.round(status.percent)}%`);
+        const notify = closedValve => notifyBudget(deviceId, deviceName, status, closedValve)
+          .catch(error => console.log('Budget notification error:', error));
+        if (closing) {
+          closing.then(notify);
+        } else {
+          notify(false);
+        }
+      }
+
+      if (next.level !== previous.level) changed = true;
+      current[status.periodKey] = next;
+    });
+
+    if (changed || Object.keys(current).length !== Object.keys(alertState).length) {
+      alertState = current;
+      saveAlertState(deviceId, alertState);
+    }
+  };
+
+  loadAlertState(deviceId).then((state) => {
+    alertState = state;
+    evaluate();
+  });
+
+  const unsubscribeSettings = subscribeToBudgetSettings(deviceId, (next) => {
+    settings = next;
+    evaluate();
+  });
+
+  // Viewers watch the budgets but never close the valve
+  const unsubscribeRole = subscribeToDeviceRole(deviceId, userId, (next) => {
+    role = next;
+    evaluate();
+  });
+
+  const unsubscribeTariff = subscribeToTariff(deviceId, (next) => {
+    tariff = next;
+    evaluate();
+    loadProfile();
+  });
+
+  const unsubscribeData = subscribeToDeviceData(deviceId, (update) => {
+    liveData = update.data;
+    evaluate();
+  });
+
+  refresh();
+  const refreshTimer = setInterval(refresh, BASELINE_REFRESH_INTERVAL);
+
+  return () => {
+    stopped = true;
+    clearInterval(refreshTimer);
+    unsubscribeSettings();
+    unsubscribeRole();
+    unsubscribeTariff();
+    unsubscribeData();
+  };
+};
@@ -0,0 +1,166 @@
+// Usage budgets
+// Per-device litre limits for the current day, week (from Monday) and
+// month, stored in devices/{deviceId}/settings/budgets. Next to them,
+// shutOff records per period the last one in which the valve was closed
+// automatically, so that happens once per period whichever phone does it.
+// Usage for a period
+// is the completed days from the analytics rollups plus today, which comes
+// from history and the live totalLitres.
+import { getDatabase, ref, onValue, set, update } from 'firebase/database';
+import { fetchHistory, fetchRecordBefore, getUsageBetween } from './usageHistory';
+import { toDateKey, addDays, getDailyRollups, rollupDailyAnalytics } from './dailyAnalytics';
+
+export const BudgetPeriod = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+export const BUDGET_PERIOD_LABELS = {
+  [BudgetPeriod.DAILY]: 'Today',
+  [BudgetPeriod.WEEKLY]: 'This week',
+  [BudgetPeriod.MONTHLY]: 'This month',
+};
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  daily: 0,
+  weekly: 0,
+  monthly: 0,
+  warnAt: [80, 90],
+  autoShutOff: false,
+};
+
+// A limit of 0 means no budget for that period
+export const normalizeBudgetSettings = (settings) => {
+  const merged = { ...DEFAULT_BUDGET_SETTINGS, ...(settings || {}) };
+  const toLimit = (value) => (typeof value === 'number' && isFinite(value) && value > 0 ? value : 0);
+  const warnAt = Object.values(merged.warnAt || {})
+    .filter(value => typeof value === 'number' && value > 0 && value < 100)
+    .map(Math.round);
+
+  return {
+    daily: toLimit(merged.daily),
+    weekly: toLimit(merged.weekly),
+    monthly: toLimit(merged.monthly),
+    warnAt: Array.from(new Set(warnAt)).sort((a, b) => a - b),
+    autoShutOff: merged.autoShutOff === true,
+    shutOff: { ...(merged.shutOff || {}) },
+  };
+};
+
+// First day (YYYY-MM-DD) of the period containing `now`
+export const getPeriodStartDate = (period, now = Date.now()) => {
+  const today = toDateKey(now);
+  if (period === BudgetPeriod.WEEKLY) {
+    const weekday = (new Date(now).getDay() + 6) % 7;
+    return addDays(today, -weekday);
+  }
+  if (period === BudgetPeriod.MONTHLY) {
+    return `${today.slice(0, 8)}01`;
+  }
+  return today;
+};
+
+// Identifies one concrete period, e.g. "weekly:2026-10-19"
+export const getPeriodKey = (period, now = Date.now()) => `${period}:${getPeriodStartDate(period, now)}`;
+
+// Today's usage up to the newest history sample, and that sample, so live
+// readings can be added on top without fetching again
+export const fetchTodayBaseline = async (deviceId, now = Date.now()) => {
+  const midnight = new Date(now).setHours(0, 0, 0, 0);
+  const [previous, records] = await Promise.all([
+    fetchRecordBefore(deviceId, midnight),
+    fetchHistory(deviceId, { from: midnight, to: now + 60000 }),
+  ]);
+
+  let usage = 0;
+  let last = previous;
+  records.forEach((record) => {
+    if (last) usage += getUsageBetween(last, record);
+    last = record;
+  });
+
+  return { date: toDateKey(now), usage, lastRecord: last };
+};
+
+// Completed-day usage per period from the rollups; today is not included
+export const fetchCompletedUsage = async (deviceId, now = Date.now()) => {
+  const today = toDateKey(now);
+  const yesterday = addDays(today, -1);
+  const earliest = [BudgetPeriod.WEEKLY, BudgetPeriod.MONTHLY]
+    .map(period => getPeriodStartDate(period, now))
+    .sort()[0];
+
+  // Only the owner writes rollups; for members the missing days count as 0
+  // until the owner's app fills them in
+  try {
+    await rollupDailyAnalytics(deviceId, now);
+  } catch (error) {
+    console.log('Budget rollup error:', error);
+  }
+  const days = earliest <= yesterday
+    ? await getDailyRollups(deviceId, earliest, yesterday)
+    : [];
+
+  const sumFrom = (startDate) => days
+    .filter(day => !day.missing && day.date >= startDate)
+    .reduce((sum, day) => sum + day.totalUsage, 0);
+
+  return {
+    date: today,
+    [BudgetPeriod.DAILY]: 0,
+    [BudgetPeriod.WEEKLY]: sumFrom(getPeriodStartDate(BudgetPeriod.WEEKLY, now)),
+    [BudgetPeriod.MONTHLY]: sumFrom(getPeriodStartDate(BudgetPeriod.MONTHLY, now)),
+  };
+};
+
+export const getTodayUsage = (baseline, liveData) => {
+  if (!baseline) return 0;
+  if (!liveData || !baseline.lastRecord) return baseline.usage;
+  return baseline.usage + getUsageBetween(baseline.lastRecord, liveData);
+};
+
+// Progress for every period that has a limit. `level` is the highest
+// warning percentage reached, 100 once the budget is used up.
+export const evaluateBudgets = ({ settings, completed, todayUsage, now = Date.now() }) => (
+  Object.values(BudgetPeriod)
+    .filter(period => settings[period] > 0)
+    .map((period) => {
+      const used = (completed?.[period] ?? 0) + todayUsage;
+      const limit = settings[period];
+      const percent = (used / limit) * 100;
+      const reached = settings.warnAt.filter(level => percent >= level);
+
+      return {
+        period,
+        periodKey: getPeriodKey(period, now),
+        used,
+        limit,
+        percent,
+        exceeded: used >= limit,
+        level: used >= limit ? 100 : (reached[reached.length - 1] ?? 0),
+      };
+    })
+);
+
+const getSettingsRef = (deviceId) => ref(getDatabase(), `devices/${deviceId}/settings/budgets`);
+
+export const subscribeToBudgetSettings = (deviceId, onChange) => onValue(
+  getSettingsRef(deviceId),
+  (snapshot) => onChange(normalizeBudgetSettings(snapshot.val())),
+  (error) => {
+    console.log('Budget settings listener error:', error);
+    onChange(normalizeBudgetSettings(null));
+  }
+);
+
+// Leaves shutOff alone, which operators write too
+export const saveBudgetSettings = (deviceId, settings) => {
+  const { shutOff, ...limits } = normalizeBudgetSettings(settings);
+  return update(getSettingsRef(deviceId), limits);
+};
+
+// Marks the period of `periodKey` as handled by the automatic shut-off
+export const recordBudgetShutOff = (deviceId, period, periodKey) => (
+  set(ref(getDatabase(), `devices/${deviceId}/settings/budgets/shutOff/${period}`), periodKey)
+);
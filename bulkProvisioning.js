@@ -0,0 +1,192 @@
+// Bulk provisioning
+// Runs the single-device provisioning flow over a queue of device IDs with
+// one target network: join the device AP, check /device-info, send
+// /configure, leave the AP and wait for the device to come online. Devices
+// are done one at a time because the phone can only be on one AP and needs
+// its normal network back to see the device report in.
+import { createProvisioningClient } from './ProvisioningClient';
+import { discoverProvisioningEndpoint } from './provisioningEndpoint';
+import {
+  prepareOwnershipCredentials,
+  withdrawOwnershipCredentials,
+} from './provisioningCredentials';
+import { watchDeviceOnline, VerificationOutcome } from './deviceVerification';
+import { joinDeviceAp, leaveDeviceAp } from './deviceAp';
+
+export const BulkStatus = {
+  PENDING: 'pending',
+  JOINING: 'joining',
+  CHECKING: 'checking',
+  CONFIGURING: 'configuring',
+  VERIFYING: 'verifying',
+  ONLINE: 'online',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+export const BULK_STATUS_LABELS = {
+  [BulkStatus.PENDING]: 'Pending',
+  [BulkStatus.JOINING]: 'Joining AP',
+  [BulkStatus.CHECKING]: 'Checking device',
+  [BulkStatus.CONFIGURING]: 'Sending WiFi',
+  [BulkStatus.VERIFYING]: 'Waiting online',
+  [BulkStatus.ONLINE]: 'Online',
+  [BulkStatus.FAILED]: 'Failed',
+  [BulkStatus.SKIPPED]: 'Skipped',
+};
+
+// Accepts IDs separated by commas, spaces or new lines; keeps first occurrence
+export const parseDeviceIds = (text) => Array.from(new Set(
+  String(text || '')
+    .split(/[\s,;]+/)
+    .map(id => id.trim())
+    .filter(Boolean)
+));
+
+export const createBulkResult = (deviceId) => ({
+  deviceId,
+  status: BulkStatus.PENDING,
+  failedAt: null,
+  error: null,
+  version: null,
+  batteryPercentage: null,
+  startedAt: null,
+  finishedAt: null,
+});
+
+const waitForOnline = (deviceId, baseUrl) => new Promise((resolve) => {
+  watchDeviceOnline({ deviceId, baseUrl, onResult: resolve });
+});
+
+const describeOutcome = (outcome) => {
+  if (outcome === VerificationOutcome.WRONG_PASSWORD) {
+    return 'Device could not join the network (wrong password?)';
+  }
+  return 'Device did not come online in time';
+};
+
+// Provision one device. `onUpdate(patch)` is called at every stage.
+export const provisionDevice = async ({ deviceId, ssid, password, userId, onUpdate }) => {
+  let stage = BulkStatus.JOINING;
+  let credentials = null;
+
+  onUpdate({ status: stage, startedAt: Date.now(), error: null, failedAt: null });
+
+  try {
+    // Claim and pair first, while the phone still has internet
+    credentials = await prepareOwnershipCredentials(userId, deviceId);
+
+    await joinDeviceAp(deviceId);
+
+    stage = BulkStatus.CHECKING;
+    onUpdate({ status: stage });
+    const found = await discoverProvisioningEndpoint({ deviceId });
+    if (!found) {
+      throw new Error('Device not reachable on its setup network');
+    }
+    onUpdate({
+      version: found.deviceInfo.version,
+      batteryPercentage: found.deviceInfo.batteryPercentage,
+    });
+
+    stage = BulkStatus.CONFIGURING;
+    onUpdate({ status: stage });
+    const client = createProvisioningClient({ baseUrl: found.endpoint.baseUrl });
+    await client.configure({
+      ssid,
+      password,
+      uid: credentials?.uid,
+      pairingCode: credentials?.pairingCode,
+    });
+
+    await leaveDeviceAp(deviceId);
+
+    stage = BulkStatus.VERIFYING;
+    onUpdate({ status: stage });
+    const outcome = await waitForOnline(deviceId, found.endpoint.baseUrl);
+    if (outcome !== VerificationOutcome.ONLINE) {
+      throw new Error(describeOutcome(outcome));
+    }
+
+    onUpdate({ status: BulkStatus.ONLINE, finishedAt: Date.now() });
+    return true;
+  } catch (error) {
+    console.error(`❌ Bulk provisioning ${deviceId} failed at ${stage}:`, error);
+    await leaveDeviceAp(deviceId);
+    // Never configured, so it cannot use the claim or the pairing code.
+    // Not awaited: the write waits in the SDK until the network is back.
+    if (stage === BulkStatus.JOINING || stage === BulkStatus.CHECKING) {
+      withdrawOwnershipCredentials(deviceId, credentials)
+        .catch(withdrawError => console.log('Could not withdraw the claim:', withdrawError));
+    }
+    onUpdate({
+      status: BulkStatus.FAILED,
+      failedAt: stage,
+      error: error.message,
+      finishedAt: Date.now(),
+    });
+    return false;
+  }
+};
+
+// Works through the queue in order. `onUpdate(deviceId, patch)` reports
+// progress; `isCancelled()` is checked between devices, and the rest of the
+// queue is marked skipped once it returns true.
+export const runBulkProvisioning = async ({
+  deviceIds,
+  ssid,
+  password = '',
+  userId,
+  onUpdate,
+  isCancelled = () => false,
+}) => {
+  for (let index = 0; index < deviceIds.length; index++) {
+    const deviceId = deviceIds[index];
+
+    if (isCancelled()) {
+      deviceIds.slice(index).forEach(id => onUpdate(id, { status: BulkStatus.SKIPPED }));
+      return;
+    }
+
+    await provisionDevice({
+      deviceId,
+      ssid,
+      password,
+      userId,
+      onUpdate: (patch) => onUpdate(deviceId, patch),
+    });
+  }
+};
+
+const CSV_COLUMNS = [
+  ['deviceId', 'Device ID'],
+  ['status', 'Status'],
+  ['failedAt', 'Failed At'],
+  ['error', 'Error'],
+  ['version', 'Firmware'],
+  ['batteryPercentage', 'Battery %'],
+  ['startedAt', 'Started'],
+  ['finishedAt', 'Finished'],
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const bulkResultsToCsv = (results) => {
+  const header = CSV_COLUMNS.map(([, label]) => label).join(',');
+  const rows = results.map(result => CSV_COLUMNS.map(([key]) => {
+    const value = result[key];
+    if ((key === 'startedAt' || key === 'finishedAt') && value) {
+      return escapeCsv(new Date(value).toISOString());
+    }
+    if (key === 'status' || key === 'failedAt') {
+      return escapeCsv(value ? BULK_STATUS_LABELS[value] : '');
+    }
+    return escapeCsv(value);
+  }).join(','));
+
+  return [header, ...rows].join('\r\n');
+};
@@ -0,0 +1,81 @@
+// Bulk provisioning tests
+//   npm test -- bulkProvisioning.test.js
+import { joinDeviceAp } from './deviceAp';
+import { discoverProvisioningEndpoint } from './provisioningEndpoint';
+import { watchDeviceOnline } from './deviceVerification';
+import {
+  prepareOwnershipCredentials,
+  withdrawOwnershipCredentials,
+} from './provisioningCredentials';
+import { provisionDevice, BulkStatus } from './bulkProvisioning';
+
+jest.mock('./deviceAp', () => ({
+  joinDeviceAp: jest.fn(() => Promise.resolve()),
+  leaveDeviceAp: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('./provisioningEndpoint', () => ({
+  discoverProvisioningEndpoint: jest.fn(),
+}));
+jest.mock('./ProvisioningClient', () => ({
+  createProvisioningClient: jest.fn(() => ({ configure: jest.fn(() => Promise.resolve()) })),
+}));
+jest.mock('./deviceVerification', () => ({
+  VerificationOutcome: { ONLINE: 'online', TIMEOUT: 'timeout' },
+  watchDeviceOnline: jest.fn(),
+}));
+jest.mock('./provisioningCredentials', () => ({
+  prepareOwnershipCredentials: jest.fn(),
+  withdrawOwnershipCredentials: jest.fn(() => Promise.resolve()),
+}));
+
+const CREDENTIALS = { uid: 'user-1', pairingCode: 'pairing-code', claimed: true };
+const FOUND = {
+  endpoint: { baseUrl: 'http://192.168.4.1' },
+  deviceInfo: { version: '1.2.0', batteryPercentage: 80 },
+};
+
+const provision = () => {
+  const updates = [];
+  const result = provisionDevice({
+    deviceId: 'SWM001',
+    ssid: 'Home',
+    password: 'secret',
+    userId: 'user-1',
+    onUpdate: patch => updates.push(patch),
+  });
+  return result.then(ok => ({ ok, last: updates[updates.length - 1] }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prepareOwnershipCredentials.mockResolvedValue(CREDENTIALS);
+  discoverProvisioningEndpoint.mockResolvedValue(FOUND);
+});
+
+test('withdraws the claim when the device AP cannot be joined', async () => {
+  joinDeviceAp.mockRejectedValueOnce(new Error('Could not join'));
+
+  const { ok, last } = await provision();
+
+  expect(ok).toBe(false);
+  expect(last).toMatchObject({ status: BulkStatus.FAILED, failedAt: BulkStatus.JOINING });
+  expect(withdrawOwnershipCredentials).toHaveBeenCalledWith('SWM001', CREDENTIALS);
+});
+
+test('withdraws the claim when the device does not answer on its AP', async () => {
+  discoverProvisioningEndpoint.mockResolvedValue(null);
+
+  const { last } = await provision();
+
+  expect(last).toMatchObject({ failedAt: BulkStatus.CHECKING });
+  expect(withdrawOwnershipCredentials).toHaveBeenCalledWith('SWM001', CREDENTIALS);
+});
+
+test('keeps the claim once the device has its configuration', async () => {
+  watchDeviceOnline.mockImplementation(({ onResult }) => onResult('timeout'));
+
+  const { last } = await provision();
+
+  expect(last).toMatchObject({ failedAt: BulkStatus.VERIFYING });
+  expect(withdrawOwnershipCredentials).not.toHaveBeenCalled();
+});
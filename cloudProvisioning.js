@@ -0,0 +1,206 @@
+// Cloud-relayed provisioning client
+// Same interface as the Direct AP client (scan, configure, getDeviceInfo)
+// for devices that are already online: requests go through the Realtime
+// Database nodes the firmware polls instead of its AP web server.
+//   scan      -> commands/scanWifi, result in wifiScan
+//   configure -> wifiConfig (the firmware removes the password once read)
+//   info      -> info
+// The firmware sets info/status to "online" on connect but never writes
+// "offline", so a device only counts as online while its data/timestamp
+// (or info/lastSeen) is fresh.
+import { getDatabase, ref, get, set, onValue, remove } from 'firebase/database';
+import {
+  ProvisioningError,
+  ProvisioningErrorCode,
+  normalizeNetworks,
+} from './ProvisioningClient';
+import { isDataStale } from './deviceData';
+
+export const CLOUD_SCAN_TIMEOUT = 45000;
+
+const toProvisioningError = (error) => {
+  if (error instanceof ProvisioningError) return error;
+  if (error?.code === 'PERMISSION_DENIED' || /permission/i.test(error?.message || '')) {
+    return new ProvisioningError(
+      ProvisioningErrorCode.REJECTED,
+      'You do not have permission to configure this device',
+      { cause: error }
+    );
+  }
+  return new ProvisioningError(
+    ProvisioningErrorCode.UNREACHABLE,
+    error?.message || 'Could not reach the database',
+    { cause: error }
+  );
+};
+
+const readServerTimeOffset = (db) => new Promise((resolve) => {
+  onValue(
+    ref(db, '.info/serverTimeOffset'),
+    (snapshot) => resolve(snapshot.val() || 0),
+    () => resolve(0),
+    { onlyOnce: true }
+  );
+});
+
+// Newest server timestamp the device wrote, or null
+const getLastHeard = (info, dataTimestamp) => {
+  const times = [info?.lastSeen, dataTimestamp].filter(time => typeof time === 'number');
+  return times.length ? Math.max(...times) : null;
+};
+
+export const isDeviceOnline = (info, dataTimestamp, serverTimeOffset = 0, now = Date.now()) => (
+  info?.status === 'online' &&
+  !isDataStale({ timestamp: getLastHeard(info, dataTimestamp) }, null, now, serverTimeOffset)
+);
+
+// Reads info and the last data timestamp, and works out the real status
+const readDeviceState = async (db, devicePath) => {
+  const [infoSnapshot, timestampSnapshot, serverTimeOffset] = await Promise.all([
+    get(ref(db, `${devicePath}/info`)),
+    get(ref(db, `${devicePath}/data/timestamp`)),
+    readServerTimeOffset(db),
+  ]);
+  const info = infoSnapshot.val();
+  const dataTimestamp = timestampSnapshot.val();
+  const online = isDeviceOnline(info, dataTimestamp, serverTimeOffset);
+
+  return {
+    info,
+    lastSeen: getLastHeard(info, dataTimestamp),
+    status: online ? 'online' : (info?.status === 'online' ? 'offline' : info?.status ?? null),
+  };
+};
+
+export const createCloudProvisioningClient = ({
+  deviceId,
+  scanTimeout = CLOUD_SCAN_TIMEOUT,
+} = {}) => {
+  const db = getDatabase();
+  const devicePath = `devices/${deviceId}`;
+
+  // Resolves with the first scan result published after the command
+  const scan = () => new Promise((resolve, reject) => {
+    let sawScanning = false;
+    let initial = true;
+    let unsubscribe = null;
+    let timer = null;
+    let finished = false;
+
+    const finish = (callback, value) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe();
+      callback(value);
+    };
+
+    timer = setTimeout(() => {
+      finish(reject, new ProvisioningError(
+        ProvisioningErrorCode.TIMEOUT,
+        `Device did not publish a scan within ${Math.round(scanTimeout / 1000)} seconds`,
+        { timeout: scanTimeout }
+      ));
+    }, scanTimeout);
+
+    unsubscribe = onValue(ref(db, `${devicePath}/wifiScan`), (snapshot) => {
+      const wifiScan = snapshot.val();
+
+      // The first snapshot is whatever an earlier scan left behind
+      if (initial) {
+        initial = false;
+        return;
+      }
+      if (wifiScan?.scanning) {
+        sawScanning = true;
+        return;
+      }
+      if (wifiScan && (sawScanning || wifiScan.networks)) {
+        const networks = Object.values(wifiScan.networks || {});
+        finish(resolve, { networks: normalizeNetworks(networks) });
+      }
+    }, (error) => {
+      finish(reject, toProvisioningError(error));
+    });
+
+    set(ref(db, `${devicePath}/commands/scanWifi`), {
+      scan: true,
+      timestamp: Date.now(),
+    }).catch(error => finish(reject, toProvisioningError(error)));
+  });
+
+  // Uid/pairing code are accepted for interface parity; an online device is
+  // already bound to its owner.
+  const configure = async ({ ssid, password = '' }) => {
+    try {
+      await set(ref(db, `${devicePath}/wifiConfig`), {
+        ssid,
+        password,
+        timestamp: Date.now(),
+        configured: false,
+      });
+    } catch (error) {
+      throw toProvisioningError(error);
+    }
+
+    return {
+      deviceId,
+      message: 'WiFi configuration sent to device',
+    };
+  };
+
+  // Removes a password the device never picked up
+  const clearPendingPassword = () =>
+    remove(ref(db, `${devicePath}/wifiConfig/password`))
+      .catch(error => console.log('Error clearing wifiConfig password:', error));
+
+  const getDeviceInfo = async () => {
+    let state;
+    try {
+      state = await readDeviceState(db, devicePath);
+    } catch (error) {
+      throw toProvisioningError(error);
+    }
+
+    const { info, status, lastSeen } = state;
+    if (!info) {
+      throw new ProvisioningError(
+        ProvisioningErrorCode.UNREACHABLE,
+        'Device has not reported in yet'
+      );
+    }
+
+    return {
+      deviceId: info.deviceId ?? deviceId,
+      version: info.version ?? null,
+      type: null,
+      status,
+      lastSeen,
+      batteryPercentage: typeof info.batteryPercentage === 'number' ? info.batteryPercentage : null,
+      batteryVoltage: typeof info.batteryVoltage === 'number' ? info.batteryVoltage : null,
+      ip: info.wifiInfo?.ip ?? null,
+      ssid: info.wifiInfo?.ssid ?? null,
+    };
+  };
+
+  return {
+    deviceId,
+    scan,
+    configure,
+    getDeviceInfo,
+    clearPendingPassword,
+  };
+};
+
+// Online devices are reconfigured through the cloud, everything else
+// (setup mode, offline, unknown) needs the Direct AP path. A stale "online"
+// comes back as "offline".
+export const getDeviceStatus = async (deviceId) => {
+  try {
+    const { status } = await readDeviceState(getDatabase(), `devices/${deviceId}`);
+    return status;
+  } catch (error) {
+    console.log('Could not read device status:', error);
+    return null;
+  }
+};
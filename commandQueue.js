@@ -0,0 +1,317 @@
+// Offline command queue
+// A command written while the phone has no connection would wait in the
+// Firebase SDK's memory and reach the device whenever the app next got
+// online, possibly hours later, or be lost with the app. Instead it is kept
+// per user and device in AsyncStorage and sent by startCommandQueues once
+// .info/connected turns true, unless it has expired by then. That runs once
+// for the signed-in user and flushes every device's queue, whichever screen
+// is open; signing out deletes that user's queues. Expired and failed
+// commands stay listed until the user dismisses them.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import { getDatabase, ref, onValue, set } from 'firebase/database';
+import { sendValveCommand } from './valveCommands';
+
+export const QueuedCommandType = {
+  VALVE_CONTROL: 'valveControl',
+  RESET_TOTAL: 'resetTotal',
+};
+
+export const QueuedCommandStatus = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+};
+
+// An hour-old "open valve" is more likely to surprise than help
+export const COMMAND_EXPIRY = {
+  [QueuedCommandType.VALVE_CONTROL]: 15 * 60000,
+  [QueuedCommandType.RESET_TOTAL]: 24 * 3600000,
+};
+
+const EXPIRY_CHECK_INTERVAL = 15000;
+const QUEUE_PREFIX = 'commandQueue/';
+
+const queues = new Map();
+const loads = new Map();
+const listeners = new Map();
+const flushes = new Map();
+let connected = false;
+let runner = null;
+
+// "{userId}/{deviceId}", also the storage key after QUEUE_PREFIX
+const getQueueId = (userId, deviceId) => `${userId}/${deviceId}`;
+
+const getQueueKey = (queueId) => `${QUEUE_PREFIX}${queueId}`;
+
+// A command that was mid-send when the app closed may already have reached
+// the device, so it is never sent a second time
+const restoreCommand = (command) => (
+  command.status === QueuedCommandStatus.SENDING
+    ? { ...command, status: QueuedCommandStatus.FAILED, error: 'The app closed before the device confirmed' }
+    : command
+);
+
+const loadQueue = (queueId) => {
+  if (queues.has(queueId)) return Promise.resolve(queues.get(queueId));
+  if (!loads.has(queueId)) {
+    loads.set(queueId, (async () => {
+      let commands = [];
+      try {
+        const raw = await AsyncStorage.getItem(getQueueKey(queueId));
+        const parsed = raw ? JSON.parse(raw) : [];
+        commands = Array.isArray(parsed) ? parsed.map(restoreCommand) : [];
+      } catch (error) {
+        console.log('Error reading command queue:', error);
+      }
+      queues.set(queueId, commands);
+      loads.delete(queueId);
+      return commands;
+    })());
+  }
+  return loads.get(queueId);
+};
+
+// `change` gets the current list and returns the new one; the list is read
+// again after the load so concurrent callers cannot overwrite each other
+const updateQueue = async (queueId, change) => {
+  await loadQueue(queueId);
+  const current = queues.get(queueId);
+  const commands = change(current);
+  if (commands === current) return commands;
+
+  queues.set(queueId, commands);
+  (listeners.get(queueId) || new Set()).forEach(listener => listener(commands));
+
+  try {
+    if (commands.length > 0) {
+      await AsyncStorage.setItem(getQueueKey(queueId), JSON.stringify(commands));
+    } else {
+      await AsyncStorage.removeItem(getQueueKey(queueId));
+    }
+  } catch (error) {
+    console.log('Error saving command queue:', error);
+  }
+  return commands;
+};
+
+const patchCommand = (queueId, id, patch) => updateQueue(queueId, commands => (
+  commands.map(command => (command.id === id ? { ...command, ...patch } : command))
+));
+
+// Calls onChange(isConnected) whenever the database connection changes
+export const subscribeToConnection = (onChange) => onValue(
+  ref(getDatabase(), '.info/connected'),
+  (snapshot) => onChange(snapshot.val() === true)
+);
+
+// Calls onChange(commands), oldest first
+export const subscribeToCommandQueue = (userId, deviceId, onChange) => {
+  const queueId = getQueueId(userId, deviceId);
+  if (!listeners.has(queueId)) listeners.set(queueId, new Set());
+  listeners.get(queueId).add(onChange);
+
+  let active = true;
+  loadQueue(queueId).then((commands) => {
+    if (active) onChange(commands);
+  });
+
+  return () => {
+    active = false;
+    listeners.get(queueId).delete(onChange);
+  };
+};
+
+export const sendResetTotal = (deviceId) => (
+  set(ref(getDatabase(), `devices/${deviceId}/commands/resetTotal`), true)
+);
+
+const sendCommand = (command) => {
+  switch (command.type) {
+    case QueuedCommandType.VALVE_CONTROL:
+      return sendValveCommand({
+        deviceId: command.deviceId,
+        command: command.value,
+        userId: command.userId,
+        source: 'offlineQueue',
+      });
+    case QueuedCommandType.RESET_TOTAL:
+      return sendResetTotal(command.deviceId);
+    default:
+      return Promise.reject(new Error(`Unknown command type ${command.type}`));
+  }
+};
+
+export const isCommandExpired = (command, now = Date.now()) => now >= command.expiresAt;
+
+const expireCommands = (queueId, now = Date.now()) => updateQueue(queueId, (commands) => {
+  if (!commands.some(command => command.status === QueuedCommandStatus.PENDING && isCommandExpired(command, now))) {
+    return commands;
+  }
+  return commands.map((command) => {
+    if (command.status !== QueuedCommandStatus.PENDING || !isCommandExpired(command, now)) return command;
+    console.log(`⌛ Queued ${command.type} for ${command.deviceId} expired`);
+    return { ...command, status: QueuedCommandStatus.EXPIRED };
+  });
+});
+
+const runQueue = async (queueId) => {
+  const commands = await expireCommands(queueId);
+
+  for (const command of commands.filter(item => item.status === QueuedCommandStatus.PENDING)) {
+    if (!connected) return;
+    // Cancelled or replaced while an earlier command was being sent
+    const latest = queues.get(queueId)?.find(item => item.id === command.id);
+    if (latest?.status !== QueuedCommandStatus.PENDING) continue;
+    if (isCommandExpired(command)) {
+      await patchCommand(queueId, command.id, { status: QueuedCommandStatus.EXPIRED });
+      continue;
+    }
+
+    console.log(`📤 Sending queued ${command.type} to ${command.deviceId}`);
+    await patchCommand(queueId, command.id, { status: QueuedCommandStatus.SENDING });
+    try {
+      await sendCommand(command);
+      console.log(`✅ Queued ${command.type} delivered to ${command.deviceId}`);
+      await updateQueue(queueId, list => list.filter(item => item.id !== command.id));
+    } catch (error) {
+      console.error(`❌ Queued ${command.type} failed:`, error);
+      await patchCommand(queueId, command.id, {
+        status: QueuedCommandStatus.FAILED,
+        error: error.message,
+      });
+    }
+  }
+};
+
+// One pass at a time per device, in queue order
+const flushQueue = (queueId) => {
+  const next = (flushes.get(queueId) || Promise.resolve())
+    .then(() => runQueue(queueId))
+    .catch(error => console.log('Command queue error:', error));
+  flushes.set(queueId, next);
+  return next;
+};
+
+// A newer command of the same type replaces one that is still waiting:
+// only the latest valve position the user asked for is sent
+export const queueCommand = async ({ deviceId, userId, type, value = true }) => {
+  const now = Date.now();
+  const command = {
+    id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    deviceId,
+    userId,
+    type,
+    value,
+    queuedAt: now,
+    expiresAt: now + COMMAND_EXPIRY[type],
+    status: QueuedCommandStatus.PENDING,
+    error: null,
+  };
+
+  const queueId = getQueueId(userId, deviceId);
+  await updateQueue(queueId, commands => [
+    ...commands.filter(item => item.type !== type || item.status !== QueuedCommandStatus.PENDING),
+    command,
+  ]);
+  console.log(`📥 Queued ${type} for ${deviceId}, expires in ${Math.round(COMMAND_EXPIRY[type] / 60000)} min`);
+
+  if (connected) flushQueue(queueId);
+  return command;
+};
+
+// Cancels a waiting command or clears an expired/failed one
+export const dismissQueuedCommand = (userId, deviceId, id) => updateQueue(
+  getQueueId(userId, deviceId),
+  commands => commands.filter(command => command.id !== id || command.status === QueuedCommandStatus.SENDING)
+);
+
+export const clearCommandQueue = (userId, deviceId) => updateQueue(getQueueId(userId, deviceId), () => []);
+
+// The user's queues that are stored or loaded
+const getQueueIds = async (userId) => {
+  const prefix = getQueueId(userId, '');
+  const queueIds = new Set(Array.from(queues.keys()).filter(queueId => queueId.startsWith(prefix)));
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    keys
+      .filter(key => key.startsWith(`${QUEUE_PREFIX}${prefix}`))
+      .forEach(key => queueIds.add(key.slice(QUEUE_PREFIX.length)));
+  } catch (error) {
+    console.log('Error listing command queues:', error);
+  }
+  return Array.from(queueIds);
+};
+
+const forEachQueue = (userId, run) => getQueueIds(userId)
+  .then(queueIds => Promise.all(queueIds.map(run)))
+  .catch(error => console.log('Command queue error:', error));
+
+// Deletes every queue of the user, e.g. on sign-out, so the next account
+// on this phone neither sees nor sends them
+export const clearCommandQueues = async (userId) => {
+  const queueIds = await getQueueIds(userId);
+  await Promise.all(queueIds.map(queueId => updateQueue(queueId, () => [])));
+  queueIds.forEach(queueId => queues.delete(queueId));
+  console.log(`🧹 Cleared ${queueIds.length} command queue(s)`);
+};
+
+// Sends every device's waiting commands for `userId` whenever the
+// connection comes back and marks the ones that ran out of time. Meant to
+// run once for the signed-in user; further calls for the same user share
+// it, and it stops when the last of them does. When the user signs out
+// their queues are deleted. Returns a stop function.
+export const startCommandQueues = (userId) => {
+  if (runner && runner.userId !== userId) {
+    runner.stop();
+    runner = null;
+  }
+
+  if (!runner) {
+    const unsubscribe = subscribeToConnection((isConnected) => {
+      connected = isConnected;
+      console.log(isConnected ? '🌐 Database connected' : '📴 Database connection lost');
+      if (isConnected) forEachQueue(userId, flushQueue);
+    });
+    const timer = setInterval(() => {
+      forEachQueue(userId, queueId => expireCommands(queueId));
+    }, EXPIRY_CHECK_INTERVAL);
+    let signedIn = false;
+    const unsubscribeAuth = onAuthStateChanged(getAuth(), (user) => {
+      if (user?.uid === userId) {
+        signedIn = true;
+        return;
+      }
+      if (!signedIn) return;
+      signedIn = false;
+      console.log('👋 Signed out, clearing command queues');
+      clearCommandQueues(userId).catch(error => console.log('Error clearing command queues:', error));
+    });
+
+    runner = {
+      userId,
+      count: 0,
+      stop: () => {
+        unsubscribe();
+        unsubscribeAuth();
+        clearInterval(timer);
+        // Nothing is watching the connection any more
+        connected = false;
+      },
+    };
+  }
+
+  const current = runner;
+  current.count++;
+  let active = true;
+  return () => {
+    if (!active) return;
+    active = false;
+    current.count--;
+    if (current.count === 0 && runner === current) {
+      current.stop();
+      runner = null;
+    }
+  };
+};
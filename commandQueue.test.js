@@ -0,0 +1,95 @@
+// Offline command queue tests
+//   npm test -- commandQueue.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { onAuthStateChanged } from 'firebase/auth';
+import { onValue } from 'firebase/database';
+import { sendValveCommand } from './valveCommands';
+import {
+  QueuedCommandType,
+  queueCommand,
+  subscribeToCommandQueue,
+  startCommandQueues,
+} from './commandQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const mockStore = new Map();
+  return {
+    getItem: jest.fn(async key => (mockStore.has(key) ? mockStore.get(key) : null)),
+    setItem: jest.fn(async (key, value) => { mockStore.set(key, value); }),
+    removeItem: jest.fn(async (key) => { mockStore.delete(key); }),
+    getAllKeys: jest.fn(async () => Array.from(mockStore.keys())),
+  };
+});
+
+jest.mock('firebase/auth', () => ({
+  getAuth: jest.fn(() => ({})),
+  onAuthStateChanged: jest.fn(),
+}));
+
+jest.mock('firebase/database', () => ({
+  getDatabase: jest.fn(() => ({})),
+  ref: jest.fn((db, path) => ({ path })),
+  onValue: jest.fn(),
+  set: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('./valveCommands', () => ({
+  sendValveCommand: jest.fn(() => Promise.resolve({ valveState: 'CLOSED' })),
+}));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let setConnected;
+let setAuthUser;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  onValue.mockImplementation((target, onChange) => {
+    setConnected = value => onChange({ val: () => value });
+    return jest.fn();
+  });
+  onAuthStateChanged.mockImplementation((auth, onChange) => {
+    setAuthUser = onChange;
+    return jest.fn();
+  });
+});
+
+const queueClose = (userId, deviceId = 'SWM001') => queueCommand({
+  deviceId,
+  userId,
+  type: QueuedCommandType.VALVE_CONTROL,
+  value: 'CLOSE',
+});
+
+test('keeps each user\'s commands under their own key', async () => {
+  await queueClose('alice');
+
+  expect(AsyncStorage.setItem).toHaveBeenCalledWith('commandQueue/alice/SWM001', expect.any(String));
+  const seen = jest.fn();
+  subscribeToCommandQueue('bob', 'SWM001', seen);
+  await flush();
+  expect(seen).toHaveBeenLastCalledWith([]);
+});
+
+test('sends only the signed-in user\'s commands and deletes them on sign-out', async () => {
+  await queueClose('carol', 'SWM002');
+  await queueClose('dave', 'SWM003');
+
+  const stop = startCommandQueues('dave');
+  setAuthUser({ uid: 'dave' });
+  setConnected(true);
+  await flush();
+  await flush();
+  expect(sendValveCommand).toHaveBeenCalledTimes(1);
+  expect(sendValveCommand).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'SWM003', userId: 'dave' }));
+
+  setConnected(false);
+  await queueClose('dave', 'SWM004');
+  setAuthUser(null);
+  await flush();
+  await flush();
+  const keys = await AsyncStorage.getAllKeys();
+  expect(keys).toContain('commandQueue/carol/SWM002');
+  expect(keys.filter(key => key.startsWith('commandQueue/dave/'))).toEqual([]);
+  stop();
+});
@@ -0,0 +1,273 @@
+// Daily analytics rollups
+// Turns history/{deviceId} samples into one analytics/{deviceId}/{date}
+// record per completed day, so screens can show daily usage without
+// re-reading every raw sample. Records are keyed by the calendar date
+// (YYYY-MM-DD) in the meter's time zone and carry that zone; the values are
+// computed only from history, so writing a day again is harmless.
+//
+// The meter's zone is devices/{deviceId}/settings/timeZone, which the owner
+// sets explicitly. Days are cut in that zone whichever phone writes them,
+// so a phone abroad writes the same records. Until it is set nothing is
+// rolled up, and records written in another zone are written again.
+//
+// Days without a single sample are not written: readers get them back as
+// `missing` rather than as a day with zero usage. Water used while the
+// device was offline shows up on the day it reported in again.
+import {
+  getDatabase,
+  ref,
+  query,
+  get,
+  set,
+  onValue,
+  orderByKey,
+  orderByChild,
+  startAt,
+  endAt,
+  limitToFirst,
+  limitToLast,
+} from 'firebase/database';
+import { fetchHistory, fetchRecordBefore, getUsageBetween } from './usageHistory';
+
+// How far back a single rollup run will go
+export const MAX_BACKFILL_DAYS = 31;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateKey = (year, monthIndex, day) => `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+
+// Milliseconds to add to UTC to get the wall-clock time in `timeZone`
+const getZoneOffset = (time, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+// Midnight starting the given day in `timeZone`. The second pass corrects
+// for a daylight saving change between UTC midnight and local midnight.
+const getZoneMidnight = (year, monthIndex, day, timeZone) => {
+  const utcMidnight = Date.UTC(year, monthIndex, day);
+  const guess = utcMidnight - getZoneOffset(utcMidnight, timeZone);
+  return utcMidnight - getZoneOffset(guess, timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The calendar date in `timeZone`, or on the phone without one
+export const toDateKey = (time, timeZone = null) => {
+  if (timeZone) {
+    const date = new Date(time + getZoneOffset(time, timeZone));
+    return formatDateKey(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+  const date = new Date(time);
+  return formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+// Midnight to the next midnight, in `timeZone` or on the phone
+export const getDayRange = (dateKey, timeZone = null) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  if (timeZone) {
+    return {
+      from: getZoneMidnight(year, month - 1, day, timeZone),
+      to: getZoneMidnight(year, month - 1, day + 1, timeZone),
+    };
+  }
+  return {
+    from: new Date(year, month - 1, day).getTime(),
+    to: new Date(year, month - 1, day + 1).getTime(),
+  };
+};
+
+export const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDateKey(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+export const getLocalTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getTimeZoneRef = (deviceId) => ref(getDatabase(), `devices/${deviceId}/settings/timeZone`);
+
+// The meter's time zone, or null while the owner has not set one
+export const fetchMeterTimeZone = async (deviceId) => {
+  const snapshot = await get(getTimeZoneRef(deviceId));
+  return isValidTimeZone(snapshot.val()) ? snapshot.val() : null;
+};
+
+export const subscribeToMeterTimeZone = (deviceId, onChange) => onValue(
+  getTimeZoneRef(deviceId),
+  (snapshot) => onChange(isValidTimeZone(snapshot.val()) ? snapshot.val() : null),
+  (error) => {
+    console.log('Meter time zone listener error:', error);
+    onChange(null);
+  }
+);
+
+export const saveMeterTimeZone = (deviceId, timeZone) => {
+  if (!isValidTimeZone(timeZone)) {
+    return Promise.reject(new Error(`Unknown time zone ${timeZone}`));
+  }
+  return set(getTimeZoneRef(deviceId), timeZone);
+};
+
+// One day's record from its samples, oldest first. `previous` is the last
+// sample before the day. Returns null for a day without samples.
+// `duration` is minutes with water flowing, at the sampling resolution.
+export const buildDailyRollup = (dateKey, records, previous = null, timeZone = getLocalTimeZone()) => {
+  if (records.length === 0) return null;
+
+  let totalUsage = 0;
+  let duration = 0;
+  let peakFlow = 0;
+  let last = previous;
+
+  records.forEach((record) => {
+    if (last) {
+      const usage = getUsageBetween(last, record);
+      totalUsage += usage;
+      if (usage > 0) {
+        duration += (record.timestamp - last.timestamp) / 60000;
+      }
+    }
+    peakFlow = Math.max(peakFlow, record.flowRate);
+    last = record;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    date: dateKey,
+    totalUsage: round(totalUsage),
+    averageFlow: duration > 0 ? round(totalUsage / duration) : 0,
+    peakFlow: round(peakFlow),
+    duration: Math.round(duration),
+    timeZone,
+  };
+};
+
+// Writes and returns the day's record, cut in the meter's `timeZone`
+export const rollupDay = async (deviceId, dateKey, timeZone) => {
+  const { from, to } = getDayRange(dateKey, timeZone);
+  const dayRef = ref(getDatabase(), `analytics/${deviceId}/${dateKey}`);
+  const [previous, records] = await Promise.all([
+    fetchRecordBefore(deviceId, from),
+    fetchHistory(deviceId, { from, to }),
+  ]);
+
+  const rollup = buildDailyRollup(dateKey, records, previous, timeZone);
+  if (rollup) {
+    await set(dayRef, rollup);
+  }
+  return rollup;
+};
+
+const getLatestRollup = async (deviceId) => {
+  const snapshot = await get(query(
+    ref(getDatabase(), `analytics/${deviceId}`),
+    orderByKey(),
+    limitToLast(1)
+  ));
+  let latest = null;
+  snapshot.forEach((child) => { latest = { ...child.val(), date: child.key }; });
+  return latest;
+};
+
+const getFirstHistoryTime = async (deviceId) => {
+  const snapshot = await get(query(
+    ref(getDatabase(), `history/${deviceId}`),
+    orderByChild('timestamp'),
+    limitToFirst(1)
+  ));
+  let first = null;
+  snapshot.forEach((child) => { first = child.val()?.timestamp ?? null; });
+  return first;
+};
+
+// Rolls up every completed day, in the meter's time zone, since the latest
+// rollup (or the first sample), at most MAX_BACKFILL_DAYS back. Latest
+// records from another zone, e.g. before the owner changed it, are cut
+// again as far back as that. Today is never written because it is not over
+// yet, and nothing is written while the meter has no time zone. Returns the
+// records written.
+export const rollupDailyAnalytics = async (deviceId, now = Date.now()) => {
+  const timeZone = await fetchMeterTimeZone(deviceId);
+  if (!timeZone) {
+    console.log(`🕒 ${deviceId} has no time zone set; skipping rollups`);
+    return [];
+  }
+
+  const today = toDateKey(now, timeZone);
+  const earliest = addDays(today, -MAX_BACKFILL_DAYS);
+
+  let start;
+  const latest = await getLatestRollup(deviceId);
+  if (latest && latest.timeZone && latest.timeZone !== timeZone) {
+    console.log(`🕒 ${deviceId} rollups are in ${latest.timeZone}, not ${timeZone}; writing them again`);
+    start = earliest;
+  } else if (latest) {
+    start = addDays(latest.date, 1);
+  } else {
+    const firstTime = await getFirstHistoryTime(deviceId);
+    if (firstTime === null) return [];
+    start = toDateKey(firstTime, timeZone);
+  }
+  if (start < earliest) start = earliest;
+
+  const written = [];
+  for (let dateKey = start; dateKey < today; dateKey = addDays(dateKey, 1)) {
+    const rollup = await rollupDay(deviceId, dateKey, timeZone);
+    if (rollup) written.push(rollup);
+  }
+
+  if (written.length > 0) {
+    console.log(`📊 Rolled up ${written.length} day(s) for ${deviceId}`);
+  }
+  return written;
+};
+
+// One entry per day from `fromDate` to `toDate` inclusive; days without a
+// rollup come back as { date, missing: true }
+export const getDailyRollups = async (deviceId, fromDate, toDate) => {
+  const snapshot = await get(query(
+    ref(getDatabase(), `analytics/${deviceId}`),
+    orderByKey(),
+    startAt(fromDate),
+    endAt(toDate)
+  ));
+
+  const byDate = {};
+  snapshot.forEach((child) => {
+    byDate[child.key] = { ...child.val(), date: child.key, missing: false };
+  });
+
+  const days = [];
+  for (let dateKey = fromDate; dateKey <= toDate; dateKey = addDays(dateKey, 1)) {
+    days.push(byDate[dateKey] || { date: dateKey, missing: true });
+  }
+  return days;
+};
@@ -0,0 +1,106 @@
+// Daily rollup date tests
+//   npm test -- dailyAnalytics.test.js
+import { get, set } from 'firebase/database';
+import { fetchHistory, fetchRecordBefore } from './usageHistory';
+import {
+  toDateKey,
+  getDayRange,
+  addDays,
+  isValidTimeZone,
+  rollupDailyAnalytics,
+} from './dailyAnalytics';
+
+jest.mock('firebase/database', () => ({
+  getDatabase: jest.fn(() => ({})),
+  ref: jest.fn((db, path) => ({ path })),
+  query: jest.fn(target => target),
+  get: jest.fn(),
+  set: jest.fn(() => Promise.resolve()),
+  onValue: jest.fn(),
+  orderByKey: jest.fn(),
+  orderByChild: jest.fn(),
+  startAt: jest.fn(),
+  endAt: jest.fn(),
+  limitToFirst: jest.fn(),
+  limitToLast: jest.fn(),
+}));
+
+jest.mock('./usageHistory', () => ({
+  fetchHistory: jest.fn(),
+  fetchRecordBefore: jest.fn(),
+  getUsageBetween: jest.fn((from, to) => to.totalLitres - from.totalLitres),
+}));
+
+const snapshotOf = (value, children = []) => ({
+  val: () => value,
+  exists: () => value !== null,
+  forEach: (callback) => children.forEach(([key, child]) => callback({ key, val: () => child })),
+});
+
+describe('dates in a time zone', () => {
+  const instant = Date.UTC(2026, 9, 18, 22, 30);
+
+  test('the same instant falls on the meter\'s own calendar date', () => {
+    expect(toDateKey(instant, 'Asia/Tokyo')).toBe('2026-10-19');
+    expect(toDateKey(instant, 'America/New_York')).toBe('2026-10-18');
+  });
+
+  test('a day runs from midnight to midnight in the zone', () => {
+    expect(getDayRange('2026-10-19', 'Asia/Tokyo')).toEqual({
+      from: Date.UTC(2026, 9, 18, 15),
+      to: Date.UTC(2026, 9, 19, 15),
+    });
+  });
+
+  test('a daylight saving day is 23 hours long', () => {
+    const { from, to } = getDayRange('2026-03-08', 'America/New_York');
+    expect(from).toBe(Date.UTC(2026, 2, 8, 5));
+    expect(to - from).toBe(23 * 3600000);
+  });
+
+  test('addDays crosses month and year ends', () => {
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  test('unknown zones are rejected', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+});
+
+describe('rollupDailyAnalytics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('writes nothing while the meter has no time zone', async () => {
+    get.mockResolvedValue(snapshotOf(null));
+
+    await expect(rollupDailyAnalytics('SWM001')).resolves.toEqual([]);
+    expect(fetchHistory).not.toHaveBeenCalled();
+    expect(set).not.toHaveBeenCalled();
+  });
+
+  test('cuts days in the meter\'s zone', async () => {
+    const now = Date.UTC(2026, 9, 19, 3);
+    get.mockImplementation(async ({ path }) => (
+      path.endsWith('/timeZone')
+        ? snapshotOf('Asia/Tokyo')
+        : snapshotOf({}, [['2026-10-17', { date: '2026-10-17', timeZone: 'Asia/Tokyo' }]])
+    ));
+    fetchRecordBefore.mockResolvedValue({ timestamp: 0, totalLitres: 100, flowRate: 0 });
+    fetchHistory.mockResolvedValue([{ timestamp: 1, totalLitres: 150, flowRate: 2 }]);
+
+    const written = await rollupDailyAnalytics('SWM001', now);
+
+    // Already the 19th in Tokyo, so only the 18th is complete
+    expect(written.map(day => day.date)).toEqual(['2026-10-18']);
+    expect(written[0]).toMatchObject({ totalUsage: 50, timeZone: 'Asia/Tokyo' });
+    expect(fetchHistory).toHaveBeenCalledWith('SWM001', {
+      from: Date.UTC(2026, 9, 17, 15),
+      to: Date.UTC(2026, 9, 18, 15),
+    });
+  });
+});
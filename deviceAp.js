@@ -0,0 +1,38 @@
+// Device setup AP
+// In AP mode the firmware broadcasts `${AP_SSID_PREFIX}${deviceId}` with a
+// fixed WPA2 password (AP_SSID_PREFIX / AP_WIFI_PASSWORD in the firmware).
+// Joining and leaving it programmatically needs react-native-wifi-reborn,
+// which only works in a development or production build, not Expo Go.
+import WifiManager from 'react-native-wifi-reborn';
+import { Platform } from 'react-native';
+
+export const DEVICE_AP_PREFIX = 'SmartWM_';
+export const DEVICE_AP_PASSWORD = '12345678';
+
+export const getDeviceApSsid = (deviceId) => `${DEVICE_AP_PREFIX}${deviceId}`;
+
+export const joinDeviceAp = async (deviceId) => {
+  const ssid = getDeviceApSsid(deviceId);
+  console.log(`📶 Joining ${ssid}`);
+  await WifiManager.connectToProtectedSSID(ssid, DEVICE_AP_PASSWORD, false, false);
+
+  const current = await WifiManager.getCurrentWifiSSID();
+  if (current !== ssid) {
+    throw new Error(`Joined "${current}" instead of "${ssid}"`);
+  }
+};
+
+// Lets the phone fall back to its normal network
+export const leaveDeviceAp = async (deviceId) => {
+  const ssid = getDeviceApSsid(deviceId);
+  console.log(`📶 Leaving ${ssid}`);
+  try {
+    if (Platform.OS === 'ios') {
+      await WifiManager.disconnectFromSSID(ssid);
+    } else {
+      await WifiManager.isRemoveWifiNetwork(ssid);
+    }
+  } catch (error) {
+    console.log(`Error leaving ${ssid}:`, error);
+  }
+};
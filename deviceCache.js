@@ -0,0 +1,81 @@
+// Offline device cache
+// The Firebase JS SDK keeps nothing on disk, so without a connection the
+// dashboard would sit on "Connecting..." forever. The last info, data and
+// usage history seen for each device are saved in AsyncStorage (these grow
+// past SecureStore's size limit) and shown until live values arrive.
+// Entries are { value, savedAt }; savedAt is phone time.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'deviceCache/';
+
+// Live data arrives every few seconds; disk only needs an occasional copy
+export const DATA_CACHE_INTERVAL = 30000;
+
+const lastDataWrite = new Map();
+
+const getKey = (deviceId, part) => `${CACHE_PREFIX}${deviceId}/${part}`;
+
+const readEntry = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    const entry = raw ? JSON.parse(raw) : null;
+    return entry && typeof entry.savedAt === 'number' ? entry : null;
+  } catch (error) {
+    console.log('Error reading device cache:', error);
+    return null;
+  }
+};
+
+// Best effort: a failed cache write never affects the live screen
+const writeEntry = (key, value) => AsyncStorage.setItem(
+  key,
+  JSON.stringify({ value, savedAt: Date.now() })
+).catch(error => console.log('Error writing device cache:', error));
+
+// { value, savedAt } or null
+export const getCachedDeviceInfo = (deviceId) => readEntry(getKey(deviceId, 'info'));
+
+export const cacheDeviceInfo = (deviceId, info) => {
+  if (!info) return Promise.resolve();
+  return writeEntry(getKey(deviceId, 'info'), info);
+};
+
+// value is the { data, receivedAt, serverTimeOffset } snapshot from
+// subscribeToDeviceData
+export const getCachedDeviceData = (deviceId) => readEntry(getKey(deviceId, 'data'));
+
+export const cacheDeviceData = (deviceId, snapshot, { force = false } = {}) => {
+  if (!snapshot?.data) return Promise.resolve();
+
+  const now = Date.now();
+  const last = lastDataWrite.get(deviceId);
+  if (!force && last && now - last.at < DATA_CACHE_INTERVAL
+    && last.valveState === snapshot.data.valveState) {
+    return Promise.resolve();
+  }
+
+  lastDataWrite.set(deviceId, { at: now, valveState: snapshot.data.valveState });
+  return writeEntry(getKey(deviceId, 'data'), snapshot);
+};
+
+// Only the current window of each range is kept, as loadUsageHistory
+// returned it
+export const getCachedUsageHistory = (deviceId, range) => (
+  readEntry(getKey(deviceId, `history_${range}`))
+);
+
+export const cacheUsageHistory = (deviceId, range, result) => (
+  writeEntry(getKey(deviceId, `history_${range}`), result)
+);
+
+// Called when a device leaves the user's list
+export const clearDeviceCache = async (deviceId) => {
+  lastDataWrite.delete(deviceId);
+  try {
+    const prefix = `${CACHE_PREFIX}${deviceId}/`;
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(prefix)));
+  } catch (error) {
+    console.log('Error clearing device cache:', error);
+  }
+};
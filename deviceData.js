@@ -0,0 +1,85 @@
+// Live device data
+// The firmware rewrites devices/{deviceId}/data every few seconds
+// (updateFirebaseData). `timestamp` is the server time of that write; older
+// builds wrote millis() uptime instead, so for those the only freshness
+// signal is when we last saw the value change.
+import { getDatabase, ref, onValue } from 'firebase/database';
+
+export const DATA_STALE_AFTER = 30000;
+
+export const ValveState = {
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED',
+  UNKNOWN: 'UNKNOWN',
+};
+
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+export const normalizeDeviceData = (data) => {
+  if (!data) return null;
+
+  return {
+    flowRate: Math.max(0, toNumber(data.flowRate) ?? 0),
+    totalLitres: Math.max(0, toNumber(data.totalLitres) ?? 0),
+    valveState: Object.values(ValveState).includes(data.valveState)
+      ? data.valveState
+      : ValveState.UNKNOWN,
+    batteryPercentage: toNumber(data.batteryPercentage),
+    batteryVoltage: toNumber(data.batteryVoltage),
+    rssi: toNumber(data.rssi ?? data.wifiInfo?.rssi),
+    ssid: data.wifiInfo?.ssid ?? null,
+    timestamp: toNumber(data.timestamp),
+  };
+};
+
+// Milliseconds since the device last wrote, or null if unknown
+export const getDataAge = (data, receivedAt, now = Date.now(), serverTimeOffset = 0) => {
+  if (!data || data.timestamp === null) return null;
+  if (data.timestamp > 1e12) {
+    return Math.max(0, now + serverTimeOffset - data.timestamp);
+  }
+  return receivedAt ? Math.max(0, now - receivedAt) : null;
+};
+
+export const isDataStale = (data, receivedAt, now, serverTimeOffset) => {
+  const age = getDataAge(data, receivedAt, now, serverTimeOffset);
+  return age === null || age > DATA_STALE_AFTER;
+};
+
+// Calls onUpdate({ data, receivedAt, serverTimeOffset }) whenever the data
+// or the server clock offset changes. Returns an unsubscribe function.
+export const subscribeToDeviceData = (deviceId, onUpdate, onError) => {
+  const db = getDatabase();
+  let data;
+  let receivedAt = null;
+  let serverTimeOffset = 0;
+
+  const emit = () => {
+    if (data !== undefined) {
+      onUpdate({ data, receivedAt, serverTimeOffset });
+    }
+  };
+
+  const unsubscribeOffset = onValue(ref(db, '.info/serverTimeOffset'), (snapshot) => {
+    serverTimeOffset = snapshot.val() || 0;
+    emit();
+  });
+
+  const unsubscribeData = onValue(ref(db, `devices/${deviceId}/data`), (snapshot) => {
+    const next = normalizeDeviceData(snapshot.val());
+    // The first legacy value may be hours old, so it does not count as received
+    if (next && data !== undefined && next.timestamp !== data?.timestamp) {
+      receivedAt = Date.now();
+    }
+    data = next;
+    emit();
+  }, (error) => {
+    console.log('Device data listener error:', error);
+    if (onError) onError(error);
+  });
+
+  return () => {
+    unsubscribeOffset();
+    unsubscribeData();
+  };
+};
@@ -0,0 +1,146 @@
+// Device ownership
+// deviceOwners/{deviceId} holds the owner's uid and is what every device
+// rule checks; users/{uid}/devices/{deviceId} is the owner's own list with
+// the name they gave the meter. Claiming and releasing write both paths in
+// one multi-path update so they never disagree. The firmware never writes
+// deviceOwners: the app claims the meter before provisioning it, and the
+// meter binds its own account in deviceAccounts (provisioningCredentials.js).
+// Entries marked `shared` are meters another owner shared with this user
+// (see deviceSharing.js); those are left, not released.
+import {
+  getDatabase,
+  ref,
+  onValue,
+  get,
+  update,
+  serverTimestamp,
+} from 'firebase/database';
+
+export const DEVICE_NAME_MAX_LENGTH = 40;
+
+export const DeviceErrorCode = {
+  INVALID_ID: 'INVALID_ID',
+  ALREADY_OWNED: 'ALREADY_OWNED',
+  NOT_OWNER: 'NOT_OWNER',
+};
+
+export class DeviceOwnershipError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DeviceOwnershipError';
+    this.code = code;
+    this.cause = details.cause;
+  }
+}
+
+// Database keys cannot contain . # $ [ ] or /
+export const isValidDeviceId = (deviceId) => (
+  typeof deviceId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(deviceId)
+);
+
+export const normalizeDeviceName = (name, deviceId) => {
+  const trimmed = String(name || '').trim().slice(0, DEVICE_NAME_MAX_LENGTH);
+  return trimmed || deviceId;
+};
+
+const toDeviceList = (value) => Object.entries(value || {})
+  .map(([deviceId, record]) => ({
+    deviceId,
+    name: normalizeDeviceName(record?.name, deviceId),
+    addedAt: typeof record?.addedAt === 'number' ? record.addedAt : null,
+    shared: record?.shared === true,
+  }))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// Calls onChange(devices) with the user's devices sorted by name
+export const subscribeToUserDevices = (userId, onChange, onError) => onValue(
+  ref(getDatabase(), `users/${userId}/devices`),
+  (snapshot) => onChange(toDeviceList(snapshot.val())),
+  (error) => {
+    console.log('User devices listener error:', error);
+    if (onError) onError(error);
+  }
+);
+
+export const subscribeToDeviceInfo = (deviceId, onChange) => onValue(
+  ref(getDatabase(), `devices/${deviceId}/info`),
+  (snapshot) => onChange(snapshot.val()),
+  (error) => {
+    console.log('Device info listener error:', error);
+    onChange(null);
+  }
+);
+
+export const getDeviceOwner = async (deviceId) => {
+  const snapshot = await get(ref(getDatabase(), `deviceOwners/${deviceId}`));
+  return snapshot.val();
+};
+
+export const claimDevice = async ({ userId, deviceId, name }) => {
+  if (!isValidDeviceId(deviceId)) {
+    throw new DeviceOwnershipError(
+      DeviceErrorCode.INVALID_ID,
+      'Device IDs can only contain letters, numbers, "-" and "_".'
+    );
+  }
+
+  const owner = await getDeviceOwner(deviceId);
+  if (owner && owner !== userId) {
+    throw new DeviceOwnershipError(
+      DeviceErrorCode.ALREADY_OWNED,
+      `Device ${deviceId} already belongs to another account.`
+    );
+  }
+
+  console.log(`📌 Claiming ${deviceId}`);
+  await update(ref(getDatabase()), {
+    [`deviceOwners/${deviceId}`]: userId,
+    [`users/${userId}/devices/${deviceId}`]: {
+      deviceId,
+      userId,
+      name: normalizeDeviceName(name, deviceId),
+      addedAt: serverTimestamp(),
+    },
+  });
+};
+
+export const renameDevice = (userId, deviceId, name) => (
+  update(ref(getDatabase(), `users/${userId}/devices/${deviceId}`), {
+    name: normalizeDeviceName(name, deviceId),
+  })
+);
+
+// Removes the ownership and the list entry together, along with everyone
+// the meter was shared with, the meter's own account binding, and its
+// history, rollups, valve log and settings. Claiming is first come, first
+// served, so whoever claims the ID next must not inherit any of it. A list
+// entry without an owner only removes the entry: the rules deny the other
+// paths to non-owners.
+export const releaseDevice = async (userId, deviceId) => {
+  const owner = await getDeviceOwner(deviceId);
+  if (owner && owner !== userId) {
+    throw new DeviceOwnershipError(
+      DeviceErrorCode.NOT_OWNER,
+      `Device ${deviceId} belongs to another account.`
+    );
+  }
+
+  console.log(`🗑️ Releasing ${deviceId}`);
+  const updates = {
+    [`users/${userId}/devices/${deviceId}`]: null,
+  };
+  if (owner === userId) {
+    Object.assign(updates, {
+      [`deviceOwners/${deviceId}`]: null,
+      [`deviceMembers/${deviceId}`]: null,
+      [`deviceInvites/${deviceId}`]: null,
+      [`deviceAccounts/${deviceId}`]: null,
+      [`devicePairing/${deviceId}`]: null,
+      [`history/${deviceId}`]: null,
+      [`analytics/${deviceId}`]: null,
+      [`valveEvents/${deviceId}`]: null,
+      [`devices/${deviceId}/settings`]: null,
+    });
+  }
+  await update(ref(getDatabase()), updates);
+};
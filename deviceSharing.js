@@ -0,0 +1,220 @@
+// Shared household access
+// The owner in deviceOwners/{deviceId} can invite others as viewers (read
+// data, history and analytics) or operators (also send commands).
+// Invitations live in deviceInvites/{deviceId}/{inviteId}; the invite code
+// handed to the other person is "<deviceId>:<inviteId>". Accepting writes
+// deviceMembers/{deviceId}/{uid}, which the rules only allow while a
+// matching unexpired invitation exists, and consumes the invitation in the
+// same update.
+import {
+  getDatabase,
+  ref,
+  onValue,
+  get,
+  push,
+  set,
+  update,
+  remove,
+  serverTimestamp,
+} from 'firebase/database';
+import { getAuth } from 'firebase/auth';
+import { getDeviceOwner, isValidDeviceId, normalizeDeviceName } from './deviceRegistry';
+
+export const INVITE_EXPIRY = 7 * 24 * 3600000;
+
+export const DeviceRole = {
+  OWNER: 'owner',
+  OPERATOR: 'operator',
+  VIEWER: 'viewer',
+};
+
+export const DEVICE_ROLE_LABELS = {
+  [DeviceRole.OWNER]: 'Owner',
+  [DeviceRole.OPERATOR]: 'Operator',
+  [DeviceRole.VIEWER]: 'Viewer',
+};
+
+export const SharingErrorCode = {
+  INVALID_CODE: 'INVALID_CODE',
+  INVITE_NOT_FOUND: 'INVITE_NOT_FOUND',
+  INVITE_EXPIRED: 'INVITE_EXPIRED',
+  OWN_DEVICE: 'OWN_DEVICE',
+};
+
+export class SharingError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SharingError';
+    this.code = code;
+    this.cause = details.cause;
+  }
+}
+
+export const canControlDevice = (role) => (
+  role === DeviceRole.OWNER || role === DeviceRole.OPERATOR
+);
+
+export const formatInviteCode = (deviceId, inviteId) => `${deviceId}:${inviteId}`;
+
+export const parseInviteCode = (code) => {
+  const [deviceId, inviteId, ...rest] = String(code || '').trim().split(':');
+  if (rest.length > 0 || !isValidDeviceId(deviceId) || !inviteId || /[.#$[\]/]/.test(inviteId)) {
+    return null;
+  }
+  return { deviceId, inviteId };
+};
+
+// Calls onChange(role) with the user's role on the device, or null
+export const subscribeToDeviceRole = (deviceId, userId, onChange) => {
+  const db = getDatabase();
+  let owner;
+  let memberRole;
+
+  const emit = () => {
+    if (owner === undefined || memberRole === undefined) return;
+    if (owner === userId) {
+      onChange(DeviceRole.OWNER);
+    } else {
+      onChange(memberRole);
+    }
+  };
+
+  const unsubscribeOwner = onValue(ref(db, `deviceOwners/${deviceId}`), (snapshot) => {
+    owner = snapshot.val();
+    emit();
+  }, (error) => {
+    console.log('Device owner listener error:', error);
+    owner = null;
+    emit();
+  });
+
+  const unsubscribeMember = onValue(ref(db, `deviceMembers/${deviceId}/${userId}/role`), (snapshot) => {
+    const role = snapshot.val();
+    memberRole = role === DeviceRole.OPERATOR || role === DeviceRole.VIEWER ? role : null;
+    emit();
+  }, (error) => {
+    console.log('Device member listener error:', error);
+    memberRole = null;
+    emit();
+  });
+
+  return () => {
+    unsubscribeOwner();
+    unsubscribeMember();
+  };
+};
+
+const toList = (value) => Object.entries(value || {}).map(([id, record]) => ({ id, ...record }));
+
+// Owner only: calls onChange(members) sorted by when they joined
+export const subscribeToMembers = (deviceId, onChange) => onValue(
+  ref(getDatabase(), `deviceMembers/${deviceId}`),
+  (snapshot) => onChange(
+    toList(snapshot.val())
+      .map(member => ({ ...member, uid: member.id }))
+      .sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0))
+  ),
+  (error) => {
+    console.log('Device members listener error:', error);
+    onChange([]);
+  }
+);
+
+// Owner only: calls onChange(invites) for invitations that have not expired
+export const subscribeToInvites = (deviceId, onChange) => onValue(
+  ref(getDatabase(), `deviceInvites/${deviceId}`),
+  (snapshot) => onChange(
+    toList(snapshot.val())
+      .filter(invite => invite.expiresAt > Date.now())
+      .map(invite => ({ ...invite, code: formatInviteCode(deviceId, invite.id) }))
+  ),
+  (error) => {
+    console.log('Device invites listener error:', error);
+    onChange([]);
+  }
+);
+
+// The push id doubles as the secret: only someone holding the code can
+// read the invitation or accept it
+export const createInvite = async ({ deviceId, deviceName, userId, role }) => {
+  const inviteRef = push(ref(getDatabase(), `deviceInvites/${deviceId}`));
+  await set(inviteRef, {
+    role,
+    deviceName: normalizeDeviceName(deviceName, deviceId),
+    invitedBy: userId,
+    createdAt: serverTimestamp(),
+    expiresAt: Date.now() + INVITE_EXPIRY,
+  });
+  console.log(`✉️ Created ${role} invite for ${deviceId}`);
+  return formatInviteCode(deviceId, inviteRef.key);
+};
+
+export const cancelInvite = (deviceId, inviteId) => (
+  remove(ref(getDatabase(), `deviceInvites/${deviceId}/${inviteId}`))
+);
+
+export const acceptInvite = async (userId, code) => {
+  const parsed = parseInviteCode(code);
+  if (!parsed) {
+    throw new SharingError(SharingErrorCode.INVALID_CODE, 'That does not look like an invite code.');
+  }
+  const { deviceId, inviteId } = parsed;
+
+  if (await getDeviceOwner(deviceId) === userId) {
+    throw new SharingError(SharingErrorCode.OWN_DEVICE, 'You already own this device.');
+  }
+
+  const snapshot = await get(ref(getDatabase(), `deviceInvites/${deviceId}/${inviteId}`));
+  const invite = snapshot.val();
+  if (!invite) {
+    throw new SharingError(
+      SharingErrorCode.INVITE_NOT_FOUND,
+      'This invitation does not exist or has already been used.'
+    );
+  }
+  if (invite.expiresAt <= Date.now()) {
+    throw new SharingError(
+      SharingErrorCode.INVITE_EXPIRED,
+      'This invitation has expired. Ask the owner for a new one.'
+    );
+  }
+
+  const user = getAuth().currentUser;
+  console.log(`🤝 Joining ${deviceId} as ${invite.role}`);
+  await update(ref(getDatabase()), {
+    [`deviceMembers/${deviceId}/${userId}`]: {
+      role: invite.role,
+      invite: inviteId,
+      displayName: user?.email || user?.displayName || userId,
+      addedAt: serverTimestamp(),
+    },
+    [`deviceInvites/${deviceId}/${inviteId}`]: null,
+    [`users/${userId}/devices/${deviceId}`]: {
+      deviceId,
+      userId,
+      name: normalizeDeviceName(invite.deviceName, deviceId),
+      addedAt: serverTimestamp(),
+      shared: true,
+    },
+  });
+
+  return { deviceId, role: invite.role };
+};
+
+export const changeMemberRole = (deviceId, memberId, role) => (
+  set(ref(getDatabase(), `deviceMembers/${deviceId}/${memberId}/role`), role)
+);
+
+// The revoked user's own device list still has the entry; it shows as
+// shared with no access until they remove it
+export const revokeMember = (deviceId, memberId) => (
+  remove(ref(getDatabase(), `deviceMembers/${deviceId}/${memberId}`))
+);
+
+export const leaveDevice = async (userId, deviceId) => {
+  console.log(`👋 Leaving ${deviceId}`);
+  await update(ref(getDatabase()), {
+    [`deviceMembers/${deviceId}/${userId}`]: null,
+    [`users/${userId}/devices/${deviceId}`]: null,
+  });
+};
@@ -0,0 +1,520 @@
+// Device simulator
+// Stands in for an ESP32 in AP mode so the provisioning flow can run
+// without hardware. Serves /scan, /configure and /device-info with the
+// firmware's JSON shapes, can inject faults per endpoint, and after a
+// successful /configure can publish info, data and history to a local
+// Realtime Database emulator the way the firmware does once online.
+//
+// Like the firmware, the simulated meter has its own account uid (a fresh
+// one per run, or --device-uid), never writes deviceOwners, and binds that
+// uid in deviceAccounts with the pairing code from /configure. Database
+// writes use the emulator's admin token, so rules are not checked here;
+// rules.test.js covers them.
+//
+//   node deviceSimulator.js --port 8080 --device-id SIM001
+//   node deviceSimulator.js --fault scan=timeout --delay configure=5000
+//   node deviceSimulator.js --firebase 127.0.0.1:9000 --namespace demo-default-rtdb
+//   node deviceSimulator.js --device-uid meter-account --firebase 127.0.0.1:9000 --namespace demo-default-rtdb
+//
+// Point the app at it with expo.extra.provisioningUrl ("10.0.2.2:8080" from
+// an Android emulator, "localhost:8080" from the iOS simulator).
+//
+// Faults (--fault <endpoint>=<mode>[:<count>], endpoint scan|configure|info):
+//   timeout    never answer
+//   empty      /scan answers with no networks
+//   malformed  answer with broken JSON
+//   error      answer { success: false, error }
+//   http500    answer HTTP 500
+// With a count the fault only applies to that many requests. Faults and
+// delays can also be changed while running: POST /_sim/fault with
+// { endpoint, mode, count } or { endpoint, delay }, GET /_sim/state.
+const http = require('http');
+
+const FIRMWARE_VERSION = '2.0.0';
+const AP_IP = '192.168.4.1';
+const DATA_INTERVAL = 3000;
+const HISTORY_INTERVAL = 300000;
+const RESTART_DELAY = 2000;
+const CONNECT_DELAY = 5000;
+
+const ENDPOINTS = {
+  '/scan': 'scan',
+  '/configure': 'configure',
+  '/device-info': 'info',
+};
+
+const FAULT_MODES = ['timeout', 'empty', 'malformed', 'error', 'http500'];
+
+const DEFAULT_NETWORKS = [
+  { ssid: 'HomeNetwork', rssi: -48, encryption: 'SECURED', channel: 6 },
+  { ssid: 'HomeNetwork', rssi: -71, encryption: 'SECURED', channel: 1 },
+  { ssid: 'Neighbour_5G', rssi: -80, encryption: 'SECURED', channel: 11 },
+  { ssid: 'CoffeeShop', rssi: -66, encryption: 'OPEN', channel: 1 },
+  { ssid: 'Office', rssi: -59, encryption: 'SECURED', channel: 11 },
+];
+
+const DeviceState = {
+  AP_MODE: 'ap',
+  RESTARTING: 'restarting',
+  ONLINE: 'online',
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const log = (...args) => console.log(new Date().toISOString().slice(11, 23), ...args);
+
+const parseFault = (value) => {
+  const [endpoint, spec = ''] = String(value).split('=');
+  const [mode, count] = spec.split(':');
+  if (!Object.values(ENDPOINTS).includes(endpoint) || !FAULT_MODES.includes(mode)) {
+    throw new Error(`Invalid fault "${value}". Use <scan|configure|info>=<${FAULT_MODES.join('|')}>[:count]`);
+  }
+  return { endpoint, mode, count: count ? parseInt(count, 10) : null };
+};
+
+const parseDelay = (value) => {
+  const [endpoint, ms] = String(value).split('=');
+  if (ms === undefined) return { endpoint: null, delay: parseInt(endpoint, 10) };
+  return { endpoint, delay: parseInt(ms, 10) };
+};
+
+const createSimulator = ({
+  port = 8080,
+  deviceId = 'SIM001',
+  networks = DEFAULT_NETWORKS,
+  batteryPercentage = 85,
+  batteryVoltage = 3.95,
+  // When set, /configure only "connects" with this password
+  wifiPassword = null,
+  // The meter's own account, kept across simulated restarts
+  deviceUid = `sim-${Math.random().toString(36).slice(2, 14)}`,
+  firebase = null,
+  namespace = null,
+  dataInterval = DATA_INTERVAL,
+  historyInterval = HISTORY_INTERVAL,
+} = {}) => {
+  if (firebase && !namespace) {
+    throw new Error('A database namespace is required with firebase, e.g. demo-project-default-rtdb');
+  }
+
+  const faults = {};
+  const delays = { scan: 0, configure: 0, info: 0 };
+  const pending = new Set();
+  const timers = new Set();
+
+  const device = {
+    state: DeviceState.AP_MODE,
+    ssid: null,
+    ownerUid: null,
+    pairingCode: null,
+    flowRate: 0,
+    totalLitres: 0,
+    valveOpen: true,
+  };
+
+  const later = (fn, ms) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+    return timer;
+  };
+
+  const every = (fn, ms) => {
+    const timer = setInterval(fn, ms);
+    timers.add(timer);
+    return timer;
+  };
+
+  const clearTimers = () => {
+    timers.forEach((timer) => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    timers.clear();
+  };
+
+  // ==================== FIREBASE EMULATOR ====================
+  // The emulator accepts "owner" as an admin token, so rules are bypassed;
+  // a bound device account is allowed the same paths
+  const firebaseRequest = async (method, path, body) => {
+    if (!firebase) return null;
+    const url = `http://${firebase}/${path}.json?ns=${encodeURIComponent(namespace)}`;
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { Authorization: 'Bearer owner', 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      if (!response.ok) {
+        log(`❌ Firebase ${method} ${path} failed: HTTP ${response.status}`);
+        return null;
+      }
+      return response.json();
+    } catch (error) {
+      log(`❌ Firebase ${method} ${path} failed: ${error.message}`);
+      return null;
+    }
+  };
+
+  const wifiInfo = () => ({ ssid: device.ssid, rssi: -55, ip: '192.168.1.77' });
+
+  const publishInfo = (status) => firebaseRequest('PUT', `devices/${deviceId}/info`, {
+    deviceId,
+    status,
+    version: FIRMWARE_VERSION,
+    firmwareDate: 'Simulator',
+    lastSeen: { '.sv': 'timestamp' },
+    batteryPercentage,
+    batteryVoltage,
+    wifiInfo: wifiInfo(),
+  });
+
+  const publishData = () => firebaseRequest('PUT', `devices/${deviceId}/data`, {
+    deviceId,
+    userId: device.ownerUid || '',
+    flowRate: device.flowRate,
+    totalLitres: device.totalLitres,
+    valveState: device.valveOpen ? 'OPEN' : 'CLOSED',
+    status: 'online',
+    timestamp: { '.sv': 'timestamp' },
+    rssi: -55,
+    batteryPercentage,
+    batteryVoltage,
+    wifiInfo: wifiInfo(),
+  });
+
+  const publishHistory = () => firebaseRequest('POST', `history/${deviceId}`, {
+    timestamp: { '.sv': 'timestamp' },
+    flowRate: device.flowRate,
+    totalLitres: device.totalLitres,
+    valveState: device.valveOpen ? 'OPEN' : 'CLOSED',
+    batteryPercentage,
+  });
+
+  // Same contract as the firmware's valve stream: apply, then delete
+  const checkValveCommand = async () => {
+    const command = await firebaseRequest('GET', `devices/${deviceId}/commands/valveControl`);
+    if (typeof command !== 'boolean') return;
+    device.valveOpen = command;
+    log(`🚰 Valve ${command ? 'opened' : 'closed'} by command`);
+    await firebaseRequest('DELETE', `devices/${deviceId}/commands/valveControl`);
+  };
+
+  const tick = async () => {
+    const seconds = dataInterval / 1000;
+    if (device.valveOpen) {
+      // Random walk between idle and a running tap
+      device.flowRate = Math.max(0, Math.min(20, device.flowRate + (Math.random() - 0.45) * 4));
+      if (device.flowRate < 0.5) device.flowRate = 0;
+    } else {
+      device.flowRate = 0;
+    }
+    device.totalLitres = Math.round((device.totalLitres + (device.flowRate / 60) * seconds) * 1000) / 1000;
+    await checkValveCommand();
+    await publishData();
+  };
+
+  // Same as the firmware's bindDeviceAccount: the app already claimed
+  // deviceOwners, the meter only binds its own uid and uses the code up
+  const bindDeviceAccount = async () => {
+    if (!device.pairingCode) return;
+    const bound = await firebaseRequest('PUT', `deviceAccounts/${deviceId}`, {
+      uid: deviceUid,
+      pairingCode: device.pairingCode,
+      pairedAt: { '.sv': 'timestamp' },
+    });
+    if (!bound) return;
+    await firebaseRequest('DELETE', `devicePairing/${deviceId}`);
+    device.pairingCode = null;
+    log(`🔗 Bound device account ${deviceUid}`);
+  };
+
+  const goOnline = async () => {
+    device.state = DeviceState.ONLINE;
+    log(`✅ Joined "${device.ssid}"${firebase ? ', publishing to Firebase' : ''}`);
+    if (!firebase) return;
+
+    await bindDeviceAccount();
+    await publishInfo('online');
+    await tick();
+    every(tick, dataInterval);
+    every(publishHistory, historyInterval);
+  };
+
+  // The firmware answers /configure, restarts, and either joins the new
+  // network or falls back to AP mode
+  const restartWith = (ssid, password) => {
+    device.state = DeviceState.RESTARTING;
+    log('🔄 Restarting...');
+    later(() => {
+      if (wifiPassword !== null && password !== wifiPassword) {
+        log(`❌ Could not join "${ssid}", back in AP mode`);
+        device.state = DeviceState.AP_MODE;
+        return;
+      }
+      device.ssid = ssid;
+      goOnline();
+    }, RESTART_DELAY + CONNECT_DELAY);
+  };
+
+  // ==================== AP WEB SERVER ====================
+  const send = (res, status, body) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(text);
+  };
+
+  // Returns the fault to apply to this request, if any
+  const takeFault = (endpoint) => {
+    const fault = faults[endpoint];
+    if (!fault) return null;
+    if (fault.count !== null) {
+      fault.count -= 1;
+      if (fault.count <= 0) delete faults[endpoint];
+    }
+    return fault.mode;
+  };
+
+  const readBody = req => new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+
+  const handlers = {
+    scan: (req, res, fault) => {
+      const list = fault === 'empty' ? [] : networks.slice(0, 20);
+      log(`📡 Scan: ${list.length} networks`);
+      send(res, 200, { success: true, networks: list });
+    },
+
+    configure: async (req, res, fault, rawBody) => {
+      let config;
+      try {
+        config = JSON.parse(rawBody);
+      } catch (error) {
+        send(res, 400, '{"success":false,"error":"Invalid JSON"}');
+        return;
+      }
+      if (!config || typeof config.ssid !== 'string' || config.ssid.length === 0) {
+        send(res, 400, '{"success":false,"error":"SSID required"}');
+        return;
+      }
+      if (fault === 'error') {
+        send(res, 200, { success: false, error: 'Simulated configuration failure' });
+        return;
+      }
+
+      if (config.uid && config.pairingCode) {
+        device.ownerUid = config.uid;
+        device.pairingCode = config.pairingCode;
+      }
+      log(`📝 Configure: "${config.ssid}" (password ${config.password ? '***' : '(empty)'})`);
+      send(res, 200, { success: true, deviceId, message: 'WiFi configuration saved successfully' });
+      restartWith(config.ssid, config.password || '');
+    },
+
+    info: (req, res) => {
+      send(res, 200, {
+        success: true,
+        deviceId,
+        version: FIRMWARE_VERSION,
+        type: 'smart-water-monitor',
+        batteryPercentage,
+        batteryVoltage,
+        ip: AP_IP,
+      });
+    },
+  };
+
+  const handleControl = async (req, res) => {
+    if (req.method === 'GET' && req.url === '/_sim/state') {
+      send(res, 200, {
+        state: device.state,
+        ssid: device.ssid,
+        deviceUid,
+        ownerUid: device.ownerUid,
+        pairingCode: device.pairingCode,
+        faults,
+        delays,
+      });
+      return;
+    }
+    if (req.method === 'POST' && req.url === '/_sim/fault') {
+      try {
+        const body = JSON.parse(await readBody(req));
+        if (body.delay !== undefined) {
+          delays[body.endpoint] = body.delay;
+        }
+        if (body.mode === null) {
+          delete faults[body.endpoint];
+        } else if (body.mode !== undefined) {
+          const fault = parseFault(`${body.endpoint}=${body.mode}${body.count ? `:${body.count}` : ''}`);
+          faults[fault.endpoint] = fault;
+        }
+        send(res, 200, { success: true, faults, delays });
+      } catch (error) {
+        send(res, 400, { success: false, error: error.message });
+      }
+      return;
+    }
+    if (req.method === 'POST' && req.url === '/_sim/reset') {
+      clearTimers();
+      Object.assign(device, { state: DeviceState.AP_MODE, ssid: null, ownerUid: null, pairingCode: null });
+      send(res, 200, { success: true });
+      return;
+    }
+    send(res, 404, { success: false, error: 'Not found' });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (url.startsWith('/_sim/')) {
+      await handleControl(req, res);
+      return;
+    }
+
+    // Off the AP (restarting or on the home network) nothing answers
+    if (device.state !== DeviceState.AP_MODE) {
+      req.socket.destroy();
+      return;
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const endpoint = ENDPOINTS[url];
+    const expectedMethod = endpoint === 'configure' ? 'POST' : 'GET';
+    if (!endpoint || req.method !== expectedMethod) {
+      send(res, 404, { success: false, error: 'Not found' });
+      return;
+    }
+
+    const rawBody = await readBody(req);
+    const fault = takeFault(endpoint);
+    const delay = delays[endpoint] || 0;
+    if (fault) log(`⚠️ Injecting "${fault}" on ${url}`);
+
+    if (fault === 'timeout') {
+      pending.add(res);
+      res.on('close', () => pending.delete(res));
+      return;
+    }
+
+    later(() => {
+      if (fault === 'malformed') {
+        send(res, 200, '{"success":true,"networks":[{"ssid":"Brok');
+      } else if (fault === 'http500') {
+        send(res, 500, 'Internal Server Error');
+      } else if (fault === 'error' && endpoint !== 'configure') {
+        send(res, 200, { success: false, error: `Simulated ${endpoint} failure` });
+      } else {
+        handlers[endpoint](req, res, fault, rawBody);
+      }
+    }, delay);
+  });
+
+  return {
+    get url() {
+      return `http://localhost:${port}`;
+    },
+    get state() {
+      return device.state;
+    },
+    setFault: (endpoint, mode, count = null) => {
+      if (mode === null) {
+        delete faults[endpoint];
+        return;
+      }
+      const fault = parseFault(`${endpoint}=${mode}${count ? `:${count}` : ''}`);
+      faults[fault.endpoint] = fault;
+    },
+    setDelay: (endpoint, delay) => {
+      delays[endpoint] = delay;
+    },
+    start: () => new Promise((resolve) => {
+      server.listen(port, () => {
+        log(`🛜 Simulating ${deviceId} in AP mode on port ${port}`);
+        resolve();
+      });
+    }),
+    stop: () => new Promise((resolve) => {
+      clearTimers();
+      pending.forEach(res => res.destroy());
+      pending.clear();
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    }),
+  };
+};
+
+// ==================== CLI ====================
+const parseArgs = (argv) => {
+  const options = { faults: [], delays: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--port': options.port = parseInt(next(), 10); break;
+      case '--device-id': options.deviceId = next(); break;
+      case '--device-uid': options.deviceUid = next(); break;
+      case '--battery': options.batteryPercentage = parseFloat(next()); break;
+      case '--wifi-password': options.wifiPassword = next(); break;
+      case '--firebase': options.firebase = next(); break;
+      case '--namespace': options.namespace = next(); break;
+      case '--data-interval': options.dataInterval = parseInt(next(), 10); break;
+      case '--history-interval': options.historyInterval = parseInt(next(), 10); break;
+      case '--fault': options.faults.push(parseFault(next())); break;
+      case '--delay': options.delays.push(parseDelay(next())); break;
+      case '--help':
+        console.log('See the comment at the top of deviceSimulator.js for usage.');
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+};
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const { faults, delays, ...simulatorOptions } = options;
+  if (simulatorOptions.firebase && !simulatorOptions.namespace) {
+    simulatorOptions.namespace = process.env.FIREBASE_DATABASE_NAMESPACE || null;
+  }
+  let simulator;
+  try {
+    simulator = createSimulator(simulatorOptions);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  faults.forEach(fault => simulator.setFault(fault.endpoint, fault.mode, fault.count));
+  delays.forEach(({ endpoint, delay }) => {
+    (endpoint ? [endpoint] : Object.values(ENDPOINTS)).forEach(name => simulator.setDelay(name, delay));
+  });
+
+  simulator.start();
+  process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => simulator.stop().then(() => process.exit(0)));
+}
+
+module.exports = { createSimulator, DeviceState, FAULT_MODES, DEFAULT_NETWORKS };
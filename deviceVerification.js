@@ -0,0 +1,136 @@
+// Post-configure verification
+// The firmware answers /configure before it restarts and tries the new
+// credentials, so success has to be confirmed afterwards: a fresh online
+// report in Firebase means it joined, the setup AP coming back means it
+// could not (the firmware falls back to AP mode on a failed connect).
+// For cloud-relayed configs the firmware reverts to its old network on
+// failure and reports it in wifiConfig/error instead.
+import { getDatabase, ref, onValue } from 'firebase/database';
+import { createProvisioningClient } from './ProvisioningClient';
+
+export const VERIFY_TIMEOUT = 120000;
+const AP_PROBE_DELAY = 20000;
+const AP_PROBE_INTERVAL = 5000;
+const AP_PROBE_TIMEOUT = 3000;
+const CLOCK_SKEW_ALLOWANCE = 60000;
+
+export const VerificationOutcome = {
+  ONLINE: 'online',
+  WRONG_PASSWORD: 'wrongPassword',
+  TIMEOUT: 'timeout',
+};
+
+// The firmware stamps lastSeen with the server time. Older builds wrote
+// millis() uptime instead, so for those any change from the first value
+// we saw is the best freshness signal available.
+export const isFreshOnlineInfo = (info, configuredAt, baselineLastSeen, ssid) => {
+  if (!info || info.status !== 'online' || typeof info.lastSeen !== 'number') {
+    return false;
+  }
+  if (ssid && info.wifiInfo?.ssid && info.wifiInfo.ssid !== ssid) {
+    return false;
+  }
+  if (info.lastSeen > 1e12) {
+    return info.lastSeen >= configuredAt - CLOCK_SKEW_ALLOWANCE;
+  }
+  return baselineLastSeen !== undefined && info.lastSeen !== baselineLastSeen;
+};
+
+// Calls onResult exactly once with a VerificationOutcome. Returns a stop
+// function that tears down the listeners and timers; safe to call twice.
+// `baseUrl` enables the setup AP probe, `remote` the wifiConfig/error watch,
+// and `ssid` makes sure the online report is from the new network.
+export const watchDeviceOnline = ({
+  deviceId,
+  baseUrl,
+  ssid,
+  remote = false,
+  onResult,
+  timeout = VERIFY_TIMEOUT,
+}) => {
+  const configuredAt = Date.now();
+  let baselineLastSeen;
+  let finished = false;
+  let unsubscribe = null;
+  let unsubscribeConfig = null;
+  let timeoutTimer = null;
+  let probeTimer = null;
+
+  const stop = () => {
+    finished = true;
+    clearTimeout(timeoutTimer);
+    clearTimeout(probeTimer);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+    if (unsubscribeConfig) {
+      unsubscribeConfig();
+      unsubscribeConfig = null;
+    }
+  };
+
+  const finish = (outcome) => {
+    if (finished) return;
+    stop();
+    onResult(outcome);
+  };
+
+  const infoRef = ref(getDatabase(), `devices/${deviceId}/info`);
+  unsubscribe = onValue(infoRef, (snapshot) => {
+    const info = snapshot.val();
+    if (baselineLastSeen === undefined) {
+      baselineLastSeen = info?.lastSeen ?? null;
+    }
+    if (isFreshOnlineInfo(info, configuredAt, baselineLastSeen, ssid)) {
+      console.log(`✅ ${deviceId} reported online`);
+      finish(VerificationOutcome.ONLINE);
+    }
+  }, (error) => {
+    console.log('Device info listener error:', error);
+  });
+
+  if (remote) {
+    const configRef = ref(getDatabase(), `devices/${deviceId}/wifiConfig`);
+    unsubscribeConfig = onValue(configRef, (snapshot) => {
+      const wifiConfig = snapshot.val();
+      if (wifiConfig?.error && (!ssid || wifiConfig.ssid === ssid)) {
+        console.log(`⚠️ ${deviceId} could not apply WiFi config: ${wifiConfig.error}`);
+        finish(VerificationOutcome.WRONG_PASSWORD);
+      }
+    }, (error) => {
+      console.log('WiFi config listener error:', error);
+    });
+  }
+
+  timeoutTimer = setTimeout(() => {
+    console.log(`⏱️ ${deviceId} verification timed out`);
+    finish(VerificationOutcome.TIMEOUT);
+  }, timeout);
+
+  // Only reachable while the phone is still (or again) on the device AP
+  if (baseUrl) {
+    const probeClient = createProvisioningClient({
+      baseUrl,
+      deviceInfoTimeout: AP_PROBE_TIMEOUT,
+    });
+    const probe = async () => {
+      try {
+        const info = await probeClient.getDeviceInfo();
+        if (!info.deviceId || info.deviceId === deviceId) {
+          console.log(`⚠️ ${deviceId} is back in setup mode`);
+          finish(VerificationOutcome.WRONG_PASSWORD);
+          return;
+        }
+      } catch (error) {
+        // Unreachable is the expected case once the device has left AP mode
+      }
+      if (!finished) {
+        probeTimer = setTimeout(probe, AP_PROBE_INTERVAL);
+      }
+    };
+    probeTimer = setTimeout(probe, AP_PROBE_DELAY);
+  }
+
+  return stop;
+};
@@ -0,0 +1,84 @@
+// Known networks
+// Networks that were provisioned successfully, kept per user in the device
+// keychain / keystore via expo-secure-store. Passwords stay on the phone:
+// nothing here is ever written to the Realtime Database.
+//
+// SecureStore keys only allow [A-Za-z0-9._-] and values should stay small,
+// so each user has one index entry (SSIDs and metadata, no passwords) plus
+// one entry per network holding its password.
+import * as SecureStore from 'expo-secure-store';
+
+const INDEX_PREFIX = 'knownNetworks_';
+const PASSWORD_PREFIX = 'knownNetworkPassword_';
+
+const toKeyPart = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+
+// djb2, only to turn an arbitrary SSID into a key-safe string
+const hashSsid = (ssid) => {
+  let hash = 5381;
+  for (let i = 0; i < ssid.length; i++) {
+    hash = ((hash << 5) + hash + ssid.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+};
+
+const getIndexKey = (userId) => `${INDEX_PREFIX}${toKeyPart(userId)}`;
+
+const getPasswordKey = (userId, ssid) =>
+  `${PASSWORD_PREFIX}${toKeyPart(userId)}_${hashSsid(ssid)}`;
+
+const readIndex = async (userId) => {
+  try {
+    const raw = await SecureStore.getItemAsync(getIndexKey(userId));
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.log('Error reading known networks:', error);
+    return [];
+  }
+};
+
+const writeIndex = (userId, networks) =>
+  SecureStore.setItemAsync(getIndexKey(userId), JSON.stringify(networks));
+
+// [{ ssid, encryption, savedAt, lastUsedAt }], most recently used first
+export const getKnownNetworks = async (userId) => {
+  if (!userId) return [];
+  const networks = await readIndex(userId);
+  return networks.sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+};
+
+export const getKnownNetworkPassword = async (userId, ssid) => {
+  if (!userId || !ssid) return null;
+  try {
+    return await SecureStore.getItemAsync(getPasswordKey(userId, ssid));
+  } catch (error) {
+    console.log('Error reading known network password:', error);
+    return null;
+  }
+};
+
+export const saveKnownNetwork = async (userId, { ssid, password = '', encryption }) => {
+  if (!userId || !ssid) return;
+
+  const now = Date.now();
+  const networks = await readIndex(userId);
+  const existing = networks.find(network => network.ssid === ssid);
+  const entry = {
+    ssid,
+    encryption: encryption === 'OPEN' ? 'OPEN' : 'SECURED',
+    savedAt: existing?.savedAt || now,
+    lastUsedAt: now,
+  };
+
+  await SecureStore.setItemAsync(getPasswordKey(userId, ssid), password);
+  await writeIndex(userId, [entry, ...networks.filter(network => network.ssid !== ssid)]);
+};
+
+export const forgetKnownNetwork = async (userId, ssid) => {
+  if (!userId || !ssid) return;
+
+  const networks = await readIndex(userId);
+  await SecureStore.deleteItemAsync(getPasswordKey(userId, ssid));
+  await writeIndex(userId, networks.filter(network => network.ssid !== ssid));
+};
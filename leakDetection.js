@@ -0,0 +1,118 @@
+// Leak detection rules
+// Three patterns that point at a running toilet or a burst pipe:
+//   continuous flow - every sample for N hours shows water flowing
+//   quiet hours     - flow above a threshold while everyone should be asleep
+//   spike           - flow rate above what the household normally draws
+// Thresholds live per device in devices/{deviceId}/settings/leakDetection.
+import { getDatabase, ref, onValue, set } from 'firebase/database';
+
+export const LeakAlertType = {
+  CONTINUOUS_FLOW: 'continuousFlow',
+  QUIET_HOURS_FLOW: 'quietHoursFlow',
+  FLOW_SPIKE: 'flowSpike',
+};
+
+export const DEFAULT_LEAK_SETTINGS = {
+  enabled: true,
+  continuousFlowHours: 2,
+  quietHoursStart: 1,
+  quietHoursEnd: 5,
+  quietFlowThreshold: 0.5,
+  spikeFlowRate: 25,
+};
+
+// History is sampled every 5 minutes; a longer gap breaks a flow run
+// because nothing is known about the time in between
+const MAX_SAMPLE_GAP = 15 * 60000;
+
+export const normalizeLeakSettings = (settings) => {
+  const merged = { ...DEFAULT_LEAK_SETTINGS, ...(settings || {}) };
+  const clamp = (value, min, max, fallback) => (
+    typeof value === 'number' && isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+  );
+
+  return {
+    enabled: merged.enabled !== false,
+    continuousFlowHours: clamp(merged.continuousFlowHours, 0.5, 24, DEFAULT_LEAK_SETTINGS.continuousFlowHours),
+    quietHoursStart: Math.round(clamp(merged.quietHoursStart, 0, 23, DEFAULT_LEAK_SETTINGS.quietHoursStart)),
+    quietHoursEnd: Math.round(clamp(merged.quietHoursEnd, 0, 23, DEFAULT_LEAK_SETTINGS.quietHoursEnd)),
+    quietFlowThreshold: clamp(merged.quietFlowThreshold, 0, 100, DEFAULT_LEAK_SETTINGS.quietFlowThreshold),
+    spikeFlowRate: clamp(merged.spikeFlowRate, 1, 200, DEFAULT_LEAK_SETTINGS.spikeFlowRate),
+  };
+};
+
+// Quiet hours may wrap past midnight (e.g. 23 to 5)
+export const isInQuietHours = (time, settings) => {
+  const hour = new Date(time).getHours();
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  if (start === end) return false;
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+};
+
+// Milliseconds of uninterrupted flow up to the newest sample
+export const getContinuousFlowDuration = (records) => {
+  if (records.length === 0 || records[records.length - 1].flowRate <= 0) return 0;
+
+  let runStart = records[records.length - 1].timestamp;
+  for (let index = records.length - 2; index >= 0; index--) {
+    const record = records[index];
+    if (record.flowRate <= 0 || runStart - record.timestamp > MAX_SAMPLE_GAP) break;
+    runStart = record.timestamp;
+  }
+  return records[records.length - 1].timestamp - runStart;
+};
+
+// `records` are history samples oldest first, `data` the live reading (or
+// null when the device is offline). Returns the alerts that currently apply.
+export const detectLeaks = ({ records = [], data = null, settings, now = Date.now() }) => {
+  if (!settings.enabled) return [];
+
+  const alerts = [];
+
+  const flowDuration = getContinuousFlowDuration(records);
+  if (flowDuration >= settings.continuousFlowHours * 3600000) {
+    alerts.push({
+      type: LeakAlertType.CONTINUOUS_FLOW,
+      value: flowDuration,
+      message: `Water has been flowing without a break for ${(flowDuration / 3600000).toFixed(1)} hours.`,
+    });
+  }
+
+  if (data) {
+    if (data.flowRate > settings.quietFlowThreshold && isInQuietHours(now, settings)) {
+      alerts.push({
+        type: LeakAlertType.QUIET_HOURS_FLOW,
+        value: data.flowRate,
+        message: `${data.flowRate.toFixed(1)} L/min flowing during quiet hours (${settings.quietHoursStart}:00–${settings.quietHoursEnd}:00).`,
+      });
+    }
+
+    if (data.flowRate >= settings.spikeFlowRate) {
+      alerts.push({
+        type: LeakAlertType.FLOW_SPIKE,
+        value: data.flowRate,
+        message: `Flow jumped to ${data.flowRate.toFixed(1)} L/min, above the ${settings.spikeFlowRate} L/min limit.`,
+      });
+    }
+  }
+
+  return alerts;
+};
+
+const getSettingsRef = (deviceId) => ref(getDatabase(), `devices/${deviceId}/settings/leakDetection`);
+
+// Calls onChange with normalized settings now and on every change
+export const subscribeToLeakSettings = (deviceId, onChange) => onValue(
+  getSettingsRef(deviceId),
+  (snapshot) => onChange(normalizeLeakSettings(snapshot.val())),
+  (error) => {
+    console.log('Leak settings listener error:', error);
+    onChange(normalizeLeakSettings(null));
+  }
+);
+
+export const saveLeakSettings = (deviceId, settings) => (
+  set(getSettingsRef(deviceId), normalizeLeakSettings(settings))
+);
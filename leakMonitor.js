@@ -0,0 +1,337 @@
+// Leak monitor
+// Runs the leakDetection rules against the live reading and recent history
+// for one device and raises a local notification for each new alert.
+// startLeakMonitors does that app-wide for every meter in the user's list,
+// owned or shared, whichever screen is open; screens read the current
+// alerts with subscribeToLeakAlerts. The
+// notification carries a "Close valve" action; handleLeakNotificationResponse
+// turns a tap on it into a commands/valveControl write. The action opens the
+// app, because the write needs the JS runtime and a signed-in user.
+import * as Notifications from 'expo-notifications';
+import * as SecureStore from 'expo-secure-store';
+import { subscribeToDeviceData, isDataStale } from './deviceData';
+import { fetchHistory } from './usageHistory';
+import { subscribeToUserDevices } from './deviceRegistry';
+import {
+  LeakAlertType,
+  detectLeaks,
+  subscribeToLeakSettings,
+} from './leakDetection';
+import { sendValveCommand, ValveCommand } from './valveCommands';
+
+export const LEAK_NOTIFICATION_CATEGORY = 'leakAlert';
+export const CLOSE_VALVE_ACTION = 'closeValve';
+
+// History is refreshed at the firmware's history interval
+const HISTORY_REFRESH_INTERVAL = 5 * 60000;
+// The same alert for the same device is not repeated within this time
+export const ALERT_COOLDOWN = 60 * 60000;
+
+const ALERT_TITLES = {
+  [LeakAlertType.CONTINUOUS_FLOW]: 'Possible leak: water keeps running',
+  [LeakAlertType.QUIET_HOURS_FLOW]: 'Water flowing during quiet hours',
+  [LeakAlertType.FLOW_SPIKE]: 'Sudden high water flow',
+};
+
+let categoryReady = null;
+
+// Registers the notification category once; resolves to whether
+// notifications may be shown
+export const setupLeakNotifications = () => {
+  if (!categoryReady) {
+    categoryReady = (async () => {
+      const { status } = await Notifications.requestPermissionsAsync();
+      await Notifications.setNotificationCategoryAsync(LEAK_NOTIFICATION_CATEGORY, [
+        {
+          identifier: CLOSE_VALVE_ACTION,
+          buttonTitle: 'Close valve',
+          options: { isDestructive: true, opensAppToForeground: true },
+        },
+      ]);
+      return status === 'granted';
+    })().catch((error) => {
+      console.log('Leak notification setup failed:', error);
+      categoryReady = null;
+      return false;
+    });
+  }
+  return categoryReady;
+};
+
+const notifyLeak = async (deviceId, deviceName, alert) => {
+  if (!(await setupLeakNotifications())) return;
+
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title: ALERT_TITLES[alert.type],
+      body: `${deviceName || deviceId}: ${alert.message}`,
+      categoryIdentifier: LEAK_NOTIFICATION_CATEGORY,
+      data: { deviceId, alertType: alert.type },
+    },
+    trigger: null,
+  });
+};
+
+// getLastNotificationResponseAsync keeps returning the tap that launched
+// the app, so handled notifications are remembered across launches
+const HANDLED_RESPONSES_KEY = 'leakHandledResponses';
+const MAX_HANDLED_RESPONSES = 20;
+
+let handledResponses = null;
+
+const loadHandledResponses = async () => {
+  if (!handledResponses) {
+    try {
+      const stored = await SecureStore.getItemAsync(HANDLED_RESPONSES_KEY);
+      handledResponses = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.log('Error reading handled leak responses:', error);
+      handledResponses = [];
+    }
+  }
+  return handledResponses;
+};
+
+// Returns false if the notification was already handled
+const markResponseHandled = async (identifier) => {
+  const handled = await loadHandledResponses();
+  if (handled.includes(identifier)) return false;
+
+  handledResponses = [...handled, identifier].slice(-MAX_HANDLED_RESPONSES);
+  await SecureStore.setItemAsync(HANDLED_RESPONSES_KEY, JSON.stringify(handledResponses))
+    .catch(error => console.log('Error saving handled leak responses:', error));
+  return true;
+};
+
+// Handles a notification response; returns true if it was a close-valve
+// tap that had not been handled before
+export const handleLeakNotificationResponse = async (response, userId) => {
+  const { actionIdentifier, notification } = response;
+  const { deviceId, alertType } = notification.request.content.data || {};
+  if (actionIdentifier !== CLOSE_VALVE_ACTION || !deviceId) return false;
+  if (!(await markResponseHandled(notification.request.identifier))) return false;
+
+  console.log(`🚨 Closing valve on ${deviceId} from ${alertType} alert`);
+  try {
+    await sendValveCommand({
+      deviceId,
+      command: ValveCommand.CLOSE,
+      userId,
+      source: 'leakAlert',
+    });
+  } catch (error) {
+    console.error('❌ Close valve from notification failed:', error);
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: 'Valve not closed',
+        body: `${deviceId}: ${error.message}. Open the app to try again.`,
+        data: { deviceId },
+      },
+      trigger: null,
+    });
+  }
+  return true;
+};
+
+// One listener for the whole app, for taps on any device's alert
+let responseListener = null;
+
+// Listens for close-valve taps, including the one that launched the app.
+// Meant to run once for the signed-in user; further calls for the same user
+// share the listener, which stops when the last of them unsubscribes.
+// Returns an unsubscribe function.
+export const listenForLeakNotificationResponses = (userId) => {
+  if (responseListener && responseListener.userId !== userId) {
+    responseListener.subscription.remove();
+    responseListener = null;
+  }
+
+  if (!responseListener) {
+    Notifications.getLastNotificationResponseAsync()
+      .then(response => response && handleLeakNotificationResponse(response, userId))
+      .catch(error => console.log('Last notification response error:', error));
+
+    responseListener = {
+      userId,
+      count: 0,
+      subscription: Notifications.addNotificationResponseReceivedListener(
+        response => handleLeakNotificationResponse(response, userId)
+      ),
+    };
+  }
+
+  const listener = responseListener;
+  listener.count++;
+  let active = true;
+  return () => {
+    if (!active) return;
+    active = false;
+    listener.count--;
+    if (listener.count === 0 && responseListener === listener) {
+      listener.subscription.remove();
+      responseListener = null;
+    }
+  };
+};
+
+// Watches one device. `onAlerts(alerts)` gets the currently active alerts
+// on every evaluation; notifications are only sent for new ones. Returns a
+// stop function.
+export const startLeakMonitor = ({ deviceId, deviceName, onAlerts }) => {
+  let settings = null;
+  let liveSnapshot = null;
+  let records = [];
+  let stopped = false;
+  const lastNotified = {};
+
+  const evaluate = () => {
+    if (stopped || !settings) return;
+
+    const now = Date.now();
+    const data = liveSnapshot && !isDataStale(
+      liveSnapshot.data,
+      liveSnapshot.receivedAt,
+      now,
+      liveSnapshot.serverTimeOffset
+    ) ? liveSnapshot.data : null;
+
+    const alerts = detectLeaks({ records, data, settings, now });
+    if (onAlerts) onAlerts(alerts);
+
+    alerts.forEach((alert) => {
+      if (lastNotified[alert.type] && now - lastNotified[alert.type] < ALERT_COOLDOWN) return;
+      lastNotified[alert.type] = now;
+      console.log(`🚨 ${deviceId} ${alert.type}: ${alert.message}`);
+      notifyLeak(deviceId, deviceName, alert)
+        .catch(error => console.log('Leak notification error:', error));
+    });
+  };
+
+  const refreshHistory = async () => {
+    if (!settings) return;
+    const now = Date.now();
+    try {
+      // A little more than the continuous-flow window, so a run that
+      // started just before it is still seen as unbroken
+      records = await fetchHistory(deviceId, {
+        from: now - (settings.continuousFlowHours + 1) * 3600000,
+        to: now + 60000,
+      });
+      evaluate();
+    } catch (error) {
+      console.log('Leak monitor history error:', error);
+    }
+  };
+
+  const unsubscribeSettings = subscribeToLeakSettings(deviceId, (next) => {
+    const windowChanged = next.continuousFlowHours !== settings?.continuousFlowHours;
+    settings = next;
+    if (windowChanged) {
+      refreshHistory();
+    } else {
+      evaluate();
+    }
+  });
+
+  const unsubscribeData = subscribeToDeviceData(deviceId, (update) => {
+    liveSnapshot = update;
+    evaluate();
+  });
+
+  const historyTimer = setInterval(refreshHistory, HISTORY_REFRESH_INTERVAL);
+
+  return () => {
+    stopped = true;
+    clearInterval(historyTimer);
+    unsubscribeSettings();
+    unsubscribeData();
+  };
+};
+
+// Current alerts per device from the app-wide monitors
+const activeAlerts = new Map();
+const alertListeners = new Map();
+let monitors = null;
+
+const publishAlerts = (deviceId, alerts) => {
+  activeAlerts.set(deviceId, alerts);
+  (alertListeners.get(deviceId) || []).forEach(listener => listener(alerts));
+};
+
+// Calls onAlerts(alerts) now and whenever the device's alerts change.
+// Returns an unsubscribe function.
+export const subscribeToLeakAlerts = (deviceId, onAlerts) => {
+  if (!alertListeners.has(deviceId)) alertListeners.set(deviceId, new Set());
+  alertListeners.get(deviceId).add(onAlerts);
+  onAlerts(activeAlerts.get(deviceId) || []);
+
+  return () => {
+    alertListeners.get(deviceId).delete(onAlerts);
+  };
+};
+
+// Watches every device in the user's list, starting and stopping monitors
+// as meters are added, shared, renamed or released. Shared like
+// listenForLeakNotificationResponses: further calls for the same user reuse
+// the monitors, which stop when the last caller unsubscribes. Returns an
+// unsubscribe function.
+export const startLeakMonitors = (userId) => {
+  if (monitors && monitors.userId !== userId) {
+    monitors.stop();
+    monitors = null;
+  }
+
+  if (!monitors) {
+    // deviceId -> { name, stop }
+    const running = new Map();
+
+    const stopDevice = (deviceId) => {
+      running.get(deviceId).stop();
+      running.delete(deviceId);
+      publishAlerts(deviceId, []);
+    };
+
+    const unsubscribe = subscribeToUserDevices(userId, (devices) => {
+      const listed = new Set(devices.map(device => device.deviceId));
+      Array.from(running.keys())
+        .filter(deviceId => !listed.has(deviceId))
+        .forEach(stopDevice);
+
+      devices.forEach(({ deviceId, name }) => {
+        if (running.get(deviceId)?.name === name) return;
+        // The name is in the notifications, so a rename restarts the monitor
+        if (running.has(deviceId)) stopDevice(deviceId);
+        running.set(deviceId, {
+          name,
+          stop: startLeakMonitor({
+            deviceId,
+            deviceName: name,
+            onAlerts: alerts => publishAlerts(deviceId, alerts),
+          }),
+        });
+      });
+    });
+
+    monitors = {
+      userId,
+      count: 0,
+      stop: () => {
+        unsubscribe();
+        Array.from(running.keys()).forEach(stopDevice);
+      },
+    };
+  }
+
+  const current = monitors;
+  current.count++;
+  let active = true;
+  return () => {
+    if (!active) return;
+    active = false;
+    current.count--;
+    if (current.count === 0 && monitors === current) {
+      current.stop();
+      monitors = null;
+    }
+  };
+};
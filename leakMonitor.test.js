@@ -0,0 +1,101 @@
+// App-wide leak monitor tests
+//   npm test -- leakMonitor.test.js
+import { subscribeToUserDevices } from './deviceRegistry';
+import { subscribeToDeviceData } from './deviceData';
+import { detectLeaks, subscribeToLeakSettings } from './leakDetection';
+import { startLeakMonitors, subscribeToLeakAlerts } from './leakMonitor';
+
+jest.mock('expo-notifications', () => ({
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'denied' })),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('expo-secure-store', () => ({}));
+jest.mock('./valveCommands', () => ({ ValveCommand: {} }));
+jest.mock('./usageHistory', () => ({
+  fetchHistory: jest.fn(() => Promise.resolve([])),
+}));
+jest.mock('./deviceRegistry', () => ({
+  subscribeToUserDevices: jest.fn(),
+}));
+jest.mock('./deviceData', () => ({
+  subscribeToDeviceData: jest.fn(),
+  isDataStale: jest.fn(() => false),
+}));
+jest.mock('./leakDetection', () => ({
+  LeakAlertType: {},
+  detectLeaks: jest.fn(() => []),
+  subscribeToLeakSettings: jest.fn(),
+}));
+
+const SETTINGS = { enabled: true, continuousFlowHours: 2 };
+const LEAK = { type: 'continuousFlow', message: 'Water has been running for 2 hours' };
+
+let setUserDevices;
+let dataListeners;
+let stoppedData;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dataListeners = {};
+  stoppedData = [];
+  detectLeaks.mockReturnValue([]);
+  subscribeToUserDevices.mockImplementation((userId, onChange) => {
+    setUserDevices = onChange;
+    return jest.fn();
+  });
+  subscribeToLeakSettings.mockImplementation((deviceId, onChange) => {
+    onChange(SETTINGS);
+    return jest.fn();
+  });
+  subscribeToDeviceData.mockImplementation((deviceId, onUpdate) => {
+    dataListeners[deviceId] = onUpdate;
+    return () => stoppedData.push(deviceId);
+  });
+});
+
+const emitData = deviceId => dataListeners[deviceId]({ data: { flowRate: 3 }, receivedAt: Date.now() });
+
+test('watches every meter in the list, owned or shared', () => {
+  const stop = startLeakMonitors('user1');
+  setUserDevices([
+    { deviceId: 'SWM001', name: 'Kitchen', shared: false },
+    { deviceId: 'SWM002', name: 'Garden', shared: true },
+  ]);
+
+  expect(Object.keys(dataListeners)).toEqual(['SWM001', 'SWM002']);
+  stop();
+  expect(stoppedData.sort()).toEqual(['SWM001', 'SWM002']);
+});
+
+test('publishes alerts to screens and clears them for a removed meter', () => {
+  const stop = startLeakMonitors('user1');
+  setUserDevices([{ deviceId: 'SWM001', name: 'Kitchen' }]);
+
+  const onAlerts = jest.fn();
+  const unsubscribe = subscribeToLeakAlerts('SWM001', onAlerts);
+  expect(onAlerts).toHaveBeenLastCalledWith([]);
+
+  detectLeaks.mockReturnValue([LEAK]);
+  emitData('SWM001');
+  expect(onAlerts).toHaveBeenLastCalledWith([LEAK]);
+
+  setUserDevices([]);
+  expect(stoppedData).toEqual(['SWM001']);
+  expect(onAlerts).toHaveBeenLastCalledWith([]);
+
+  unsubscribe();
+  stop();
+});
+
+test('shares one set of monitors between callers', () => {
+  const stopList = startLeakMonitors('user1');
+  const stopDashboard = startLeakMonitors('user1');
+  expect(subscribeToUserDevices).toHaveBeenCalledTimes(1);
+  setUserDevices([{ deviceId: 'SWM001', name: 'Kitchen' }]);
+
+  stopList();
+  expect(stoppedData).toEqual([]);
+  stopDashboard();
+  expect(stoppedData).toEqual(['SWM001']);
+});
@@ -0,0 +1,88 @@
+// Ownership credentials sent with /configure
+// The meter signs in with its own anonymous account, so it cannot prove who
+// owns it. Before provisioning, the app claims deviceOwners/{deviceId} for
+// the user and leaves a short-lived pairing code in devicePairing/{deviceId}.
+// The firmware gets `uid` and `pairingCode` with /configure and, once
+// online, binds its account in deviceAccounts/{deviceId} with that code,
+// which the rules accept only while it matches and has not expired. Binding
+// deletes the code, so it works once.
+// /configure is plain HTTP on an AP with a fixed password, so anyone nearby
+// can read the code. It grants nothing but that one binding, for one meter,
+// for a few minutes; no user token ever leaves the phone. Provisioning again
+// issues a new code and rebinds.
+// This has to run while the phone still has internet, because during
+// /configure the phone is on the device AP. If the meter is never
+// configured, withdrawOwnershipCredentials undoes it.
+import { getAuth } from 'firebase/auth';
+import { getDatabase, ref, set, update } from 'firebase/database';
+import { getRandomBytes } from 'expo-crypto';
+import {
+  claimDevice,
+  getDeviceOwner,
+  DeviceErrorCode,
+  DeviceOwnershipError,
+} from './deviceRegistry';
+
+export const PAIRING_CODE_TTL = 20 * 60000;
+
+const createPairingCode = () => Array.from(getRandomBytes(16))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Resolves with { uid, pairingCode, claimed }, or null when there is no
+// signed-in user or the database cannot be reached. `claimed` is whether
+// this call claimed the meter. Throws a DeviceOwnershipError if the meter
+// belongs to another account.
+export const prepareOwnershipCredentials = async (userId, deviceId, name) => {
+  const user = getAuth().currentUser;
+
+  if (!userId || !user || user.uid !== userId) {
+    console.log('No signed-in user matching', userId, '- skipping ownership credentials');
+    return null;
+  }
+
+  try {
+    const owner = await getDeviceOwner(deviceId);
+    if (owner && owner !== userId) {
+      throw new DeviceOwnershipError(
+        DeviceErrorCode.ALREADY_OWNED,
+        `Device ${deviceId} already belongs to another account.`
+      );
+    }
+    if (!owner) {
+      await claimDevice({ userId, deviceId, name });
+    }
+
+    const pairingCode = createPairingCode();
+    await set(ref(getDatabase(), `devicePairing/${deviceId}`), {
+      code: pairingCode,
+      expiresAt: Date.now() + PAIRING_CODE_TTL,
+    });
+    return { uid: userId, pairingCode, claimed: !owner };
+  } catch (error) {
+    if (error instanceof DeviceOwnershipError) throw error;
+    console.log('Could not prepare ownership credentials:', error);
+    return null;
+  }
+};
+
+// For a meter that failed before /configure: deletes the pairing code and,
+// if prepareOwnershipCredentials claimed the meter, the claim, so a meter
+// that was never set up does not stay listed or block someone else. Paths
+// are written directly, without reading the owner first, so this can be
+// queued by the SDK while the phone is still leaving the device AP.
+export const withdrawOwnershipCredentials = (deviceId, credentials) => {
+  if (!credentials) return Promise.resolve();
+
+  const updates = {
+    [`devicePairing/${deviceId}`]: null,
+  };
+  if (credentials.claimed) {
+    console.log(`↩️ Withdrawing the claim on ${deviceId}`);
+    Object.assign(updates, {
+      [`deviceOwners/${deviceId}`]: null,
+      [`users/${credentials.uid}/devices/${deviceId}`]: null,
+    });
+  }
+  return update(ref(getDatabase()), updates);
+};
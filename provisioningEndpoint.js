@@ -0,0 +1,75 @@
+// Provisioning endpoint resolution
+// Works out which base URL the Direct AP client should talk to. Sources, in
+// order: the device record (`device.provisioningUrl`), app config
+// (`expo.extra.provisioningUrl`), then the firmware's default AP address.
+// Discovery probes those candidates and keeps the first that answers.
+import Constants from 'expo-constants';
+import { createProvisioningClient, DEFAULT_DEVICE_IP } from './ProvisioningClient';
+
+export const EndpointSource = {
+  DEVICE: 'device',
+  CONFIG: 'config',
+  DEFAULT: 'default',
+};
+
+const DISCOVERY_TIMEOUT = 3000;
+
+// Accepts "192.168.10.1", "localhost:8080" or "http://10.0.2.2:8080/"
+export const toEndpoint = (value, source) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  let baseUrl = value.trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//i.test(baseUrl)) {
+    baseUrl = `http://${baseUrl}`;
+  }
+
+  return {
+    baseUrl,
+    label: baseUrl.replace(/^http:\/\//i, ''),
+    source,
+  };
+};
+
+export const DEFAULT_ENDPOINT = toEndpoint(DEFAULT_DEVICE_IP, EndpointSource.DEFAULT);
+
+const getConfiguredUrl = () => Constants.expoConfig?.extra?.provisioningUrl;
+
+// Every known endpoint for a device, most specific first, without duplicates
+export const getEndpointCandidates = (device) => {
+  const candidates = [
+    toEndpoint(device?.provisioningUrl, EndpointSource.DEVICE),
+    toEndpoint(getConfiguredUrl(), EndpointSource.CONFIG),
+    DEFAULT_ENDPOINT,
+  ].filter(Boolean);
+
+  return candidates.filter((candidate, index) =>
+    candidates.findIndex(other => other.baseUrl === candidate.baseUrl) === index
+  );
+};
+
+export const resolveProvisioningEndpoint = (device) => getEndpointCandidates(device)[0];
+
+// Probe each candidate's /device-info and return the first one that answers
+// for this device along with what it reported, or null when none of them do.
+export const discoverProvisioningEndpoint = async (device, { timeout = DISCOVERY_TIMEOUT } = {}) => {
+  const candidates = getEndpointCandidates(device);
+
+  for (const candidate of candidates) {
+    const client = createProvisioningClient({
+      baseUrl: candidate.baseUrl,
+      deviceInfoTimeout: timeout,
+    });
+
+    try {
+      const info = await client.getDeviceInfo();
+      if (!device?.deviceId || !info.deviceId || info.deviceId === device.deviceId) {
+        return { endpoint: candidate, deviceInfo: info };
+      }
+      console.log(`Endpoint ${candidate.label} belongs to ${info.deviceId}, skipping`);
+    } catch (error) {
+      console.log(`Endpoint ${candidate.label} not reachable:`, error.code || error.message);
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,324 @@
+// Provisioning wizard state machine
+// Pure reducer behind WiFiConfigModal. Steps that do async work (checking
+// the device, scanning, sending, waiting for it to come online) are entered
+// in the BUSY status; the component runs the work while a step is BUSY and
+// reports back with the attempt number it started, so results that arrive
+// after the user has moved on are dropped.
+//
+// Devices that are already online are reconfigured over the CLOUD transport,
+// which skips joining the setup AP.
+
+export const ProvisioningTransport = {
+  DIRECT_AP: 'directAp',
+  CLOUD: 'cloud',
+};
+
+export const WizardStep = {
+  JOIN_AP: 'joinAp',
+  CHECK_DEVICE: 'checkDevice',
+  SELECT_NETWORK: 'selectNetwork',
+  ENTER_PASSWORD: 'enterPassword',
+  SEND: 'send',
+  WAIT_ONLINE: 'waitOnline',
+  DONE: 'done',
+};
+
+export const WIZARD_STEPS = [
+  WizardStep.JOIN_AP,
+  WizardStep.CHECK_DEVICE,
+  WizardStep.SELECT_NETWORK,
+  WizardStep.ENTER_PASSWORD,
+  WizardStep.SEND,
+  WizardStep.WAIT_ONLINE,
+  WizardStep.DONE,
+];
+
+export const getWizardSteps = (transport) => (
+  transport === ProvisioningTransport.CLOUD
+    ? WIZARD_STEPS.filter(step => step !== WizardStep.JOIN_AP)
+    : WIZARD_STEPS
+);
+
+export const StepStatus = {
+  IDLE: 'idle',
+  BUSY: 'busy',
+  ERROR: 'error',
+};
+
+export const WizardAction = {
+  NEXT: 'NEXT',
+  BACK: 'BACK',
+  RETRY: 'RETRY',
+  RESET: 'RESET',
+  SET_TRANSPORT: 'SET_TRANSPORT',
+  CHECK_SUCCEEDED: 'CHECK_SUCCEEDED',
+  CHECK_FAILED: 'CHECK_FAILED',
+  SCAN_SUCCEEDED: 'SCAN_SUCCEEDED',
+  SCAN_FAILED: 'SCAN_FAILED',
+  SELECT_NETWORK: 'SELECT_NETWORK',
+  SELECT_OTHER_NETWORK: 'SELECT_OTHER_NETWORK',
+  UPDATE_OTHER_NETWORK: 'UPDATE_OTHER_NETWORK',
+  SET_PASSWORD: 'SET_PASSWORD',
+  SEND_SUCCEEDED: 'SEND_SUCCEEDED',
+  SEND_FAILED: 'SEND_FAILED',
+  VERIFY_SUCCEEDED: 'VERIFY_SUCCEEDED',
+  VERIFY_FAILED: 'VERIFY_FAILED',
+};
+
+export const NO_NETWORKS = 'NO_NETWORKS';
+
+export const createInitialWizardState = (endpoint = null) => ({
+  step: WizardStep.JOIN_AP,
+  status: StepStatus.IDLE,
+  attempt: 0,
+  transport: ProvisioningTransport.DIRECT_AP,
+  error: null,
+  endpoint,
+  deviceInfo: null,
+  networks: [],
+  selectedNetwork: null,
+  password: '',
+});
+
+const enter = (state, step, status = StepStatus.IDLE) => ({
+  ...state,
+  step,
+  status,
+  error: null,
+  attempt: status === StepStatus.BUSY ? state.attempt + 1 : state.attempt,
+});
+
+const fail = (state, error) => ({
+  ...state,
+  status: StepStatus.ERROR,
+  error: {
+    code: error?.code || 'UNKNOWN',
+    message: error?.message || '',
+  },
+});
+
+// A result only counts for the step and attempt that asked for it
+const isCurrent = (state, step, action) =>
+  state.step === step &&
+  state.status === StepStatus.BUSY &&
+  action.attempt === state.attempt;
+
+export const isNetworkOpen = (network) => network?.encryption === 'OPEN';
+
+// 802.11 limits an SSID to 32 bytes
+export const MAX_SSID_BYTES = 32;
+
+const getByteLength = (text) => encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, 'x').length;
+
+// "Other network..." entries are typed in by the user for hidden networks or
+// ones the scan missed; they carry `manual: true` and go through the same
+// configure path as scanned networks.
+export const isValidManualSsid = (ssid) =>
+  typeof ssid === 'string' &&
+  ssid.trim() !== '' &&
+  getByteLength(ssid) <= MAX_SSID_BYTES;
+
+export const canGoNext = (state) => {
+  if (state.status === StepStatus.BUSY) return false;
+
+  switch (state.step) {
+    case WizardStep.JOIN_AP:
+      return true;
+    case WizardStep.CHECK_DEVICE:
+      return !!state.deviceInfo;
+    case WizardStep.SELECT_NETWORK:
+      return !!state.selectedNetwork;
+    case WizardStep.ENTER_PASSWORD:
+      if (state.selectedNetwork?.manual && !isValidManualSsid(state.selectedNetwork.ssid)) {
+        return false;
+      }
+      return isNetworkOpen(state.selectedNetwork) || state.password.length > 0;
+    default:
+      return false;
+  }
+};
+
+export const canGoBack = (state) => {
+  switch (state.step) {
+    case WizardStep.CHECK_DEVICE:
+      return state.transport === ProvisioningTransport.DIRECT_AP;
+    case WizardStep.SELECT_NETWORK:
+    case WizardStep.ENTER_PASSWORD:
+    case WizardStep.WAIT_ONLINE:
+      return true;
+    case WizardStep.SEND:
+      return state.status === StepStatus.ERROR;
+    default:
+      return false;
+  }
+};
+
+const next = (state) => {
+  if (!canGoNext(state)) return state;
+
+  switch (state.step) {
+    case WizardStep.JOIN_AP:
+      return enter({ ...state, deviceInfo: null }, WizardStep.CHECK_DEVICE, StepStatus.BUSY);
+    case WizardStep.CHECK_DEVICE:
+      return enter(
+        state,
+        WizardStep.SELECT_NETWORK,
+        state.networks.length > 0 ? StepStatus.IDLE : StepStatus.BUSY
+      );
+    case WizardStep.SELECT_NETWORK:
+      return enter(state, WizardStep.ENTER_PASSWORD);
+    case WizardStep.ENTER_PASSWORD:
+      return enter(state, WizardStep.SEND, StepStatus.BUSY);
+    default:
+      return state;
+  }
+};
+
+const back = (state) => {
+  if (!canGoBack(state)) return state;
+
+  switch (state.step) {
+    case WizardStep.CHECK_DEVICE:
+      return enter(state, WizardStep.JOIN_AP);
+    case WizardStep.SELECT_NETWORK:
+      return enter(state, WizardStep.CHECK_DEVICE, state.deviceInfo ? StepStatus.IDLE : StepStatus.BUSY);
+    case WizardStep.ENTER_PASSWORD:
+      return enter(state, WizardStep.SELECT_NETWORK);
+    case WizardStep.SEND:
+    case WizardStep.WAIT_ONLINE:
+      // Over Direct AP the device has to be back on its AP before
+      // credentials can be resent
+      return enter(state, WizardStep.ENTER_PASSWORD);
+    default:
+      return state;
+  }
+};
+
+export const wizardReducer = (state, action) => {
+  switch (action.type) {
+    case WizardAction.NEXT:
+      return next(state);
+
+    case WizardAction.BACK:
+      return back(state);
+
+    case WizardAction.RETRY:
+      if (state.status === StepStatus.BUSY) return state;
+      if (state.step === WizardStep.CHECK_DEVICE) {
+        return enter({ ...state, deviceInfo: null }, state.step, StepStatus.BUSY);
+      }
+      if (state.step === WizardStep.SELECT_NETWORK) {
+        return enter({ ...state, networks: [], selectedNetwork: null }, state.step, StepStatus.BUSY);
+      }
+      if (state.step === WizardStep.SEND || state.step === WizardStep.WAIT_ONLINE) {
+        return enter(state, state.step, StepStatus.BUSY);
+      }
+      return state;
+
+    case WizardAction.RESET:
+      return createInitialWizardState(action.endpoint ?? state.endpoint);
+
+    case WizardAction.SET_TRANSPORT: {
+      if (state.step !== WizardStep.JOIN_AP && state.step !== WizardStep.CHECK_DEVICE) return state;
+      if (action.transport === state.transport) return state;
+
+      const cleared = {
+        ...state,
+        transport: action.transport,
+        deviceInfo: null,
+        networks: [],
+        selectedNetwork: null,
+        password: '',
+      };
+      return action.transport === ProvisioningTransport.CLOUD
+        ? enter(cleared, WizardStep.CHECK_DEVICE, StepStatus.BUSY)
+        : enter(cleared, WizardStep.JOIN_AP);
+    }
+
+    case WizardAction.CHECK_SUCCEEDED:
+      if (!isCurrent(state, WizardStep.CHECK_DEVICE, action)) return state;
+      return {
+        ...state,
+        status: StepStatus.IDLE,
+        deviceInfo: action.deviceInfo,
+        endpoint: action.endpoint ?? state.endpoint,
+      };
+
+    case WizardAction.CHECK_FAILED:
+      if (!isCurrent(state, WizardStep.CHECK_DEVICE, action)) return state;
+      return fail(state, action.error);
+
+    case WizardAction.SCAN_SUCCEEDED:
+      if (!isCurrent(state, WizardStep.SELECT_NETWORK, action)) return state;
+      if (action.networks.length === 0) {
+        return fail({ ...state, networks: [] }, { code: NO_NETWORKS });
+      }
+      return {
+        ...state,
+        status: StepStatus.IDLE,
+        networks: action.networks,
+        selectedNetwork: state.selectedNetwork?.manual
+          ? state.selectedNetwork
+          : action.networks.find(network => network.ssid === state.selectedNetwork?.ssid) || null,
+      };
+
+    case WizardAction.SCAN_FAILED:
+      if (!isCurrent(state, WizardStep.SELECT_NETWORK, action)) return state;
+      return fail(state, action.error);
+
+    case WizardAction.SELECT_NETWORK:
+      if (state.step !== WizardStep.SELECT_NETWORK || state.status === StepStatus.BUSY) return state;
+      // A saved password for a known network is passed along as a prefill
+      return {
+        ...state,
+        selectedNetwork: action.network,
+        password: action.password ??
+          (action.network?.ssid === state.selectedNetwork?.ssid ? state.password : ''),
+      };
+
+    case WizardAction.SELECT_OTHER_NETWORK:
+      if (state.step !== WizardStep.SELECT_NETWORK || state.status === StepStatus.BUSY) return state;
+      if (state.selectedNetwork?.manual) return state;
+      return {
+        ...state,
+        selectedNetwork: { ssid: '', encryption: 'SECURED', manual: true },
+        password: '',
+      };
+
+    case WizardAction.UPDATE_OTHER_NETWORK:
+      if (state.step !== WizardStep.ENTER_PASSWORD || !state.selectedNetwork?.manual) return state;
+      return {
+        ...state,
+        selectedNetwork: {
+          ...state.selectedNetwork,
+          ssid: action.ssid ?? state.selectedNetwork.ssid,
+          encryption: action.encryption ?? state.selectedNetwork.encryption,
+        },
+      };
+
+    case WizardAction.SET_PASSWORD:
+      if (state.step !== WizardStep.ENTER_PASSWORD) return state;
+      return { ...state, password: action.password };
+
+    case WizardAction.SEND_SUCCEEDED:
+      if (!isCurrent(state, WizardStep.SEND, action)) return state;
+      return enter(state, WizardStep.WAIT_ONLINE, StepStatus.BUSY);
+
+    case WizardAction.SEND_FAILED:
+      if (!isCurrent(state, WizardStep.SEND, action)) return state;
+      return fail(state, action.error);
+
+    case WizardAction.VERIFY_SUCCEEDED:
+      if (!isCurrent(state, WizardStep.WAIT_ONLINE, action)) return state;
+      return enter(state, WizardStep.DONE);
+
+    case WizardAction.VERIFY_FAILED:
+      if (!isCurrent(state, WizardStep.WAIT_ONLINE, action)) return state;
+      return fail(state, action.error);
+
+    default:
+      return state;
+  }
+};
+
+export const getStepIndex = (step, transport) => getWizardSteps(transport).indexOf(step);
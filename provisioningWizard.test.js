@@ -0,0 +1,431 @@
+// Provisioning wizard reducer tests
+//   npm test -- provisioningWizard.test.js
+import {
+  ProvisioningTransport,
+  WizardStep,
+  StepStatus,
+  WizardAction,
+  NO_NETWORKS,
+  createInitialWizardState,
+  wizardReducer,
+  canGoNext,
+  canGoBack,
+  getWizardSteps,
+  getStepIndex,
+} from './provisioningWizard';
+
+const ENDPOINT = { baseUrl: 'http://192.168.4.1', label: 'Default AP' };
+const DEVICE_INFO = { deviceId: 'SWM001', version: '2.0.0' };
+const HOME = { ssid: 'HomeNetwork', rssi: -48, encryption: 'SECURED', channel: 6 };
+const CAFE = { ssid: 'CoffeeShop', rssi: -66, encryption: 'OPEN', channel: 1 };
+
+const run = (state, ...actions) => actions.reduce(wizardReducer, state);
+
+// Results carry the attempt of the state they answer
+const checked = state => ({ type: WizardAction.CHECK_SUCCEEDED, attempt: state.attempt, deviceInfo: DEVICE_INFO });
+const scanned = (state, networks = [HOME, CAFE]) => ({ type: WizardAction.SCAN_SUCCEEDED, attempt: state.attempt, networks });
+const sent = state => ({ type: WizardAction.SEND_SUCCEEDED, attempt: state.attempt });
+const verified = state => ({ type: WizardAction.VERIFY_SUCCEEDED, attempt: state.attempt });
+
+const NEXT = { type: WizardAction.NEXT };
+const BACK = { type: WizardAction.BACK };
+const RETRY = { type: WizardAction.RETRY };
+
+const atCheckDevice = () => run(createInitialWizardState(ENDPOINT), NEXT);
+
+const atSelectNetwork = () => {
+  let state = atCheckDevice();
+  state = run(state, checked(state), NEXT);
+  return run(state, scanned(state));
+};
+
+const atEnterPassword = (network = HOME) => run(
+  atSelectNetwork(),
+  { type: WizardAction.SELECT_NETWORK, network },
+  NEXT
+);
+
+const atSend = () => run(atEnterPassword(), { type: WizardAction.SET_PASSWORD, password: 'secret123' }, NEXT);
+
+const atWaitOnline = () => {
+  const state = atSend();
+  return run(state, sent(state));
+};
+
+describe('initial state', () => {
+  test('starts idle on the join step over Direct AP', () => {
+    const state = createInitialWizardState(ENDPOINT);
+
+    expect(state).toMatchObject({
+      step: WizardStep.JOIN_AP,
+      status: StepStatus.IDLE,
+      attempt: 0,
+      transport: ProvisioningTransport.DIRECT_AP,
+      endpoint: ENDPOINT,
+      deviceInfo: null,
+      networks: [],
+      selectedNetwork: null,
+      password: '',
+    });
+    expect(canGoNext(state)).toBe(true);
+    expect(canGoBack(state)).toBe(false);
+  });
+});
+
+describe('NEXT', () => {
+  test('join AP starts the device check', () => {
+    const state = atCheckDevice();
+
+    expect(state.step).toBe(WizardStep.CHECK_DEVICE);
+    expect(state.status).toBe(StepStatus.BUSY);
+    expect(state.attempt).toBe(1);
+  });
+
+  test('is ignored while a step is busy', () => {
+    const state = atCheckDevice();
+
+    expect(canGoNext(state)).toBe(false);
+    expect(wizardReducer(state, NEXT)).toBe(state);
+  });
+
+  test('check device needs device info, then starts a scan', () => {
+    let state = atCheckDevice();
+    state = run(state, checked(state));
+
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(state.deviceInfo).toEqual(DEVICE_INFO);
+
+    state = run(state, NEXT);
+    expect(state.step).toBe(WizardStep.SELECT_NETWORK);
+    expect(state.status).toBe(StepStatus.BUSY);
+  });
+
+  test('select network needs a selection', () => {
+    const state = atSelectNetwork();
+
+    expect(canGoNext(state)).toBe(false);
+    expect(wizardReducer(state, NEXT)).toBe(state);
+
+    const selected = run(state, { type: WizardAction.SELECT_NETWORK, network: HOME }, NEXT);
+    expect(selected.step).toBe(WizardStep.ENTER_PASSWORD);
+    expect(selected.status).toBe(StepStatus.IDLE);
+  });
+
+  test('enter password needs a password for a secured network', () => {
+    const state = atEnterPassword();
+
+    expect(canGoNext(state)).toBe(false);
+
+    const withPassword = run(state, { type: WizardAction.SET_PASSWORD, password: 'secret123' }, NEXT);
+    expect(withPassword.step).toBe(WizardStep.SEND);
+    expect(withPassword.status).toBe(StepStatus.BUSY);
+  });
+
+  test('an open network needs no password', () => {
+    const state = run(atEnterPassword(CAFE), NEXT);
+
+    expect(state.step).toBe(WizardStep.SEND);
+  });
+
+  test('send and verify results move on to waiting and done', () => {
+    let state = atSend();
+    state = run(state, sent(state));
+    expect(state.step).toBe(WizardStep.WAIT_ONLINE);
+    expect(state.status).toBe(StepStatus.BUSY);
+
+    state = run(state, verified(state));
+    expect(state.step).toBe(WizardStep.DONE);
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(canGoNext(state)).toBe(false);
+    expect(canGoBack(state)).toBe(false);
+  });
+
+  test('going forward again keeps the scanned networks', () => {
+    const state = run(atEnterPassword(), BACK, BACK, NEXT);
+
+    expect(state.step).toBe(WizardStep.SELECT_NETWORK);
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(state.networks).toHaveLength(2);
+  });
+});
+
+describe('BACK', () => {
+  test('check device goes back to join AP', () => {
+    let state = atCheckDevice();
+    state = run(state, checked(state), BACK);
+
+    expect(state.step).toBe(WizardStep.JOIN_AP);
+  });
+
+  test('select network goes back to the checked device without rechecking', () => {
+    const state = run(atSelectNetwork(), BACK);
+
+    expect(state.step).toBe(WizardStep.CHECK_DEVICE);
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(state.deviceInfo).toEqual(DEVICE_INFO);
+  });
+
+  test('enter password goes back to the network list', () => {
+    const state = run(atEnterPassword(), BACK);
+
+    expect(state.step).toBe(WizardStep.SELECT_NETWORK);
+    expect(state.selectedNetwork).toEqual(HOME);
+  });
+
+  test('send can only go back after it failed', () => {
+    const busy = atSend();
+    expect(canGoBack(busy)).toBe(false);
+    expect(wizardReducer(busy, BACK)).toBe(busy);
+
+    const failed = run(busy, { type: WizardAction.SEND_FAILED, attempt: busy.attempt, error: { code: 'TIMEOUT' } });
+    const state = run(failed, BACK);
+    expect(state.step).toBe(WizardStep.ENTER_PASSWORD);
+    expect(state.password).toBe('secret123');
+  });
+
+  test('waiting online goes back to the password', () => {
+    const state = run(atWaitOnline(), BACK);
+
+    expect(state.step).toBe(WizardStep.ENTER_PASSWORD);
+    expect(state.status).toBe(StepStatus.IDLE);
+  });
+
+  test('is ignored on the first and last steps', () => {
+    const first = createInitialWizardState(ENDPOINT);
+    expect(wizardReducer(first, BACK)).toBe(first);
+
+    const waiting = atWaitOnline();
+    const done = run(waiting, verified(waiting));
+    expect(wizardReducer(done, BACK)).toBe(done);
+  });
+});
+
+describe('failure and retry', () => {
+  test('a failed check keeps the error and a retry starts a new attempt', () => {
+    let state = atCheckDevice();
+    state = run(state, { type: WizardAction.CHECK_FAILED, attempt: state.attempt, error: { code: 'UNREACHABLE' } });
+
+    expect(state.status).toBe(StepStatus.ERROR);
+    expect(state.error).toEqual({ code: 'UNREACHABLE', message: '' });
+
+    state = run(state, RETRY);
+    expect(state.status).toBe(StepStatus.BUSY);
+    expect(state.attempt).toBe(2);
+    expect(state.error).toBeNull();
+  });
+
+  test('results from an earlier attempt are dropped', () => {
+    let state = atCheckDevice();
+    const stale = checked(state);
+    state = run(state, { type: WizardAction.CHECK_FAILED, attempt: state.attempt, error: {} }, RETRY);
+
+    expect(wizardReducer(state, stale)).toBe(state);
+    expect(run(state, checked(state)).deviceInfo).toEqual(DEVICE_INFO);
+  });
+
+  test('results for another step are dropped', () => {
+    const state = atSend();
+
+    expect(wizardReducer(state, checked(state))).toBe(state);
+    expect(wizardReducer(state, scanned(state))).toBe(state);
+  });
+
+  test('errors without a code are reported as unknown', () => {
+    let state = atCheckDevice();
+    state = run(state, { type: WizardAction.CHECK_FAILED, attempt: state.attempt, error: new Error('boom') });
+
+    expect(state.error).toEqual({ code: 'UNKNOWN', message: 'boom' });
+  });
+
+  test('an empty scan fails with NO_NETWORKS and a retry rescans from scratch', () => {
+    let state = atCheckDevice();
+    state = run(state, checked(state), NEXT);
+    state = run(state, scanned(state, []));
+
+    expect(state.status).toBe(StepStatus.ERROR);
+    expect(state.error.code).toBe(NO_NETWORKS);
+
+    state = run(state, RETRY);
+    expect(state.status).toBe(StepStatus.BUSY);
+    expect(state.networks).toEqual([]);
+    expect(state.selectedNetwork).toBeNull();
+  });
+
+  test('a rescan clears the selection', () => {
+    let state = run(atSelectNetwork(), { type: WizardAction.SELECT_NETWORK, network: HOME }, RETRY);
+    state = run(state, scanned(state, [{ ...HOME, rssi: -40 }]));
+
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(state.selectedNetwork).toBeNull();
+  });
+
+  test('send and verify can be retried, each with a new attempt', () => {
+    let state = atSend();
+    const sendAttempt = state.attempt;
+    state = run(state, { type: WizardAction.SEND_FAILED, attempt: state.attempt, error: { code: 'TIMEOUT' } }, RETRY);
+    expect(state.step).toBe(WizardStep.SEND);
+    expect(state.attempt).toBe(sendAttempt + 1);
+
+    state = run(state, sent(state));
+    state = run(state, { type: WizardAction.VERIFY_FAILED, attempt: state.attempt, error: { code: 'TIMEOUT' } });
+    expect(state.status).toBe(StepStatus.ERROR);
+
+    state = run(state, RETRY);
+    expect(state.step).toBe(WizardStep.WAIT_ONLINE);
+    expect(state.status).toBe(StepStatus.BUSY);
+    expect(state.attempt).toBe(sendAttempt + 3);
+  });
+
+  test('retry is ignored while busy and on steps without async work', () => {
+    const busy = atCheckDevice();
+    expect(wizardReducer(busy, RETRY)).toBe(busy);
+
+    const password = atEnterPassword();
+    expect(wizardReducer(password, RETRY)).toBe(password);
+  });
+});
+
+describe('other network', () => {
+  test('starts a blank manual entry', () => {
+    const state = run(atSelectNetwork(), { type: WizardAction.SELECT_OTHER_NETWORK });
+
+    expect(state.selectedNetwork).toEqual({ ssid: '', encryption: 'SECURED', manual: true });
+    expect(state.password).toBe('');
+    expect(canGoNext(state)).toBe(true);
+  });
+
+  test('needs a valid name before sending', () => {
+    let state = run(atSelectNetwork(), { type: WizardAction.SELECT_OTHER_NETWORK }, NEXT);
+    expect(state.step).toBe(WizardStep.ENTER_PASSWORD);
+
+    state = run(state, { type: WizardAction.SET_PASSWORD, password: 'secret123' });
+    expect(canGoNext(state)).toBe(false);
+
+    state = run(state, { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: '   ' });
+    expect(canGoNext(state)).toBe(false);
+
+    state = run(state, { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: 'x'.repeat(33) });
+    expect(canGoNext(state)).toBe(false);
+
+    state = run(state, { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: 'Hidden' });
+    expect(canGoNext(state)).toBe(true);
+  });
+
+  test('an open manual network needs no password', () => {
+    const state = run(
+      atSelectNetwork(),
+      { type: WizardAction.SELECT_OTHER_NETWORK },
+      NEXT,
+      { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: 'Hidden', encryption: 'OPEN' }
+    );
+
+    expect(canGoNext(state)).toBe(true);
+    expect(run(state, NEXT).step).toBe(WizardStep.SEND);
+  });
+
+  test('edits are ignored for scanned networks', () => {
+    const state = atEnterPassword();
+
+    expect(wizardReducer(state, { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: 'Other' })).toBe(state);
+  });
+
+  test('selecting it again keeps what was typed', () => {
+    let state = run(
+      atSelectNetwork(),
+      { type: WizardAction.SELECT_OTHER_NETWORK },
+      NEXT,
+      { type: WizardAction.UPDATE_OTHER_NETWORK, ssid: 'Hidden' },
+      BACK
+    );
+    state = run(state, { type: WizardAction.SELECT_OTHER_NETWORK });
+
+    expect(state.selectedNetwork.ssid).toBe('Hidden');
+  });
+});
+
+describe('selection and password', () => {
+  test('a saved password is prefilled and cleared when switching networks', () => {
+    let state = run(atSelectNetwork(), { type: WizardAction.SELECT_NETWORK, network: HOME, password: 'saved' });
+    expect(state.password).toBe('saved');
+
+    state = run(state, { type: WizardAction.SELECT_NETWORK, network: HOME });
+    expect(state.password).toBe('saved');
+
+    state = run(state, { type: WizardAction.SELECT_NETWORK, network: CAFE });
+    expect(state.password).toBe('');
+  });
+
+  test('the password can only be set on the password step', () => {
+    const state = atSelectNetwork();
+
+    expect(wizardReducer(state, { type: WizardAction.SET_PASSWORD, password: 'x' })).toBe(state);
+  });
+});
+
+describe('transport', () => {
+  test('cloud skips joining the AP and checks the device straight away', () => {
+    const state = run(createInitialWizardState(ENDPOINT), {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.CLOUD,
+    });
+
+    expect(state.transport).toBe(ProvisioningTransport.CLOUD);
+    expect(state.step).toBe(WizardStep.CHECK_DEVICE);
+    expect(state.status).toBe(StepStatus.BUSY);
+    expect(getWizardSteps(state.transport)).not.toContain(WizardStep.JOIN_AP);
+    expect(getStepIndex(WizardStep.CHECK_DEVICE, state.transport)).toBe(0);
+  });
+
+  test('cloud cannot go back from checking the device', () => {
+    let state = run(createInitialWizardState(ENDPOINT), {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.CLOUD,
+    });
+    state = run(state, checked(state));
+
+    expect(canGoBack(state)).toBe(false);
+    expect(wizardReducer(state, BACK)).toBe(state);
+  });
+
+  test('switching back to Direct AP returns to the join step with a clean slate', () => {
+    let state = run(createInitialWizardState(ENDPOINT), {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.CLOUD,
+    });
+    state = run(state, checked(state), {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.DIRECT_AP,
+    });
+
+    expect(state.step).toBe(WizardStep.JOIN_AP);
+    expect(state.status).toBe(StepStatus.IDLE);
+    expect(state.deviceInfo).toBeNull();
+  });
+
+  test('cannot change once past the device check', () => {
+    const state = atSelectNetwork();
+
+    expect(wizardReducer(state, {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.CLOUD,
+    })).toBe(state);
+  });
+
+  test('setting the same transport changes nothing', () => {
+    const state = createInitialWizardState(ENDPOINT);
+
+    expect(wizardReducer(state, {
+      type: WizardAction.SET_TRANSPORT,
+      transport: ProvisioningTransport.DIRECT_AP,
+    })).toBe(state);
+  });
+});
+
+describe('RESET', () => {
+  test('returns to the start, with a new endpoint if given', () => {
+    const other = { baseUrl: 'http://10.0.2.2:8080', label: 'Simulator' };
+
+    expect(run(atWaitOnline(), { type: WizardAction.RESET })).toEqual(createInitialWizardState(ENDPOINT));
+    expect(run(atWaitOnline(), { type: WizardAction.RESET, endpoint: other }).endpoint).toBe(other);
+  });
+});
@@ -0,0 +1,852 @@
+/**
+ * @jest-environment node
+ */
+// Security rule tests
+// Runs rules.txt against the local Realtime Database emulator:
+//   npm run test:rules
+// which wraps the "rules" jest project in firebase emulators:exec. The
+// emulator needs Java 11 or newer. `npm test` runs only the app tests and
+// skips this file; `npm run test:all` runs both, and is what CI should run.
+// The emulator address comes from FIREBASE_DATABASE_EMULATOR_HOST (set by
+// emulators:exec), falling back to 127.0.0.1:9000.
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+
+const OWNER = 'alice';
+const OTHER = 'mallory';
+const VIEWER = 'victor';
+const OPERATOR = 'olivia';
+const METER = 'meter-account';
+const DEVICE = 'meter-1';
+const UNOWNED = 'meter-2';
+
+const HOUR = 3600000;
+
+let testEnv;
+
+const [emulatorHost, emulatorPort] = (process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000').split(':');
+
+const asUser = (uid) => testEnv.authenticatedContext(uid).database();
+const asGuest = () => testEnv.unauthenticatedContext().database();
+
+const seed = (data) => testEnv.withSecurityRulesDisabled(
+  context => context.database().ref().update(data)
+);
+
+const validInfo = {
+  deviceId: DEVICE,
+  status: 'online',
+  version: '2.0.0',
+  firmwareDate: 'Nov 22 2024',
+  lastSeen: 1700000000000,
+  batteryPercentage: 80,
+  batteryVoltage: 3.9,
+  wifiInfo: { ssid: 'Home', rssi: -60, ip: '192.168.1.20' },
+};
+
+const validData = {
+  deviceId: DEVICE,
+  userId: OWNER,
+  flowRate: 4.2,
+  totalLitres: 1234.5,
+  valveState: 'OPEN',
+  status: 'online',
+  timestamp: 1700000000000,
+  rssi: -60,
+  batteryPercentage: 80,
+  batteryVoltage: 3.9,
+  wifiInfo: { ssid: 'Home', rssi: -60, ip: '192.168.1.20' },
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'smart-water-meter-rules',
+    database: {
+      host: emulatorHost,
+      port: Number(emulatorPort),
+      rules: fs.readFileSync(path.join(__dirname, 'rules.txt'), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+  await seed({
+    [`deviceOwners/${DEVICE}`]: OWNER,
+    [`devices/${DEVICE}/info`]: validInfo,
+    [`devices/${DEVICE}/data`]: validData,
+    [`deviceMembers/${DEVICE}/${VIEWER}`]: { role: 'viewer', addedAt: 1 },
+    [`deviceMembers/${DEVICE}/${OPERATOR}`]: { role: 'operator', addedAt: 1 },
+  });
+});
+
+describe('root', () => {
+  test('nobody can read or write the whole database', async () => {
+    await assertFails(asGuest().ref().get());
+    await assertFails(asUser(OWNER).ref().get());
+    await assertFails(asUser(OWNER).ref().set({ anything: true }));
+  });
+
+  test('unknown top-level paths are closed', async () => {
+    await assertFails(asUser(OWNER).ref('somethingElse').set('x'));
+    await assertFails(asUser(OWNER).ref('somethingElse').get());
+  });
+});
+
+describe('users', () => {
+  const record = { deviceId: DEVICE, userId: OWNER, name: 'Kitchen', addedAt: 1 };
+
+  test('users read and write only their own node', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`users/${OWNER}/profile`).set({ name: 'Alice' }));
+    await assertSucceeds(asUser(OWNER).ref(`users/${OWNER}`).get());
+    await assertFails(asUser(OTHER).ref(`users/${OWNER}`).get());
+    await assertFails(asUser(OTHER).ref(`users/${OWNER}/profile`).set({ name: 'Mallory' }));
+    await assertFails(asGuest().ref(`users/${OWNER}`).get());
+    await assertFails(asGuest().ref(`users/${OWNER}/profile`).set({ name: 'Guest' }));
+  });
+
+  test('device records must name the device and its user', async () => {
+    const db = asUser(OWNER);
+    await assertSucceeds(db.ref(`users/${OWNER}/devices/${DEVICE}`).set(record));
+    await assertFails(db.ref(`users/${OWNER}/devices/${DEVICE}`).set({ deviceId: DEVICE }));
+    await assertFails(db.ref(`users/${OWNER}/devices/${DEVICE}`).set({ ...record, userId: OTHER }));
+    await assertFails(db.ref(`users/${OWNER}/devices/${DEVICE}`).set({ ...record, deviceId: UNOWNED }));
+  });
+
+  test('device record fields are validated', async () => {
+    const db = asUser(OWNER);
+    const devicePath = `users/${OWNER}/devices/${DEVICE}`;
+    await assertSucceeds(db.ref(devicePath).set({ ...record, shared: true }));
+    await assertFails(db.ref(devicePath).set({ ...record, name: '' }));
+    await assertFails(db.ref(devicePath).set({ ...record, name: 'x'.repeat(41) }));
+    await assertFails(db.ref(devicePath).set({ ...record, addedAt: 'yesterday' }));
+    await assertFails(db.ref(devicePath).set({ ...record, shared: 'yes' }));
+  });
+});
+
+describe('deviceOwners', () => {
+  test('signed-in users can read ownership, guests cannot', async () => {
+    await assertSucceeds(asUser(OTHER).ref(`deviceOwners/${DEVICE}`).get());
+    await assertFails(asGuest().ref(`deviceOwners/${DEVICE}`).get());
+  });
+
+  test('the first writer claims an unowned device', async () => {
+    await assertSucceeds(asUser(OTHER).ref(`deviceOwners/${UNOWNED}`).set(OTHER));
+    await assertFails(asUser(OWNER).ref(`deviceOwners/${UNOWNED}`).set(OWNER));
+  });
+
+  test('an owned device cannot be taken over', async () => {
+    await assertFails(asUser(OTHER).ref(`deviceOwners/${DEVICE}`).set(OTHER));
+    await assertFails(asUser(OTHER).ref(`deviceOwners/${DEVICE}`).remove());
+    await assertFails(asGuest().ref(`deviceOwners/${UNOWNED}`).set(OTHER));
+  });
+
+  test('the owner can release the device', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`deviceOwners/${DEVICE}`).remove());
+  });
+
+  test('the owner must be a non-empty string', async () => {
+    await assertFails(asUser(OTHER).ref(`deviceOwners/${UNOWNED}`).set(''));
+    await assertFails(asUser(OTHER).ref(`deviceOwners/${UNOWNED}`).set(42));
+  });
+
+  test('claiming and releasing together with the device list is atomic', async () => {
+    const db = asUser(OWNER);
+    await assertSucceeds(db.ref().update({
+      [`deviceOwners/${UNOWNED}`]: OWNER,
+      [`users/${OWNER}/devices/${UNOWNED}`]: { deviceId: UNOWNED, userId: OWNER, name: 'Garden', addedAt: 1 },
+    }));
+    await assertSucceeds(db.ref().update({
+      [`deviceOwners/${UNOWNED}`]: null,
+      [`users/${OWNER}/devices/${UNOWNED}`]: null,
+      [`deviceMembers/${UNOWNED}`]: null,
+      [`deviceInvites/${UNOWNED}`]: null,
+      [`deviceAccounts/${UNOWNED}`]: null,
+      [`devicePairing/${UNOWNED}`]: null,
+    }));
+    // Someone else's list entry makes the whole update fail
+    await assertFails(asUser(OTHER).ref().update({
+      [`deviceOwners/${UNOWNED}`]: OTHER,
+      [`users/${OWNER}/devices/${UNOWNED}`]: { deviceId: UNOWNED, userId: OWNER, name: 'Garden', addedAt: 1 },
+    }));
+  });
+
+  test('a new owner does not inherit the previous owner\'s data after a release', async () => {
+    await seed({
+      [`users/${OWNER}/devices/${DEVICE}`]: { deviceId: DEVICE, userId: OWNER, name: 'Kitchen', addedAt: 1 },
+      [`history/${DEVICE}/h1`]: { timestamp: 1, flowRate: 2, totalLitres: 10 },
+      [`analytics/${DEVICE}/2024-01-01`]: { date: '2024-01-01', totalUsage: 10 },
+      [`valveEvents/${DEVICE}/e1`]: { command: 'CLOSE', issuedBy: OWNER, issuedAt: 1, outcome: 'confirmed' },
+      [`devices/${DEVICE}/settings/tariff`]: { type: 'flat', currency: 'EUR', pricePerM3: 2 },
+    });
+    await assertSucceeds(asUser(OWNER).ref().update({
+      [`users/${OWNER}/devices/${DEVICE}`]: null,
+      [`deviceOwners/${DEVICE}`]: null,
+      [`deviceMembers/${DEVICE}`]: null,
+      [`deviceInvites/${DEVICE}`]: null,
+      [`deviceAccounts/${DEVICE}`]: null,
+      [`devicePairing/${DEVICE}`]: null,
+      [`history/${DEVICE}`]: null,
+      [`analytics/${DEVICE}`]: null,
+      [`valveEvents/${DEVICE}`]: null,
+      [`devices/${DEVICE}/settings`]: null,
+    }));
+
+    const db = asUser(OTHER);
+    await assertSucceeds(db.ref(`deviceOwners/${DEVICE}`).set(OTHER));
+    for (const path of [`history/${DEVICE}`, `analytics/${DEVICE}`, `valveEvents/${DEVICE}`, `devices/${DEVICE}/settings`]) {
+      const snapshot = await assertSucceeds(db.ref(path).get());
+      expect(snapshot.exists()).toBe(false);
+    }
+    await assertFails(asUser(OWNER).ref(`history/${DEVICE}`).get());
+  });
+
+  test('a list entry for an unowned device is removed on its own', async () => {
+    await seed({
+      [`users/${OWNER}/devices/${UNOWNED}`]: { deviceId: UNOWNED, userId: OWNER, name: 'Garden', addedAt: 1 },
+    });
+    const db = asUser(OWNER);
+    await assertFails(db.ref().update({
+      [`users/${OWNER}/devices/${UNOWNED}`]: null,
+      [`deviceMembers/${UNOWNED}`]: null,
+      [`deviceInvites/${UNOWNED}`]: null,
+    }));
+    await assertSucceeds(db.ref().update({
+      [`users/${OWNER}/devices/${UNOWNED}`]: null,
+    }));
+  });
+});
+
+describe('device pairing', () => {
+  const CODE = '0123456789abcdef0123456789abcdef';
+  const pairing = (overrides = {}) => ({ code: CODE, expiresAt: Date.now() + 10 * 60000, ...overrides });
+  const bind = (uid, pairingCode = CODE) => ({
+    [`deviceAccounts/${DEVICE}`]: { uid, pairingCode, pairedAt: Date.now() },
+    [`devicePairing/${DEVICE}`]: null,
+  });
+
+  test('only the owner writes and reads the pairing code', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`devicePairing/${DEVICE}`).set(pairing()));
+    await assertSucceeds(asUser(OWNER).ref(`devicePairing/${DEVICE}`).get());
+    await assertFails(asUser(OTHER).ref(`devicePairing/${DEVICE}`).get());
+    await assertFails(asUser(METER).ref(`devicePairing/${DEVICE}`).get());
+    await assertFails(asUser(OTHER).ref(`devicePairing/${UNOWNED}`).set(pairing()));
+  });
+
+  test('pairing codes are long and short-lived', async () => {
+    const db = asUser(OWNER);
+    await assertFails(db.ref(`devicePairing/${DEVICE}`).set(pairing({ code: 'short' })));
+    await assertFails(db.ref(`devicePairing/${DEVICE}`).set(pairing({ expiresAt: Date.now() + 2 * HOUR })));
+    await assertFails(db.ref(`devicePairing/${DEVICE}`).set(pairing({ expiresAt: Date.now() - 1 })));
+    await assertFails(db.ref(`devicePairing/${DEVICE}`).set(pairing({ note: 'hi' })));
+  });
+
+  test('the meter binds its account with the code, once', async () => {
+    await seed({ [`devicePairing/${DEVICE}`]: pairing() });
+    await assertFails(asUser(METER).ref(`devices/${DEVICE}/data`).set(validData));
+    await assertSucceeds(asUser(METER).ref().update(bind(METER)));
+    await assertSucceeds(asUser(METER).ref(`devices/${DEVICE}/data`).set(validData));
+    await assertSucceeds(asUser(METER).ref(`devices/${DEVICE}/commands/valveControl`).remove());
+    await assertSucceeds(asUser(METER).ref(`history/${DEVICE}`).push({ timestamp: 1, flowRate: 0 }));
+    await assertFails(asUser(OTHER).ref().update(bind(OTHER)));
+  });
+
+  test('a wrong, expired or missing code is refused', async () => {
+    await assertFails(asUser(METER).ref().update(bind(METER)));
+    await seed({ [`devicePairing/${DEVICE}`]: pairing() });
+    await assertFails(asUser(METER).ref().update(bind(METER, 'f'.repeat(32))));
+    await assertFails(asUser(METER).ref(`deviceAccounts/${DEVICE}`).set({ uid: METER }));
+    await seed({ [`devicePairing/${DEVICE}/expiresAt`]: Date.now() - 1 });
+    await assertFails(asUser(METER).ref().update(bind(METER)));
+  });
+
+  test('a meter cannot bind someone else or keep the code', async () => {
+    await seed({ [`devicePairing/${DEVICE}`]: pairing() });
+    await assertFails(asUser(OTHER).ref().update(bind(METER)));
+    await assertFails(asUser(METER).ref(`devicePairing/${DEVICE}`).remove());
+  });
+
+  test('the bound meter cannot touch settings-only or ownership paths', async () => {
+    await seed({ [`deviceAccounts/${DEVICE}`]: { uid: METER } });
+    await assertSucceeds(asUser(METER).ref(`deviceAccounts/${DEVICE}`).get());
+    await assertFails(asUser(METER).ref(`deviceOwners/${DEVICE}`).set(METER));
+    await assertFails(asUser(METER).ref(`deviceMembers/${DEVICE}`).get());
+    await assertFails(asUser(METER).ref(`analytics/${DEVICE}`).get());
+  });
+
+  test('the owner can unbind the meter', async () => {
+    await seed({ [`deviceAccounts/${DEVICE}`]: { uid: METER } });
+    await assertFails(asUser(OTHER).ref(`deviceAccounts/${DEVICE}`).remove());
+    await assertSucceeds(asUser(OWNER).ref(`deviceAccounts/${DEVICE}`).remove());
+    await assertFails(asUser(METER).ref(`devices/${DEVICE}/data`).set(validData));
+  });
+});
+
+describe('devices access', () => {
+  test('the owner can read and write their device', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`devices/${DEVICE}`).get());
+    await assertSucceeds(asUser(OWNER).ref(`devices/${DEVICE}/info/status`).set('offline'));
+    await assertSucceeds(asUser(OWNER).ref(`devices/${DEVICE}/data/flowRate`).set(0));
+  });
+
+  test('other accounts cannot read or write an owned device', async () => {
+    const db = asUser(OTHER);
+    await assertFails(db.ref(`devices/${DEVICE}`).get());
+    for (const child of ['info', 'data', 'commands', 'wifiScan', 'settings', 'wifiConfig']) {
+      await assertFails(db.ref(`devices/${DEVICE}/${child}`).get());
+    }
+    await assertFails(db.ref(`devices/${DEVICE}/info/status`).set('offline'));
+    await assertFails(db.ref(`devices/${DEVICE}/data/flowRate`).set(0));
+    await assertFails(db.ref(`devices/${DEVICE}/commands/valveControl`).set(false));
+    await assertFails(db.ref(`devices/${DEVICE}/wifiConfig`).set({ ssid: 'Evil', password: 'x' }));
+    await assertFails(db.ref(`devices/${DEVICE}/wifiScan/scanning`).set(true));
+  });
+
+  test('guests cannot touch any device', async () => {
+    const db = asGuest();
+    await assertFails(db.ref(`devices/${DEVICE}/info`).get());
+    await assertFails(db.ref(`devices/${UNOWNED}/info`).get());
+    await assertFails(db.ref(`devices/${UNOWNED}/info`).set(validInfo));
+  });
+
+  test('an unowned device is open to signed-in users for setup', async () => {
+    const db = asUser(OTHER);
+    await assertSucceeds(db.ref(`devices/${UNOWNED}/info`).set({ ...validInfo, deviceId: UNOWNED, status: 'setup' }));
+    await assertSucceeds(db.ref(`devices/${UNOWNED}/info`).get());
+    await assertSucceeds(db.ref(`devices/${UNOWNED}/wifiConfig`).set({ ssid: 'Home', password: 'secret' }));
+  });
+
+  test('an unowned device locks once it is claimed', async () => {
+    await seed({ [`devices/${UNOWNED}/info`]: { ...validInfo, deviceId: UNOWNED } });
+    await assertSucceeds(asUser(OWNER).ref(`deviceOwners/${UNOWNED}`).set(OWNER));
+    await assertFails(asUser(OTHER).ref(`devices/${UNOWNED}/info`).get());
+    await assertFails(asUser(OTHER).ref(`devices/${UNOWNED}/info/status`).set('online'));
+  });
+
+  test('unknown device children are rejected', async () => {
+    await assertFails(asUser(OWNER).ref(`devices/${DEVICE}/firmware`).set({ url: 'http://x' }));
+  });
+});
+
+describe('devices/info validation', () => {
+  const infoPath = `devices/${DEVICE}/info`;
+
+  test('a complete info record is accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(infoPath).set(validInfo));
+  });
+
+  test.each(['online', 'offline', 'setup', 'error'])('status "%s" is accepted', async (status) => {
+    await assertSucceeds(asUser(OWNER).ref(`${infoPath}/status`).set(status));
+  });
+
+  test.each([
+    ['deviceId', ''],
+    ['deviceId', 7],
+    ['status', 'rebooting'],
+    ['status', 'ONLINE'],
+    ['status', 1],
+    ['version', 2],
+    ['firmwareDate', 20241122],
+    ['lastSeen', 'now'],
+    ['batteryPercentage', -1],
+    ['batteryPercentage', 101],
+    ['batteryPercentage', '80'],
+    ['batteryVoltage', -0.1],
+    ['batteryVoltage', '3.9'],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${infoPath}/${field}`).set(value));
+  });
+
+  test('wifiInfo fields are type-checked', async () => {
+    const db = asUser(OWNER);
+    await assertFails(db.ref(`${infoPath}/wifiInfo/ssid`).set(5));
+    await assertFails(db.ref(`${infoPath}/wifiInfo/rssi`).set('-60'));
+    await assertFails(db.ref(`${infoPath}/wifiInfo/ip`).set(192168));
+  });
+
+  test('unknown info fields are rejected', async () => {
+    await assertFails(asUser(OWNER).ref(infoPath).set({ ...validInfo, owner: OTHER }));
+    await assertFails(asUser(OWNER).ref(`${infoPath}/debug`).set(true));
+  });
+});
+
+describe('devices/data validation', () => {
+  const dataPath = `devices/${DEVICE}/data`;
+
+  test('a complete data record is accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(dataPath).set(validData));
+  });
+
+  test.each(['OPEN', 'CLOSED', 'UNKNOWN'])('valveState "%s" is accepted', async (valveState) => {
+    await assertSucceeds(asUser(OWNER).ref(`${dataPath}/valveState`).set(valveState));
+  });
+
+  test.each([
+    ['deviceId', 1],
+    ['userId', 1],
+    ['flowRate', -0.5],
+    ['flowRate', '4'],
+    ['totalLitres', -1],
+    ['valveState', 'open'],
+    ['valveState', 'HALF'],
+    ['valveState', true],
+    ['status', false],
+    ['timestamp', '1700000000000'],
+    ['rssi', '-60'],
+    ['batteryPercentage', 120],
+    ['batteryVoltage', -1],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${dataPath}/${field}`).set(value));
+  });
+
+  test('unknown data fields are rejected', async () => {
+    await assertFails(asUser(OWNER).ref(dataPath).set({ ...validData, extra: 1 }));
+  });
+});
+
+describe('devices/commands', () => {
+  const commandsPath = `devices/${DEVICE}/commands`;
+
+  test('the owner can send every known command', async () => {
+    const db = asUser(OWNER);
+    await assertSucceeds(db.ref(`${commandsPath}/valveControl`).set(true));
+    await assertSucceeds(db.ref(`${commandsPath}/resetWifi`).set(true));
+    await assertSucceeds(db.ref(`${commandsPath}/resetTotal`).set(true));
+    await assertSucceeds(db.ref(`${commandsPath}/scanWifi`).set({ scan: true, timestamp: 1 }));
+    await assertSucceeds(db.ref(commandsPath).get());
+  });
+
+  test.each([
+    ['valveControl', 'OPEN'],
+    ['valveControl', 1],
+    ['resetWifi', 'yes'],
+    ['resetTotal', 0],
+    ['scanWifi', true],
+    ['scanWifi', { scan: true }],
+    ['scanWifi', { scan: 'yes', timestamp: 1 }],
+    ['scanWifi', { scan: true, timestamp: 'now' }],
+    ['reboot', true],
+  ])('%s = %p is rejected', async (command, value) => {
+    await assertFails(asUser(OWNER).ref(`${commandsPath}/${command}`).set(value));
+  });
+});
+
+describe('devices/wifiScan validation', () => {
+  const scanPath = `devices/${DEVICE}/wifiScan`;
+  const network = { ssid: 'Home', rssi: -50, encryption: 'SECURED', channel: 6 };
+
+  test('scan results are accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(scanPath).set({ scanning: false, networks: { 0: network } }));
+    await assertSucceeds(asUser(OWNER).ref(`${scanPath}/networks/1`).set({ ...network, encryption: 'OPEN' }));
+  });
+
+  test.each([
+    ['ssid', ''],
+    ['rssi', '-50'],
+    ['encryption', 'WPA2'],
+    ['channel', 0],
+    ['channel', 15],
+    ['bssid', 'aa:bb:cc:dd:ee:ff'],
+  ])('network %s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${scanPath}/networks/0`).set({ ...network, [field]: value }));
+  });
+
+  test('scanning must be a boolean and unknown fields are rejected', async () => {
+    await assertFails(asUser(OWNER).ref(`${scanPath}/scanning`).set('yes'));
+    await assertFails(asUser(OWNER).ref(`${scanPath}/startedAt`).set(1));
+  });
+});
+
+describe('devices/wifiConfig validation', () => {
+  const configPath = `devices/${DEVICE}/wifiConfig`;
+
+  test('a configuration request is accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(configPath).set({
+      ssid: 'Home',
+      password: 'secret',
+      timestamp: 1,
+      configured: false,
+    }));
+    await assertSucceeds(asUser(OWNER).ref(`${configPath}/error`).set('Wrong password'));
+  });
+
+  test.each([
+    ['ssid', ''],
+    ['ssid', 5],
+    ['password', 12345678],
+    ['timestamp', 'now'],
+    ['configured', 'true'],
+    ['error', false],
+    ['bssid', 'aa:bb'],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${configPath}/${field}`).set(value));
+  });
+});
+
+describe('devices/settings', () => {
+  const settingsPath = `devices/${DEVICE}/settings`;
+
+  test('only the owner writes settings', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/leakDetection/enabled`).set(true));
+    await assertFails(asUser(OTHER).ref(`${settingsPath}/leakDetection/enabled`).set(false));
+    await assertFails(asUser(OPERATOR).ref(`${settingsPath}/leakDetection/enabled`).set(false));
+    await assertFails(asUser(OTHER).ref(settingsPath).get());
+  });
+
+  test('leak detection settings are accepted within range', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/leakDetection`).set({
+      enabled: true,
+      continuousFlowHours: 2,
+      quietHoursStart: 1,
+      quietHoursEnd: 5,
+      quietFlowThreshold: 0.1,
+      spikeFlowRate: 40,
+    }));
+  });
+
+  test.each([
+    ['enabled', 'yes'],
+    ['continuousFlowHours', 0],
+    ['continuousFlowHours', 25],
+    ['quietHoursStart', -1],
+    ['quietHoursStart', 24],
+    ['quietHoursEnd', 24],
+    ['quietFlowThreshold', -1],
+    ['spikeFlowRate', 0],
+    ['sensitivity', 'high'],
+  ])('leakDetection %s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/leakDetection/${field}`).set(value));
+  });
+
+  test('only the owner sets the meter time zone', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/timeZone`).set('Europe/Berlin'));
+    await assertFails(asUser(OPERATOR).ref(`${settingsPath}/timeZone`).set('Asia/Tokyo'));
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/timeZone`).set(''));
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/timeZone`).set(1));
+  });
+
+  test('budget settings are accepted within range', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/budgets`).set({
+      daily: 300,
+      weekly: 0,
+      monthly: 9000,
+      warnAt: [80, 90],
+      autoShutOff: true,
+    }));
+  });
+
+  test.each([
+    ['daily', -1],
+    ['weekly', '100'],
+    ['monthly', -5],
+    ['warnAt', [0]],
+    ['warnAt', [100]],
+    ['warnAt', ['80']],
+    ['autoShutOff', 1],
+    ['yearly', 1000],
+  ])('budgets %s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/budgets/${field}`).set(value));
+  });
+
+  test('owner and operators record the automatic shut-off, viewers cannot', async () => {
+    const path = `${settingsPath}/budgets/shutOff/daily`;
+    await assertSucceeds(asUser(OWNER).ref(path).set('daily:2026-10-19'));
+    await assertSucceeds(asUser(OPERATOR).ref(path).set('daily:2026-10-20'));
+    await assertFails(asUser(VIEWER).ref(path).set('daily:2026-10-21'));
+    await assertFails(asUser(OPERATOR).ref(`${settingsPath}/budgets/daily`).set(0));
+  });
+
+  test.each([
+    ['daily', 'weekly:2026-10-19'],
+    ['daily', 1],
+    ['yearly', 'yearly:2026-01-01'],
+  ])('budget shut-off %s = %p is rejected', async (period, value) => {
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/budgets/shutOff/${period}`).set(value));
+  });
+
+  test('tariff settings are accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/tariff`).set({
+      type: 'flat',
+      currency: 'EUR',
+      pricePerM3: 2.35,
+      monthlyCharge: 8.5,
+    }));
+  });
+
+  test('tiered and time-of-use tariffs are accepted', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/tariff`).set({
+      type: 'tiered',
+      currency: 'USD',
+      monthlyCharge: 0,
+      tiers: [{ upToM3: 10, pricePerM3: 1.2 }, { upToM3: 0, pricePerM3: 2.4 }],
+    }));
+    await assertSucceeds(asUser(OWNER).ref(`${settingsPath}/tariff`).set({
+      type: 'timeOfUse',
+      currency: 'GBP',
+      pricePerM3: 2,
+      periods: [{ startHour: 22, endHour: 6, pricePerM3: 1.1 }],
+    }));
+  });
+
+  test.each([
+    ['type', 'seasonal'],
+    ['currency', 'eur'],
+    ['currency', 'EURO'],
+    ['pricePerM3', -1],
+    ['pricePerM3', '2.35'],
+    ['monthlyCharge', -0.5],
+    ['tiers', [{ upToM3: 10 }]],
+    ['tiers', [{ upToM3: -1, pricePerM3: 1 }]],
+    ['periods', [{ startHour: 22, endHour: 24, pricePerM3: 1 }]],
+    ['periods', [{ startHour: 7, endHour: 9, pricePerM3: 1, label: 'peak' }]],
+    ['vat', 19],
+  ])('tariff %s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/tariff/${field}`).set(value));
+  });
+
+  test('unknown settings groups are rejected', async () => {
+    await assertFails(asUser(OWNER).ref(`${settingsPath}/theme`).set('dark'));
+  });
+});
+
+describe('history', () => {
+  const historyPath = `history/${DEVICE}`;
+  const record = { timestamp: 1, flowRate: 2, totalLitres: 10, valveState: 'OPEN', batteryPercentage: 80 };
+
+  test('the owner reads and writes history', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${historyPath}/r1`).set(record));
+    await assertSucceeds(asUser(OWNER).ref(historyPath).get());
+  });
+
+  test('other accounts and guests cannot', async () => {
+    await assertFails(asUser(OTHER).ref(historyPath).get());
+    await assertFails(asUser(OTHER).ref(`${historyPath}/r1`).set(record));
+    await assertFails(asGuest().ref(historyPath).get());
+  });
+
+  test('history of an unowned device is closed', async () => {
+    await assertFails(asUser(OTHER).ref(`history/${UNOWNED}/r1`).set(record));
+  });
+
+  test.each([
+    ['timestamp', 'now'],
+    ['flowRate', -1],
+    ['totalLitres', -1],
+    ['valveState', 1],
+    ['batteryPercentage', 101],
+    ['rssi', -60],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${historyPath}/r1`).set({ ...record, [field]: value }));
+  });
+});
+
+describe('valveEvents', () => {
+  const eventsPath = `valveEvents/${DEVICE}`;
+  const event = { command: 'CLOSE', issuedBy: OWNER, source: 'app', issuedAt: 1, outcome: 'pending' };
+
+  test('the owner logs and updates events', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${eventsPath}/e1`).set(event));
+    await assertSucceeds(asUser(OWNER).ref(`${eventsPath}/e1`).update({ outcome: 'confirmed', confirmedAt: 2 }));
+    await assertSucceeds(asUser(OWNER).ref(eventsPath).get());
+  });
+
+  test('other accounts cannot read or log events', async () => {
+    await assertFails(asUser(OTHER).ref(eventsPath).get());
+    await assertFails(asUser(OTHER).ref(`${eventsPath}/e1`).set({ ...event, issuedBy: OTHER }));
+  });
+
+  test('a new event must be issued by the writer', async () => {
+    await assertFails(asUser(OWNER).ref(`${eventsPath}/e1`).set({ ...event, issuedBy: OTHER }));
+  });
+
+  test('issuedBy cannot be changed afterwards', async () => {
+    await seed({ [`${eventsPath}/e1`]: event });
+    await assertFails(asUser(OWNER).ref(`${eventsPath}/e1/issuedBy`).set(OPERATOR));
+  });
+
+  test.each([
+    ['command', 'TOGGLE'],
+    ['source', 1],
+    ['issuedAt', 'now'],
+    ['outcome', 'done'],
+    ['confirmedAt', 'later'],
+    ['error', 500],
+    ['note', 'hi'],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${eventsPath}/e1`).set({ ...event, [field]: value }));
+  });
+
+  test('required fields are enforced', async () => {
+    await assertFails(asUser(OWNER).ref(`${eventsPath}/e1`).set({ ...event, outcome: null }));
+  });
+});
+
+describe('analytics', () => {
+  const analyticsPath = `analytics/${DEVICE}`;
+  const rollup = {
+    date: '2026-10-18',
+    timeZone: 'Europe/Berlin',
+    totalUsage: 250,
+    averageFlow: 1.5,
+    peakFlow: 12,
+    duration: 160,
+  };
+
+  test('the owner reads and writes rollups', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`${analyticsPath}/2026-10-18`).set(rollup));
+    await assertSucceeds(asUser(OWNER).ref(analyticsPath).get());
+  });
+
+  test('other accounts cannot', async () => {
+    await assertFails(asUser(OTHER).ref(analyticsPath).get());
+    await assertFails(asUser(OTHER).ref(`${analyticsPath}/2026-10-18`).set(rollup));
+  });
+
+  test('members read rollups but cannot write them', async () => {
+    await assertSucceeds(asUser(VIEWER).ref(analyticsPath).get());
+    await assertFails(asUser(VIEWER).ref(`${analyticsPath}/2026-10-18`).set({ ...rollup, totalUsage: 99999 }));
+    await assertFails(asUser(OPERATOR).ref(`${analyticsPath}/2026-10-18`).set(rollup));
+    await assertFails(asUser(VIEWER).ref(analyticsPath).remove());
+  });
+
+  test('the record key must match its date', async () => {
+    await assertFails(asUser(OWNER).ref(`${analyticsPath}/2026-10-17`).set(rollup));
+  });
+
+  test.each([
+    ['date', '18.10.2026'],
+    ['timeZone', 2],
+    ['totalUsage', -1],
+    ['averageFlow', -1],
+    ['peakFlow', '12'],
+    ['duration', -1],
+    ['cost', 3],
+  ])('%s = %p is rejected', async (field, value) => {
+    await assertFails(asUser(OWNER).ref(`${analyticsPath}/2026-10-18`).set({ ...rollup, [field]: value }));
+  });
+});
+
+describe('shared access', () => {
+  test('viewers read data, history and analytics', async () => {
+    const db = asUser(VIEWER);
+    await assertSucceeds(db.ref(`devices/${DEVICE}/info`).get());
+    await assertSucceeds(db.ref(`devices/${DEVICE}/data`).get());
+    await assertSucceeds(db.ref(`history/${DEVICE}`).get());
+    await assertSucceeds(db.ref(`analytics/${DEVICE}`).get());
+    await assertSucceeds(db.ref(`valveEvents/${DEVICE}`).get());
+  });
+
+  test('viewers cannot send commands or change the device', async () => {
+    const db = asUser(VIEWER);
+    await assertFails(db.ref(`devices/${DEVICE}/commands/valveControl`).set(false));
+    await assertFails(db.ref(`devices/${DEVICE}/info/status`).set('offline'));
+    await assertFails(db.ref(`devices/${DEVICE}/wifiConfig`).set({ ssid: 'Other', password: 'x' }));
+    await assertFails(db.ref(`valveEvents/${DEVICE}/e1`).set({
+      command: 'CLOSE', issuedBy: VIEWER, issuedAt: 1, outcome: 'pending',
+    }));
+  });
+
+  test('operators can also send commands and log them', async () => {
+    const db = asUser(OPERATOR);
+    await assertSucceeds(db.ref(`devices/${DEVICE}/commands/valveControl`).set(false));
+    await assertSucceeds(db.ref(`valveEvents/${DEVICE}/e1`).set({
+      command: 'CLOSE', issuedBy: OPERATOR, issuedAt: 1, outcome: 'pending',
+    }));
+    await assertFails(db.ref(`devices/${DEVICE}/wifiConfig`).set({ ssid: 'Other', password: 'x' }));
+  });
+
+  test('members cannot change their own role or add others', async () => {
+    await assertFails(asUser(VIEWER).ref(`deviceMembers/${DEVICE}/${VIEWER}/role`).set('operator'));
+    await assertFails(asUser(OPERATOR).ref(`deviceMembers/${DEVICE}/${OTHER}`).set({ role: 'viewer', addedAt: 1 }));
+    await assertFails(asUser(VIEWER).ref(`deviceMembers/${DEVICE}`).get());
+    await assertSucceeds(asUser(VIEWER).ref(`deviceMembers/${DEVICE}/${VIEWER}`).get());
+  });
+
+  test('members can leave and the owner can revoke', async () => {
+    await assertSucceeds(asUser(VIEWER).ref(`deviceMembers/${DEVICE}/${VIEWER}`).remove());
+    await assertSucceeds(asUser(OWNER).ref(`deviceMembers/${DEVICE}/${OPERATOR}`).remove());
+    await assertFails(asUser(VIEWER).ref(`devices/${DEVICE}/data`).get());
+  });
+
+  test('only viewer and operator roles exist', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`deviceMembers/${DEVICE}/${VIEWER}/role`).set('operator'));
+    await assertFails(asUser(OWNER).ref(`deviceMembers/${DEVICE}/${VIEWER}/role`).set('owner'));
+    await assertFails(asUser(OWNER).ref(`deviceMembers/${DEVICE}/${VIEWER}/level`).set(1));
+  });
+});
+
+describe('invitations', () => {
+  const invite = (overrides = {}) => ({
+    role: 'viewer',
+    deviceName: 'Kitchen',
+    invitedBy: OWNER,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + HOUR,
+    ...overrides,
+  });
+
+  const acceptUpdate = (uid, inviteId, role = 'viewer') => ({
+    [`deviceMembers/${DEVICE}/${uid}`]: { role, invite: inviteId, displayName: uid, addedAt: Date.now() },
+    [`deviceInvites/${DEVICE}/${inviteId}`]: null,
+    [`users/${uid}/devices/${DEVICE}`]: { deviceId: DEVICE, userId: uid, name: 'Kitchen', addedAt: 1, shared: true },
+  });
+
+  test('only the owner creates and lists invitations', async () => {
+    await assertSucceeds(asUser(OWNER).ref(`deviceInvites/${DEVICE}/inv1`).set(invite()));
+    await assertSucceeds(asUser(OWNER).ref(`deviceInvites/${DEVICE}`).get());
+    await assertFails(asUser(OTHER).ref(`deviceInvites/${DEVICE}/inv2`).set(invite({ invitedBy: OTHER })));
+    await assertFails(asUser(OPERATOR).ref(`deviceInvites/${DEVICE}/inv2`).set(invite({ invitedBy: OPERATOR })));
+    await assertFails(asUser(OTHER).ref(`deviceInvites/${DEVICE}`).get());
+  });
+
+  test('invitation fields are validated', async () => {
+    const db = asUser(OWNER);
+    await assertFails(db.ref(`deviceInvites/${DEVICE}/inv1`).set(invite({ role: 'owner' })));
+    await assertFails(db.ref(`deviceInvites/${DEVICE}/inv1`).set(invite({ invitedBy: OTHER })));
+    await assertFails(db.ref(`deviceInvites/${DEVICE}/inv1`).set(invite({ expiresAt: Date.now() + 30 * 24 * HOUR })));
+    await assertFails(db.ref(`deviceInvites/${DEVICE}/inv1`).set(invite({ note: 'hi' })));
+  });
+
+  test('anyone holding the code can read that one invitation', async () => {
+    await seed({ [`deviceInvites/${DEVICE}/inv1`]: invite() });
+    await assertSucceeds(asUser(OTHER).ref(`deviceInvites/${DEVICE}/inv1`).get());
+    await assertFails(asGuest().ref(`deviceInvites/${DEVICE}/inv1`).get());
+  });
+
+  test('accepting joins with the invited role and consumes the invitation', async () => {
+    await seed({ [`deviceInvites/${DEVICE}/inv1`]: invite() });
+    await assertSucceeds(asUser(OTHER).ref().update(acceptUpdate(OTHER, 'inv1')));
+    await assertSucceeds(asUser(OTHER).ref(`devices/${DEVICE}/data`).get());
+    await assertFails(asUser(OTHER).ref(`devices/${DEVICE}/commands/valveControl`).set(false));
+  });
+
+  test('the role cannot be upgraded while accepting', async () => {
+    await seed({ [`deviceInvites/${DEVICE}/inv1`]: invite() });
+    await assertFails(asUser(OTHER).ref().update(acceptUpdate(OTHER, 'inv1', 'operator')));
+  });
+
+  test('expired or missing invitations are refused', async () => {
+    await seed({ [`deviceInvites/${DEVICE}/old`]: invite({ expiresAt: Date.now() - HOUR }) });
+    await assertFails(asUser(OTHER).ref().update(acceptUpdate(OTHER, 'old')));
+    await assertFails(asUser(OTHER).ref().update(acceptUpdate(OTHER, 'missing')));
+  });
+
+  test('nobody joins without an invitation', async () => {
+    await assertFails(asUser(OTHER).ref(`deviceMembers/${DEVICE}/${OTHER}`).set({ role: 'viewer', addedAt: 1 }));
+  });
+
+  test('an invitation cannot be deleted by someone who did not accept it', async () => {
+    await seed({ [`deviceInvites/${DEVICE}/inv1`]: invite() });
+    await assertFails(asUser(OTHER).ref(`deviceInvites/${DEVICE}/inv1`).remove());
+    await assertSucceeds(asUser(OWNER).ref(`deviceInvites/${DEVICE}/inv1`).remove());
+  });
+});
@@ -0,0 +1,264 @@
+// Water tariffs
+// Per-device prices in devices/{deviceId}/settings/tariff, used to put a
+// cost next to litres. Three kinds of tariff, all with an optional fixed
+// charge per month, in the currency the utility bills in:
+// - flat: one price per m³
+// - tiered: the price per m³ rises as the month's volume passes each tier's
+//   `upToM3`; the last tier has no limit. Tiers restart every calendar month.
+// - timeOfUse: `periods` set a price for hours of the day (endHour is
+//   exclusive and may wrap past midnight); other hours use pricePerM3.
+// Without per-hour readings a time-of-use price is blended from the hourly
+// usage profile of recent history. Estimates only: taxes, sewage charges
+// and rounding rules vary by utility.
+import { getDatabase, ref, onValue, get, set } from 'firebase/database';
+import { fetchHistory, fetchRecordBefore, getUsageBetween } from './usageHistory';
+
+// Average month, so a fixed charge can be spread over any number of days
+export const DAYS_PER_MONTH = 365.25 / 12;
+
+// History used for the hourly usage profile
+export const PROFILE_DAYS = 7;
+
+export const TariffType = {
+  FLAT: 'flat',
+  TIERED: 'tiered',
+  TIME_OF_USE: 'timeOfUse',
+};
+
+export const TARIFF_TYPE_LABELS = {
+  [TariffType.FLAT]: 'Flat',
+  [TariffType.TIERED]: 'Tiered',
+  [TariffType.TIME_OF_USE]: 'Time of use',
+};
+
+export const DEFAULT_TARIFF = {
+  type: TariffType.FLAT,
+  currency: 'EUR',
+  pricePerM3: 0,
+  monthlyCharge: 0,
+  tiers: [],
+  periods: [],
+};
+
+const toAmount = (value) => (typeof value === 'number' && isFinite(value) && value > 0 ? value : 0);
+
+const toHour = (value) => (
+  typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 23 ? value : null
+);
+
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : DEFAULT_TARIFF.currency;
+};
+
+// Limited tiers in ascending order, then at most one unlimited tier
+// (upToM3 0). Without one, the last limited tier's price keeps applying.
+const normalizeTiers = (tiers) => {
+  const list = Object.values(tiers || {})
+    .filter(tier => tier && typeof tier === 'object')
+    .map(tier => ({ upToM3: toAmount(tier.upToM3), pricePerM3: toAmount(tier.pricePerM3) }));
+
+  const limited = list
+    .filter(tier => tier.upToM3 > 0)
+    .sort((a, b) => a.upToM3 - b.upToM3)
+    .filter((tier, index, sorted) => index === 0 || tier.upToM3 !== sorted[index - 1].upToM3);
+  const unlimited = list.find(tier => tier.upToM3 === 0);
+
+  return unlimited ? [...limited, unlimited] : limited;
+};
+
+const normalizePeriods = (periods) => Object.values(periods || {})
+  .filter(period => period && typeof period === 'object')
+  .map(period => ({
+    startHour: toHour(period.startHour),
+    endHour: toHour(period.endHour),
+    pricePerM3: toAmount(period.pricePerM3),
+  }))
+  .filter(period => period.startHour !== null && period.endHour !== null && period.startHour !== period.endHour);
+
+export const normalizeTariff = (tariff) => {
+  const merged = { ...DEFAULT_TARIFF, ...(tariff || {}) };
+  const type = Object.values(TariffType).includes(merged.type) ? merged.type : TariffType.FLAT;
+
+  return {
+    type,
+    currency: normalizeCurrency(merged.currency),
+    pricePerM3: toAmount(merged.pricePerM3),
+    monthlyCharge: toAmount(merged.monthlyCharge),
+    tiers: type === TariffType.TIERED ? normalizeTiers(merged.tiers) : [],
+    periods: type === TariffType.TIME_OF_USE ? normalizePeriods(merged.periods) : [],
+  };
+};
+
+// A tariff with no prices means costs are not shown
+export const hasTariff = (tariff) => {
+  if (!tariff) return false;
+  if (tariff.monthlyCharge > 0) return true;
+  if (tariff.type === TariffType.TIERED) return tariff.tiers.some(tier => tier.pricePerM3 > 0);
+  if (tariff.type === TariffType.TIME_OF_USE) {
+    return tariff.pricePerM3 > 0 || tariff.periods.some(period => period.pricePerM3 > 0);
+  }
+  return tariff.pricePerM3 > 0;
+};
+
+export const formatCurrency = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+const isHourInPeriod = (hour, period) => (
+  period.startHour < period.endHour
+    ? hour >= period.startHour && hour < period.endHour
+    : hour >= period.startHour || hour < period.endHour
+);
+
+// Price per m³ at an hour of the day; the first matching period wins
+export const getPriceAtHour = (tariff, hour) => {
+  const period = tariff.periods.find(item => isHourInPeriod(hour, item));
+  return period ? period.pricePerM3 : tariff.pricePerM3;
+};
+
+// Average time-of-use price for usage spread like `profile` (24 shares
+// that add up to 1); evenly over the day without one
+export const getBlendedPrice = (tariff, profile = null) => {
+  let price = 0;
+  for (let hour = 0; hour < 24; hour++) {
+    price += getPriceAtHour(tariff, hour) * (profile ? profile[hour] : 1 / 24);
+  }
+  return price;
+};
+
+const priceTiered = (tiers, fromM3, volumeM3) => {
+  if (tiers.length === 0) return 0;
+
+  let cost = 0;
+  let position = fromM3;
+  let remaining = volumeM3;
+  let tierStart = 0;
+
+  for (let index = 0; index < tiers.length && remaining > 0; index++) {
+    const tier = tiers[index];
+    const isLast = index === tiers.length - 1;
+    const tierEnd = tier.upToM3 > 0 && !isLast ? tier.upToM3 : Infinity;
+
+    if (position < tierEnd) {
+      const inTier = Math.min(remaining, tierEnd - Math.max(position, tierStart));
+      cost += inTier * tier.pricePerM3;
+      position += inTier;
+      remaining -= inTier;
+    }
+    tierStart = tierEnd;
+  }
+  return cost;
+};
+
+// Cost of `litres` without the fixed charge. `usedBefore` is what was used
+// earlier in the same month (tiered); `hour` the hour of day the water was
+// used, or `profile` how usage spreads over the day (time of use).
+export const priceVolume = (tariff, litres, { usedBefore = 0, hour = null, profile = null } = {}) => {
+  const volume = Math.max(0, litres) / 1000;
+  switch (tariff.type) {
+    case TariffType.TIERED:
+      return priceTiered(tariff.tiers, Math.max(0, usedBefore) / 1000, volume);
+    case TariffType.TIME_OF_USE:
+      return volume * (hour !== null ? getPriceAtHour(tariff, hour) : getBlendedPrice(tariff, profile));
+    default:
+      return volume * tariff.pricePerM3;
+  }
+};
+
+// Cost of `litres` used over `days` days, the fixed charge pro rata
+export const estimateCost = (litres, tariff, { days = 0, ...options } = {}) => {
+  const usage = priceVolume(tariff, litres, options);
+  const fixed = tariff.monthlyCharge * (days / DAYS_PER_MONTH);
+  return {
+    currency: tariff.currency,
+    usage,
+    fixed,
+    total: usage + fixed,
+  };
+};
+
+// Cost of the latest `litres` of a month that has seen `monthToDate` so
+// far, e.g. today's or this week's share of a tiered bill
+export const priceRecentUsage = (tariff, litres, monthToDate, options = {}) => (
+  priceVolume(tariff, litres, { ...options, usedBefore: Math.max(0, monthToDate - litres) })
+);
+
+// Share of usage per hour of day from history records, oldest first;
+// null when nothing was used
+export const buildUsageProfile = (records, previous = null) => {
+  const usage = new Array(24).fill(0);
+  let last = previous;
+  records.forEach((record) => {
+    if (last) {
+      usage[new Date(record.timestamp).getHours()] += getUsageBetween(last, record);
+    }
+    last = record;
+  });
+
+  const total = usage.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? usage.map(value => value / total) : null;
+};
+
+export const fetchUsageProfile = async (deviceId, now = Date.now()) => {
+  const from = now - PROFILE_DAYS * 24 * 3600000;
+  const [previous, records] = await Promise.all([
+    fetchRecordBefore(deviceId, from),
+    fetchHistory(deviceId, { from, to: now }),
+  ]);
+  return buildUsageProfile(records, previous);
+};
+
+// Month-to-date cost and the bill for the whole month if usage carries on
+// at the same daily rate. The fixed charge is billed per month whatever its
+// length: counted in full for the projection, and so far in proportion to
+// the days of this month that have passed.
+export const projectMonthlyBill = ({ tariff, monthToDateLitres, now = Date.now(), profile = null }) => {
+  const date = new Date(now);
+  const monthStart = new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+  const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+  const daysInMonth = Math.round((monthEnd - monthStart) / 86400000);
+  // At least an hour, so the first minutes of a month do not project wildly
+  const daysElapsed = Math.max(1 / 24, (now - monthStart) / 86400000);
+
+  const projectedLitres = (monthToDateLitres / daysElapsed) * daysInMonth;
+  const { monthlyCharge } = tariff;
+
+  return {
+    currency: tariff.currency,
+    daysElapsed,
+    daysInMonth,
+    monthToDate: {
+      litres: monthToDateLitres,
+      cost: priceVolume(tariff, monthToDateLitres, { profile }) + monthlyCharge * (daysElapsed / daysInMonth),
+    },
+    projected: {
+      litres: projectedLitres,
+      cost: priceVolume(tariff, projectedLitres, { profile }) + monthlyCharge,
+    },
+  };
+};
+
+const getTariffRef = (deviceId) => ref(getDatabase(), `devices/${deviceId}/settings/tariff`);
+
+export const subscribeToTariff = (deviceId, onChange) => onValue(
+  getTariffRef(deviceId),
+  (snapshot) => onChange(normalizeTariff(snapshot.val())),
+  (error) => {
+    console.log('Tariff listener error:', error);
+    onChange(normalizeTariff(null));
+  }
+);
+
+export const fetchTariff = async (deviceId) => {
+  const snapshot = await get(getTariffRef(deviceId));
+  return normalizeTariff(snapshot.val());
+};
+
+export const saveTariff = (deviceId, tariff) => (
+  set(getTariffRef(deviceId), normalizeTariff(tariff))
+);
@@ -0,0 +1,44 @@
+// Tariff pricing and bill projection tests
+//   npm test -- tariffs.test.js
+import { normalizeTariff, projectMonthlyBill, TariffType } from './tariffs';
+
+jest.mock('firebase/database', () => ({}));
+jest.mock('./usageHistory', () => ({}));
+
+const flat = normalizeTariff({
+  type: TariffType.FLAT,
+  currency: 'EUR',
+  pricePerM3: 2,
+  monthlyCharge: 10,
+});
+
+describe('projectMonthlyBill', () => {
+  test('projects the full fixed charge in February', () => {
+    // Halfway through February 2025 (28 days)
+    const now = new Date(2025, 1, 15).getTime();
+    const bill = projectMonthlyBill({ tariff: flat, monthToDateLitres: 7000, now });
+
+    expect(bill.daysInMonth).toBe(28);
+    expect(bill.daysElapsed).toBeCloseTo(14);
+    expect(bill.projected.litres).toBeCloseTo(14000);
+    expect(bill.projected.cost).toBeCloseTo(14 * 2 + 10);
+    expect(bill.monthToDate.cost).toBeCloseTo(7 * 2 + 10 * (14 / 28));
+  });
+
+  test('projects the same fixed charge in a 31-day month', () => {
+    const now = new Date(2025, 0, 1, 12).getTime();
+    const bill = projectMonthlyBill({ tariff: flat, monthToDateLitres: 0, now });
+
+    expect(bill.daysInMonth).toBe(31);
+    expect(bill.projected.cost).toBeCloseTo(10);
+    expect(bill.monthToDate.cost).toBeCloseTo(10 * (0.5 / 31));
+  });
+
+  test('does not project wildly in the first minutes of a month', () => {
+    const now = new Date(2025, 2, 1, 0, 5).getTime();
+    const bill = projectMonthlyBill({ tariff: flat, monthToDateLitres: 10, now });
+
+    expect(bill.daysElapsed).toBeCloseTo(1 / 24);
+    expect(bill.projected.litres).toBeCloseTo(10 * 24 * 31);
+  });
+});
@@ -0,0 +1,202 @@
+// Usage history
+// The firmware pushes a record to history/{deviceId} every few minutes
+// (logHistory) with the cumulative totalLitres at that moment. Usage for a
+// period is the growth of that counter between consecutive records. The
+// counter drops back to zero on commands/resetTotal, so a decrease means
+// a reset and the new value is what was used since.
+import {
+  getDatabase,
+  ref,
+  query,
+  get,
+  orderByChild,
+  startAt,
+  startAfter,
+  endBefore,
+  limitToFirst,
+  limitToLast,
+} from 'firebase/database';
+
+export const HISTORY_PAGE_SIZE = 500;
+
+export const HistoryRange = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+// Buckets follow the local calendar, so a day bucket is 23 or 25 hours
+// long on a daylight saving change
+export const HISTORY_RANGES = {
+  [HistoryRange.HOUR]: { label: 'Hour', unit: 'minute', step: 5, count: 12 },
+  [HistoryRange.DAY]: { label: 'Day', unit: 'hour', step: 1, count: 24 },
+  [HistoryRange.WEEK]: { label: 'Week', unit: 'day', step: 1, count: 7 },
+  [HistoryRange.MONTH]: { label: 'Month', unit: 'day', step: 1, count: 30 },
+};
+
+const addUnits = (time, unit, amount) => {
+  const date = new Date(time);
+  if (unit === 'minute') date.setMinutes(date.getMinutes() + amount);
+  if (unit === 'hour') date.setHours(date.getHours() + amount);
+  if (unit === 'day') date.setDate(date.getDate() + amount);
+  return date.getTime();
+};
+
+const floorToUnit = (time, unit, step) => {
+  const date = new Date(time);
+  date.setSeconds(0, 0);
+  if (unit === 'minute') date.setMinutes(Math.floor(date.getMinutes() / step) * step);
+  if (unit === 'hour') date.setMinutes(0);
+  if (unit === 'day') date.setHours(0, 0);
+  return date.getTime();
+};
+
+// The window ending with the bucket that contains `now`; each `offset`
+// moves one whole window back in time
+export const getRangeWindow = (range, now = Date.now(), offset = 0) => {
+  const { unit, step, count } = HISTORY_RANGES[range];
+
+  let to = addUnits(floorToUnit(now, unit, step), unit, step);
+  to = addUnits(to, unit, -step * count * offset);
+  const from = addUnits(to, unit, -step * count);
+
+  const buckets = [];
+  for (let start = from; start < to; start = addUnits(start, unit, step)) {
+    buckets.push({ start, end: addUnits(start, unit, step) });
+  }
+
+  return { range, from, to, buckets };
+};
+
+const normalizeRecord = (id, record) => {
+  if (!record || typeof record.timestamp !== 'number' || typeof record.totalLitres !== 'number') {
+    return null;
+  }
+  return {
+    id,
+    timestamp: record.timestamp,
+    flowRate: typeof record.flowRate === 'number' ? Math.max(0, record.flowRate) : 0,
+    totalLitres: Math.max(0, record.totalLitres),
+    valveState: record.valveState ?? null,
+    batteryPercentage: typeof record.batteryPercentage === 'number' ? record.batteryPercentage : null,
+  };
+};
+
+const collectRecords = (snapshot) => {
+  const records = [];
+  snapshot.forEach((child) => {
+    const record = normalizeRecord(child.key, child.val());
+    if (record) records.push(record);
+  });
+  return records;
+};
+
+// All records with from <= timestamp < to, oldest first, fetched in pages
+// of `pageSize`
+export const fetchHistory = async (deviceId, { from, to, pageSize = HISTORY_PAGE_SIZE }) => {
+  const historyRef = ref(getDatabase(), `history/${deviceId}`);
+  const records = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQuery = query(
+      historyRef,
+      orderByChild('timestamp'),
+      cursor ? startAfter(cursor.timestamp, cursor.id) : startAt(from),
+      endBefore(to),
+      limitToFirst(pageSize)
+    );
+    const snapshot = await get(pageQuery);
+    records.push(...collectRecords(snapshot));
+
+    if (snapshot.size < pageSize) break;
+    let lastChild = null;
+    snapshot.forEach((child) => { lastChild = child; });
+    cursor = { timestamp: lastChild.val().timestamp, id: lastChild.key };
+  }
+
+  return records;
+};
+
+// The last record before `time`, needed for the usage in the first bucket
+export const fetchRecordBefore = async (deviceId, time) => {
+  const snapshot = await get(query(
+    ref(getDatabase(), `history/${deviceId}`),
+    orderByChild('timestamp'),
+    endBefore(time),
+    limitToLast(1)
+  ));
+  return collectRecords(snapshot)[0] ?? null;
+};
+
+// Litres used between two consecutive records
+export const getUsageBetween = (previous, current) => {
+  const delta = current.totalLitres - previous.totalLitres;
+  return delta >= 0 ? delta : current.totalLitres;
+};
+
+export const isCounterReset = (previous, current) => current.totalLitres < previous.totalLitres;
+
+// Per-bucket usage and flow statistics for a window from getRangeWindow.
+// `previous` is the record just before the window, if any.
+export const bucketHistory = (records, window, previous = null) => {
+  const buckets = window.buckets.map(bucket => ({
+    ...bucket,
+    usage: 0,
+    averageFlow: 0,
+    peakFlow: 0,
+    samples: 0,
+    resets: 0,
+  }));
+  const flowTotals = buckets.map(() => 0);
+
+  let last = previous;
+  let index = 0;
+
+  records.forEach((record) => {
+    while (index < buckets.length && record.timestamp >= buckets[index].end) index++;
+    if (index >= buckets.length) return;
+
+    const bucket = buckets[index];
+    if (record.timestamp >= bucket.start) {
+      if (last) {
+        bucket.usage += getUsageBetween(last, record);
+        if (isCounterReset(last, record)) bucket.resets++;
+      }
+      bucket.samples++;
+      bucket.peakFlow = Math.max(bucket.peakFlow, record.flowRate);
+      flowTotals[index] += record.flowRate;
+    }
+    last = record;
+  });
+
+  buckets.forEach((bucket, bucketIndex) => {
+    bucket.averageFlow = bucket.samples > 0 ? flowTotals[bucketIndex] / bucket.samples : 0;
+  });
+
+  return buckets;
+};
+
+export const summarizeBuckets = (buckets) => buckets.reduce((summary, bucket) => ({
+  totalUsage: summary.totalUsage + bucket.usage,
+  peakFlow: Math.max(summary.peakFlow, bucket.peakFlow),
+  resets: summary.resets + bucket.resets,
+  samples: summary.samples + bucket.samples,
+}), { totalUsage: 0, peakFlow: 0, resets: 0, samples: 0 });
+
+// Fetches and buckets one window
+export const loadUsageHistory = async (deviceId, range, { now = Date.now(), offset = 0 } = {}) => {
+  const window = getRangeWindow(range, now, offset);
+  const [previous, records] = await Promise.all([
+    fetchRecordBefore(deviceId, window.from),
+    fetchHistory(deviceId, { from: window.from, to: window.to }),
+  ]);
+  const buckets = bucketHistory(records, window, previous);
+
+  return {
+    window,
+    buckets,
+    summary: summarizeBuckets(buckets),
+  };
+};
@@ -0,0 +1,473 @@
+// Usage reports
+// Statements for one device over a range of whole local days, e.g. a month
+// for a tenant or a facility manager. Days come from the analytics rollups;
+// days without one (today, or older than the rollup backfill) are built
+// straight from history without being written. The report is exported as
+// CSV or as a PDF rendered by expo-print and handed to the share sheet.
+import {
+  getDatabase,
+  ref,
+  query,
+  get,
+  orderByChild,
+  startAt,
+  endBefore,
+} from 'firebase/database';
+import * as FileSystem from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { fetchHistory, fetchRecordBefore } from './usageHistory';
+import {
+  toDateKey,
+  addDays,
+  getDayRange,
+  buildDailyRollup,
+  getDailyRollups,
+  rollupDailyAnalytics,
+} from './dailyAnalytics';
+import {
+  TariffType,
+  TARIFF_TYPE_LABELS,
+  DAYS_PER_MONTH,
+  hasTariff,
+  priceVolume,
+  fetchUsageProfile,
+  formatCurrency,
+} from './tariffs';
+
+// A quarter; longer ranges would mean hundreds of history queries
+export const MAX_REPORT_DAYS = 93;
+
+export const ReportFormat = {
+  CSV: 'csv',
+  PDF: 'pdf',
+};
+
+export const ReportRange = {
+  THIS_MONTH: 'thisMonth',
+  LAST_MONTH: 'lastMonth',
+  LAST_30_DAYS: 'last30Days',
+  CUSTOM: 'custom',
+};
+
+export const REPORT_RANGE_LABELS = {
+  [ReportRange.THIS_MONTH]: 'This month',
+  [ReportRange.LAST_MONTH]: 'Last month',
+  [ReportRange.LAST_30_DAYS]: 'Last 30 days',
+  [ReportRange.CUSTOM]: 'Custom',
+};
+
+export const ReportErrorCode = {
+  INVALID_RANGE: 'INVALID_RANGE',
+  RANGE_TOO_LONG: 'RANGE_TOO_LONG',
+  SHARING_UNAVAILABLE: 'SHARING_UNAVAILABLE',
+};
+
+export class ReportError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ReportError';
+    this.code = code;
+    this.cause = details.cause;
+  }
+}
+
+// Rejects impossible dates such as 2026-02-30
+export const isValidDateKey = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(getDayRange(value).from) === value
+);
+
+export const countDays = (fromDate, toDate) => {
+  let days = 0;
+  for (let dateKey = fromDate; dateKey <= toDate; dateKey = addDays(dateKey, 1)) days++;
+  return days;
+};
+
+// { fromDate, toDate } for a preset, both inclusive
+export const getReportRange = (range, now = Date.now()) => {
+  const today = toDateKey(now);
+  const monthStart = `${today.slice(0, 8)}01`;
+
+  switch (range) {
+    case ReportRange.LAST_MONTH: {
+      const toDate = addDays(monthStart, -1);
+      return { fromDate: `${toDate.slice(0, 8)}01`, toDate };
+    }
+    case ReportRange.LAST_30_DAYS:
+      return { fromDate: addDays(today, -29), toDate: today };
+    default:
+      return { fromDate: monthStart, toDate: today };
+  }
+};
+
+export const validateReportRange = (fromDate, toDate, now = Date.now()) => {
+  if (!isValidDateKey(fromDate) || !isValidDateKey(toDate)) {
+    throw new ReportError(ReportErrorCode.INVALID_RANGE, 'Dates must be real days written as YYYY-MM-DD.');
+  }
+  if (fromDate > toDate) {
+    throw new ReportError(ReportErrorCode.INVALID_RANGE, 'The start date is after the end date.');
+  }
+  if (fromDate > toDateKey(now)) {
+    throw new ReportError(ReportErrorCode.INVALID_RANGE, 'The range starts in the future.');
+  }
+  if (countDays(fromDate, toDate) > MAX_REPORT_DAYS) {
+    throw new ReportError(
+      ReportErrorCode.RANGE_TOO_LONG,
+      `Reports can cover at most ${MAX_REPORT_DAYS} days.`
+    );
+  }
+};
+
+const buildDayFromHistory = async (deviceId, dateKey) => {
+  const { from, to } = getDayRange(dateKey);
+  const [previous, records] = await Promise.all([
+    fetchRecordBefore(deviceId, from),
+    fetchHistory(deviceId, { from, to }),
+  ]);
+  return buildDailyRollup(dateKey, records, previous);
+};
+
+// Valve events with from <= issuedAt < to, oldest first
+export const fetchValveEvents = async (deviceId, from, to) => {
+  const snapshot = await get(query(
+    ref(getDatabase(), `valveEvents/${deviceId}`),
+    orderByChild('issuedAt'),
+    startAt(from),
+    endBefore(to)
+  ));
+
+  const events = [];
+  snapshot.forEach((child) => {
+    const event = child.val();
+    if (!event || typeof event.issuedAt !== 'number') return;
+    events.push({
+      id: child.key,
+      command: event.command,
+      outcome: event.outcome,
+      source: event.source || 'app',
+      issuedBy: event.issuedBy,
+      issuedAt: event.issuedAt,
+    });
+  });
+  return events;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Prices each day in order. Tiered tariffs need the month's usage before
+// the first day, time-of-use ones how usage spreads over the day.
+const priceDays = async (deviceId, days, tariff, now) => {
+  let usedBefore = 0;
+  const firstDate = days[0].date;
+  if (tariff.type === TariffType.TIERED && !firstDate.endsWith('-01')) {
+    const earlier = await getDailyRollups(deviceId, `${firstDate.slice(0, 8)}01`, addDays(firstDate, -1));
+    usedBefore = earlier.reduce((sum, day) => sum + (day.missing ? 0 : day.totalUsage), 0);
+  }
+
+  const lastDay = days[days.length - 1].date;
+  const profile = tariff.type === TariffType.TIME_OF_USE
+    ? await fetchUsageProfile(deviceId, Math.min(now, getDayRange(lastDay).to))
+    : null;
+
+  let usage = 0;
+  days.forEach((day) => {
+    if (day.date.endsWith('-01')) usedBefore = 0;
+    day.cost = round(priceVolume(tariff, day.usage, { usedBefore, profile }));
+    usedBefore += day.usage;
+    usage += day.cost;
+  });
+
+  const fixed = tariff.monthlyCharge * (days.length / DAYS_PER_MONTH);
+  return {
+    currency: tariff.currency,
+    tariffType: tariff.type,
+    usage,
+    fixed,
+    total: usage + fixed,
+  };
+};
+
+// Everything a statement shows. Ranges ending in the future stop at today,
+// which is marked as partial. `tariff` is optional.
+export const buildUsageReport = async ({
+  deviceId,
+  deviceName,
+  fromDate,
+  toDate,
+  tariff = null,
+  now = Date.now(),
+}) => {
+  validateReportRange(fromDate, toDate, now);
+  const today = toDateKey(now);
+  const lastDate = toDate > today ? today : toDate;
+
+  console.log(`🧾 Building report for ${deviceId}: ${fromDate} to ${lastDate}`);
+
+  // Best effort: only the owner can write rollups, so a member's report
+  // rebuilds the missing days from history below
+  try {
+    await rollupDailyAnalytics(deviceId, now);
+  } catch (error) {
+    console.log('Report rollup error:', error);
+  }
+
+  const rollups = await getDailyRollups(deviceId, fromDate, lastDate);
+  const days = [];
+  for (const rollup of rollups) {
+    const day = rollup.missing ? await buildDayFromHistory(deviceId, rollup.date) : rollup;
+    days.push(day
+      ? {
+        date: rollup.date,
+        usage: day.totalUsage,
+        peakFlow: day.peakFlow,
+        averageFlow: day.averageFlow,
+        duration: day.duration,
+        partial: rollup.date === today,
+        missing: false,
+      }
+      : { date: rollup.date, usage: 0, peakFlow: 0, averageFlow: 0, duration: 0, partial: false, missing: true });
+  }
+
+  const valveEvents = await fetchValveEvents(
+    deviceId,
+    getDayRange(fromDate).from,
+    getDayRange(lastDate).to
+  );
+
+  const withData = days.filter(day => !day.missing);
+  const totalUsage = round(withData.reduce((sum, day) => sum + day.usage, 0));
+  const peakDay = withData.reduce((peak, day) => (!peak || day.peakFlow > peak.peakFlow ? day : peak), null);
+
+  const cost = hasTariff(tariff) ? await priceDays(deviceId, days, tariff, now) : null;
+
+  return {
+    deviceId,
+    deviceName: deviceName || deviceId,
+    fromDate,
+    toDate: lastDate,
+    generatedAt: now,
+    days,
+    valveEvents,
+    totals: {
+      totalUsage,
+      averageDailyUsage: withData.length > 0 ? round(totalUsage / withData.length) : 0,
+      peakFlow: peakDay ? peakDay.peakFlow : 0,
+      peakFlowDate: peakDay ? peakDay.date : null,
+      flowMinutes: withData.reduce((sum, day) => sum + day.duration, 0),
+      daysWithData: withData.length,
+      dayCount: days.length,
+    },
+    cost,
+  };
+};
+
+// ==================== CSV ====================
+// Spreadsheet apps run text starting with = + - @, a tab or a carriage
+// return as a formula, so such cells (device names, who issued a valve
+// command) get a leading apostrophe. Plain numbers are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+export const reportToCsv = (report) => {
+  const { totals, cost } = report;
+  const currency = cost?.currency;
+  const rows = [
+    csvRow(['Water usage report']),
+    csvRow(['Device', report.deviceName, report.deviceId]),
+    csvRow(['Period', report.fromDate, report.toDate]),
+    csvRow(['Generated', formatTime(report.generatedAt)]),
+    '',
+    csvRow(['Summary']),
+    csvRow(['Total usage (L)', totals.totalUsage.toFixed(2)]),
+    csvRow(['Average per day with data (L)', totals.averageDailyUsage.toFixed(2)]),
+    csvRow(['Peak flow (L/min)', totals.peakFlow.toFixed(2), totals.peakFlowDate]),
+    csvRow(['Flow time (min)', totals.flowMinutes]),
+    csvRow(['Days with data', totals.daysWithData, `of ${totals.dayCount}`]),
+  ];
+
+  if (cost) {
+    rows.push(
+      csvRow(['Tariff', TARIFF_TYPE_LABELS[cost.tariffType]]),
+      csvRow([`Usage cost (${currency})`, cost.usage.toFixed(2)]),
+      csvRow([`Fixed charges (${currency})`, cost.fixed.toFixed(2)]),
+      csvRow([`Estimated total (${currency})`, cost.total.toFixed(2)])
+    );
+  }
+
+  rows.push(
+    '',
+    csvRow(['Daily breakdown']),
+    csvRow([
+      'Date',
+      'Usage (L)',
+      'Peak flow (L/min)',
+      'Average flow (L/min)',
+      'Flow time (min)',
+      ...(cost ? [`Usage cost (${currency})`] : []),
+      'Note',
+    ]),
+    ...report.days.map(day => csvRow([
+      day.date,
+      day.missing ? '' : day.usage.toFixed(2),
+      day.missing ? '' : day.peakFlow.toFixed(2),
+      day.missing ? '' : day.averageFlow.toFixed(2),
+      day.missing ? '' : day.duration,
+      ...(cost ? [day.missing ? '' : day.cost.toFixed(2)] : []),
+      day.missing ? 'No data' : (day.partial ? 'Partial day' : ''),
+    ])),
+    '',
+    csvRow(['Valve events']),
+    csvRow(['Time', 'Command', 'Outcome', 'Source', 'Issued by']),
+    ...report.valveEvents.map(event => csvRow([
+      formatTime(event.issuedAt),
+      event.command,
+      event.outcome,
+      event.source,
+      event.issuedBy,
+    ]))
+  );
+
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${rows.join('\r\n')}\r\n`;
+};
+
+// ==================== PDF ====================
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatLitres = (litres) => (
+  litres >= 1000 ? `${(litres / 1000).toFixed(2)} m³` : `${litres.toFixed(1)} L`
+);
+
+const htmlRow = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+
+export const reportToHtml = (report) => {
+  const { totals, cost } = report;
+  const money = (amount) => formatCurrency(amount, cost.currency);
+
+  const summaryRows = [
+    ['Total usage', formatLitres(totals.totalUsage)],
+    ['Average per day with data', formatLitres(totals.averageDailyUsage)],
+    ['Peak flow', `${totals.peakFlow.toFixed(1)} L/min${totals.peakFlowDate ? ` on ${totals.peakFlowDate}` : ''}`],
+    ['Flow time', `${Math.round(totals.flowMinutes / 60 * 10) / 10} h`],
+    ['Days with data', `${totals.daysWithData} of ${totals.dayCount}`],
+    ...(cost ? [
+      ['Tariff', TARIFF_TYPE_LABELS[cost.tariffType]],
+      ['Usage cost', money(cost.usage)],
+      ['Fixed charges', money(cost.fixed)],
+      ['Estimated total', money(cost.total)],
+    ] : []),
+  ];
+
+  const dayRows = report.days.map(day => htmlRow([
+    day.date,
+    day.missing ? 'No data' : formatLitres(day.usage),
+    day.missing ? '' : `${day.peakFlow.toFixed(1)} L/min`,
+    day.missing ? '' : `${day.duration} min`,
+    ...(cost ? [day.missing ? '' : money(day.cost)] : []),
+    day.partial ? 'Partial day' : '',
+  ]));
+
+  const eventRows = report.valveEvents.map(event => htmlRow([
+    formatTime(event.issuedAt),
+    event.command === 'OPEN' ? 'Open' : 'Close',
+    event.outcome,
+    event.source,
+  ]));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #111827; margin: 32px; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; color: #0891b2; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 2px solid #06b6d4; padding-bottom: 4px; }
+  .meta { color: #6B7280; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #E5E7EB; }
+  th { background: #F3F4F6; }
+  .summary td:first-child { width: 40%; color: #6B7280; }
+  .note { color: #6B7280; font-size: 10px; margin-top: 24px; }
+</style>
+</head>
+<body>
+  <h1>Water Usage Statement</h1>
+  <p class="meta">${escapeHtml(report.deviceName)} (${escapeHtml(report.deviceId)})</p>
+  <p class="meta">${escapeHtml(report.fromDate)} to ${escapeHtml(report.toDate)} · generated ${escapeHtml(formatTime(report.generatedAt))}</p>
+
+  <h2>Summary</h2>
+  <table class="summary">${summaryRows.map(row => htmlRow(row)).join('')}</table>
+
+  <h2>Daily Breakdown</h2>
+  <table>
+    ${htmlRow(['Date', 'Usage', 'Peak flow', 'Flow time', ...(cost ? ['Cost'] : []), ''], 'th')}
+    ${dayRows.join('\n    ')}
+  </table>
+
+  <h2>Valve Events</h2>
+  ${eventRows.length > 0
+    ? `<table>${htmlRow(['Time', 'Command', 'Outcome', 'Source'], 'th')}${eventRows.join('')}</table>`
+    : '<p class="meta">No valve commands in this period.</p>'}
+
+  <p class="note">
+    Usage is measured by the meter's flow sensor and may differ from the utility meter.
+    ${cost ? 'Costs are estimates from the tariff set in the app and exclude taxes unless included in the prices.' : ''}
+  </p>
+</body>
+</html>`;
+};
+
+// ==================== SHARING ====================
+const SHARE_TYPES = {
+  [ReportFormat.CSV]: { mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  [ReportFormat.PDF]: { mimeType: 'application/pdf', UTI: 'com.adobe.pdf' },
+};
+
+const getFileName = (report, format) => (
+  `water-report-${report.deviceId}-${report.fromDate}-to-${report.toDate}.${format}`
+);
+
+// Writes the report to the cache directory and opens the share sheet.
+// Resolves with the file uri once the sheet is dismissed.
+export const shareUsageReport = async (report, format) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new ReportError(ReportErrorCode.SHARING_UNAVAILABLE, 'Sharing is not available on this device.');
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${getFileName(report, format)}`;
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+
+  if (format === ReportFormat.PDF) {
+    // printToFileAsync picks a random name; move it to one worth keeping
+    const printed = await Print.printToFileAsync({ html: reportToHtml(report) });
+    await FileSystem.moveAsync({ from: printed.uri, to: uri });
+  } else {
+    await FileSystem.writeAsStringAsync(uri, reportToCsv(report), {
+      encoding: FileSystem.EncodingType.UTF8,
+    });
+  }
+
+  console.log(`📤 Sharing ${format.toUpperCase()} report ${uri}`);
+  await Sharing.shareAsync(uri, {
+    ...SHARE_TYPES[format],
+    dialogTitle: `Water usage ${report.fromDate} to ${report.toDate}`,
+  });
+  return uri;
+};
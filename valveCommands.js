@@ -0,0 +1,186 @@
+// Remote valve control
+// The app writes commands/valveControl (true = open); the firmware's stream
+// listener switches the relay, deletes the command and reports the new
+// data/valveState on its next update. A command only counts as confirmed
+// once the device has consumed it and valveState matches. Every command is
+// logged to valveEvents/{deviceId} with the uid that issued it.
+import {
+  getDatabase,
+  ref,
+  onValue,
+  set,
+  push,
+  update,
+  remove,
+  serverTimestamp,
+} from 'firebase/database';
+import { ValveState } from './deviceData';
+
+export const VALVE_CONFIRM_TIMEOUT = 20000;
+
+export const ValveCommand = {
+  OPEN: 'OPEN',
+  CLOSE: 'CLOSE',
+};
+
+export const ValveEventOutcome = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  TIMEOUT: 'timeout',
+  FAILED: 'failed',
+};
+
+export const ValveErrorCode = {
+  TIMEOUT: 'TIMEOUT',
+  NOT_APPLIED: 'NOT_APPLIED',
+  WRITE_FAILED: 'WRITE_FAILED',
+};
+
+export class ValveCommandError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ValveCommandError';
+    this.code = code;
+    this.timeout = details.timeout ?? null;
+    this.cause = details.cause;
+  }
+}
+
+export const getTargetValveState = (command) => (
+  command === ValveCommand.OPEN ? ValveState.OPEN : ValveState.CLOSED
+);
+
+// Best effort and not awaited: a slow or failed log write never delays or
+// fails the command itself. The key is made locally, so later updates to
+// the event are queued behind this write.
+const logValveEvent = (deviceId, event) => {
+  try {
+    const eventRef = push(ref(getDatabase(), `valveEvents/${deviceId}`));
+    set(eventRef, event).catch(error => console.log('Error logging valve event:', error));
+    return eventRef;
+  } catch (error) {
+    console.log('Error logging valve event:', error);
+    return null;
+  }
+};
+
+const updateValveEvent = (eventRef, patch) => {
+  if (!eventRef) return;
+  update(eventRef, patch).catch(error => console.log('Error updating valve event:', error));
+};
+
+// Resolves once the device confirms the new state; rejects with a
+// ValveCommandError otherwise. A command the device never picked up is
+// withdrawn so it cannot switch the valve after the user was told it failed.
+// The timeout starts before anything is written: offline, database writes
+// neither resolve nor reject, so waiting on them would never time out.
+export const sendValveCommand = ({
+  deviceId,
+  command,
+  userId,
+  source = 'app',
+  timeout = VALVE_CONFIRM_TIMEOUT,
+}) => {
+  const db = getDatabase();
+  const commandRef = ref(db, `devices/${deviceId}/commands/valveControl`);
+  const target = getTargetValveState(command);
+
+  const eventRef = logValveEvent(deviceId, {
+    command,
+    issuedBy: userId,
+    source,
+    issuedAt: serverTimestamp(),
+    outcome: ValveEventOutcome.PENDING,
+  });
+
+  console.log(`🚰 ${command} valve on ${deviceId}`);
+
+  return new Promise((resolve, reject) => {
+    let written = false;
+    let sawCommand = false;
+    let consumed = false;
+    let matched = false;
+    let finished = false;
+    let timer = null;
+    let unsubscribeCommand = null;
+    let unsubscribeState = null;
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (unsubscribeCommand) unsubscribeCommand();
+      if (unsubscribeState) unsubscribeState();
+
+      if (error) {
+        updateValveEvent(eventRef, {
+          outcome: error.code === ValveErrorCode.TIMEOUT
+            ? ValveEventOutcome.TIMEOUT
+            : ValveEventOutcome.FAILED,
+          error: error.message,
+        });
+        reject(error);
+      } else {
+        console.log(`✅ Valve ${target} confirmed on ${deviceId}`);
+        updateValveEvent(eventRef, {
+          outcome: ValveEventOutcome.CONFIRMED,
+          confirmedAt: serverTimestamp(),
+        });
+        resolve({ valveState: target });
+      }
+    };
+
+    const check = () => {
+      if (written && consumed && matched) finish();
+    };
+
+    timer = setTimeout(() => {
+      if (!consumed) {
+        remove(commandRef).catch(error => console.log('Error withdrawing valve command:', error));
+      }
+      const error = consumed
+        ? new ValveCommandError(
+          ValveErrorCode.NOT_APPLIED,
+          `The device received the command but did not report the valve as ${target.toLowerCase()}`,
+          { timeout }
+        )
+        : new ValveCommandError(
+          ValveErrorCode.TIMEOUT,
+          `The device did not respond within ${Math.round(timeout / 1000)} seconds`,
+          { timeout }
+        );
+      console.log(`⏱️ Valve ${command} on ${deviceId}: ${error.message}`);
+      finish(error);
+    }, timeout);
+
+    set(commandRef, command === ValveCommand.OPEN)
+      .then(() => {
+        written = true;
+        check();
+      })
+      .catch((error) => {
+        console.error('❌ Valve command write failed:', error);
+        finish(new ValveCommandError(
+          ValveErrorCode.WRITE_FAILED,
+          'Could not send the command to the device',
+          { cause: error }
+        ));
+      });
+
+    // The firmware deletes the command once it has acted on it. The local
+    // write shows up first, so a missing command only counts once it was seen.
+    unsubscribeCommand = onValue(commandRef, (snapshot) => {
+      if (snapshot.exists()) {
+        sawCommand = true;
+      } else if (sawCommand) {
+        consumed = true;
+        check();
+      }
+    });
+
+    unsubscribeState = onValue(ref(db, `devices/${deviceId}/data/valveState`), (snapshot) => {
+      matched = snapshot.val() === target;
+      check();
+    });
+  });
+};
@@ -0,0 +1,100 @@
+// Valve command confirmation tests
+//   npm test -- valveCommands.test.js
+import { onValue, set, remove } from 'firebase/database';
+import {
+  sendValveCommand,
+  ValveCommand,
+  ValveErrorCode,
+  VALVE_CONFIRM_TIMEOUT,
+} from './valveCommands';
+
+jest.mock('firebase/database', () => ({
+  getDatabase: jest.fn(() => ({})),
+  ref: jest.fn((db, path) => ({ path })),
+  push: jest.fn(() => ({ path: 'valveEvents/SWM001/event1' })),
+  set: jest.fn(),
+  update: jest.fn(() => Promise.resolve()),
+  remove: jest.fn(() => Promise.resolve()),
+  onValue: jest.fn(),
+  serverTimestamp: jest.fn(() => ({ '.sv': 'timestamp' })),
+}));
+
+// Never settles, like a database write while offline
+const never = () => new Promise(() => {});
+
+let listeners;
+
+const emit = (path, value) => listeners[path]({
+  exists: () => value !== null && value !== undefined,
+  val: () => value,
+});
+
+const COMMAND_PATH = 'devices/SWM001/commands/valveControl';
+const STATE_PATH = 'devices/SWM001/data/valveState';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  listeners = {};
+  onValue.mockImplementation((reference, callback) => {
+    listeners[reference.path] = callback;
+    return jest.fn();
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const send = () => sendValveCommand({ deviceId: 'SWM001', command: ValveCommand.CLOSE, userId: 'user-1' });
+
+test('times out and withdraws the command when writes never complete', async () => {
+  set.mockImplementation(never);
+  const result = send();
+
+  jest.advanceTimersByTime(VALVE_CONFIRM_TIMEOUT);
+
+  await expect(result).rejects.toMatchObject({ code: ValveErrorCode.TIMEOUT });
+  expect(remove).toHaveBeenCalledWith({ path: COMMAND_PATH });
+});
+
+test('sends the command without waiting for the event log', async () => {
+  set.mockImplementation(reference => (reference.path === COMMAND_PATH ? Promise.resolve() : never()));
+  send();
+
+  expect(set).toHaveBeenCalledWith({ path: COMMAND_PATH }, false);
+});
+
+test('confirms once the device consumed the command and reports the state', async () => {
+  set.mockImplementation(() => Promise.resolve());
+  const result = send();
+
+  emit(COMMAND_PATH, false);
+  emit(STATE_PATH, 'OPEN');
+  emit(COMMAND_PATH, null);
+  emit(STATE_PATH, 'CLOSED');
+
+  await expect(result).resolves.toEqual({ valveState: 'CLOSED' });
+});
+
+test('an empty command node before the write is not taken as consumed', async () => {
+  set.mockImplementation(() => Promise.resolve());
+  const result = send();
+
+  emit(COMMAND_PATH, null);
+  emit(STATE_PATH, 'CLOSED');
+  jest.advanceTimersByTime(VALVE_CONFIRM_TIMEOUT);
+
+  await expect(result).rejects.toMatchObject({ code: ValveErrorCode.TIMEOUT });
+});
+
+test('reports a rejected write', async () => {
+  set.mockImplementation(reference => (
+    reference.path === COMMAND_PATH ? Promise.reject(new Error('PERMISSION_DENIED')) : Promise.resolve()
+  ));
+
+  await expect(send()).rejects.toMatchObject({ code: ValveErrorCode.WRITE_FAILED });
+});
@@ -0,0 +1,79 @@
+// Scan result grouping
+// Mesh and multi-AP homes report the same SSID once per access point. These
+// helpers merge a raw /scan list into one entry per SSID and flag crowded
+// 2.4 GHz channels. Pure functions, no React or network access.
+
+// The security rules only accept 2.4 GHz channels 1-14
+export const MIN_CHANNEL = 1;
+export const MAX_CHANNEL = 14;
+
+// 2.4 GHz channels are 5 MHz apart but 20 MHz wide, so anything closer
+// than 5 channels shares spectrum with its neighbour.
+const CHANNEL_OVERLAP = 5;
+export const SATURATION_THRESHOLD = 4;
+
+const isValidChannel = (channel) =>
+  Number.isInteger(channel) && channel >= MIN_CHANNEL && channel <= MAX_CHANNEL;
+
+// Number of access points in the scan on or overlapping each channel
+export const getChannelLoad = (networks) => {
+  const load = {};
+
+  for (let channel = MIN_CHANNEL; channel <= MAX_CHANNEL; channel++) {
+    load[channel] = networks.filter(network =>
+      network && isValidChannel(network.channel) &&
+      Math.abs(network.channel - channel) < CHANNEL_OVERLAP
+    ).length;
+  }
+
+  return load;
+};
+
+export const getSaturatedChannels = (networks, threshold = SATURATION_THRESHOLD) => {
+  const load = getChannelLoad(networks);
+  return Object.keys(load)
+    .map(Number)
+    .filter(channel => load[channel] >= threshold);
+};
+
+// One entry per SSID, strongest first:
+// { ssid, rssi, encryption, channel, channels, accessPointCount, saturated }
+// rssi, encryption and channel come from the strongest access point, which
+// is the one the device will most likely join.
+export const groupNetworksBySsid = (networks, { threshold = SATURATION_THRESHOLD } = {}) => {
+  const saturated = new Set(getSaturatedChannels(networks, threshold));
+  const groups = new Map();
+
+  networks.forEach(network => {
+    if (!network || typeof network.ssid !== 'string' || network.ssid.trim() === '') return;
+
+    const group = groups.get(network.ssid);
+    if (!group) {
+      groups.set(network.ssid, { strongest: network, accessPoints: [network] });
+      return;
+    }
+
+    group.accessPoints.push(network);
+    if ((network.rssi ?? -100) > (group.strongest.rssi ?? -100)) {
+      group.strongest = network;
+    }
+  });
+
+  return Array.from(groups.values())
+    .map(({ strongest, accessPoints }) => {
+      const channels = Array.from(new Set(
+        accessPoints.map(ap => ap.channel).filter(isValidChannel)
+      )).sort((a, b) => a - b);
+
+      return {
+        ssid: strongest.ssid,
+        rssi: strongest.rssi ?? -100,
+        encryption: strongest.encryption,
+        channel: isValidChannel(strongest.channel) ? strongest.channel : null,
+        channels,
+        accessPointCount: accessPoints.length,
+        saturated: isValidChannel(strongest.channel) && saturated.has(strongest.channel),
+      };
+    })
+    .sort((a, b) => b.rssi - a.rssi);
+};
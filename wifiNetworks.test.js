@@ -0,0 +1,136 @@
+// Scan result grouping tests
+//   npm test -- wifiNetworks.test.js
+import {
+  getChannelLoad,
+  getSaturatedChannels,
+  groupNetworksBySsid,
+  SATURATION_THRESHOLD,
+} from './wifiNetworks';
+
+const ap = (ssid, rssi, channel, encryption = 'SECURED') => ({ ssid, rssi, channel, encryption });
+
+describe('groupNetworksBySsid', () => {
+  test('merges duplicate SSIDs and keeps the strongest access point', () => {
+    const grouped = groupNetworksBySsid([
+      ap('Home', -72, 1),
+      ap('Home', -45, 11),
+      ap('Home', -60, 6, 'OPEN'),
+    ]);
+
+    expect(grouped).toHaveLength(1);
+    expect(grouped[0]).toMatchObject({
+      ssid: 'Home',
+      rssi: -45,
+      channel: 11,
+      encryption: 'SECURED',
+    });
+  });
+
+  test('counts access points and collects their channels once each, in order', () => {
+    const [home] = groupNetworksBySsid([
+      ap('Home', -50, 11),
+      ap('Home', -60, 1),
+      ap('Home', -70, 11),
+      ap('Home', -80, 6),
+    ]);
+
+    expect(home.accessPointCount).toBe(4);
+    expect(home.channels).toEqual([1, 6, 11]);
+  });
+
+  test('sorts networks strongest first', () => {
+    const grouped = groupNetworksBySsid([
+      ap('Weak', -85, 1),
+      ap('Strong', -40, 6),
+      ap('Middle', -65, 11),
+    ]);
+
+    expect(grouped.map(network => network.ssid)).toEqual(['Strong', 'Middle', 'Weak']);
+  });
+
+  test('treats a missing RSSI as the weakest signal', () => {
+    const [home] = groupNetworksBySsid([
+      { ssid: 'Home', channel: 6, encryption: 'SECURED' },
+      ap('Home', -90, 1),
+    ]);
+
+    expect(home.rssi).toBe(-90);
+    expect(home.channel).toBe(1);
+  });
+
+  test('leaves out blank, hidden and malformed entries', () => {
+    const grouped = groupNetworksBySsid([
+      ap('', -40, 6),
+      ap('   ', -42, 6),
+      { rssi: -44, channel: 6 },
+      { ssid: 42, rssi: -46, channel: 6 },
+      null,
+      ap('Home', -60, 1),
+    ]);
+
+    expect(grouped.map(network => network.ssid)).toEqual(['Home']);
+  });
+
+  test('ignores out-of-range channels', () => {
+    const [home] = groupNetworksBySsid([
+      ap('Home', -40, 36),
+      ap('Home', -50, 0),
+      ap('Home', -55, 6.5),
+      ap('Home', -60, 11),
+    ]);
+
+    expect(home.channel).toBeNull();
+    expect(home.channels).toEqual([11]);
+    expect(home.saturated).toBe(false);
+    expect(home.accessPointCount).toBe(4);
+  });
+
+  test('flags networks whose strongest access point is on a busy channel', () => {
+    const grouped = groupNetworksBySsid([
+      ap('Busy', -40, 6),
+      ap('Neighbour A', -70, 6),
+      ap('Neighbour B', -75, 7),
+      ap('Neighbour C', -80, 5),
+      ap('Quiet', -50, 13),
+    ]);
+    const bySsid = Object.fromEntries(grouped.map(network => [network.ssid, network]));
+
+    expect(bySsid.Busy.saturated).toBe(true);
+    expect(bySsid.Quiet.saturated).toBe(false);
+  });
+
+  test('uses a custom saturation threshold', () => {
+    const networks = [ap('Home', -40, 6), ap('Neighbour', -70, 6)];
+
+    expect(groupNetworksBySsid(networks)[0].saturated).toBe(false);
+    expect(groupNetworksBySsid(networks, { threshold: 2 })[0].saturated).toBe(true);
+  });
+});
+
+describe('getChannelLoad', () => {
+  test('counts access points on and overlapping each channel', () => {
+    const load = getChannelLoad([ap('A', -50, 1), ap('B', -50, 6), ap('C', -50, 11)]);
+
+    expect(load[1]).toBe(1);
+    expect(load[3]).toBe(2);
+    expect(load[6]).toBe(1);
+    expect(load[8]).toBe(2);
+    expect(load[14]).toBe(1);
+  });
+
+  test('covers channels 1 to 14 and skips out-of-range and malformed entries', () => {
+    const load = getChannelLoad([ap('A', -50, 36), ap('B', -50, 0), { ssid: 'C' }, null]);
+
+    expect(Object.keys(load).map(Number)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+    expect(Object.values(load).every(count => count === 0)).toBe(true);
+  });
+});
+
+describe('getSaturatedChannels', () => {
+  test('returns channels at or above the threshold', () => {
+    const networks = Array.from({ length: SATURATION_THRESHOLD }, (_, index) => ap(`AP${index}`, -60, 1));
+
+    expect(getSaturatedChannels(networks)).toEqual([1, 2, 3, 4, 5]);
+    expect(getSaturatedChannels(networks.slice(1))).toEqual([]);
+  });
+});